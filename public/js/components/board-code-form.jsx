@@ -0,0 +1,50 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+const propTypes = {
+	onSubmit: PropTypes.func.isRequired,
+	submitText: PropTypes.string,
+};
+
+const defaultProps = {
+	submitText: 'Play Board',
+};
+
+export default class BoardCodeForm extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			boardCode: '',
+		};
+
+		this.onChange = this.onChange.bind(this);
+		this.onSubmit = this.onSubmit.bind(this);
+	}
+
+	onChange(e) {
+		const boardCode = e.target.value;
+		this.setState(() => ({ boardCode: boardCode && boardCode.replace(/\s/g, '').toUpperCase() }));
+	}
+
+	onSubmit(e) {
+		e.preventDefault();
+		const { boardCode } = this.state;
+
+		if (boardCode) {
+			this.props.onSubmit(boardCode);
+		}
+	}
+
+	render() {
+		return (
+			<form className="board-code-form" onSubmit={this.onSubmit}>
+				<input className="board-code-input" placeholder="Board Code" value={this.state.boardCode} onChange={this.onChange} />
+				<button type="submit" disabled={!this.state.boardCode}>{this.props.submitText}</button>
+			</form>
+		);
+	}
+}
+
+BoardCodeForm.propTypes = propTypes;
+BoardCodeForm.defaultProps = defaultProps;
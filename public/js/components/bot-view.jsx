@@ -0,0 +1,124 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import {
+	getActiveGameId,
+	addBot,
+	removeBot,
+	changeBotCaution,
+	getBotCautionForGameId,
+	isClassicForGameId,
+	isSpectatorForGameId,
+	isPlayingWithBotForGameId,
+} from '../stores/game-store';
+import { getTeamId } from '../stores/team-id-store';
+import { getConnectedPlayerNamesForGameId } from '../stores/players-store';
+import { isGameOverForGameId } from '../stores/turns-store';
+import { getErrorForGameId } from '../stores/errors-store';
+import { BOT_CAUTION_LABELS } from '../rules/game';
+
+const propTypes = {
+	canPlayWithBot: PropTypes.bool,
+	isPlayingWithBot: PropTypes.bool,
+	// Whether a person is in the partner's seat, in which case there's no room for the computer
+	hasPartner: PropTypes.bool,
+	// How readily the computer guesses the player's clues
+	caution: PropTypes.oneOf(Object.keys(BOT_CAUTION_LABELS)),
+	botError: PropTypes.string,
+	addBot: PropTypes.func.isRequired,
+	removeBot: PropTypes.func.isRequired,
+	changeBotCaution: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	canPlayWithBot: false,
+	isPlayingWithBot: false,
+	hasPartner: false,
+	caution: undefined,
+	botError: undefined,
+};
+
+// Lets a player of a duet game play with a computer partner when nobody else is around
+export class BaseBotView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onAddBot = this.onAddBot.bind(this);
+		this.onRemoveBot = this.onRemoveBot.bind(this);
+		this.onChangeCaution = this.onChangeCaution.bind(this);
+	}
+
+	onAddBot() {
+		this.props.addBot();
+	}
+
+	onRemoveBot() {
+		this.props.removeBot();
+	}
+
+	onChangeCaution(e) {
+		this.props.changeBotCaution({ caution: e.target.value });
+	}
+
+	maybeRenderCaution() {
+		const { isPlayingWithBot, caution } = this.props;
+
+		if (!isPlayingWithBot) return null;
+
+		return (
+			<div className="bot-caution small-text">
+				GUESSES{' '}
+				<select aria-label="How the computer guesses" value={caution} onChange={this.onChangeCaution}>
+					{Object.keys(BOT_CAUTION_LABELS).map(level => (
+						<option key={level} value={level}>{BOT_CAUTION_LABELS[level]}</option>
+					))}
+				</select>
+			</div>
+		);
+	}
+
+	render() {
+		const {
+			canPlayWithBot, isPlayingWithBot, hasPartner, botError,
+		} = this.props;
+
+		if (!canPlayWithBot || (hasPartner && !isPlayingWithBot)) return null;
+
+		return (
+			<div className="bot-view">
+				{isPlayingWithBot && <div className="small-text">YOUR PARTNER IS THE COMPUTER</div>}
+				{isPlayingWithBot ? (
+					<button type="button" onClick={this.onRemoveBot}>Play Without The Computer</button>
+				) : (
+					<button type="button" onClick={this.onAddBot}>Play With The Computer</button>
+				)}
+				{this.maybeRenderCaution()}
+				{botError && <div className="bot-error small-text">{botError}</div>}
+			</div>
+		);
+	}
+}
+
+BaseBotView.propTypes = propTypes;
+BaseBotView.defaultProps = defaultProps;
+
+const mapDispatchToProps = { addBot, removeBot, changeBotCaution };
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+	const teamId = getTeamId(state, gameId);
+	const { teamOne, teamTwo } = getConnectedPlayerNamesForGameId(state, gameId);
+
+	return {
+		canPlayWithBot: !!teamId && !isClassicForGameId(state, gameId) && !isSpectatorForGameId(state, gameId)
+			&& !isGameOverForGameId(state, gameId),
+		isPlayingWithBot: isPlayingWithBotForGameId(state, gameId, teamId),
+		hasPartner: (teamId === 'one' ? teamTwo : teamOne).length > 0,
+		caution: getBotCautionForGameId(state, gameId, teamId),
+		botError: getErrorForGameId(state, gameId, 'addBot') || getErrorForGameId(state, gameId, 'removeBot')
+			|| getErrorForGameId(state, gameId, 'changeBotCaution'),
+	};
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseBotView);
@@ -0,0 +1,148 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import classNames from 'classnames';
+
+import { history } from '../stores';
+import { getCampaignForGameId, getCampaignViaApi, playMission } from '../stores/campaign-store';
+import { getErrorForGameId } from '../stores/errors-store';
+
+const missionShape = PropTypes.shape({
+	id: PropTypes.string.isRequired,
+	name: PropTypes.string.isRequired,
+	turns: PropTypes.number.isRequired,
+	mistakes: PropTypes.number.isRequired,
+	completed: PropTypes.bool,
+	unlocked: PropTypes.bool,
+});
+
+const propTypes = {
+	gameId: PropTypes.string.isRequired,
+	campaignId: PropTypes.string,
+	missionId: PropTypes.string,
+	missions: PropTypes.arrayOf(missionShape),
+	error: PropTypes.string,
+	getCampaignViaApi: PropTypes.func.isRequired,
+	playMission: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	campaignId: undefined,
+	missionId: undefined,
+	missions: [],
+	error: undefined,
+};
+
+export class BaseCampaignView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onBack = this.onBack.bind(this);
+	}
+
+	componentDidMount() {
+		const { gameId } = this.props;
+
+		this.props.getCampaignViaApi({ gameId });
+		document.title = `${gameId} - Campaign`;
+	}
+
+	onBack() {
+		history.push(`/${this.props.gameId}`);
+	}
+
+	onPlay(missionId) {
+		const { gameId } = this.props;
+
+		this.props.playMission({ gameId, missionId });
+		history.push(`/${gameId}`);
+	}
+
+	renderProgress() {
+		const { campaignId, missions } = this.props;
+
+		if (!campaignId) {
+			return (
+				<div className="campaign-progress">
+					Both players need to join the game to play the campaign.
+				</div>
+			);
+		}
+
+		const completedCount = missions.filter(mission => mission.completed).length;
+
+		return (
+			<div className="campaign-progress">
+				{completedCount} of {missions.length} missions completed
+			</div>
+		);
+	}
+
+	renderMission(mission) {
+		const { campaignId, missionId } = this.props;
+		const {
+			id, name, turns, mistakes, completed, unlocked,
+		} = mission;
+
+		const className = classNames('campaign-mission', {
+			'campaign-mission--completed': completed,
+			'campaign-mission--locked': !unlocked,
+			'campaign-mission--current': id === missionId,
+		});
+
+		return (
+			<div className={className} key={id}>
+				<div className="campaign-mission-name">{name}</div>
+				<div className="small-text">
+					{turns} TURNS &middot; {mistakes} MISTAKE{mistakes !== 1 ? 'S' : ''}
+				</div>
+				{campaignId && unlocked && (
+					<button type="button" className="small-text" onClick={() => this.onPlay(id)}>
+						{completed ? 'Replay' : 'Play'}
+					</button>
+				)}
+			</div>
+		);
+	}
+
+	render() {
+		const { missions, error } = this.props;
+
+		return (
+			<div className="campaign-view">
+				<div className="header">
+					<button type="button" onClick={this.onBack}>Back to game</button>
+					<h1 className="title">Campaign</h1>
+				</div>
+				{this.renderProgress()}
+				{error && <div className="game-settings-error small-text">{error}</div>}
+				<div className="campaign-map">
+					{missions.map(mission => this.renderMission(mission))}
+				</div>
+			</div>
+		);
+	}
+}
+
+BaseCampaignView.propTypes = propTypes;
+BaseCampaignView.defaultProps = defaultProps;
+
+function mapStateToProps(state, ownProps) {
+	const { gameId } = ownProps.match.params;
+	const { campaignId, missionId, missions } = getCampaignForGameId(state, gameId) || {};
+
+	return {
+		gameId,
+		campaignId,
+		missionId,
+		missions,
+		error: getErrorForGameId(state, gameId, 'startCampaignMission'),
+	};
+}
+
+const mapDispatchToProps = {
+	getCampaignViaApi,
+	playMission,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseCampaignView);
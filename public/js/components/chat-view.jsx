@@ -0,0 +1,151 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import classNames from 'classnames';
+
+import { getActiveGameId, isSpectatorForGameId } from '../stores/game-store';
+import { getChatMessagesForGameId, sendChatMessage } from '../stores/chat-store';
+import { getPlayerId } from '../stores/player-name-store';
+import { getErrorForGameId } from '../stores/errors-store';
+import { MAX_MESSAGE_LENGTH } from '../rules/game';
+
+const messageShape = PropTypes.shape({
+	playerId: PropTypes.number,
+	playerName: PropTypes.string,
+	teamId: PropTypes.string,
+	text: PropTypes.string,
+	time: PropTypes.number,
+});
+
+const propTypes = {
+	messages: PropTypes.arrayOf(messageShape),
+	playerId: PropTypes.number,
+	// Spectators can read the chat, but not write in it
+	canChat: PropTypes.bool,
+	chatError: PropTypes.string,
+	sendChatMessage: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	messages: [],
+	playerId: undefined,
+	canChat: false,
+	chatError: undefined,
+};
+
+// The game's chat, in a panel that can be collapsed out of the way of the board
+export class BaseChatView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			isOpen: false,
+			text: '',
+			// Messages sent before then have been seen (the ones replayed on joining don't count as new)
+			seenAt: Date.now(),
+		};
+
+		this.onToggle = this.onToggle.bind(this);
+		this.onTextChange = this.onTextChange.bind(this);
+		this.onSubmit = this.onSubmit.bind(this);
+		this.setMessagesElement = this.setMessagesElement.bind(this);
+	}
+
+	componentDidUpdate(prevProps, prevState) {
+		const hasNewMessages = prevProps.messages.length !== this.props.messages.length;
+
+		// Keep the latest message in view
+		if (this.messagesElement && (hasNewMessages || !prevState.isOpen)) {
+			this.messagesElement.scrollTop = this.messagesElement.scrollHeight;
+		}
+	}
+
+	onToggle() {
+		this.setState(({ isOpen }) => ({ isOpen: !isOpen, seenAt: Date.now() }));
+	}
+
+	onTextChange(e) {
+		const text = e.target.value;
+		this.setState(() => ({ text }));
+	}
+
+	onSubmit(e) {
+		e.preventDefault();
+
+		this.props.sendChatMessage({ text: this.state.text });
+		this.setState(() => ({ text: '' }));
+	}
+
+	setMessagesElement(element) {
+		this.messagesElement = element;
+	}
+
+	getUnreadCount() {
+		const { messages, playerId } = this.props;
+
+		if (this.state.isOpen) return 0;
+
+		return messages.filter(message => message.time > this.state.seenAt && message.playerId !== playerId).length;
+	}
+
+	renderMessage(message, index) {
+		const { playerName, teamId, text } = message;
+
+		return (
+			<li className={classNames('chat-message', teamId && `chat-team-${teamId}`)} key={index}>
+				<span className="light">{playerName || 'Someone'}:</span> {text}
+			</li>
+		);
+	}
+
+	renderPanel() {
+		const { messages, canChat, chatError } = this.props;
+
+		return (
+			<div className="chat-panel">
+				<ol className="chat-messages" ref={this.setMessagesElement}>
+					{messages.map((message, index) => this.renderMessage(message, index))}
+				</ol>
+				{canChat && (
+					<form className="chat-form" onSubmit={this.onSubmit}>
+						<input placeholder="Message" maxLength={MAX_MESSAGE_LENGTH} value={this.state.text} onChange={this.onTextChange} />
+						<button type="submit" disabled={!this.state.text.trim()}>Send</button>
+					</form>
+				)}
+				{chatError && <div className="chat-error">{chatError}</div>}
+			</div>
+		);
+	}
+
+	render() {
+		const { isOpen } = this.state;
+		const unreadCount = this.getUnreadCount();
+
+		return (
+			<div className="chat small-text">
+				<button type="button" className="chat-toggle" onClick={this.onToggle}>
+					{isOpen ? 'HIDE CHAT' : 'CHAT'}{unreadCount > 0 && ` (${unreadCount} NEW)`}
+				</button>
+				{isOpen && this.renderPanel()}
+			</div>
+		);
+	}
+}
+
+BaseChatView.propTypes = propTypes;
+BaseChatView.defaultProps = defaultProps;
+
+const mapDispatchToProps = { sendChatMessage };
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+
+	return {
+		messages: getChatMessagesForGameId(state, gameId),
+		playerId: getPlayerId(state),
+		canChat: !isSpectatorForGameId(state, gameId),
+		chatError: getErrorForGameId(state, gameId, 'chat'),
+	};
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseChatView);
@@ -0,0 +1,196 @@
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+
+import { getActiveGameId, isSpectatorForGameId } from '../stores/game-store';
+import { canGuessForGameId } from '../stores/turns-store';
+import { shouldConfirmGuesses } from '../stores/undo-store';
+import { chooseWord, getProposalForWord, hasVotedForWord } from '../stores/proposals-store';
+import { getMarkForWord } from '../stores/marks-store';
+import { setMarkingWord } from '../stores/actions';
+import { LONG_PRESS_MS } from './mark-view';
+import { CLASSIC_ROLES, MARK_LABELS } from '../rules/game';
+
+const propTypes = {
+	word: PropTypes.string.isRequired,
+	// Only known to spymasters until the word is revealed (or the game is over)
+	role: PropTypes.oneOf(Object.keys(CLASSIC_ROLES)),
+	isRevealed: PropTypes.bool,
+	canGuess: PropTypes.bool,
+	chooseWord: PropTypes.func.isRequired,
+	guessedThisTurn: PropTypes.bool,
+	confirmGuess: PropTypes.bool,
+	// Set while the word is proposed as a guess, in games where teams vote on their guesses
+	proposal: PropTypes.shape({
+		votes: PropTypes.arrayOf(PropTypes.number),
+		votesNeeded: PropTypes.number,
+	}),
+	hasVoted: PropTypes.bool,
+	// The player's own, private mark on the word (see MarkView)
+	mark: PropTypes.shape({
+		tag: PropTypes.string,
+		note: PropTypes.string,
+	}),
+	canMark: PropTypes.bool,
+	setMarkingWord: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	role: undefined,
+	isRevealed: false,
+	canGuess: false,
+	guessedThisTurn: false,
+	confirmGuess: false,
+	proposal: undefined,
+	hasVoted: false,
+	mark: undefined,
+	canMark: false,
+};
+
+// A word on the board of a classic game, where a word's role is the same for everyone
+export class BaseClassicWord extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			isConfirming: false,
+		};
+
+		this.onClick = this.onClick.bind(this);
+		this.onBlur = this.onBlur.bind(this);
+		this.onContextMenu = this.onContextMenu.bind(this);
+		this.onTouchStart = this.onTouchStart.bind(this);
+		this.onTouchEnd = this.onTouchEnd.bind(this);
+	}
+
+	componentWillUnmount() {
+		clearTimeout(this.longPressTimeout);
+	}
+
+	onBlur() {
+		this.setState(() => ({ isConfirming: false }));
+	}
+
+	onClick(e) {
+		e.preventDefault();
+
+		// The tap that ends a long press has already marked the word
+		if (this.isLongPress) {
+			this.isLongPress = false;
+			return;
+		}
+
+		const {
+			word, isRevealed, canGuess, confirmGuess,
+		} = this.props;
+
+		if (!canGuess || isRevealed) return;
+
+		if (confirmGuess && !this.state.isConfirming) {
+			this.setState(() => ({ isConfirming: true }));
+			return;
+		}
+
+		this.setState(() => ({ isConfirming: false }));
+		this.props.chooseWord({ word });
+	}
+
+	onContextMenu(e) {
+		if (!this.props.canMark) return;
+
+		e.preventDefault();
+		this.props.setMarkingWord({ word: this.props.word });
+	}
+
+	// A long press marks the word on a touch screen, as a right-click does with a mouse
+	onTouchStart() {
+		if (!this.props.canMark) return;
+
+		this.isLongPress = false;
+		this.longPressTimeout = setTimeout(() => {
+			this.isLongPress = true;
+			this.props.setMarkingWord({ word: this.props.word });
+		}, LONG_PRESS_MS);
+	}
+
+	onTouchEnd() {
+		clearTimeout(this.longPressTimeout);
+	}
+
+	maybeRenderMark() {
+		const { mark } = this.props;
+
+		if (!mark) return null;
+
+		return (
+			<span className={`word-mark word-mark-${mark.tag.toLowerCase()}`}>
+				{mark.note || MARK_LABELS[mark.tag]}
+			</span>
+		);
+	}
+
+	maybeRenderVotes() {
+		const { proposal } = this.props;
+
+		if (!proposal) return null;
+
+		return <span className="word-votes">{proposal.votes.length}/{proposal.votesNeeded}</span>;
+	}
+
+	render() {
+		const {
+			word, role, isRevealed, canGuess, guessedThisTurn, proposal, hasVoted, mark,
+		} = this.props;
+
+		const className = classNames('word', 'classic-word', {
+			[`classic-${(role || '').toLowerCase()}`]: !!role,
+			guessed: isRevealed,
+			// A spymaster sees every role, but only revealed words are shown in full
+			hidden: !!role && !isRevealed,
+			'guessed-this-turn': guessedThisTurn,
+			confirming: this.state.isConfirming,
+			marked: !!mark,
+			proposed: !!proposal,
+			voted: hasVoted,
+		});
+
+		return (
+			<button
+				type="button"
+				className={className}
+				onClick={this.onClick}
+				onBlur={this.onBlur}
+				onContextMenu={this.onContextMenu}
+				onTouchStart={this.onTouchStart}
+				onTouchEnd={this.onTouchEnd}
+				onTouchMove={this.onTouchEnd}
+				disabled={!canGuess || isRevealed}
+			>
+				{this.state.isConfirming ? `${word}?` : word}
+				{this.maybeRenderMark()}
+				{this.maybeRenderVotes()}
+			</button>
+		);
+	}
+}
+
+const mapDispatchToProps = { chooseWord, setMarkingWord };
+function mapStateToProps(state, ownProps) {
+	const gameId = getActiveGameId(state);
+
+	return {
+		// Spymasters can't guess, which the rules check along with whose turn it is
+		canGuess: canGuessForGameId(state, gameId),
+		confirmGuess: shouldConfirmGuesses(state),
+		proposal: getProposalForWord(state, gameId, ownProps.word),
+		hasVoted: hasVotedForWord(state, gameId, ownProps.word),
+		mark: getMarkForWord(state, gameId, ownProps.word),
+		canMark: !isSpectatorForGameId(state, gameId),
+	};
+}
+
+BaseClassicWord.propTypes = propTypes;
+BaseClassicWord.defaultProps = defaultProps;
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseClassicWord);
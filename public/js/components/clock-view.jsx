@@ -0,0 +1,80 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import classNames from 'classnames';
+
+import { getClockForGameId, getPhaseForGameId } from '../stores/turns-store';
+import { getActiveGameId } from '../stores/game-store';
+import { PHASES } from '../rules/game';
+
+const LOW_SECONDS = 10;
+
+const propTypes = {
+	clock: PropTypes.shape({
+		secondsLeft: PropTypes.number,
+		receivedAt: PropTypes.number,
+	}),
+	phase: PropTypes.string,
+};
+
+const defaultProps = {
+	clock: undefined,
+	phase: undefined,
+};
+
+function formatSeconds(seconds) {
+	const remainder = seconds % 60;
+	return `${Math.floor(seconds / 60)}:${remainder < 10 ? '0' : ''}${remainder}`;
+}
+
+// Counts down between the updates the server sends (the server decides when time is up)
+export class BaseClockView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			now: Date.now(),
+		};
+	}
+
+	componentDidMount() {
+		this.interval = setInterval(() => this.setState(() => ({ now: Date.now() })), 1000);
+	}
+
+	componentWillUnmount() {
+		clearInterval(this.interval);
+	}
+
+	render() {
+		const { clock, phase } = this.props;
+
+		if (!clock) return null;
+
+		const elapsedSeconds = Math.floor(Math.max(this.state.now - clock.receivedAt, 0) / 1000);
+		const secondsLeft = Math.max(clock.secondsLeft - elapsedSeconds, 0);
+		const className = classNames('clock-view', {
+			'clock-low': secondsLeft <= LOW_SECONDS,
+		});
+
+		return (
+			<div className={className}>
+				<div className="clock-time">{formatSeconds(secondsLeft)}</div>
+				<div className="small-text">{phase === PHASES.GUESSING ? 'TO GUESS' : 'TO GIVE A CLUE'}</div>
+			</div>
+		);
+	}
+}
+
+BaseClockView.propTypes = propTypes;
+BaseClockView.defaultProps = defaultProps;
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+
+	return {
+		clock: getClockForGameId(state, gameId),
+		phase: getPhaseForGameId(state, gameId),
+	};
+}
+
+export default connect(mapStateToProps)(BaseClockView);
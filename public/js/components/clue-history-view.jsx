@@ -0,0 +1,118 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import classNames from 'classnames';
+
+import { getActiveGameId, isClassicForGameId } from '../stores/game-store';
+import { getClueHistoryForGameId } from '../stores/clue-history-store';
+import { PHASES, TURN_END_REASONS } from '../rules/game';
+
+const TEAM_NAMES = { one: 'RED', two: 'BLUE' };
+
+const ENDINGS = {
+	[TURN_END_REASONS.STOPPED]: 'Stopped guessing',
+	[TURN_END_REASONS.WRONG_GUESS]: 'Ended on a wrong guess',
+	[TURN_END_REASONS.OUT_OF_GUESSES]: 'Used every guess',
+	[TURN_END_REASONS.TIME_RAN_OUT]: 'Ran out of time',
+	[TURN_END_REASONS.PASSED]: 'Passed the turn',
+};
+
+const entryShape = PropTypes.shape({
+	teamId: PropTypes.string,
+	playerName: PropTypes.string,
+	// Guesses made in sudden death have no clue, and neither has a turn that was passed
+	word: PropTypes.string,
+	number: PropTypes.number,
+	guesses: PropTypes.arrayOf(PropTypes.shape({
+		word: PropTypes.string,
+		role: PropTypes.string,
+	})),
+	// Unset while the clue is still being guessed
+	ending: PropTypes.shape({
+		reason: PropTypes.string,
+		outcome: PropTypes.string,
+		winningTeamId: PropTypes.string,
+	}),
+});
+
+const propTypes = {
+	clueHistory: PropTypes.arrayOf(entryShape),
+	isClassic: PropTypes.bool,
+};
+
+const defaultProps = {
+	clueHistory: [],
+	isClassic: false,
+};
+
+// Every clue given in the game, with the guesses made for it and how its turn ended
+export class BaseClueHistoryView extends Component {
+	describeEnding(ending) {
+		if (!ending) return 'Guessing…';
+
+		if (ending.reason !== TURN_END_REASONS.GAME_OVER) return ENDINGS[ending.reason];
+
+		if (this.props.isClassic) return `${TEAM_NAMES[ending.winningTeamId]} won the game`;
+
+		return ending.outcome === PHASES.WON ? 'Won the game' : 'Lost the game';
+	}
+
+	renderClue({
+		playerName, word, number, ending,
+	}) {
+		if (word) return <span><span className="light">{playerName || 'Someone'}:</span> {word} - {number}</span>;
+
+		if (ending && ending.reason === TURN_END_REASONS.PASSED) {
+			return <span><span className="light">{playerName || 'Someone'}:</span> no clue</span>;
+		}
+
+		return <span className="light">Sudden death</span>;
+	}
+
+	renderEntry(entry, index) {
+		const { teamId, guesses, ending } = entry;
+
+		return (
+			<li className={classNames('clue-history-entry', `clue-history-team-${teamId}`)} key={index}>
+				<div className="clue-history-clue">{this.renderClue(entry)}</div>
+				<div className="clue-history-guesses">
+					{guesses.map(guess => (
+						<span className={`clue-history-guess role-${guess.role.toLowerCase()}`} key={guess.word}>
+							{guess.word} <span className="light">({guess.role.toLowerCase().replace('_', ' ')})</span>
+						</span>
+					))}
+				</div>
+				<div className="clue-history-ending light">{this.describeEnding(ending)}</div>
+			</li>
+		);
+	}
+
+	render() {
+		const { clueHistory } = this.props;
+
+		if (!clueHistory.length) return null;
+
+		return (
+			<div className="clue-history small-text">
+				<div>CLUES</div>
+				<ol className="clue-history-entries">
+					{clueHistory.map((entry, index) => this.renderEntry(entry, index))}
+				</ol>
+			</div>
+		);
+	}
+}
+
+BaseClueHistoryView.propTypes = propTypes;
+BaseClueHistoryView.defaultProps = defaultProps;
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+
+	return {
+		clueHistory: getClueHistoryForGameId(state, gameId),
+		isClassic: isClassicForGameId(state, gameId),
+	};
+}
+
+export default connect(mapStateToProps)(BaseClueHistoryView);
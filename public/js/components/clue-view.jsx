@@ -2,25 +2,72 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 
-import { getClueForGameId, getGuessesLeftForGameId, getTurnsLeftForGameId, giveClue } from '../stores/turns-store';
-import { startNew, getActiveGameId } from '../stores/game-store';
+import {
+	getClueForGameId,
+	getGuessesLeftForGameId,
+	getTurnsLeftForGameId,
+	getPhaseForGameId,
+	isGameOverForGameId,
+	isSuddenDeathForGameId,
+	isAwaitingClueFromTeamForGameId,
+	giveClue,
+} from '../stores/turns-store';
+import {
+	startNew,
+	startNewFromBoardCode,
+	getActiveGameId,
+	getSettingsForGameId,
+	getWordPacksForGameId,
+	getClueRulesForGameId,
+	getGameTypeForGameId,
+} from '../stores/game-store';
 import { getTeamId } from '../stores/team-id-store';
+import { getErrorForGameId } from '../stores/errors-store';
+import { history } from '../stores';
+import { PHASES, GAME_TYPES } from '../rules/game';
+import GameSettings, { settingsShape } from './game-settings';
+import BoardCodeForm from './board-code-form';
 
 const propTypes = {
+	gameId: PropTypes.string,
 	clue: PropTypes.shape({
 		word: PropTypes.string.isRequired,
 		number: PropTypes.number.isRequired,
 	}),
 	giveClue: PropTypes.func.isRequired,
 	guessesLeft: PropTypes.number,
+	settings: settingsShape,
+	wordPacks: PropTypes.arrayOf(PropTypes.string),
+	clueRules: PropTypes.string,
+	gameType: PropTypes.string,
+	giveClueError: PropTypes.string,
+	turnError: PropTypes.string,
+	startNewGameError: PropTypes.string,
+	phase: PropTypes.string,
+	isAwaitingClueFromTeam: PropTypes.bool,
+	isGameOver: PropTypes.bool,
+	isSuddenDeath: PropTypes.bool,
 	teamId: PropTypes.string,
 	turnsLeft: PropTypes.number,
 	startNew: PropTypes.func.isRequired,
+	startNewFromBoardCode: PropTypes.func.isRequired,
 };
 
 const defaultProps = {
+	gameId: undefined,
 	clue: undefined,
 	guessesLeft: 0,
+	settings: undefined,
+	wordPacks: undefined,
+	clueRules: undefined,
+	gameType: undefined,
+	giveClueError: undefined,
+	turnError: undefined,
+	startNewGameError: undefined,
+	phase: undefined,
+	isAwaitingClueFromTeam: false,
+	isGameOver: false,
+	isSuddenDeath: false,
 	teamId: '',
 	turnsLeft: 0,
 };
@@ -83,9 +130,8 @@ export class BaseClueView extends Component {
 	}
 
 	maybeRenderInput() {
-		if (!this.props.teamId || (this.props.clue && this.props.clue.word) || this.props.turnsLeft < 1) {
-			return null;
-		}
+		// The server decides whose turn it is to give a clue
+		if (!this.props.isAwaitingClueFromTeam) return null;
 
 		return (
 			<form onSubmit={this.onSubmitClue}>
@@ -99,12 +145,65 @@ export class BaseClueView extends Component {
 		);
 	}
 
+	maybeRenderTurnStatus() {
+		const {
+			teamId, phase, isAwaitingClueFromTeam, giveClueError, turnError, gameType,
+		} = this.props;
+
+		if (!teamId) return null;
+
+		// In a classic game, clues are given by the spymaster of the team whose turn it is
+		const clueGiver = gameType === GAME_TYPES.CLASSIC ? 'a spymaster' : 'your partner';
+
+		let status;
+		if (phase === PHASES.AWAITING_CLUE && !isAwaitingClueFromTeam) status = `Waiting for ${clueGiver} to give a clue`;
+		if (phase === PHASES.GUESSING && !(this.props.clue && this.props.clue.word)) status = 'Your partner is guessing';
+
+		const error = giveClueError || turnError;
+
+		if (!status && !error) return null;
+
+		return (
+			<div className="turn-status small-text">
+				{status && <div className="light">{status}</div>}
+				{error && <div className="clue-error">{error}</div>}
+			</div>
+		);
+	}
+
+	maybeRenderSuddenDeath() {
+		if (!this.props.isSuddenDeath) return null;
+
+		return (
+			<div className="sudden-death">
+				<div className="sudden-death-title">Sudden Death</div>
+				<div className="small-text">
+					No more clues. Reveal only words you believe are <span className="color-agent">good</span> for
+					your teammate &mdash; any other word loses the game.
+				</div>
+			</div>
+		);
+	}
+
 	maybeRenderStartNewGame() {
-		if (this.props.turnsLeft > 0) return null;
+		const { isGameOver, isSuddenDeath, turnsLeft } = this.props;
+
+		if (isSuddenDeath || (turnsLeft > 0 && !isGameOver)) return null;
 
 		return (
 			<div className="start-new-game">
-				<button type="button" onClick={() => this.props.startNew()}>Start New Game</button>
+				<GameSettings
+					settings={this.props.settings}
+					wordPacks={this.props.wordPacks}
+					clueRules={this.props.clueRules}
+					gameType={this.props.gameType}
+					error={this.props.startNewGameError}
+					onSubmit={this.props.startNew}
+				/>
+				<BoardCodeForm onSubmit={this.props.startNewFromBoardCode} />
+				<button type="button" className="small-text" onClick={() => history.push(`/campaign/${this.props.gameId}`)}>
+					Campaign map
+				</button>
 			</div>
 		);
 	}
@@ -113,8 +212,10 @@ export class BaseClueView extends Component {
 		return (
 			<div className="clue-view">
 				{this.maybeRenderStartNewGame()}
+				{this.maybeRenderSuddenDeath()}
 				{this.maybeRenderClue()}
 				{this.maybeRenderInput()}
+				{this.maybeRenderTurnStatus()}
 			</div>
 		);
 	}
@@ -123,14 +224,27 @@ export class BaseClueView extends Component {
 BaseClueView.propTypes = propTypes;
 BaseClueView.defaultProps = defaultProps;
 
-const mapDispatchToProps = { giveClue, startNew };
+const mapDispatchToProps = { giveClue, startNew, startNewFromBoardCode };
 
 function mapStateToProps(state) {
 	const gameId = getActiveGameId(state);
 
 	return {
+		gameId,
 		clue: getClueForGameId(state, gameId),
 		guessesLeft: getGuessesLeftForGameId(state, gameId),
+		settings: getSettingsForGameId(state, gameId),
+		wordPacks: getWordPacksForGameId(state, gameId),
+		clueRules: getClueRulesForGameId(state, gameId),
+		gameType: getGameTypeForGameId(state, gameId),
+		giveClueError: getErrorForGameId(state, gameId, 'giveClue'),
+		turnError: getErrorForGameId(state, gameId, 'guess') || getErrorForGameId(state, gameId, 'endTurn')
+			|| getErrorForGameId(state, gameId, 'proposeGuess') || getErrorForGameId(state, gameId, 'voteOnGuess'),
+		phase: getPhaseForGameId(state, gameId),
+		isAwaitingClueFromTeam: isAwaitingClueFromTeamForGameId(state, gameId),
+		startNewGameError: getErrorForGameId(state, gameId, 'startNewGame'),
+		isGameOver: isGameOverForGameId(state, gameId),
+		isSuddenDeath: isSuddenDeathForGameId(state, gameId),
 		teamId: getTeamId(state, gameId),
 		turnsLeft: getTurnsLeftForGameId(state, gameId),
 	};
@@ -7,10 +7,25 @@ import PlayerView from './player-view';
 import GameView from './game-view';
 import InfoView from './info-view';
 import TurnView from './turn-view';
+import ClockView from './clock-view';
 import PlayerSelect from './player-select';
 import EndTurn from './end-turn';
-import { enterGame, getGameById, getActiveGameId } from '../stores/game-store';
+import UndoView from './undo-view';
+import SpymasterView from './spymaster-view';
+import SpectatorView from './spectator-view';
+import BotView from './bot-view';
+import PublicView from './public-view';
+import ClueHistoryView from './clue-history-view';
+import ChatView from './chat-view';
+import { settingsShape } from './game-settings';
+import {
+	enterGame,
+	getGameById,
+	getActiveGameId,
+	isSpectatorForGameId,
+} from '../stores/game-store';
 import { getTeamId } from '../stores/team-id-store';
+import { isGameOverForGameId } from '../stores/turns-store';
 import { getPlayerName } from '../stores/player-name-store';
 import { enableNotifications } from '../utils/notifications';
 import { close as closeWebSocket } from '../utils/ws';
@@ -23,18 +38,38 @@ const propTypes = {
 		words: PropTypes.object,
 	}),
 	teamId: PropTypes.string,
+	isSpectator: PropTypes.bool,
+	isGameOver: PropTypes.bool,
+	location: PropTypes.shape({
+		// ?spectate for a spectator link (with &keys= for the keys link)
+		search: PropTypes.string,
+		state: PropTypes.shape({
+			settings: settingsShape,
+			wordPacks: PropTypes.arrayOf(PropTypes.string),
+			customWords: PropTypes.arrayOf(PropTypes.string),
+			clueRules: PropTypes.string,
+			gameType: PropTypes.string,
+			boardCode: PropTypes.string,
+		}),
+	}),
 };
 
 const defaultProps = {
 	game: {},
 	teamId: undefined,
+	isSpectator: false,
+	isGameOver: false,
+	location: {},
 };
 
 export class BaseContainer extends Component {
 	componentDidMount() {
-		const { gameId } = this.props;
-
-		this.props.enterGame({ gameId });
+		const { gameId, location } = this.props;
+		const spectator = /[?&]spectate\b/.test(location.search || '');
+		const keysMatch = /[?&]keys=([^&]+)/.exec(location.search || '');
+		this.props.enterGame({
+			gameId, ...location.state, spectator, keysToken: keysMatch ? keysMatch[1] : undefined,
+		});
 
 		enableNotifications();
 		document.title = gameId;
@@ -45,7 +80,9 @@ export class BaseContainer extends Component {
 	}
 
 	render() {
-		const { game, teamId } = this.props;
+		const {
+			game, teamId, isSpectator, isGameOver,
+		} = this.props;
 
 		if (!game.words) {
 			return null;
@@ -58,11 +95,19 @@ export class BaseContainer extends Component {
 					<ClueView />
 					<PlayerSelect />
 				</div>
-				<GameView game={game} teamId={teamId} />
+				<GameView game={game} teamId={teamId} isSpectator={isSpectator} isGameOver={isGameOver} />
 				<div className="player-info">
 					<TurnView />
+					<ClockView />
+					<SpymasterView />
+					<SpectatorView />
+					<BotView />
+					<PublicView />
 					<EndTurn />
+					<UndoView />
 					<PlayerView />
+					<ClueHistoryView />
+					<ChatView />
 				</div>
 			</div>
 		);
@@ -79,6 +124,8 @@ function mapStateToProps(state) {
 		game: getGameById(state, gameId),
 		gameId,
 		teamId: getTeamId(state, gameId),
+		isSpectator: isSpectatorForGameId(state, gameId),
+		isGameOver: isGameOverForGameId(state, gameId),
 		playerName: getPlayerName(state),
 	};
 }
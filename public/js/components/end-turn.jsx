@@ -2,7 +2,13 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 
-import { endTurn, getGuessesLeftForGameId, getTurnsLeftForGameId, isActiveGuesserForGameId } from '../stores/turns-store';
+import {
+	endTurn,
+	getGuessesLeftForGameId,
+	getTurnsLeftForGameId,
+	isActiveGuesserForGameId,
+	isSuddenDeathForGameId,
+} from '../stores/turns-store';
 import { getTeamId } from '../stores/team-id-store';
 import { getActiveGameId } from '../stores/game-store';
 
@@ -12,6 +18,7 @@ const propTypes = {
 	guessesLeft: PropTypes.number,
 	turnsLeft: PropTypes.number,
 	isActiveGuesser: PropTypes.bool,
+	isSuddenDeath: PropTypes.bool,
 };
 
 const defaultProps = {
@@ -19,15 +26,17 @@ const defaultProps = {
 	guessesLeft: undefined,
 	turnsLeft: 0,
 	isActiveGuesser: false,
+	isSuddenDeath: false,
 };
 
 export class BaseEndTurn extends Component {
 	render() {
 		const {
-			teamId, guessesLeft, turnsLeft, isActiveGuesser,
+			teamId, guessesLeft, turnsLeft, isActiveGuesser, isSuddenDeath,
 		} = this.props;
 
-		if (!teamId || guessesLeft === 0 || turnsLeft < 1 || !isActiveGuesser) return null;
+		// There are no turns to end in sudden death
+		if (!teamId || guessesLeft === 0 || turnsLeft < 1 || !isActiveGuesser || isSuddenDeath) return null;
 
 		return (
 			<button className="end-turn" type="button" onClick={this.props.endTurn}>
@@ -50,6 +59,7 @@ function mapStateToProps(state) {
 		teamId: getTeamId(state, gameId),
 		turnsLeft: getTurnsLeftForGameId(state, gameId),
 		isActiveGuesser: isActiveGuesserForGameId(state, gameId),
+		isSuddenDeath: isSuddenDeathForGameId(state, gameId),
 	};
 }
 
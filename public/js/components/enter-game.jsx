@@ -6,17 +6,27 @@ import classNames from 'classnames';
 import { setPlayerName, setFacebookId } from '../stores/actions';
 
 import { debounce, isIOSSafari } from '../utils/helpers';
-import { getFacebookId, getFacebookImage, getPlayerName } from '../stores/player-name-store';
+import {
+	getFacebookId,
+	getFacebookImage,
+	getPlayerName,
+	getPlayerId,
+} from '../stores/player-name-store';
 import { getGames, getGamesViaApi } from '../stores/game-store';
 import { history } from '../stores';
 import { checkIfGameExists } from '../fetchers';
 import GameSummary from './game-summary';
+import GameSettings from './game-settings';
+import BoardCodeForm from './board-code-form';
+import LobbyView from './lobby-view';
+import FindPartnerView from './find-partner-view';
 
 const propTypes = {
 	setPlayerName: PropTypes.func.isRequired,
 	setFacebookId: PropTypes.func.isRequired,
 	getGamesViaApi: PropTypes.func.isRequired,
 	playerName: PropTypes.string,
+	playerId: PropTypes.number,
 	facebookId: PropTypes.string,
 	facebookImage: PropTypes.string,
 	games: PropTypes.arrayOf(PropTypes.string),
@@ -24,6 +34,7 @@ const propTypes = {
 
 const defaultProps = {
 	playerName: undefined,
+	playerId: undefined,
 	facebookId: undefined,
 	facebookImage: undefined,
 	games: [],
@@ -44,9 +55,15 @@ export class BaseEnterGame extends Component {
 			gameExists: false,
 			showGameExists: false,
 			activePlayers: 0,
+			showSettings: false,
 		};
 
 		this.onSubmit = this.onSubmit.bind(this);
+		this.onSubmitSettings = this.onSubmitSettings.bind(this);
+		this.onSubmitBoardCode = this.onSubmitBoardCode.bind(this);
+		this.onJoinPublicGame = this.onJoinPublicGame.bind(this);
+		this.onFindPartner = this.onFindPartner.bind(this);
+		this.onToggleSettings = this.onToggleSettings.bind(this);
 		this.onChangeGameId = this.onChangeGameId.bind(this);
 		this.onChangeName = this.onChangeName.bind(this);
 	}
@@ -85,6 +102,44 @@ export class BaseEnterGame extends Component {
 		history.push(`/${gameId}`);
 	}
 
+	onSubmitSettings(options) {
+		const { gameId, name } = this.state;
+
+		if (!gameId) return;
+
+		if (name) this.props.setPlayerName({ playerName: name });
+		// The settings and words are only used by the server if this is the first time the game is entered
+		history.push(`/${gameId}`, options);
+	}
+
+	onSubmitBoardCode(boardCode) {
+		const { gameId, name } = this.state;
+
+		if (!gameId) return;
+
+		if (name) this.props.setPlayerName({ playerName: name });
+		history.push(`/${gameId}`, { boardCode });
+	}
+
+	// Joining puts the player on the team with fewer players, which is the empty seat of a game in the lobby
+	onJoinPublicGame(gameId) {
+		const { name } = this.state;
+
+		if (name) this.props.setPlayerName({ playerName: name });
+		history.push(`/${gameId}`);
+	}
+
+	// The partner found is met under the name typed in, as when entering a game
+	onFindPartner() {
+		const { name } = this.state;
+
+		if (name) this.props.setPlayerName({ playerName: name });
+	}
+
+	onToggleSettings() {
+		this.setState(prevState => ({ showSettings: !prevState.showSettings }));
+	}
+
 	checkIfExists() {
 		const { gameId } = this.state;
 
@@ -109,6 +164,19 @@ export class BaseEnterGame extends Component {
 		);
 	}
 
+	renderStatsLink() {
+		const { playerId } = this.props;
+
+		// Players are only known once they've been in a game
+		if (!playerId) return null;
+
+		return (
+			<button type="button" className="stats-link small-text" onClick={() => history.push(`/players/${playerId}`)}>
+				Your Stats
+			</button>
+		);
+	}
+
 	renderFacebookLoginButton() {
 		const { facebookId, facebookImage } = this.props;
 
@@ -170,6 +238,22 @@ export class BaseEnterGame extends Component {
 		);
 	}
 
+	renderGameSettings() {
+		const { showGameExists, gameExists, showSettings } = this.state;
+
+		if (!showGameExists || gameExists) return null;
+
+		return (
+			<div className="enter-game-settings">
+				<button type="button" className="small-text" onClick={this.onToggleSettings}>
+					{showSettings ? 'Hide game settings' : 'Game settings'}
+				</button>
+				{showSettings && <GameSettings onSubmit={this.onSubmitSettings} submitText="Create Game" />}
+				{showSettings && <BoardCodeForm onSubmit={this.onSubmitBoardCode} />}
+			</div>
+		);
+	}
+
 	renderGameExists() {
 		const { showGameExists, gameExists, activePlayers } = this.state;
 
@@ -208,6 +292,7 @@ export class BaseEnterGame extends Component {
 			<div className="enter-game-container">
 				<div className="header header-flex-end">
 					<div className="player-select">
+						{this.renderStatsLink()}
 						{this.renderFacebookLoginButton()}
 					</div>
 				</div>
@@ -238,7 +323,10 @@ export class BaseEnterGame extends Component {
 							</div>
 						</form>
 
+						{this.renderGameSettings()}
 						{this.renderGameSummaries()}
+						<FindPartnerView onFind={this.onFindPartner} />
+						<LobbyView onJoin={this.onJoinPublicGame} />
 					</div>
 					{this.renderDownloadOnIOSLink()}
 				</div>
@@ -252,12 +340,14 @@ BaseEnterGame.defaultProps = defaultProps;
 
 const mapStateToProps = (state) => {
 	const playerName = getPlayerName(state);
+	const playerId = getPlayerId(state);
 	const facebookId = getFacebookId(state);
 	const facebookImage = getFacebookImage(state);
 	const games = getGames(state);
 
 	return {
 		playerName,
+		playerId,
 		facebookId,
 		facebookImage,
 		games,
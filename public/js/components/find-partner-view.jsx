@@ -0,0 +1,147 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import {
+	isQueued,
+	getQueueError,
+	joinQueue,
+	leaveQueue,
+} from '../stores/matchmaking-store';
+import { getWordPacks, getWordPacksViaApi } from '../stores/word-packs-store';
+import { DEFAULT_WORD_PACKS, MATCH_BY_LABELS } from '../rules/game';
+
+const propTypes = {
+	// Called just before the player starts looking for a partner
+	onFind: PropTypes.func,
+	isQueued: PropTypes.bool,
+	queueError: PropTypes.string,
+	availableWordPacks: PropTypes.arrayOf(PropTypes.shape({
+		id: PropTypes.string.isRequired,
+		name: PropTypes.string.isRequired,
+		language: PropTypes.string.isRequired,
+	})),
+	joinQueue: PropTypes.func.isRequired,
+	leaveQueue: PropTypes.func.isRequired,
+	getWordPacksViaApi: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	onFind: () => {},
+	isQueued: false,
+	queueError: undefined,
+	availableWordPacks: [],
+};
+
+// Puts the player in the queue to be paired with another player waiting for a partner, in a fresh game
+export class BaseFindPartnerView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			wordPacks: DEFAULT_WORD_PACKS,
+			matchBy: Object.keys(MATCH_BY_LABELS)[0],
+		};
+
+		this.onFind = this.onFind.bind(this);
+		this.onStop = this.onStop.bind(this);
+		this.onChangeMatchBy = this.onChangeMatchBy.bind(this);
+	}
+
+	componentDidMount() {
+		if (!this.props.availableWordPacks.length) this.props.getWordPacksViaApi();
+	}
+
+	// A player who walks away (rather than being sent to their game) stops looking
+	componentWillUnmount() {
+		if (this.props.isQueued) this.props.leaveQueue();
+	}
+
+	onFind() {
+		const { wordPacks, matchBy } = this.state;
+
+		this.props.onFind();
+		this.props.joinQueue({ wordPacks, matchBy });
+	}
+
+	onStop() {
+		this.props.leaveQueue();
+	}
+
+	onChangeMatchBy(e) {
+		const matchBy = e.target.value;
+		this.setState(() => ({ matchBy }));
+	}
+
+	onToggleWordPack(id) {
+		this.setState(({ wordPacks }) => {
+			const newWordPacks = wordPacks.indexOf(id) > -1 ? wordPacks.filter(packId => packId !== id) : [...wordPacks, id];
+
+			// There's always at least one pack to play with
+			return { wordPacks: newWordPacks.length ? newWordPacks : wordPacks };
+		});
+	}
+
+	renderOptions() {
+		const { availableWordPacks } = this.props;
+
+		return (
+			<div className="find-partner-options">
+				<select aria-label="Who to play with" value={this.state.matchBy} onChange={this.onChangeMatchBy}>
+					{Object.keys(MATCH_BY_LABELS).map(matchBy => (
+						<option key={matchBy} value={matchBy}>{MATCH_BY_LABELS[matchBy]}</option>
+					))}
+				</select>
+				{availableWordPacks.map(({ id, name, language }) => (
+					<label className="game-settings-word-pack" htmlFor={`find-partner-word-pack-${id}`} key={id}>
+						<input
+							id={`find-partner-word-pack-${id}`}
+							type="checkbox"
+							checked={this.state.wordPacks.indexOf(id) > -1}
+							onChange={() => this.onToggleWordPack(id)}
+						/>
+						<span className="small-text">{name} ({language.toUpperCase()})</span>
+					</label>
+				))}
+			</div>
+		);
+	}
+
+	render() {
+		const { queueError } = this.props;
+
+		return (
+			<div className="find-partner">
+				{this.props.isQueued ? (
+					<div>
+						<div className="small-text">LOOKING FOR A PARTNER&hellip;</div>
+						<button type="button" onClick={this.onStop}>Stop Looking</button>
+					</div>
+				) : (
+					<div>
+						<button type="button" onClick={this.onFind}>Find Me A Partner</button>
+						{this.renderOptions()}
+					</div>
+				)}
+				{queueError && <div className="find-partner-error small-text">{queueError}</div>}
+			</div>
+		);
+	}
+}
+
+BaseFindPartnerView.propTypes = propTypes;
+BaseFindPartnerView.defaultProps = defaultProps;
+
+const mapStateToProps = state => ({
+	isQueued: isQueued(state),
+	queueError: getQueueError(state),
+	availableWordPacks: getWordPacks(state),
+});
+
+const mapDispatchToProps = {
+	joinQueue,
+	leaveQueue,
+	getWordPacksViaApi,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseFindPartnerView);
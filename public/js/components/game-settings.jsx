@@ -0,0 +1,290 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import {
+	DEFAULT_SETTINGS,
+	DEFAULT_WORD_PACKS,
+	CLUE_RULES,
+	DEFAULT_CLUE_RULES,
+	GAME_TYPES,
+	DEFAULT_GAME_TYPE,
+	TOTAL_WORDS,
+	validateSettings,
+	parseCustomWords,
+	validateCustomWords,
+} from '../rules/game';
+import { getWordPacks, getWordPacksViaApi } from '../stores/word-packs-store';
+
+export const settingsShape = PropTypes.shape({
+	turns: PropTypes.number,
+	agentsPerPlayer: PropTypes.number,
+	assasinsPerPlayer: PropTypes.number,
+	overlappingAgents: PropTypes.number,
+	mistakes: PropTypes.number,
+	clueSeconds: PropTypes.number,
+	guessSeconds: PropTypes.number,
+	guessVotePercent: PropTypes.number,
+	blockBoardWordsInChat: PropTypes.number,
+});
+
+const wordPackShape = PropTypes.shape({
+	id: PropTypes.string.isRequired,
+	name: PropTypes.string.isRequired,
+	language: PropTypes.string.isRequired,
+	size: PropTypes.number.isRequired,
+});
+
+const propTypes = {
+	onSubmit: PropTypes.func.isRequired,
+	getWordPacksViaApi: PropTypes.func.isRequired,
+	settings: settingsShape,
+	wordPacks: PropTypes.arrayOf(PropTypes.string),
+	clueRules: PropTypes.oneOf(Object.keys(CLUE_RULES)),
+	gameType: PropTypes.oneOf(Object.keys(GAME_TYPES)),
+	availableWordPacks: PropTypes.arrayOf(wordPackShape),
+	error: PropTypes.string,
+	submitText: PropTypes.string,
+};
+
+const defaultProps = {
+	settings: DEFAULT_SETTINGS,
+	wordPacks: DEFAULT_WORD_PACKS,
+	clueRules: DEFAULT_CLUE_RULES,
+	gameType: DEFAULT_GAME_TYPE,
+	availableWordPacks: [],
+	error: undefined,
+	submitText: 'Start New Game',
+};
+
+const FIELDS = [
+	{ key: 'turns', label: 'Turns' },
+	{ key: 'mistakes', label: 'Mistakes allowed' },
+	{ key: 'agentsPerPlayer', label: 'Good words each' },
+	{ key: 'overlappingAgents', label: 'Shared good words' },
+	{ key: 'assasinsPerPlayer', label: 'Kill words each' },
+	// A timed game (0 for no time limit)
+	{ key: 'clueSeconds', label: 'Seconds to give a clue' },
+	{ key: 'guessSeconds', label: 'Seconds to guess' },
+	// Teams of several players vote on their guesses (0 to let anyone guess on their own)
+	{ key: 'guessVotePercent', label: '% of a team to agree on a guess' },
+	// Either on (1) or off (0), so it's a checkbox
+	{ key: 'blockBoardWordsInChat', label: 'Block board words in chat', isToggle: true },
+];
+
+export class BaseGameSettings extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			...props.settings,
+			wordPacks: props.wordPacks,
+			clueRules: props.clueRules,
+			gameType: props.gameType,
+			useCustomWords: false,
+			customWords: '',
+			error: undefined,
+		};
+
+		this.onSubmit = this.onSubmit.bind(this);
+	}
+
+	componentDidMount() {
+		if (!this.props.availableWordPacks.length) this.props.getWordPacksViaApi();
+	}
+
+	onChange(key, e) {
+		const { value } = e.target;
+		this.setState(() => ({ [key]: value, error: undefined }));
+	}
+
+	onToggle(key) {
+		this.setState(state => ({ [key]: state[key] ? 0 : 1, error: undefined }));
+	}
+
+	onChangeClueRules(e) {
+		const { value } = e.target;
+		this.setState(() => ({ clueRules: value, error: undefined }));
+	}
+
+	onChangeGameType(e) {
+		const { value } = e.target;
+		this.setState(() => ({ gameType: value, error: undefined }));
+	}
+
+	onToggleCustomWords() {
+		this.setState(prevState => ({ useCustomWords: !prevState.useCustomWords, error: undefined }));
+	}
+
+	onChangeCustomWords(e) {
+		const { value } = e.target;
+		this.setState(() => ({ customWords: value, error: undefined }));
+	}
+
+	onToggleWordPack(id) {
+		this.setState(({ wordPacks }) => ({
+			wordPacks: wordPacks.indexOf(id) > -1 ? wordPacks.filter(packId => packId !== id) : [...wordPacks, id],
+			error: undefined,
+		}));
+	}
+
+	onSubmit(e) {
+		e.preventDefault();
+
+		const settings = FIELDS.reduce((memo, { key }) => ({
+			...memo,
+			[key]: parseInt(this.state[key], 10),
+		}), {});
+		const {
+			wordPacks, clueRules, gameType, useCustomWords,
+		} = this.state;
+		const customWords = useCustomWords ? parseCustomWords(this.state.customWords) : undefined;
+		const error = validateSettings(settings)
+			|| (customWords && validateCustomWords(customWords))
+			|| (!customWords && !wordPacks.length && 'Choose at least one word pack');
+
+		if (error) {
+			this.setState(() => ({ error }));
+			return;
+		}
+
+		this.props.onSubmit({
+			settings, wordPacks, customWords, clueRules, gameType,
+		});
+	}
+
+	renderFields() {
+		return FIELDS.map(({ key, label, isToggle }) => (isToggle ? (
+			<label className="game-settings-field" htmlFor={`game-settings-${key}`} key={key}>
+				<span className="small-text">{label}</span>
+				<input
+					id={`game-settings-${key}`}
+					type="checkbox"
+					checked={!!this.state[key]}
+					onChange={() => this.onToggle(key)}
+				/>
+			</label>
+		) : (
+			<label className="game-settings-field" htmlFor={`game-settings-${key}`} key={key}>
+				<span className="small-text">{label}</span>
+				<input
+					id={`game-settings-${key}`}
+					className="number-input"
+					pattern="[0-9]*"
+					value={this.state[key]}
+					onChange={e => this.onChange(key, e)}
+				/>
+			</label>
+		)));
+	}
+
+	renderClueRules() {
+		return (
+			<div className="game-settings-clue-rules">
+				<span className="small-text">Clue rules</span>
+				<select aria-label="Clue rules" value={this.state.clueRules} onChange={e => this.onChangeClueRules(e)}>
+					<option value={CLUE_RULES.STRICT}>Strict (letters only, nothing from the board)</option>
+					<option value={CLUE_RULES.RELAXED}>Relaxed (only words on the board are off limits)</option>
+				</select>
+			</div>
+		);
+	}
+
+	renderGameType() {
+		return (
+			<div className="game-settings-game-type">
+				<span className="small-text">Game</span>
+				<select aria-label="Game" value={this.state.gameType} onChange={e => this.onChangeGameType(e)}>
+					<option value={GAME_TYPES.DUET}>Duet (two players working together)</option>
+					<option value={GAME_TYPES.CLASSIC}>Classic (two teams, each with a spymaster)</option>
+				</select>
+			</div>
+		);
+	}
+
+	renderCustomWords() {
+		const { useCustomWords, customWords } = this.state;
+
+		return (
+			<div className="game-settings-custom-words">
+				<label className="game-settings-word-pack" htmlFor="game-settings-use-custom-words">
+					<input
+						id="game-settings-use-custom-words"
+						type="checkbox"
+						checked={useCustomWords}
+						onChange={() => this.onToggleCustomWords()}
+					/>
+					<span className="small-text">Use our own words</span>
+				</label>
+				{useCustomWords && (
+					<div>
+						<textarea
+							className="game-settings-custom-words-input"
+							placeholder={`${TOTAL_WORDS} words, one per line`}
+							value={customWords}
+							onChange={e => this.onChangeCustomWords(e)}
+						/>
+						<div className="small-text light">{parseCustomWords(customWords).length} of {TOTAL_WORDS} words</div>
+					</div>
+				)}
+			</div>
+		);
+	}
+
+	renderWordPacks() {
+		const { availableWordPacks } = this.props;
+
+		if (!availableWordPacks.length || this.state.useCustomWords) return null;
+
+		return (
+			<div className="game-settings-word-packs">
+				<div className="small-text light">Word packs</div>
+				{availableWordPacks.map(({
+					id, name, language, size,
+				}) => (
+					<label className="game-settings-word-pack" htmlFor={`game-settings-word-pack-${id}`} key={id}>
+						<input
+							id={`game-settings-word-pack-${id}`}
+							type="checkbox"
+							checked={this.state.wordPacks.indexOf(id) > -1}
+							onChange={() => this.onToggleWordPack(id)}
+						/>
+						<span className="small-text">{name} ({language.toUpperCase()}, {size} words)</span>
+					</label>
+				))}
+			</div>
+		);
+	}
+
+	render() {
+		const error = this.state.error || this.props.error;
+
+		return (
+			<form className="game-settings" onSubmit={this.onSubmit}>
+				<div className="small-text light">New game settings</div>
+				{this.renderGameType()}
+				<div className="game-settings-fields">
+					{this.renderFields()}
+				</div>
+				{this.renderWordPacks()}
+				{this.renderCustomWords()}
+				{this.renderClueRules()}
+				{error && <div className="game-settings-error small-text">{error}</div>}
+				<button type="submit">{this.props.submitText}</button>
+			</form>
+		);
+	}
+}
+
+BaseGameSettings.propTypes = propTypes;
+BaseGameSettings.defaultProps = defaultProps;
+
+const mapStateToProps = state => ({
+	availableWordPacks: getWordPacks(state),
+});
+
+const mapDispatchToProps = {
+	getWordPacksViaApi,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseGameSettings);
@@ -3,8 +3,9 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 
 import { history } from '../stores';
-import { getClueForGameId, getTurnsLeftForGameId } from '../stores/turns-store';
-import { exitGame } from '../stores/game-store';
+import { getClueForGameId, getTurnsLeftForGameId, getOwnResultForGameId } from '../stores/turns-store';
+import { exitGame, isClassicForGameId } from '../stores/game-store';
+import { PHASES } from '../rules/game';
 
 const propTypes = {
 	gameId: PropTypes.string.isRequired,
@@ -13,12 +14,19 @@ const propTypes = {
 		number: PropTypes.number,
 	}),
 	turnsLeft: PropTypes.number,
+	result: PropTypes.shape({
+		outcome: PropTypes.string,
+		turnsUsed: PropTypes.number,
+	}),
+	isClassic: PropTypes.bool,
 	exitGame: PropTypes.func.isRequired,
 };
 
 const defaultProps = {
 	clue: {},
 	turnsLeft: 0,
+	result: undefined,
+	isClassic: false,
 };
 
 export class BaseGameSummary extends Component {
@@ -41,6 +49,25 @@ export class BaseGameSummary extends Component {
 		this.props.exitGame({ gameId });
 	}
 
+	getStatusText() {
+		const { result } = this.props;
+		const turnsLeft = Math.max(this.props.turnsLeft, 0);
+
+		// Games that ended before results were kept don't know how many turns they took
+		if (result && result.outcome === PHASES.WON && !result.turnsUsed) return 'WON';
+
+		if (result && result.outcome === PHASES.WON) {
+			return `WON IN ${result.turnsUsed} TURN${result.turnsUsed !== 1 ? 'S' : ''}`;
+		}
+
+		if (result) return 'LOST';
+
+		// There is no turn track in a classic game
+		if (this.props.isClassic) return 'CLASSIC GAME';
+
+		return `${turnsLeft} TURN${turnsLeft !== 1 ? 'S' : ''} LEFT`;
+	}
+
 	renderClue() {
 		const { clue } = this.props;
 
@@ -53,9 +80,6 @@ export class BaseGameSummary extends Component {
 
 	render() {
 		const { gameId } = this.props;
-		const turnsLeft = Math.max(this.props.turnsLeft, 0);
-
-		const turnsLeftText = `${turnsLeft} TURN${turnsLeft !== 1 ? 'S' : ''} LEFT`;
 
 		return (
 			<div className="game-summary">
@@ -66,7 +90,7 @@ export class BaseGameSummary extends Component {
 				>
 					<div>{gameId}</div>
 					<div className="game-summary-details">
-						<span className="small-text">{turnsLeftText}</span>
+						<span className="small-text">{this.getStatusText()}</span>
 						{this.renderClue()}
 					</div>
 				</button>
@@ -90,10 +114,13 @@ const mapStateToProps = (state, ownProps) => {
 
 	const turnsLeft = getTurnsLeftForGameId(state, gameId);
 	const clue = getClueForGameId(state, gameId);
+	const result = getOwnResultForGameId(state, gameId);
 
 	return {
 		clue,
 		turnsLeft,
+		result,
+		isClassic: isClassicForGameId(state, gameId),
 	};
 };
 
@@ -3,36 +3,113 @@ import PropTypes from 'prop-types';
 import classNames from 'classnames';
 
 import Word from './word';
+import ClassicWord from './classic-word';
+import MarkView from './mark-view';
+import { getKeyResult } from '../rules/words';
+import { GAME_TYPES } from '../rules/game';
 
 const propTypes = {
 	game: PropTypes.shape({
 		gameId: PropTypes.string,
+		gameType: PropTypes.string,
 		words: PropTypes.object,
 	}).isRequired,
 	teamId: PropTypes.string,
+	// Spectators choose whether they get the keys at all (see SpectatorView)
+	isSpectator: PropTypes.bool,
+	isGameOver: PropTypes.bool,
 };
 
 const defaultProps = {
 	teamId: undefined,
+	isSpectator: false,
+	isGameOver: false,
 };
 
 export default class GameView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			showKeys: true,
+		};
+
+		this.onToggleKeys = this.onToggleKeys.bind(this);
+	}
+
+	onToggleKeys() {
+		this.setState(({ showKeys }) => ({ showKeys: !showKeys }));
+	}
+
+	getKeyResults(word) {
+		if (!word.key || !this.state.showKeys) return undefined;
+
+		return {
+			playerOne: getKeyResult(word, 'playerOne', this.props.isGameOver),
+			playerTwo: getKeyResult(word, 'playerTwo', this.props.isGameOver),
+		};
+	}
+
+	// Both keys are sent by the server once the game is over, and to spectators from the keys link before then
+	hasKeys() {
+		const { game } = this.props;
+
+		return Object.values(game.words).some(word => !!word.key);
+	}
+
+	maybeRenderKeysToggle() {
+		if (!this.hasKeys()) return null;
+
+		return (
+			<div className="post-game-keys small-text">
+				{this.state.showKeys ? (
+					<span className="post-game-keys-legend">
+						KEY ONE (LEFT) AND KEY TWO (RIGHT):
+						<span className="word-key-result found"> found</span>,
+						{this.props.isGameOver ?
+							<span className="word-key-result missed"> missed</span> :
+							<span className="word-key-result agent"> agent</span>},
+						<span className="word-key-result deadly"> deadly</span>
+					</span>
+				) : null}
+				{!this.props.isSpectator && (
+					<button type="button" className="post-game-keys-toggle" onClick={this.onToggleKeys}>
+						{this.state.showKeys ? 'Hide Keys' : 'Show Both Keys'}
+					</button>
+				)}
+			</div>
+		);
+	}
+
 	renderWords() {
 		const { game } = this.props;
 
+		if (game.gameType === GAME_TYPES.CLASSIC) {
+			return Object.keys(game.words).map(word => (
+				<ClassicWord
+					word={word}
+					guessedThisTurn={game.words[word].guessedThisTurn}
+					role={game.words[word].role}
+					isRevealed={game.words[word].isRevealed}
+					key={word}
+				/>
+			));
+		}
+
 		return Object.keys(game.words).map(word => (
 			<Word
 				word={word}
 				guessedThisTurn={game.words[word].guessedThisTurn}
 				role={game.words[word].role}
 				revealed={game.words[word].roleRevealedForClueGiver}
+				keyResults={this.getKeyResults(game.words[word])}
 				key={word}
 			/>
 		));
 	}
 
 	render() {
-		const { game, teamId } = this.props;
+		const { game, teamId, isGameOver } = this.props;
 
 		if (!game || !game.words) {
 			return null;
@@ -40,11 +117,17 @@ export default class GameView extends Component {
 
 		const className = classNames('words', {
 			[`team-${teamId}`]: !!teamId,
+			classic: game.gameType === GAME_TYPES.CLASSIC,
+			'post-game': isGameOver && this.hasKeys() && this.state.showKeys,
 		});
 
 		return (
-			<div className={className}>
-				{this.renderWords()}
+			<div className="game-view">
+				{this.maybeRenderKeysToggle()}
+				<div className={className}>
+					{this.renderWords()}
+				</div>
+				<MarkView />
 			</div>
 		);
 	}
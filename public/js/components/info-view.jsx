@@ -1,8 +1,48 @@
 import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
 import classNames from 'classnames';
 import findParent from 'find-parent';
 
-export default class InfoView extends Component {
+import {
+	getActiveGameId,
+	getSettingsForGameId,
+	getWordPacksForGameId,
+	hasCustomWordsForGameId,
+	getClueRulesForGameId,
+	getBoardCodeForGameId,
+	getKeysTokenForGameId,
+	isSpectatorForGameId,
+	isClassicForGameId,
+} from '../stores/game-store';
+import { isGameOverForGameId } from '../stores/turns-store';
+import { getWordPacks } from '../stores/word-packs-store';
+import { CLUE_RULES, getTotalAgents } from '../rules/game';
+import { settingsShape } from './game-settings';
+
+const propTypes = {
+	gameId: PropTypes.string,
+	settings: settingsShape.isRequired,
+	wordPackNames: PropTypes.arrayOf(PropTypes.string),
+	hasCustomWords: PropTypes.bool,
+	clueRules: PropTypes.string,
+	boardCode: PropTypes.string,
+	// Only sent to whoever created the game, for the keys link
+	keysToken: PropTypes.string,
+	isClassic: PropTypes.bool,
+};
+
+const defaultProps = {
+	gameId: undefined,
+	wordPackNames: [],
+	hasCustomWords: false,
+	clueRules: undefined,
+	boardCode: undefined,
+	keysToken: undefined,
+	isClassic: false,
+};
+
+export class BaseInfoView extends Component {
 	constructor(props) {
 		super(props);
 
@@ -42,17 +82,80 @@ export default class InfoView extends Component {
 		window.document.body.removeEventListener('click', this.onBodyClick);
 	}
 
+	renderSettings() {
+		const {
+			turns, mistakes, agentsPerPlayer, assasinsPerPlayer, overlappingAgents, clueSeconds, guessSeconds,
+		} = this.props.settings;
+
+		return (
+			<div className="info-settings">
+				{this.props.isClassic ? (
+					<p>
+						<strong>This game:</strong> classic, red team against blue team.
+					</p>
+				) : (
+					<p>
+						<strong>This game:</strong> {turns} turns, {mistakes} mistakes allowed, {agentsPerPlayer} <span className="color-agent">good</span> words
+						each ({overlappingAgents} shared) and {assasinsPerPlayer} <span className="color-assasin">kill</span> words each.
+					</p>
+				)}
+				{(clueSeconds > 0 || guessSeconds > 0) && (
+					<p>
+						<strong>Timed:</strong> {clueSeconds > 0 ? `${clueSeconds} seconds` : 'no limit'} to give a clue
+						and {guessSeconds > 0 ? `${guessSeconds} seconds` : 'no limit'} to guess.
+					</p>
+				)}
+				{this.props.hasCustomWords && (
+					<p>
+						<strong>Words:</strong> chosen by the host
+					</p>
+				)}
+				{!this.props.hasCustomWords && this.props.wordPackNames.length > 0 && (
+					<p>
+						<strong>Word packs:</strong> {this.props.wordPackNames.join(', ')}
+					</p>
+				)}
+				{this.props.clueRules && (
+					<p>
+						<strong>Clue rules:</strong> {this.props.clueRules === CLUE_RULES.STRICT ?
+							'strict (letters only, and no word on the board or part of one)' :
+							'relaxed (anything but a word on the board)'}
+					</p>
+				)}
+				{this.props.boardCode && (
+					<p>
+						<strong>Board code:</strong> {this.props.boardCode} (share it to let others play this exact board)
+					</p>
+				)}
+				{this.props.gameId && (
+					<p>
+						<strong>Spectator link:</strong> {`${window.location.origin}/${this.props.gameId}?spectate`} (share
+						it to let others watch without joining a team)
+					</p>
+				)}
+				{this.props.gameId && this.props.keysToken && (
+					<p>
+						<strong>Keys link:</strong> {`${window.location.origin}/${this.props.gameId}?spectate&keys=${this.props.keysToken}`} (a
+						spectator link that can show the keys, only share it with people who aren&apos;t playing)
+					</p>
+				)}
+			</div>
+		);
+	}
+
 	renderHowTo() {
+		const { settings } = this.props;
+
 		return (
 			<div className="info-how-to-play">
 				<p>This is a two-player, cooperative, word-guessing game</p>
 				<p>
-					Together, you and a teammate are trying to find all
-					15 <span className="color-agent">good</span> words in 9 turns
+					Together, you and a teammate are trying to find
+					all {getTotalAgents(settings)} <span className="color-agent">good</span> words in {settings.turns} turns
 					without revealing any <span className="color-assasin">kill</span> words.
 				</p>
 				<p>
-					You will each see 9 <span className="color-agent">good</span> words that you need
+					You will each see {settings.agentsPerPlayer} <span className="color-agent">good</span> words that you need
 					to get your teammate to reveal. Note that words you see
 					as <span className="color-agent">good</span>, your teammate may see
 					as <span className="color-agent">good</span>,&nbsp;
@@ -77,6 +180,12 @@ export default class InfoView extends Component {
 						which case the GAME ends immediately in defeat.
 					</li>
 				</ol>
+				<p>
+					If you run out of turns, the game enters <strong>sudden death</strong>: no more clues
+					are given and either player may reveal words they believe
+					are <span className="color-agent">good</span> for their teammate. Revealing any other
+					word loses the game.
+				</p>
 				<p>To start:</p>
 				<ol>
 					<li>1. Select which player you want to be (bottom left)</li>
@@ -88,6 +197,38 @@ export default class InfoView extends Component {
 		);
 	}
 
+	renderClassicHowTo() {
+		return (
+			<div className="info-how-to-play">
+				<p>This is a word-guessing game for two teams, red and blue</p>
+				<p>
+					Each team picks a spymaster, who sees which words belong to
+					the <span className="color-red">red</span> team, the <span className="color-blue">blue</span> team,
+					neither team, and the <span className="color-assasin">assasin</span>. The first team to find all of
+					its words wins.
+				</p>
+				<p>
+					On their team&apos;s turn, the spymaster gives a single-word clue followed by a number (e.g. swimming 3).
+					Their teammates then reveal words one at a time, and can make one more guess than the number, until:
+				</p>
+				<ol>
+					<li>They choose to end the turn.</li>
+					<li>They reveal a word that is not their team&apos;s.</li>
+					<li>
+						They reveal the <span className="color-assasin">assasin</span>, in which case the other
+						team wins immediately.
+					</li>
+				</ol>
+				<p>To start:</p>
+				<ol>
+					<li>1. Select a team (bottom left)</li>
+					<li>2. Choose one player on each team to be its spymaster</li>
+					<li>3. The team with one more word to find goes first</li>
+				</ol>
+			</div>
+		);
+	}
+
 	renderAttribution() {
 		return (
 			<div className="info-attribution">
@@ -111,7 +252,8 @@ export default class InfoView extends Component {
 				<div className={className}>
 					<button className="info-button" type="button" onClick={this.onClick}>?</button>
 					<div className="info">
-						{this.renderHowTo()}
+						{this.renderSettings()}
+						{this.props.isClassic ? this.renderClassicHowTo() : this.renderHowTo()}
 						{this.renderAttribution()}
 					</div>
 				</div>
@@ -119,3 +261,30 @@ export default class InfoView extends Component {
 		);
 	}
 }
+
+BaseInfoView.propTypes = propTypes;
+BaseInfoView.defaultProps = defaultProps;
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+	const availableWordPacks = getWordPacks(state);
+	// Fall back to the id of a pack until the list of packs has been fetched
+	const wordPackNames = getWordPacksForGameId(state, gameId).map((id) => {
+		const wordPack = availableWordPacks.find(pack => pack.id === id);
+		return wordPack ? wordPack.name : id;
+	});
+
+	return {
+		gameId,
+		settings: getSettingsForGameId(state, gameId),
+		wordPackNames,
+		hasCustomWords: hasCustomWordsForGameId(state, gameId),
+		clueRules: getClueRulesForGameId(state, gameId),
+		// It gives away both keys, so it's only shown once the game is over
+		boardCode: isGameOverForGameId(state, gameId) ? getBoardCodeForGameId(state, gameId) : undefined,
+		keysToken: isSpectatorForGameId(state, gameId) ? undefined : getKeysTokenForGameId(state, gameId),
+		isClassic: isClassicForGameId(state, gameId),
+	};
+}
+
+export default connect(mapStateToProps)(BaseInfoView);
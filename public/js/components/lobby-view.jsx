@@ -0,0 +1,116 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import { getLobbyGames, getLobbyGamesViaApi } from '../stores/lobby-store';
+import { GAME_TYPES } from '../rules/game';
+import { settingsShape } from './game-settings';
+
+const lobbyGameShape = PropTypes.shape({
+	gameId: PropTypes.string.isRequired,
+	gameType: PropTypes.string,
+	settings: settingsShape,
+	seatsFilled: PropTypes.number,
+	seats: PropTypes.number,
+	activePlayers: PropTypes.number,
+	// Unknown for games started before it was kept
+	age: PropTypes.number,
+});
+
+const propTypes = {
+	// Called with the gameId of the game to join
+	onJoin: PropTypes.func.isRequired,
+	games: PropTypes.arrayOf(lobbyGameShape),
+	getLobbyGamesViaApi: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	games: [],
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function describeAge(age) {
+	if (!(age >= 0)) return undefined;
+
+	if (age < MINUTE) return 'JUST STARTED';
+
+	if (age < HOUR) return `${Math.floor(age / MINUTE)} MIN OLD`;
+
+	return `${Math.floor(age / HOUR)} HR OLD`;
+}
+
+// Public games waiting for players, each of which can be joined in one click (the player takes the empty seat)
+export class BaseLobbyView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onRefresh = this.onRefresh.bind(this);
+	}
+
+	componentDidMount() {
+		this.props.getLobbyGamesViaApi();
+	}
+
+	onRefresh() {
+		this.props.getLobbyGamesViaApi();
+	}
+
+	describeSettings({ gameType, settings }) {
+		if (gameType === GAME_TYPES.CLASSIC) return 'CLASSIC';
+
+		const { turns, mistakes } = settings || {};
+		const timed = settings && (settings.clueSeconds || settings.guessSeconds) ? ' · TIMED' : '';
+
+		return `DUET · ${turns} TURNS · ${mistakes} MISTAKES${timed}`;
+	}
+
+	renderGame(game) {
+		const {
+			gameId, seatsFilled, seats, age,
+		} = game;
+		const ageText = describeAge(age);
+
+		return (
+			<div className="lobby-game" key={gameId}>
+				<div className="lobby-game-info">
+					<div>{gameId}</div>
+					<div className="small-text light">
+						{this.describeSettings(game)} &middot; {seatsFilled}/{seats} SEATS{ageText && ` · ${ageText}`}
+					</div>
+				</div>
+				<button type="button" onClick={() => this.props.onJoin(gameId)}>Join</button>
+			</div>
+		);
+	}
+
+	render() {
+		const { games } = this.props;
+
+		return (
+			<div className="lobby">
+				<div className="small-margin-bottom">
+					Join a public game:{' '}
+					<button type="button" className="small-text" onClick={this.onRefresh}>Refresh</button>
+				</div>
+				{games.length ?
+					games.map(game => this.renderGame(game)) :
+					<div className="small-text light">No public games are waiting for players</div>}
+			</div>
+		);
+	}
+}
+
+BaseLobbyView.propTypes = propTypes;
+BaseLobbyView.defaultProps = defaultProps;
+
+const mapStateToProps = state => ({
+	games: getLobbyGames(state),
+});
+
+const mapDispatchToProps = {
+	getLobbyGamesViaApi,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseLobbyView);
@@ -0,0 +1,122 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import { getActiveGameId } from '../stores/game-store';
+import { getMarkingWord, getMarkForWord, markWord } from '../stores/marks-store';
+import { setMarkingWord } from '../stores/actions';
+import { getErrorForGameId } from '../stores/errors-store';
+import { MARK_TAGS, MARK_LABELS, MAX_NOTE_LENGTH } from '../rules/game';
+
+// How long a word is pressed to mark it, rather than guess it
+export const LONG_PRESS_MS = 500;
+
+const propTypes = {
+	word: PropTypes.string,
+	mark: PropTypes.shape({
+		tag: PropTypes.string,
+		note: PropTypes.string,
+	}),
+	markError: PropTypes.string,
+	markWord: PropTypes.func.isRequired,
+	setMarkingWord: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	word: undefined,
+	mark: undefined,
+	markError: undefined,
+};
+
+// Lets a player privately mark the word they long-pressed (or right-clicked) on their own view of the board
+export class BaseMarkView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.state = {
+			note: '',
+		};
+
+		this.onNoteChange = this.onNoteChange.bind(this);
+		this.onSubmitNote = this.onSubmitNote.bind(this);
+		this.onClear = this.onClear.bind(this);
+		this.onCancel = this.onCancel.bind(this);
+	}
+
+	componentWillReceiveProps(nextProps) {
+		if (nextProps.word === this.props.word) return;
+
+		const { mark } = nextProps;
+		this.setState(() => ({ note: (mark && mark.note) || '' }));
+	}
+
+	onTag(tag) {
+		this.props.markWord({ word: this.props.word, tag });
+	}
+
+	onNoteChange(e) {
+		const note = e.target.value;
+		this.setState(() => ({ note }));
+	}
+
+	onSubmitNote(e) {
+		e.preventDefault();
+
+		this.props.markWord({ word: this.props.word, tag: MARK_TAGS.NOTE, note: this.state.note });
+	}
+
+	onClear() {
+		this.props.markWord({ word: this.props.word });
+	}
+
+	onCancel() {
+		this.props.setMarkingWord({ word: undefined });
+	}
+
+	render() {
+		const { word, mark, markError } = this.props;
+
+		if (!word) {
+			return markError ? <div className="mark-view mark-error small-text">{markError}</div> : null;
+		}
+
+		return (
+			<div className="mark-view">
+				<div className="small-text">MARK {word} (ONLY YOU SEE THIS)</div>
+				<div className="mark-tags">
+					{Object.keys(MARK_LABELS).map(tag => (
+						<button type="button" key={tag} onClick={() => this.onTag(tag)} disabled={!!mark && mark.tag === tag}>
+							{MARK_LABELS[tag]}
+						</button>
+					))}
+				</div>
+				<form className="mark-note" onSubmit={this.onSubmitNote}>
+					<input placeholder="Note" maxLength={MAX_NOTE_LENGTH} value={this.state.note} onChange={this.onNoteChange} />
+					<button type="submit" disabled={!this.state.note.trim()}>Save</button>
+				</form>
+				<div className="mark-actions">
+					{mark && <button type="button" onClick={this.onClear}>Clear</button>}
+					<button type="button" onClick={this.onCancel}>Cancel</button>
+				</div>
+			</div>
+		);
+	}
+}
+
+BaseMarkView.propTypes = propTypes;
+BaseMarkView.defaultProps = defaultProps;
+
+const mapDispatchToProps = { markWord, setMarkingWord };
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+	const word = getMarkingWord(state);
+
+	return {
+		word,
+		mark: word && getMarkForWord(state, gameId, word),
+		markError: getErrorForGameId(state, gameId, 'markWord'),
+	};
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseMarkView);
@@ -2,25 +2,41 @@ import React, { Component, Fragment } from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 
-import { getActiveGameId, getAgentsLeftForGameIdAndTeamId } from '../stores/game-store';
-import { getConnectedPlayerNamesForGameId } from '../stores/players-store';
+import { getActiveGameId, getAgentsLeftForGameIdAndTeamId, getBotsForGameId } from '../stores/game-store';
+import { getConnectedPlayerNamesForGameId, getSpectatorsForGameId } from '../stores/players-store';
+
+const playerShape = PropTypes.shape({
+	playerName: PropTypes.string,
+	playerId: PropTypes.number,
+	facebookImage: PropTypes.string,
+});
 
 const propTypes = {
-	teamOne: PropTypes.arrayOf(PropTypes.shape({
-		playerName: PropTypes.string,
-		playerId: PropTypes.number,
-		facebookImage: PropTypes.string,
-	})).isRequired,
-	teamTwo: PropTypes.arrayOf(PropTypes.shape({
-		playerName: PropTypes.string,
-		playerId: PropTypes.number,
-		facebookImage: PropTypes.string,
-	})).isRequired,
+	teamOne: PropTypes.arrayOf(playerShape).isRequired,
+	teamTwo: PropTypes.arrayOf(playerShape).isRequired,
 	agentsLeftTeamOne: PropTypes.number.isRequired,
 	agentsLeftTeamTwo: PropTypes.number.isRequired,
+	// Not on either team, so never counted with them
+	spectators: PropTypes.arrayOf(playerShape),
+};
+
+const defaultProps = {
+	spectators: [],
 };
 
 export class BasePlayerView extends Component {
+	maybeRenderSpectators() {
+		const { spectators } = this.props;
+
+		if (!spectators.length) return null;
+
+		return (
+			<div className="spectators small-text">
+				WATCHING: {spectators.map(({ playerName }) => playerName).join(', ')}
+			</div>
+		);
+	}
+
 	renderPlayers(players, agentsLeft) {
 		const playersContent = players.map(({ playerId, playerName, facebookImage } = {}, index) => {
 			const key = `${index}-${playerName}-${playerId}`;
@@ -57,22 +73,27 @@ export class BasePlayerView extends Component {
 				<fieldset className="team">
 					{this.renderPlayers(teamTwo, agentsLeftTeamTwo)}
 				</fieldset>
+				{this.maybeRenderSpectators()}
 			</div>
 		);
 	}
 }
 
 BasePlayerView.propTypes = propTypes;
+BasePlayerView.defaultProps = defaultProps;
 
 function mapStateToProps(state) {
 	const gameId = getActiveGameId(state);
 	const { teamOne, teamTwo } = getConnectedPlayerNamesForGameId(state, gameId);
+	// A computer partner is never connected, but it's always there
+	const { one: botOne, two: botTwo } = getBotsForGameId(state, gameId);
 
 	return {
-		teamOne,
-		teamTwo,
+		teamOne: botOne ? [...teamOne, botOne] : teamOne,
+		teamTwo: botTwo ? [...teamTwo, botTwo] : teamTwo,
 		agentsLeftTeamOne: getAgentsLeftForGameIdAndTeamId(state, gameId, 1),
 		agentsLeftTeamTwo: getAgentsLeftForGameIdAndTeamId(state, gameId, 2),
+		spectators: getSpectatorsForGameId(state, gameId),
 	};
 }
 
@@ -0,0 +1,128 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import { history } from '../stores';
+import { getStatsForPlayerId, getPlayerStatsViaApi } from '../stores/stats-store';
+
+const statsShape = PropTypes.shape({
+	played: PropTypes.number,
+	wins: PropTypes.number,
+	losses: PropTypes.number,
+	lossesByAssasin: PropTypes.number,
+	lossesByTurns: PropTypes.number,
+	lossesByMistakes: PropTypes.number,
+	averageTurnsLeftOnWin: PropTypes.number,
+	streak: PropTypes.number,
+	bestStreak: PropTypes.number,
+});
+
+const propTypes = {
+	playerId: PropTypes.string.isRequired,
+	name: PropTypes.string,
+	stats: statsShape,
+	pairs: PropTypes.arrayOf(PropTypes.shape({
+		playerId: PropTypes.number,
+		name: PropTypes.string,
+		stats: statsShape,
+	})),
+	getPlayerStatsViaApi: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	name: undefined,
+	stats: undefined,
+	pairs: [],
+};
+
+export class BaseProfileView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onBack = this.onBack.bind(this);
+	}
+
+	componentDidMount() {
+		const { playerId } = this.props;
+
+		this.props.getPlayerStatsViaApi({ playerId });
+		document.title = 'Stats';
+	}
+
+	onBack() {
+		history.push('/');
+	}
+
+	renderStats(stats) {
+		if (!stats || !stats.played) {
+			return (
+				<div className="small-text">No finished games yet</div>
+			);
+		}
+
+		const {
+			played, wins, losses, lossesByAssasin, lossesByTurns, lossesByMistakes, averageTurnsLeftOnWin, streak, bestStreak,
+		} = stats;
+
+		return (
+			<div className="profile-stats small-text">
+				<div>{played} GAME{played !== 1 ? 'S' : ''} &middot; {wins} WON &middot; {losses} LOST</div>
+				{losses > 0 && (
+					<div>
+						LOST {lossesByAssasin} TO ASSASINS &middot; {lossesByTurns} OUT OF TURNS
+						&middot; {lossesByMistakes} TO MISTAKES
+					</div>
+				)}
+				{wins > 0 && <div>{averageTurnsLeftOnWin} TURNS LEFT ON AVERAGE WHEN WINNING</div>}
+				<div>{streak} WIN STREAK &middot; BEST {bestStreak}</div>
+			</div>
+		);
+	}
+
+	renderPair(pair) {
+		return (
+			<div className="profile-pair" key={pair.playerId}>
+				<div className="profile-pair-name">With {pair.name || 'someone'}</div>
+				{this.renderStats(pair.stats)}
+			</div>
+		);
+	}
+
+	render() {
+		const { name, stats, pairs } = this.props;
+
+		return (
+			<div className="profile-view">
+				<div className="header">
+					<button type="button" onClick={this.onBack}>Back</button>
+					<h1 className="title">{name || 'Stats'}</h1>
+				</div>
+				{this.renderStats(stats)}
+				<div className="profile-pairs">
+					{pairs.map(pair => this.renderPair(pair))}
+				</div>
+			</div>
+		);
+	}
+}
+
+BaseProfileView.propTypes = propTypes;
+BaseProfileView.defaultProps = defaultProps;
+
+function mapStateToProps(state, ownProps) {
+	const { playerId } = ownProps.match.params;
+	const { name, stats, pairs } = getStatsForPlayerId(state, playerId) || {};
+
+	return {
+		playerId,
+		name,
+		stats,
+		pairs,
+	};
+}
+
+const mapDispatchToProps = {
+	getPlayerStatsViaApi,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseProfileView);
@@ -0,0 +1,71 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import {
+	getActiveGameId,
+	changePublic,
+	isPublicForGameId,
+	isSpectatorForGameId,
+} from '../stores/game-store';
+import { getTeamId } from '../stores/team-id-store';
+import { getErrorForGameId } from '../stores/errors-store';
+
+const propTypes = {
+	canChangePublic: PropTypes.bool,
+	isPublic: PropTypes.bool,
+	publicError: PropTypes.string,
+	changePublic: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	canChangePublic: false,
+	isPublic: false,
+	publicError: undefined,
+};
+
+// Lets a player list the game in the lobby, where anyone can join it while a seat is empty
+export class BasePublicView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onToggle = this.onToggle.bind(this);
+	}
+
+	onToggle() {
+		this.props.changePublic({ isPublic: !this.props.isPublic });
+	}
+
+	render() {
+		const { canChangePublic, isPublic, publicError } = this.props;
+
+		if (!canChangePublic) return null;
+
+		return (
+			<div className="public-view">
+				{isPublic && <div className="small-text">ANYONE CAN JOIN FROM THE LOBBY</div>}
+				<button type="button" onClick={this.onToggle}>
+					{isPublic ? 'Remove From Lobby' : 'List In Lobby'}
+				</button>
+				{publicError && <div className="public-error small-text">{publicError}</div>}
+			</div>
+		);
+	}
+}
+
+BasePublicView.propTypes = propTypes;
+BasePublicView.defaultProps = defaultProps;
+
+const mapDispatchToProps = { changePublic };
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+
+	return {
+		canChangePublic: !!getTeamId(state, gameId) && !isSpectatorForGameId(state, gameId),
+		isPublic: isPublicForGameId(state, gameId),
+		publicError: getErrorForGameId(state, gameId, 'changePublic'),
+	};
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(BasePublicView);
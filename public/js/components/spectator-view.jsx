@@ -0,0 +1,87 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import {
+	getActiveGameId,
+	changeSpectatorKeys,
+	isSpectatorForGameId,
+	canSeeKeysForGameId,
+	isShowingKeysForGameId,
+	isClassicForGameId,
+} from '../stores/game-store';
+import { getErrorForGameId } from '../stores/errors-store';
+
+const propTypes = {
+	isSpectator: PropTypes.bool,
+	// Only spectators from the keys link can see the keys before the game is over
+	canSeeKeys: PropTypes.bool,
+	showKeys: PropTypes.bool,
+	isClassic: PropTypes.bool,
+	spectatorError: PropTypes.string,
+	changeSpectatorKeys: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	isSpectator: false,
+	canSeeKeys: false,
+	showKeys: false,
+	isClassic: false,
+	spectatorError: undefined,
+};
+
+export class BaseSpectatorView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onToggleKeys = this.onToggleKeys.bind(this);
+	}
+
+	onToggleKeys() {
+		this.props.changeSpectatorKeys({ showKeys: !this.props.showKeys });
+	}
+
+	render() {
+		const {
+			isSpectator, canSeeKeys, showKeys, isClassic, spectatorError,
+		} = this.props;
+
+		if (!isSpectator) return null;
+
+		// A classic game has a single key, shared by both spymasters
+		const keysName = isClassic ? 'Key' : 'Both Keys';
+
+		return (
+			<div className="spectator-view">
+				<div className="small-text">YOU ARE WATCHING</div>
+				{canSeeKeys ? (
+					<button type="button" onClick={this.onToggleKeys}>
+						{showKeys ? `Hide ${keysName}` : `Show ${keysName}`}
+					</button>
+				) : (
+					<div className="small-text light">{`${keysName.toUpperCase()} SHOWN ONCE THE GAME IS OVER`}</div>
+				)}
+				{spectatorError && <div className="spectator-error small-text">{spectatorError}</div>}
+			</div>
+		);
+	}
+}
+
+BaseSpectatorView.propTypes = propTypes;
+BaseSpectatorView.defaultProps = defaultProps;
+
+const mapDispatchToProps = { changeSpectatorKeys };
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+
+	return {
+		isSpectator: isSpectatorForGameId(state, gameId),
+		canSeeKeys: canSeeKeysForGameId(state, gameId),
+		showKeys: isShowingKeysForGameId(state, gameId),
+		isClassic: isClassicForGameId(state, gameId),
+		spectatorError: getErrorForGameId(state, gameId, 'changeSpectatorKeys'),
+	};
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseSpectatorView);
@@ -0,0 +1,91 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import {
+	getActiveGameId,
+	changeSpymaster,
+	isClassicForGameId,
+	getSpymastersForGameId,
+	isSpymasterForGameId,
+} from '../stores/game-store';
+import { getTeamId } from '../stores/team-id-store';
+import { getPlayerId } from '../stores/player-name-store';
+import { isGameOverForGameId } from '../stores/turns-store';
+import { getErrorForGameId } from '../stores/errors-store';
+
+const propTypes = {
+	isClassic: PropTypes.bool,
+	teamId: PropTypes.string,
+	isSpymaster: PropTypes.bool,
+	// Whether someone else on the team already gives its clues
+	hasOtherSpymaster: PropTypes.bool,
+	isGameOver: PropTypes.bool,
+	spymasterError: PropTypes.string,
+	changeSpymaster: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	isClassic: false,
+	teamId: undefined,
+	isSpymaster: false,
+	hasOtherSpymaster: false,
+	isGameOver: false,
+	spymasterError: undefined,
+};
+
+export class BaseSpymasterView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onToggle = this.onToggle.bind(this);
+	}
+
+	onToggle() {
+		this.props.changeSpymaster({ spymaster: !this.props.isSpymaster });
+	}
+
+	render() {
+		const {
+			isClassic, teamId, isSpymaster, hasOtherSpymaster, isGameOver, spymasterError,
+		} = this.props;
+
+		if (!isClassic || !teamId || isGameOver) return null;
+
+		return (
+			<div className="spymaster-view">
+				{isSpymaster && <div className="small-text">YOU ARE YOUR TEAM&apos;S SPYMASTER</div>}
+				{hasOtherSpymaster ? (
+					<div className="small-text light">Your team has a spymaster</div>
+				) : (
+					<button type="button" onClick={this.onToggle}>
+						{isSpymaster ? 'Step Down' : 'Be Spymaster'}
+					</button>
+				)}
+				{spymasterError && <div className="spymaster-error small-text">{spymasterError}</div>}
+			</div>
+		);
+	}
+}
+
+BaseSpymasterView.propTypes = propTypes;
+BaseSpymasterView.defaultProps = defaultProps;
+
+const mapDispatchToProps = { changeSpymaster };
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+	const teamId = getTeamId(state, gameId);
+	const isSpymaster = isSpymasterForGameId(state, gameId, teamId, getPlayerId(state));
+
+	return {
+		isClassic: isClassicForGameId(state, gameId),
+		teamId,
+		isSpymaster,
+		hasOtherSpymaster: !isSpymaster && !!getSpymastersForGameId(state, gameId)[teamId],
+		isGameOver: isGameOverForGameId(state, gameId),
+		spymasterError: getErrorForGameId(state, gameId, 'changeSpymaster'),
+	};
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseSpymasterView);
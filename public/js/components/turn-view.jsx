@@ -2,32 +2,123 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 
-import { getTurnsLeftForGameId } from '../stores/turns-store';
-import { getAgentsLeftForGameId, getActiveGameId } from '../stores/game-store';
+import {
+	getTurnsLeftForGameId,
+	getMistakesMadeForGameId,
+	isSuddenDeathForGameId,
+	getOwnResultForGameId,
+	getPhaseTeamIdForGameId,
+} from '../stores/turns-store';
+import {
+	getActiveGameId,
+	getSettingsForGameId,
+	isClassicForGameId,
+	getAgentsLeftForGameIdAndTeamId,
+} from '../stores/game-store';
+import { PHASES } from '../rules/game';
+import { describeResult } from '../../../src/rules';
+
+// The colours of the teams in a classic game (see TEAM_COLORS in src/rules.js)
+const TEAM_NAMES = { one: 'RED', two: 'BLUE' };
 
 const propTypes = {
-	agentsLeft: PropTypes.number.isRequired,
 	turnsLeft: PropTypes.number.isRequired,
+	result: PropTypes.shape({
+		outcome: PropTypes.string,
+		reason: PropTypes.string,
+		turnsUsed: PropTypes.number,
+	}),
+	isSuddenDeath: PropTypes.bool,
+	mistakesMade: PropTypes.number,
+	mistakesAllowed: PropTypes.number,
+	turns: PropTypes.number,
+	// A classic game has no turn track, just each team's agents left and whose turn it is
+	isClassic: PropTypes.bool,
+	agentsLeftByTeam: PropTypes.shape({
+		one: PropTypes.number,
+		two: PropTypes.number,
+	}),
+	phaseTeamId: PropTypes.string,
+};
+
+const defaultProps = {
+	result: undefined,
+	isSuddenDeath: false,
+	mistakesMade: 0,
+	mistakesAllowed: undefined,
+	turns: undefined,
+	isClassic: false,
+	agentsLeftByTeam: {},
+	phaseTeamId: undefined,
 };
 
 export class BaseTurnView extends Component {
-	maybeRenderWin() {
-		if (this.props.agentsLeft !== 0) return null;
+	maybeRenderResult() {
+		const { result } = this.props;
+
+		if (!result) return null;
+
+		return (
+			<div className="game-result small-text">{describeResult(result)}</div>
+		);
+	}
+
+	maybeRenderMistakes() {
+		const {
+			mistakesMade, mistakesAllowed, turns, isClassic,
+		} = this.props;
+
+		// Each mistake costs a turn anyway, so mistakes only matter when fewer are allowed than there are turns
+		if (isClassic || !(mistakesAllowed < turns)) return null;
+
+		const mistakesLeft = Math.max(mistakesAllowed - mistakesMade, 0);
 
 		return (
-			<div className="you-win">You Win!</div>
+			<div className="mistakes-left small-text">
+				{mistakesLeft} MISTAKE{mistakesLeft !== 1 ? 'S' : ''} LEFT
+			</div>
+		);
+	}
+
+	renderClassicTurn() {
+		const { agentsLeftByTeam, phaseTeamId } = this.props;
+
+		return (
+			<div className="classic-turn small-text">
+				{['one', 'two'].map(teamId => (
+					<div className={`classic-agents-left team-${teamId}`} key={teamId}>
+						{TEAM_NAMES[teamId]} {agentsLeftByTeam[teamId]} LEFT
+					</div>
+				))}
+				{phaseTeamId && <div>{TEAM_NAMES[phaseTeamId]}&apos;S TURN</div>}
+			</div>
 		);
 	}
 
 	renderTurns() {
+		const { result, isClassic } = this.props;
 		const turnsLeft = Math.max(this.props.turnsLeft, 0);
 
-		if (turnsLeft < 1 && this.props.agentsLeft > 0) {
+		if (result && result.outcome === PHASES.WON) {
+			return (
+				<div className="you-win">You Win!</div>
+			);
+		}
+
+		if (result) {
 			return (
 				<div className="game-over">Game Over</div>
 			);
 		}
 
+		if (isClassic) return this.renderClassicTurn();
+
+		if (this.props.isSuddenDeath) {
+			return (
+				<div className="sudden-death-title">Sudden Death</div>
+			);
+		}
+
 		return Array(turnsLeft).fill().map((_el, index) => (
 			<div className="turn" key={index} /> // eslint-disable-line react/no-array-index-key
 		));
@@ -39,20 +130,33 @@ export class BaseTurnView extends Component {
 				<div className="turns-left">
 					{this.renderTurns()}
 				</div>
-				{this.maybeRenderWin()}
+				{this.maybeRenderMistakes()}
+				{this.maybeRenderResult()}
 			</div>
 		);
 	}
 }
 
 BaseTurnView.propTypes = propTypes;
+BaseTurnView.defaultProps = defaultProps;
 
 function mapStateToProps(state) {
 	const gameId = getActiveGameId(state);
+	const settings = getSettingsForGameId(state, gameId);
 
 	return {
 		turnsLeft: getTurnsLeftForGameId(state, gameId),
-		agentsLeft: getAgentsLeftForGameId(state, gameId),
+		result: getOwnResultForGameId(state, gameId),
+		isSuddenDeath: isSuddenDeathForGameId(state, gameId),
+		mistakesMade: getMistakesMadeForGameId(state, gameId),
+		mistakesAllowed: settings.mistakes,
+		turns: settings.turns,
+		isClassic: isClassicForGameId(state, gameId),
+		agentsLeftByTeam: {
+			one: getAgentsLeftForGameIdAndTeamId(state, gameId, 1),
+			two: getAgentsLeftForGameIdAndTeamId(state, gameId, 2),
+		},
+		phaseTeamId: getPhaseTeamIdForGameId(state, gameId),
 	};
 }
 
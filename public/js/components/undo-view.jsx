@@ -0,0 +1,144 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import {
+	requestUndo,
+	answerUndo,
+	getUndoRequestForGameId,
+	isUndoRequestedByTeamForGameId,
+	shouldConfirmGuesses,
+} from '../stores/undo-store';
+import { setConfirmGuesses } from '../stores/actions';
+import { getActiveGameId } from '../stores/game-store';
+import { getTeamId } from '../stores/team-id-store';
+import { isGameOverForGameId } from '../stores/turns-store';
+import { getErrorForGameId } from '../stores/errors-store';
+
+const propTypes = {
+	teamId: PropTypes.string,
+	undoRequest: PropTypes.shape({
+		teamId: PropTypes.string,
+		action: PropTypes.shape({
+			type: PropTypes.string,
+			word: PropTypes.string,
+			number: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+		}),
+	}),
+	isRequestedByTeam: PropTypes.bool,
+	isGameOver: PropTypes.bool,
+	confirmGuesses: PropTypes.bool,
+	undoError: PropTypes.string,
+	requestUndo: PropTypes.func.isRequired,
+	answerUndo: PropTypes.func.isRequired,
+	setConfirmGuesses: PropTypes.func.isRequired,
+};
+
+const defaultProps = {
+	teamId: undefined,
+	undoRequest: undefined,
+	isRequestedByTeam: false,
+	isGameOver: false,
+	confirmGuesses: false,
+	undoError: undefined,
+};
+
+function describeAction({ type, word, number } = {}) {
+	return type === 'giveClue' ? `their clue "${word}" - ${number}` : `their guess "${word}"`;
+}
+
+export class BaseUndoView extends Component {
+	constructor(props) {
+		super(props);
+
+		this.onRequestUndo = this.onRequestUndo.bind(this);
+		this.onApprove = this.onApprove.bind(this);
+		this.onDeny = this.onDeny.bind(this);
+		this.onChangeConfirmGuesses = this.onChangeConfirmGuesses.bind(this);
+	}
+
+	onRequestUndo() {
+		this.props.requestUndo();
+	}
+
+	onApprove() {
+		this.props.answerUndo({ approve: true });
+	}
+
+	onDeny() {
+		this.props.answerUndo({ approve: false });
+	}
+
+	onChangeConfirmGuesses(e) {
+		this.props.setConfirmGuesses({ confirmGuesses: e.target.checked });
+	}
+
+	renderUndo() {
+		const { undoRequest, isRequestedByTeam, isGameOver } = this.props;
+
+		if (undoRequest && isRequestedByTeam) {
+			return <div className="light">Waiting for your partner to agree to undo</div>;
+		}
+
+		if (undoRequest) {
+			return (
+				<div className="undo-prompt">
+					<div>Your partner wants to undo {describeAction(undoRequest.action)}</div>
+					<button type="button" onClick={this.onApprove}>Allow</button>
+					<button type="button" onClick={this.onDeny}>Don&apos;t Allow</button>
+				</div>
+			);
+		}
+
+		// The move that ended the game can't be undone
+		if (isGameOver) return null;
+
+		return (
+			<button className="undo" type="button" onClick={this.onRequestUndo}>
+				Undo My Last Move
+			</button>
+		);
+	}
+
+	render() {
+		const { teamId, undoError, confirmGuesses } = this.props;
+
+		if (!teamId) return null;
+
+		return (
+			<div className="undo-view small-text">
+				{this.renderUndo()}
+				{undoError && <div className="clue-error">{undoError}</div>}
+				<label htmlFor="confirm-guesses" className="confirm-guesses">
+					<input
+						id="confirm-guesses"
+						type="checkbox"
+						checked={confirmGuesses}
+						onChange={this.onChangeConfirmGuesses}
+					/>
+					Tap words twice to guess
+				</label>
+			</div>
+		);
+	}
+}
+
+BaseUndoView.propTypes = propTypes;
+BaseUndoView.defaultProps = defaultProps;
+
+const mapDispatchToProps = { requestUndo, answerUndo, setConfirmGuesses };
+
+function mapStateToProps(state) {
+	const gameId = getActiveGameId(state);
+
+	return {
+		teamId: getTeamId(state, gameId),
+		undoRequest: getUndoRequestForGameId(state, gameId),
+		isRequestedByTeam: isUndoRequestedByTeamForGameId(state, gameId),
+		isGameOver: isGameOverForGameId(state, gameId),
+		confirmGuesses: shouldConfirmGuesses(state),
+		undoError: getErrorForGameId(state, gameId, 'requestUndo') || getErrorForGameId(state, gameId, 'answerUndo'),
+	};
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(BaseUndoView);
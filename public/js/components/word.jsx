@@ -3,9 +3,16 @@ import { connect } from 'react-redux';
 import PropTypes from 'prop-types';
 import classNames from 'classnames';
 import { isAgent, isAssasin, isGuessed } from '../rules/words';
+import { MARK_LABELS } from '../rules/game';
 
-import { getActiveGameId, makeGuess } from '../stores/game-store';
+import { getActiveGameId, isSpectatorForGameId } from '../stores/game-store';
 import { getTeamId } from '../stores/team-id-store';
+import { canGuessForGameId } from '../stores/turns-store';
+import { shouldConfirmGuesses } from '../stores/undo-store';
+import { chooseWord, getProposalForWord, hasVotedForWord } from '../stores/proposals-store';
+import { getMarkForWord } from '../stores/marks-store';
+import { setMarkingWord } from '../stores/actions';
+import { LONG_PRESS_MS } from './mark-view';
 
 const propTypes = {
 	word: PropTypes.string.isRequired,
@@ -15,38 +22,152 @@ const propTypes = {
 		playerTwo: PropTypes.string,
 	}).isRequired,
 	teamId: PropTypes.string,
-	makeGuess: PropTypes.func.isRequired,
+	canGuess: PropTypes.bool,
+	chooseWord: PropTypes.func.isRequired,
 	guessedThisTurn: PropTypes.bool,
+	// When set, the first tap only asks to tap again, so a stray tap doesn't reveal a word
+	confirmGuess: PropTypes.bool,
+	// Set while the word is proposed as a guess, in games where teams vote on their guesses
+	proposal: PropTypes.shape({
+		votes: PropTypes.arrayOf(PropTypes.number),
+		votesNeeded: PropTypes.number,
+	}),
+	hasVoted: PropTypes.bool,
+	// The player's own, private mark on the word (see MarkView)
+	mark: PropTypes.shape({
+		tag: PropTypes.string,
+		note: PropTypes.string,
+	}),
+	canMark: PropTypes.bool,
+	setMarkingWord: PropTypes.func.isRequired,
+	// When both keys are known, how the word is on each key ('found', 'agent', 'missed' once the game is over, or 'deadly')
+	keyResults: PropTypes.shape({
+		playerOne: PropTypes.string,
+		playerTwo: PropTypes.string,
+	}),
 };
 
 const defaultProps = {
 	role: '',
 	teamId: '',
+	canGuess: false,
 	guessedThisTurn: false,
+	confirmGuess: false,
+	proposal: undefined,
+	hasVoted: false,
+	mark: undefined,
+	canMark: false,
+	keyResults: undefined,
 };
 
 export class BaseWord extends Component {
 	constructor(props) {
 		super(props);
 
+		this.state = {
+			isConfirming: false,
+		};
+
 		this.onClick = this.onClick.bind(this);
+		this.onBlur = this.onBlur.bind(this);
+		this.onContextMenu = this.onContextMenu.bind(this);
+		this.onTouchStart = this.onTouchStart.bind(this);
+		this.onTouchEnd = this.onTouchEnd.bind(this);
+	}
+
+	componentWillUnmount() {
+		clearTimeout(this.longPressTimeout);
+	}
+
+	onBlur() {
+		this.setState(() => ({ isConfirming: false }));
 	}
 
 	onClick(e) {
 		e.preventDefault();
 
+		// The tap that ends a long press has already marked the word
+		if (this.isLongPress) {
+			this.isLongPress = false;
+			return;
+		}
+
 		const {
-			word, revealed, role, teamId,
+			word, revealed, role, teamId, canGuess, confirmGuess,
 		} = this.props;
 
-		if (role && !isGuessed(revealed, teamId)) {
-			this.props.makeGuess({ word });
+		if (!canGuess || !role || isGuessed(revealed, teamId)) return;
+
+		if (confirmGuess && !this.state.isConfirming) {
+			this.setState(() => ({ isConfirming: true }));
+			return;
 		}
+
+		this.setState(() => ({ isConfirming: false }));
+		this.props.chooseWord({ word });
+	}
+
+	onContextMenu(e) {
+		if (!this.props.canMark) return;
+
+		e.preventDefault();
+		this.props.setMarkingWord({ word: this.props.word });
+	}
+
+	// A long press marks the word on a touch screen, as a right-click does with a mouse
+	onTouchStart() {
+		if (!this.props.canMark) return;
+
+		this.isLongPress = false;
+		this.longPressTimeout = setTimeout(() => {
+			this.isLongPress = true;
+			this.props.setMarkingWord({ word: this.props.word });
+		}, LONG_PRESS_MS);
+	}
+
+	onTouchEnd() {
+		clearTimeout(this.longPressTimeout);
+	}
+
+	maybeRenderMark() {
+		const { mark } = this.props;
+
+		if (!mark) return null;
+
+		return (
+			<span className={`word-mark word-mark-${mark.tag.toLowerCase()}`}>
+				{mark.note || MARK_LABELS[mark.tag]}
+			</span>
+		);
+	}
+
+	maybeRenderVotes() {
+		const { proposal } = this.props;
+
+		if (!proposal) return null;
+
+		return <span className="word-votes">{proposal.votes.length}/{proposal.votesNeeded}</span>;
+	}
+
+	maybeRenderKeyResults() {
+		const { keyResults } = this.props;
+
+		if (!keyResults) return null;
+
+		return (
+			<div className="word-key-results">
+				{['playerOne', 'playerTwo'].map(keyName => (
+					<span className={classNames('word-key-result', keyResults[keyName])} key={keyName}>
+						{keyResults[keyName] || ''}
+					</span>
+				))}
+			</div>
+		);
 	}
 
 	render() {
 		const {
-			word, revealed, role, teamId, guessedThisTurn,
+			word, revealed, role, teamId, guessedThisTurn, keyResults, proposal, hasVoted, mark,
 		} = this.props;
 
 		const className = classNames('word', {
@@ -60,22 +181,47 @@ export class BaseWord extends Component {
 			guessed: isGuessed(revealed, teamId),
 			neutral: !role,
 			'guessed-this-turn': guessedThisTurn,
+			confirming: this.state.isConfirming,
+			marked: !!mark,
+			proposed: !!proposal,
+			voted: hasVoted,
+			'with-key-results': !!keyResults,
 		});
 
 		return (
-			<button type="button" className={className} onClick={this.onClick} disabled={!role || isGuessed(revealed, teamId)}>
-				{word}
+			<button
+				type="button"
+				className={className}
+				onClick={this.onClick}
+				onBlur={this.onBlur}
+				onContextMenu={this.onContextMenu}
+				onTouchStart={this.onTouchStart}
+				onTouchEnd={this.onTouchEnd}
+				onTouchMove={this.onTouchEnd}
+				disabled={!role || isGuessed(revealed, teamId)}
+			>
+				{this.state.isConfirming ? `${word}?` : word}
+				{this.maybeRenderMark()}
+				{this.maybeRenderVotes()}
+				{this.maybeRenderKeyResults()}
 			</button>
 		);
 	}
 }
 
-const mapDispatchToProps = { makeGuess };
-function mapStateToProps(state) {
+const mapDispatchToProps = { chooseWord, setMarkingWord };
+function mapStateToProps(state, ownProps) {
 	const gameId = getActiveGameId(state);
 
 	return {
 		teamId: getTeamId(state, gameId),
+		// The server enforces this too, but there's no point sending a guess out of turn
+		canGuess: canGuessForGameId(state, gameId),
+		confirmGuess: shouldConfirmGuesses(state),
+		proposal: getProposalForWord(state, gameId, ownProps.word),
+		hasVoted: hasVotedForWord(state, gameId, ownProps.word),
+		mark: getMarkForWord(state, gameId, ownProps.word),
+		canMark: !isSpectatorForGameId(state, gameId),
 	};
 }
 
@@ -8,12 +8,34 @@ export function fetchGame({
 	facebookId,
 	facebookImage,
 	teamId,
+	settings,
+	wordPacks,
+	customWords,
+	clueRules,
+	gameType,
+	boardCode,
+	spectator,
+	keysToken,
+	showKeys,
 } = {}) {
 	send({
 		type: 'words',
 		gameId,
 		payload: {
-			playerId, playerName, facebookId, facebookImage, teamId,
+			playerId,
+			playerName,
+			facebookId,
+			facebookImage,
+			teamId,
+			settings,
+			wordPacks,
+			customWords,
+			clueRules,
+			gameType,
+			boardCode,
+			spectator,
+			keysToken,
+			showKeys,
 		},
 	});
 }
@@ -77,14 +99,136 @@ export function giveClue({
 
 export function startNewGame({
 	gameId,
+	settings,
+	wordPacks,
+	customWords,
+	clueRules,
+	gameType,
+	boardCode,
 } = {}) {
 	send({
 		gameId,
 		type: 'startNewGame',
+		payload: {
+			settings, wordPacks, customWords, clueRules, gameType, boardCode,
+		},
+	});
+}
+
+export function changeSpymaster({ gameId, spymaster } = {}) {
+	send({
+		gameId,
+		type: 'changeSpymaster',
+		payload: { spymaster },
+	});
+}
+
+export function addBot({ gameId, caution } = {}) {
+	send({
+		gameId,
+		type: 'addBot',
+		payload: { caution },
+	});
+}
+
+export function sendChatMessage({ gameId, text } = {}) {
+	send({
+		gameId,
+		type: 'chat',
+		payload: { text },
+	});
+}
+
+export function changeBotCaution({ gameId, caution } = {}) {
+	send({
+		gameId,
+		type: 'changeBotCaution',
+		payload: { caution },
+	});
+}
+
+export function removeBot({ gameId } = {}) {
+	send({
+		gameId,
+		type: 'removeBot',
 		payload: {},
 	});
 }
 
+export function proposeGuess({ gameId, word } = {}) {
+	send({
+		gameId,
+		type: 'proposeGuess',
+		payload: { word },
+	});
+}
+
+export function voteOnGuess({ gameId, word, approve } = {}) {
+	send({
+		gameId,
+		type: 'voteOnGuess',
+		payload: { word, approve },
+	});
+}
+
+export function markWord({
+	gameId, word, tag, note,
+} = {}) {
+	send({
+		gameId,
+		type: 'markWord',
+		payload: { word, tag, note },
+	});
+}
+
+export function changeSpectatorKeys({ gameId, showKeys } = {}) {
+	send({
+		gameId,
+		type: 'changeSpectatorKeys',
+		payload: { showKeys },
+	});
+}
+
+export function startCampaignMission({
+	gameId,
+	missionId,
+	playerName,
+	facebookId,
+	facebookImage,
+} = {}) {
+	send({
+		gameId,
+		type: 'startCampaignMission',
+		payload: {
+			missionId, playerName, facebookId, facebookImage,
+		},
+	});
+}
+
+export function fetchEvents({ gameId, since } = {}) {
+	send({
+		gameId,
+		type: 'events',
+		payload: { since },
+	});
+}
+
+export function requestUndo({ gameId } = {}) {
+	send({
+		gameId,
+		type: 'requestUndo',
+		payload: {},
+	});
+}
+
+export function answerUndo({ gameId, approve } = {}) {
+	send({
+		gameId,
+		type: 'answerUndo',
+		payload: { approve },
+	});
+}
+
 
 /* HTTPS Fetchers */
 
@@ -92,6 +236,54 @@ export function fetchGames({ facebookId } = {}) {
 	return get('/games', { facebookId });
 }
 
+export function fetchCampaign({ gameId } = {}) {
+	return get('/campaign', { gameId });
+}
+
+export function fetchPlayerStats({ playerId } = {}) {
+	return get(`/players/${playerId}/stats`);
+}
+
+export function fetchWordPacks() {
+	return get('/word-packs');
+}
+
+// Looking for a partner comes before there's a game, so these aren't about a gameId
+export function joinQueue({
+	ticket,
+	wordPacks,
+	matchBy,
+	playerName,
+	facebookId,
+	facebookImage,
+} = {}) {
+	send({
+		type: 'joinQueue',
+		payload: {
+			ticket, wordPacks, matchBy, playerName, facebookId, facebookImage,
+		},
+	});
+}
+
+export function leaveQueue() {
+	send({
+		type: 'leaveQueue',
+		payload: {},
+	});
+}
+
+export function fetchLobbyGames() {
+	return get('/lobby');
+}
+
+export function changePublic({ gameId, isPublic } = {}) {
+	send({
+		gameId,
+		type: 'changePublic',
+		payload: { isPublic },
+	});
+}
+
 export function checkIfGameExists({ gameId } = {}) {
 	return get('/exists', { gameId });
 }
@@ -7,6 +7,8 @@ import { ConnectedRouter } from 'react-router-redux';
 import EnterGame from './components/enter-game';
 import Container from './components/container';
 import NoResults from './components/no-results';
+import CampaignView from './components/campaign-view';
+import ProfileView from './components/profile-view';
 
 import { store, history } from './stores';
 
@@ -18,6 +20,8 @@ function registerApp() {
 				<ConnectedRouter history={history}>
 					<Switch>
 						<Route path="/" exact component={EnterGame} />
+						<Route path="/campaign/:gameId" component={CampaignView} />
+						<Route path="/players/:playerId" component={ProfileView} />
 						<Route path="/:gameId" component={Container} />
 						<Route component={NoResults} />
 					</Switch>
@@ -1,2 +1,48 @@
-export const TOTAL_AGENTS = 15;
-export const AGENTS_PER_PLAYER = 9;
+import { COUNTS } from '../../../src/settings';
+
+export const { AGENTS_PER_PLAYER, WORDS: TOTAL_WORDS } = COUNTS;
+
+// What a game can be started with, and the checks on it, are shared with the server (see src/settings.js)
+export {
+	DEFAULT_SETTINGS,
+	DEFAULT_WORD_PACKS,
+	DEFAULT_GAME_TYPE,
+	SETTINGS_LIMITS,
+	getTotalAgents,
+	validateSettings,
+	validateCustomWords,
+} from '../../../src/settings';
+export { CLUE_RULES, DEFAULT_CLUE_RULES } from '../../../src/clues';
+
+// The rules of play are shared with the server (see src/rules.js). Duet is the two-player cooperative game,
+// classic is two teams, each with a spymaster, playing against each other
+export { PHASES, CLASSIC_ROLES, GAME_TYPES } from '../../../src/rules';
+export { MARK_TAGS, MAX_NOTE_LENGTH } from '../../../src/marks';
+export { TURN_END_REASONS } from '../../../src/history';
+export { MAX_MESSAGE_LENGTH } from '../../../src/chat';
+
+// How a mark reads on the board (a NOTE reads as its own text)
+export const MARK_LABELS = {
+	SAFE: 'Likely safe',
+	AVOID: 'Avoid',
+	TARGET: 'Clue target',
+};
+
+// How readily the computer guesses, as src/bots.js has it (which isn't sent to the browser, for its word lists)
+export const BOT_CAUTION_LABELS = {
+	BOLD: 'Bold',
+	NORMAL: 'Normal',
+	CAREFUL: 'Careful',
+};
+
+// Who a player looking for a partner is willing to be paired with, as src/matchmaking.js has it
+export const MATCH_BY_LABELS = {
+	ANYONE: 'Anyone',
+	LANGUAGE: 'Someone playing in the same language',
+	WORD_PACKS: 'Someone playing with the same word packs',
+};
+
+// Custom words are typed one per line
+export function parseCustomWords(text = '') {
+	return text.split('\n').map(word => word.trim().toUpperCase()).filter(word => word);
+}
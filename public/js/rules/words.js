@@ -15,6 +15,19 @@ export function isNonAgent(word, teamId = '') {
 		(revealed.playerOne === 'NON_AGENT' && revealed.playerTwo === 'NON_AGENT');
 }
 
+// What a word is on one player's key: 'found', 'deadly', and 'agent' for an agent still to find ('missed' once the game is over)
+export function getKeyResult(word, keyName, isGameOver) {
+	const role = word.key && word.key[keyName];
+
+	if (role === 'ASSASIN') return 'deadly';
+	if (role !== 'AGENT') return undefined;
+
+	// An agent on both keys is found for both when it's guessed from either
+	if (isAgent(word)) return 'found';
+
+	return isGameOver ? 'missed' : 'agent';
+}
+
 export function isGuessed(word, teamId = '') {
 	return isAgent(word) || isAssasin(word) || isNonAgent(word, teamId);
 }
@@ -7,12 +7,73 @@ export const addOrReplaceGame = createAction('Add or replace game');
 export const removeGame = createAction('Remove game');
 export const updateWordInGame = createAction('Update roleRevealedForClueGiver for a word in a game');
 export const updateAgentsLeft = createAction('Update remaining agents for each team');
+export const revealKeys = createAction('Add both keys to the words of a game that is over');
+export const updateSpymasters = createAction('Update the players who are spymasters in a classic game');
 
 // turns-store
 
 export const updateTurnsLeft = createAction('Update remaining turns left in the game');
 export const updateClue = createAction('Update the current clue and player giving clue');
 export const updateGuessesLeft = createAction('Update the current guesses left for the clue');
+export const updatePhase = createAction('Update the phase of the game (playing, sudden death or game over)');
+export const updateClock = createAction('Update the time left to give a clue or guess in a timed game');
+export const updateResult = createAction('Update how a game was won or lost');
+
+// errors-store
+
+export const setError = createAction('Set the error returned by the server for a type of request');
+export const clearError = createAction('Clear the error for a type of request');
+
+// campaign-store
+
+export const updateCampaign = createAction('Update the campaign map for the players in a game');
+
+// word-packs-store
+
+export const updateWordPacks = createAction('Update the word packs that can be chosen for a game');
+
+// events-store
+
+export const addEvents = createAction('Add events from the log of a game');
+
+// undo-store
+
+export const setUndoRequest = createAction('Set the request to undo the last move in a game');
+export const clearUndoRequest = createAction('Clear the request to undo the last move in a game');
+export const setConfirmGuesses = createAction('Set whether a word has to be tapped twice to guess it');
+
+export const updateBots = createAction('Update the computer partners playing a game');
+export const updatePublic = createAction('Update whether a game is listed in the lobby');
+
+// proposals-store
+
+export const updateProposals = createAction('Update the guesses proposed to the teams of a game and the votes for them');
+
+// marks-store
+
+export const updateMarks = createAction('Update the private marks a player has made on the board of a game');
+export const setMarkingWord = createAction('Set the word whose mark the player is choosing (or none)');
+
+// clue-history-store
+
+export const updateClueHistory = createAction('Update the history of every clue given in a game');
+
+// chat-store
+
+export const updateChatMessages = createAction('Update the latest chat messages of a game');
+export const addChatMessage = createAction('Add a chat message sent in a game');
+
+// lobby-store
+
+export const updateLobbyGames = createAction('Update the public games waiting for players');
+
+// matchmaking-store
+
+export const updateQueue = createAction('Update whether the player is waiting for a partner, and their place in the queue');
+
+// stats-store
+
+export const updatePlayerStats = createAction('Update the statistics of a player and the pairs they have played in');
 
 // team-id-store
 
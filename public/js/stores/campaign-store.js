@@ -0,0 +1,48 @@
+import { createReducer } from 'redux-act';
+import { updateCampaign, clearError } from './actions';
+import { fetchCampaign, startCampaignMission } from '../fetchers';
+import { getPlayerName, getFacebookId, getFacebookImage } from './player-name-store';
+
+const reducer = createReducer({
+	[updateCampaign]: (state, {
+		gameId, campaignId, missionId, missions,
+	} = {}) => {
+		if (!gameId) return state;
+
+		return {
+			...state,
+			[gameId]: {
+				campaignId,
+				missionId,
+				missions,
+			},
+		};
+	},
+}, {});
+
+// Selectors
+export const getCampaignForGameId = (state, gameId) => state && state.campaign && state.campaign[gameId];
+
+// Thunks
+export function getCampaignViaApi({ gameId }) {
+	return dispatch => fetchCampaign({ gameId }).then((campaign) => {
+		if (campaign) dispatch(updateCampaign({ gameId, ...campaign }));
+	});
+}
+
+export function playMission({ gameId, missionId }) {
+	return (dispatch, getState) => {
+		const state = getState();
+
+		dispatch(clearError({ gameId, requestType: 'startCampaignMission' }));
+		return startCampaignMission({
+			gameId,
+			missionId,
+			playerName: getPlayerName(state),
+			facebookId: getFacebookId(state),
+			facebookImage: getFacebookImage(state),
+		});
+	};
+}
+
+export default reducer;
@@ -0,0 +1,39 @@
+import { createReducer } from 'redux-act';
+import { updateChatMessages, addChatMessage, clearError } from './actions';
+import { sendChatMessage as submitChatMessage } from '../fetchers';
+import { getActiveGameId } from './game-store';
+
+const reducer = createReducer({
+	// The latest messages, replayed by the server when the player joins
+	[updateChatMessages]: (state, { gameId, messages } = {}) => {
+		if (!gameId) return state;
+
+		return {
+			...state,
+			[gameId]: messages || [],
+		};
+	},
+	[addChatMessage]: (state, { gameId, message } = {}) => {
+		if (!gameId || !message) return state;
+
+		return {
+			...state,
+			[gameId]: [...(state[gameId] || []), message],
+		};
+	},
+}, {});
+
+// Selectors
+export const getChatMessagesForGameId = (state, gameId) => (state && state.chat && state.chat[gameId]) || [];
+
+// Thunks
+export function sendChatMessage({ text }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'chat' }));
+		return submitChatMessage({ gameId, text });
+	};
+}
+
+export default reducer;
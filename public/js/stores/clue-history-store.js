@@ -0,0 +1,19 @@
+import { createReducer } from 'redux-act';
+import { updateClueHistory } from './actions';
+
+const reducer = createReducer({
+	// The server always sends the whole history, which is short enough to replace every time
+	[updateClueHistory]: (state, { gameId, clueHistory } = {}) => {
+		if (!gameId) return state;
+
+		return {
+			...state,
+			[gameId]: clueHistory || [],
+		};
+	},
+}, {});
+
+// Selectors
+export const getClueHistoryForGameId = (state, gameId) => (state && state.clueHistory && state.clueHistory[gameId]) || [];
+
+export default reducer;
@@ -0,0 +1,32 @@
+import { createReducer } from 'redux-act';
+import { setError, clearError } from './actions';
+
+const reducer = createReducer({
+	[setError]: (state, { gameId, requestType, message } = {}) => {
+		if (!gameId || !requestType) return state;
+
+		return {
+			...state,
+			[gameId]: {
+				...state[gameId],
+				[requestType]: message,
+			},
+		};
+	},
+	[clearError]: (state, { gameId, requestType } = {}) => {
+		if (!gameId || !state[gameId] || !state[gameId][requestType]) return state;
+
+		const { [requestType]: clearedError, ...errors } = state[gameId];
+
+		return {
+			...state,
+			[gameId]: errors,
+		};
+	},
+}, {});
+
+// Selectors
+export const getErrorForGameId = (state, gameId, requestType) => state && state.errors && state.errors[gameId]
+	&& state.errors[gameId][requestType];
+
+export default reducer;
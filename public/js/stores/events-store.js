@@ -0,0 +1,35 @@
+import { createReducer } from 'redux-act';
+import { addEvents } from './actions';
+import { fetchEvents } from '../fetchers';
+
+const reducer = createReducer({
+	// Events can arrive twice (live and when catching up after reconnecting), so they're kept in order by id
+	[addEvents]: (state, { gameId, events = [] } = {}) => {
+		if (!gameId || !events.length) return state;
+
+		const prevEvents = state[gameId] || [];
+		const newEvents = events.filter(event => !prevEvents.some(prevEvent => prevEvent.id === event.id));
+
+		if (!newEvents.length) return state;
+
+		return {
+			...state,
+			[gameId]: [...prevEvents, ...newEvents].sort((a, b) => a.id - b.id),
+		};
+	},
+}, {});
+
+// Selectors
+export const getEventsForGameId = (state, gameId) => (state && state.events && state.events[gameId]) || [];
+
+// Thunks
+export function getMissedEvents({ gameId }) {
+	return (dispatch, getState) => {
+		const events = getEventsForGameId(getState(), gameId);
+		const lastEvent = events[events.length - 1];
+
+		return fetchEvents({ gameId, since: lastEvent ? lastEvent.id + 1 : 0 });
+	};
+}
+
+export default reducer;
@@ -1,8 +1,47 @@
 import { createReducer } from 'redux-act';
-import { updateAgentsLeft, clearPlayers, updateGames, addOrReplaceGame, updateWordInGame, updateTurnsLeft, updateClue, setTeamId, removeGame } from './actions';
-import { fetchGame, guess, startNewGame, fetchGames, leaveGame } from '../fetchers';
-import { AGENTS_PER_PLAYER, TOTAL_AGENTS } from '../rules/game';
+import {
+	updateAgentsLeft,
+	clearPlayers,
+	updateGames,
+	addOrReplaceGame,
+	updateWordInGame,
+	updateTurnsLeft,
+	updateClue,
+	updatePhase,
+	updateResult,
+	revealKeys,
+	updateSpymasters,
+	updateBots,
+	updatePublic,
+	setTeamId,
+	setPlayerId,
+	removeGame,
+	clearError,
+} from './actions';
+import {
+	fetchGame,
+	guess,
+	startNewGame,
+	fetchGames,
+	leaveGame,
+	changeSpymaster as submitChangeSpymaster,
+	changeSpectatorKeys as submitChangeSpectatorKeys,
+	addBot as submitAddBot,
+	removeBot as submitRemoveBot,
+	changeBotCaution as submitChangeBotCaution,
+	changePublic as submitChangePublic,
+} from '../fetchers';
+import {
+	AGENTS_PER_PLAYER,
+	DEFAULT_SETTINGS,
+	DEFAULT_WORD_PACKS,
+	DEFAULT_CLUE_RULES,
+	DEFAULT_GAME_TYPE,
+	GAME_TYPES,
+	getTotalAgents,
+} from '../rules/game';
 import { isAgent } from '../rules/words';
+import { getMissedEvents } from './events-store';
 
 const reducer = createReducer({
 	[updateGames]: (state, games) => {
@@ -12,11 +51,45 @@ const reducer = createReducer({
 	},
 
 	[addOrReplaceGame]: (state, {
-		gameId, words, agentsLeftTeamOne, agentsLeftTeamTwo,
+		gameId,
+		words,
+		settings,
+		boardCode,
+		wordPacks,
+		hasCustomWords,
+		clueRules,
+		gameType,
+		spymasters,
+		isSpectator,
+		canSeeKeys,
+		showKeys,
+		keysToken,
+		isPublic,
+		agentsLeftTeamOne,
+		agentsLeftTeamTwo,
 	} = {}) => {
 		if (!gameId) return state;
 
-		const newState = { ...state, [gameId]: { gameId, words } };
+		const newState = {
+			...state,
+			[gameId]: {
+				gameId,
+				words,
+				settings,
+				boardCode,
+				wordPacks,
+				hasCustomWords,
+				clueRules,
+				gameType,
+				spymasters,
+				isSpectator,
+				canSeeKeys,
+				showKeys,
+				// Only sent when the game is created, so it's kept when the creator reconnects
+				keysToken: keysToken || (state[gameId] && state[gameId].keysToken),
+				isPublic,
+			},
+		};
 		if (agentsLeftTeamOne >= 0) newState[gameId].agentsLeftTeamOne = agentsLeftTeamOne;
 		if (agentsLeftTeamTwo >= 0) newState[gameId].agentsLeftTeamTwo = agentsLeftTeamTwo;
 
@@ -31,25 +104,89 @@ const reducer = createReducer({
 		return newState;
 	},
 
-	[updateWordInGame]: (state, { gameId, word, roleRevealedForClueGiver }) => {
+	[updateWordInGame]: (state, {
+		gameId, word, roleRevealedForClueGiver, role, isRevealed,
+	}) => {
 		if (!state[gameId]) return state;
 
+		const newWord = {
+			...state[gameId].words[word],
+			roleRevealedForClueGiver,
+			guessedThisTurn: true,
+		};
+		// A word guessed in a classic game is revealed to everyone
+		if (isRevealed) Object.assign(newWord, { role, isRevealed });
+
 		return {
 			...state,
 			[gameId]: {
 				...state[gameId],
 				words: {
 					...state[gameId].words,
-					[word]: {
-						...state[gameId].words[word],
-						roleRevealedForClueGiver,
-						guessedThisTurn: true,
-					},
+					[word]: newWord,
 				},
 			},
 		};
 	},
 
+	[updateSpymasters]: (state, { gameId, spymasters } = {}) => {
+		if (!state[gameId]) return state;
+
+		return {
+			...state,
+			[gameId]: {
+				...state[gameId],
+				spymasters,
+			},
+		};
+	},
+
+	[updateBots]: (state, { gameId, bots } = {}) => {
+		if (!state[gameId]) return state;
+
+		return {
+			...state,
+			[gameId]: {
+				...state[gameId],
+				bots,
+			},
+		};
+	},
+
+	[updatePublic]: (state, { gameId, isPublic } = {}) => {
+		if (!state[gameId]) return state;
+
+		return {
+			...state,
+			[gameId]: {
+				...state[gameId],
+				isPublic,
+			},
+		};
+	},
+
+	// The board code comes with the keys, as it gives them away
+	[revealKeys]: (state, { gameId, words, boardCode } = {}) => {
+		if (!state[gameId] || !words) return state;
+
+		const wordsWithKeys = Object.keys(state[gameId].words).reduce((allWords, word) => ({
+			...allWords,
+			[word]: {
+				...state[gameId].words[word],
+				key: words[word] && words[word].key,
+			},
+		}), {});
+
+		return {
+			...state,
+			[gameId]: {
+				...state[gameId],
+				words: wordsWithKeys,
+				boardCode: boardCode || state[gameId].boardCode,
+			},
+		};
+	},
+
 	[updateTurnsLeft]: (state, { gameId }) => {
 		if (!state[gameId]) return state;
 
@@ -87,17 +224,67 @@ const reducer = createReducer({
 // Selectors
 export const getGames = state => state && state.game && Object.keys(state.game);
 export const getGameById = (state, gameId) => state && state.game && state.game[gameId];
-export const getActiveGameId = state => state && state.router && state.router.location && state.router.location.pathname
-	&& state.router.location.pathname.replace('/', '');
+export const getActiveGameId = (state) => {
+	const pathname = state && state.router && state.router.location && state.router.location.pathname;
+	// Games are only ever at the top level (e.g. /GAMEID), so nested routes like /campaign/GAMEID have no active game
+	const match = pathname && pathname.match(/^\/([^/]+)\/?$/);
+	return match ? match[1] : undefined;
+};
+export const getSettingsForGameId = (state, gameId) => (state && state.game && state.game[gameId] && state.game[gameId].settings)
+	|| DEFAULT_SETTINGS;
+export const getWordPacksForGameId = (state, gameId) => (state && state.game && state.game[gameId] && state.game[gameId].wordPacks)
+	|| DEFAULT_WORD_PACKS;
+export const hasCustomWordsForGameId = (state, gameId) => !!(state && state.game && state.game[gameId]
+	&& state.game[gameId].hasCustomWords);
+export const getClueRulesForGameId = (state, gameId) => (state && state.game && state.game[gameId] && state.game[gameId].clueRules)
+	|| DEFAULT_CLUE_RULES;
+export const getGameTypeForGameId = (state, gameId) => (state && state.game && state.game[gameId] && state.game[gameId].gameType)
+	|| DEFAULT_GAME_TYPE;
+export const isClassicForGameId = (state, gameId) => getGameTypeForGameId(state, gameId) === GAME_TYPES.CLASSIC;
+// The player id of each team's spymaster in a classic game, { one, two }
+export const getSpymastersForGameId = (state, gameId) => (state && state.game && state.game[gameId] && state.game[gameId].spymasters)
+	|| {};
+export const isSpymasterForGameId = (state, gameId, teamId, playerId) => !!(teamId && playerId)
+	&& getSpymastersForGameId(state, gameId)[teamId] === playerId;
+// The computer partner on each team of a duet game, { one, two } --> { playerId, playerName, caution }
+export const getBotsForGameId = (state, gameId) => (state && state.game && state.game[gameId] && state.game[gameId].bots) || {};
+// Whether the partner of the player on teamId is the computer
+export const isPlayingWithBotForGameId = (state, gameId, teamId) => {
+	const partnerTeamId = teamId === 'one' ? 'two' : 'one';
+
+	return !!teamId && !!getBotsForGameId(state, gameId)[partnerTeamId];
+};
+// How readily the computer partner of the player on teamId guesses, if they have one
+export const getBotCautionForGameId = (state, gameId, teamId) => {
+	const partnerTeamId = teamId === 'one' ? 'two' : 'one';
+
+	return (getBotsForGameId(state, gameId)[partnerTeamId] || {}).caution;
+};
+// Whether this connection only watches the game, as the server has it
+export const isSpectatorForGameId = (state, gameId) => !!(state && state.game && state.game[gameId]
+	&& state.game[gameId].isSpectator);
+// Whether this spectator came from the keys link, so the server lets them see the keys while the game is played
+export const canSeeKeysForGameId = (state, gameId) => !!(state && state.game && state.game[gameId]
+	&& state.game[gameId].canSeeKeys);
+export const isShowingKeysForGameId = (state, gameId) => !!(state && state.game && state.game[gameId]
+	&& state.game[gameId].showKeys);
+// The secret of the keys link (the game's creator gets it to share, and spectators who came from it to reconnect with it)
+export const getKeysTokenForGameId = (state, gameId) => state && state.game && state.game[gameId] && state.game[gameId].keysToken;
+// Whether the game is listed in the lobby for anyone to join
+export const isPublicForGameId = (state, gameId) => !!(state && state.game && state.game[gameId] && state.game[gameId].isPublic);
+export const getBoardCodeForGameId = (state, gameId) => state && state.game && state.game[gameId] && state.game[gameId].boardCode;
 export const getAgentsLeftForGameId = (state, gameId) => gameId && state && state.game && state.game[gameId] && state.game[gameId].words &&
-	Object.values(state.game[gameId].words).reduce((count, word) => (isAgent(word) ? count - 1 : count), TOTAL_AGENTS);
+	Object.values(state.game[gameId].words)
+		.reduce((count, word) => (isAgent(word) ? count - 1 : count), getTotalAgents(getSettingsForGameId(state, gameId)));
 export const getAgentsLeftForGameIdAndTeamId = (state, gameId, teamId) => {
 	if (!(gameId && teamId && state && state.game && state.game[gameId] && state.game[gameId].words)) return AGENTS_PER_PLAYER;
 	return state.game[gameId][`${teamId === 1 ? 'agentsLeftTeamOne' : 'agentsLeftTeamTwo'}`];
 };
 
 // Thunks
-export function enterGame({ gameId }) {
+export function enterGame({
+	gameId, settings, wordPacks, customWords, clueRules, gameType, boardCode, spectator, keysToken,
+}) {
 	return (dispatch, getState) => {
 		// replace the game with an dummy game (just an id)
 		// until we have a full game object from web socket
@@ -108,14 +295,29 @@ export function enterGame({ gameId }) {
 		const facebookId = state && state.playerName && state.playerName.facebookId;
 		const facebookImage = state && state.playerName && state.playerName.facebookImage;
 		const teamId = state && state.teamId && state.teamId[gameId] && state.teamId[gameId].teamId;
-		return fetchGame({
+		// Keep spectating (and seeing the same keys) after reconnecting
+		const isSpectator = spectator !== undefined ? spectator : isSpectatorForGameId(state, gameId);
+		const spectatorKeysToken = isSpectator ? keysToken || getKeysTokenForGameId(state, gameId) : undefined;
+		const showKeys = isSpectator && isShowingKeysForGameId(state, gameId);
+		fetchGame({
 			gameId,
 			playerId,
 			playerName,
 			facebookId,
 			facebookImage,
 			teamId,
+			settings,
+			wordPacks,
+			customWords,
+			clueRules,
+			gameType,
+			boardCode,
+			spectator: isSpectator,
+			keysToken: spectatorKeysToken,
+			showKeys,
 		});
+		// Catch up on anything that happened while we weren't connected
+		return dispatch(getMissedEvents({ gameId }));
 	};
 }
 
@@ -137,6 +339,8 @@ export function makeGuess({ word }) {
 		const state = getState();
 		const gameId = getActiveGameId(state);
 		const teamId = state && state.teamId && state.teamId[gameId] && state.teamId[gameId].teamId;
+
+		dispatch(clearError({ gameId, requestType: 'guess' }));
 		return guess({ gameId, word, teamId });
 	};
 }
@@ -158,8 +362,11 @@ export function getGamesViaApi() {
 				Object.keys(games).forEach((gameId) => {
 					const game = games[gameId];
 					dispatch(setTeamId({ gameId, ...game }));
+					dispatch(setPlayerId({ gameId, ...game }));
 					dispatch(updateTurnsLeft({ gameId, ...game }));
 					dispatch(updateClue({ gameId, ...game }));
+					dispatch(updatePhase({ gameId, ...game }));
+					dispatch(updateResult({ gameId, ...game }));
 					dispatch(clearPlayers({ gameId, ...game }));
 					dispatch(updateAgentsLeft({ gameId, ...game }));
 				});
@@ -168,8 +375,80 @@ export function getGamesViaApi() {
 	};
 }
 
-export function startNew() {
-	return (dispatch, getState) => startNewGame({ gameId: getActiveGameId(getState()) });
+export function startNew({
+	settings, wordPacks, customWords, clueRules, gameType,
+}) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'startNewGame' }));
+		return startNewGame({
+			gameId, settings, wordPacks, customWords, clueRules, gameType,
+		});
+	};
+}
+
+export function changeSpymaster({ spymaster }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'changeSpymaster' }));
+		return submitChangeSpymaster({ gameId, spymaster });
+	};
+}
+
+export function addBot() {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'addBot' }));
+		return submitAddBot({ gameId });
+	};
+}
+
+export function removeBot() {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'removeBot' }));
+		return submitRemoveBot({ gameId });
+	};
+}
+
+export function changeBotCaution({ caution }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'changeBotCaution' }));
+		return submitChangeBotCaution({ gameId, caution });
+	};
+}
+
+export function changeSpectatorKeys({ showKeys }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'changeSpectatorKeys' }));
+		return submitChangeSpectatorKeys({ gameId, showKeys });
+	};
+}
+
+export function changePublic({ isPublic }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'changePublic' }));
+		return submitChangePublic({ gameId, isPublic });
+	};
+}
+
+export function startNewFromBoardCode(boardCode) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'startNewGame' }));
+		return startNewGame({ gameId, boardCode });
+	};
 }
 
 export default reducer;
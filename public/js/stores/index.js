@@ -10,19 +10,49 @@ import {
 	updateTurnsLeft,
 	updateClue,
 	updateGuessesLeft,
+	updatePhase,
+	updateClock,
+	updateResult,
+	revealKeys,
+	updateSpymasters,
 	updateAgentsLeft,
 	incrementPlayerCount,
 	decrementPlayerCount,
 	clearPlayers,
 	setTeamId,
 	setPlayerId,
+	setError,
+	addEvents,
+	setUndoRequest,
+	clearUndoRequest,
+	updateProposals,
+	updateMarks,
+	updateClueHistory,
+	updateBots,
+	updateChatMessages,
+	addChatMessage,
+	updatePublic,
+	updateQueue,
 } from './actions';
 import gameReducer, { enterGame, getActiveGameId } from './game-store';
 import playersReducer from './players-store';
-import turnsReducer from './turns-store';
+import turnsReducer, { getOwnResultForGameId } from './turns-store';
 import teamIdReducer from './team-id-store';
-import playerNameReducer from './player-name-store';
+import playerNameReducer, { getPlayerId } from './player-name-store';
+import errorsReducer from './errors-store';
+import campaignReducer from './campaign-store';
+import wordPacksReducer from './word-packs-store';
+import eventsReducer from './events-store';
+import undoReducer, { onUndoAnswered } from './undo-store';
+import statsReducer from './stats-store';
+import proposalsReducer from './proposals-store';
+import marksReducer from './marks-store';
+import clueHistoryReducer from './clue-history-store';
+import chatReducer from './chat-store';
+import lobbyReducer from './lobby-store';
+import matchmakingReducer, { isQueued, rejoinQueue } from './matchmaking-store';
 import { sendNotification } from '../utils/notifications';
+import { PHASES } from '../rules/game';
 import { addCallbacks as addWsCallbacks } from '../utils/ws';
 
 export const history = createHistory();
@@ -37,6 +67,18 @@ export const store = createStore(
 		players: playersReducer,
 		teamId: teamIdReducer,
 		playerName: playerNameReducer,
+		errors: errorsReducer,
+		campaign: campaignReducer,
+		wordPacks: wordPacksReducer,
+		events: eventsReducer,
+		undo: undoReducer,
+		stats: statsReducer,
+		proposals: proposalsReducer,
+		marks: marksReducer,
+		clueHistory: clueHistoryReducer,
+		chat: chatReducer,
+		lobby: lobbyReducer,
+		matchmaking: matchmakingReducer,
 		router: routerReducer,
 	}),
 	composeEnhancers(applyMiddleware(thunkMiddleware, middleware)),
@@ -48,12 +90,15 @@ export function onWsEvent(data) {
 
 	switch (type) {
 	case 'words':
+		store.dispatch(updatePhase(payload));
+		store.dispatch(updateResult(payload));
 		return store.dispatch(addOrReplaceGame(payload));
 	case 'guess':
 		sendNotification('A guess has been made in your game!');
 
 		store.dispatch(updateWordInGame(payload));
 		store.dispatch(updateAgentsLeft(payload));
+		store.dispatch(updatePhase(payload));
 		return store.dispatch(updateGuessesLeft(payload));
 	case 'playerLeft':
 		return store.dispatch(decrementPlayerCount(payload));
@@ -64,11 +109,65 @@ export function onWsEvent(data) {
 	case 'teamChanged':
 		return store.dispatch(setTeamId(payload));
 	case 'turns':
+		store.dispatch(updatePhase(payload));
 		return store.dispatch(updateTurnsLeft(payload));
+	case 'phaseChanged':
+		return store.dispatch(updatePhase(payload));
+	case 'clock':
+		return store.dispatch(updateClock({ ...payload, receivedAt: Date.now() }));
+	case 'gameOver':
+		store.dispatch(revealKeys(payload));
+		store.dispatch(updateResult(payload));
+
+		// Once the result is in, it can be told from the player's own team's point of view
+		sendNotification(getOwnResultForGameId(store.getState(), gameId).outcome === PHASES.WON ?
+			'You won your game!' : 'You lost your game');
+		return null;
+	case 'spymasters':
+		return store.dispatch(updateSpymasters(payload));
 	case 'clueGiven':
 		sendNotification('A clue has been given in your game!');
 
 		return store.dispatch(updateClue(payload));
+	case 'error':
+		return store.dispatch(setError(payload));
+	case 'events':
+		return store.dispatch(addEvents(payload));
+	case 'undoRequested':
+		sendNotification('Your partner wants to undo a move!');
+
+		return store.dispatch(setUndoRequest(payload));
+	case 'undoAnswered':
+		return store.dispatch(onUndoAnswered(payload));
+	case 'undoCancelled':
+		return store.dispatch(clearUndoRequest(payload));
+	case 'proposals':
+		return store.dispatch(updateProposals(payload));
+	case 'marks':
+		return store.dispatch(updateMarks(payload));
+	case 'clueHistory':
+		return store.dispatch(updateClueHistory(payload));
+	case 'bots':
+		return store.dispatch(updateBots(payload));
+	case 'queueJoined':
+		return store.dispatch(updateQueue(payload));
+	case 'queueLeft':
+		return store.dispatch(updateQueue({ isQueued: false, ticket: undefined }));
+	case 'matched':
+		sendNotification('We found you a partner!');
+
+		store.dispatch(updateQueue({ isQueued: false, ticket: undefined }));
+		return history.push(`/${gameId}`);
+	case 'publicChanged':
+		return store.dispatch(updatePublic(payload));
+	case 'chatHistory':
+		return store.dispatch(updateChatMessages(payload));
+	case 'chat':
+		if (payload.message.playerId !== getPlayerId(store.getState())) {
+			sendNotification(`${payload.message.playerName || 'Someone'}: ${payload.message.text}`);
+		}
+
+		return store.dispatch(addChatMessage(payload));
 	default:
 		return null;
 	}
@@ -78,6 +177,9 @@ export function onWsConnected() {
 	const state = store.getState();
 	const gameId = getActiveGameId(state);
 
+	// A player waiting for a partner comes back for their place in the queue
+	if (!gameId && isQueued(state)) store.dispatch(rejoinQueue());
+
 	if (!gameId) return;
 
 	store.dispatch(clearPlayers({ gameId }));
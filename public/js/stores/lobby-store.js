@@ -0,0 +1,24 @@
+import { createReducer } from 'redux-act';
+import { updateLobbyGames } from './actions';
+import { fetchLobbyGames } from '../fetchers';
+
+const reducer = createReducer({
+	[updateLobbyGames]: (state, games) => {
+		if (!Array.isArray(games)) return state;
+
+		return games;
+	},
+}, []);
+
+// Selectors
+// { gameId, gameType, settings, seatsFilled, seats, activePlayers, age } for each public game waiting for players
+export const getLobbyGames = state => (state && state.lobby) || [];
+
+// Thunks
+export function getLobbyGamesViaApi() {
+	return dispatch => fetchLobbyGames().then((games) => {
+		if (games) dispatch(updateLobbyGames(games));
+	});
+}
+
+export default reducer;
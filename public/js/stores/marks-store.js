@@ -0,0 +1,43 @@
+import { createReducer } from 'redux-act';
+import { updateMarks, setMarkingWord, clearError } from './actions';
+import { markWord as submitMarkWord } from '../fetchers';
+import { getActiveGameId } from './game-store';
+
+const reducer = createReducer({
+	[updateMarks]: (state, { gameId, marks } = {}) => {
+		if (!gameId) return state;
+
+		return {
+			...state,
+			marks: {
+				...state.marks,
+				[gameId]: marks || {},
+			},
+		};
+	},
+	[setMarkingWord]: (state, { word } = {}) => ({
+		...state,
+		markingWord: word,
+	}),
+}, {});
+
+// Selectors
+// { tag, note } for a word the player has marked
+export const getMarkForWord = (state, gameId, word) => state && state.marks && state.marks.marks
+	&& state.marks.marks[gameId] && state.marks.marks[gameId][word];
+export const getMarkingWord = state => state && state.marks && state.marks.markingWord;
+
+// Thunks
+export function markWord({ word, tag, note }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'markWord' }));
+		dispatch(setMarkingWord({ word: undefined }));
+		return submitMarkWord({
+			gameId, word, tag, note,
+		});
+	};
+}
+
+export default reducer;
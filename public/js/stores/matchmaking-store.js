@@ -0,0 +1,61 @@
+import { createReducer } from 'redux-act';
+import { updateQueue, setError } from './actions';
+import { joinQueue as submitJoinQueue, leaveQueue as submitLeaveQueue } from '../fetchers';
+import { getPlayerName, getFacebookId, getFacebookImage } from './player-name-store';
+
+const reducer = createReducer({
+	// { isQueued, ticket, wordPacks, matchBy } (the options are kept to come back for the place after reconnecting)
+	[updateQueue]: (state, { gameId, ...queue } = {}) => ({
+		...state,
+		...queue,
+		error: undefined,
+	}),
+	// Errors from the queue aren't about a game, so they're kept here rather than in the errors-store
+	[setError]: (state, { requestType, message } = {}) => {
+		if (requestType !== 'joinQueue') return state;
+
+		return {
+			...state,
+			isQueued: false,
+			error: message,
+		};
+	},
+}, {});
+
+// Selectors
+export const isQueued = state => !!(state && state.matchmaking && state.matchmaking.isQueued);
+export const getQueueError = state => state && state.matchmaking && state.matchmaking.error;
+
+// Thunks
+export function joinQueue({ wordPacks, matchBy }) {
+	return (dispatch, getState) => {
+		const state = getState();
+
+		dispatch(updateQueue({ isQueued: true, wordPacks, matchBy }));
+		return submitJoinQueue({
+			ticket: state.matchmaking.ticket,
+			wordPacks,
+			matchBy,
+			playerName: getPlayerName(state),
+			facebookId: getFacebookId(state),
+			facebookImage: getFacebookImage(state),
+		});
+	};
+}
+
+export function rejoinQueue() {
+	return (dispatch, getState) => {
+		const { wordPacks, matchBy } = getState().matchmaking;
+
+		return dispatch(joinQueue({ wordPacks, matchBy }));
+	};
+}
+
+export function leaveQueue() {
+	return (dispatch) => {
+		dispatch(updateQueue({ isQueued: false, ticket: undefined }));
+		return submitLeaveQueue();
+	};
+}
+
+export default reducer;
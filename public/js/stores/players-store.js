@@ -1,16 +1,19 @@
 import { createReducer } from 'redux-act';
 import { incrementPlayerCount, decrementPlayerCount, clearPlayers } from './actions';
 
-const initialPlayersState = { count: 0, teamOne: [], teamTwo: [] };
+const initialPlayersState = {
+	count: 0, teamOne: [], teamTwo: [], spectators: [],
+};
 
 const reducer = createReducer({
 	[incrementPlayerCount]: (state, {
-		gameId, count, playerId, playerName, teamId, facebookImage,
+		gameId, count, playerId, playerName, teamId, facebookImage, isSpectator,
 	}) => {
 		if (!gameId || typeof playerId !== 'number') return state;
 
-		const prevPlayerCount = state[gameId] || initialPlayersState;
-		const teamProperty = `team${parseInt(teamId, 10) === 1 ? 'One' : 'Two'}`;
+		const prevPlayerCount = { ...initialPlayersState, ...state[gameId] };
+		// Spectators are listed apart from the teams
+		const teamProperty = isSpectator ? 'spectators' : `team${parseInt(teamId, 10) === 1 ? 'One' : 'Two'}`;
 
 		return {
 			...state,
@@ -24,13 +27,16 @@ const reducer = createReducer({
 			},
 		};
 	},
-	[decrementPlayerCount]: (state, { gameId, count, playerId }) => {
+	[decrementPlayerCount]: (state, {
+		gameId, count, playerId, isSpectator,
+	}) => {
 		if (!gameId) return state;
 
-		const prevPlayerCount = state[gameId] || initialPlayersState;
+		const prevPlayerCount = { ...initialPlayersState, ...state[gameId] };
 
-		const playerIndexTeamOne = prevPlayerCount.teamOne.findIndex(player => player.playerId === playerId);
-		const playerIndexTeamTwo = prevPlayerCount.teamTwo.findIndex(player => player.playerId === playerId);
+		// The same player may be on a team and spectating from another connection
+		const playerIndexTeamOne = isSpectator ? -1 : prevPlayerCount.teamOne.findIndex(player => player.playerId === playerId);
+		const playerIndexTeamTwo = isSpectator ? -1 : prevPlayerCount.teamTwo.findIndex(player => player.playerId === playerId);
 
 		const teamOne = playerIndexTeamOne === -1 ? prevPlayerCount.teamOne : [
 			...prevPlayerCount.teamOne.slice(0, playerIndexTeamOne),
@@ -42,6 +48,12 @@ const reducer = createReducer({
 			...prevPlayerCount.teamTwo.slice(playerIndexTeamTwo + 1),
 		];
 
+		const spectatorIndex = isSpectator ? prevPlayerCount.spectators.findIndex(player => player.playerId === playerId) : -1;
+		const spectators = spectatorIndex === -1 ? prevPlayerCount.spectators : [
+			...prevPlayerCount.spectators.slice(0, spectatorIndex),
+			...prevPlayerCount.spectators.slice(spectatorIndex + 1),
+		];
+
 		return {
 			...state,
 			[gameId]: {
@@ -49,6 +61,7 @@ const reducer = createReducer({
 				count,
 				teamOne,
 				teamTwo,
+				spectators,
 			},
 		};
 	},
@@ -65,6 +78,8 @@ const reducer = createReducer({
 // Selectors
 export const getPlayersForGameId = (state, gameId) => (state && state.players && state.players[gameId] && state.players[gameId].count)
 	|| initialPlayersState.count;
+export const getSpectatorsForGameId = (state, gameId) => (state && state.players && state.players[gameId]
+	&& state.players[gameId].spectators) || [];
 export const getConnectedPlayerNamesForGameId = (state, gameId) => {
 	if (!(state && state.players && state.players[gameId])) return { teamOne: [], teamTwo: [] };
 
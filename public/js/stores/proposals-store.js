@@ -0,0 +1,62 @@
+import { createReducer } from 'redux-act';
+import { updateProposals, clearError } from './actions';
+import { proposeGuess as submitProposeGuess, voteOnGuess as submitVoteOnGuess } from '../fetchers';
+import { getActiveGameId, getSettingsForGameId, makeGuess } from './game-store';
+import { getPlayerId } from './player-name-store';
+
+const reducer = createReducer({
+	[updateProposals]: (state, { gameId, proposals } = {}) => {
+		if (!gameId) return state;
+
+		return {
+			...state,
+			[gameId]: proposals || {},
+		};
+	},
+}, {});
+
+// Selectors
+export const isVotingOnGuessesForGameId = (state, gameId) => getSettingsForGameId(state, gameId).guessVotePercent > 0;
+// { teamId, playerId, votes, votesNeeded } for a word that has been proposed as a guess
+export const getProposalForWord = (state, gameId, word) => state && state.proposals && state.proposals[gameId]
+	&& state.proposals[gameId][word];
+export const hasVotedForWord = (state, gameId, word) => {
+	const proposal = getProposalForWord(state, gameId, word);
+
+	return !!proposal && proposal.votes.indexOf(getPlayerId(state)) > -1;
+};
+
+// Thunks
+export function proposeGuess({ word }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'proposeGuess' }));
+		return submitProposeGuess({ gameId, word });
+	};
+}
+
+export function voteOnGuess({ word, approve }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'voteOnGuess' }));
+		return submitVoteOnGuess({ gameId, word, approve });
+	};
+}
+
+// Tapping a word guesses it, or in a game where teams vote on their guesses, proposes it (or takes back a vote for it)
+export function chooseWord({ word }) {
+	return (dispatch, getState) => {
+		const state = getState();
+		const gameId = getActiveGameId(state);
+
+		if (!isVotingOnGuessesForGameId(state, gameId)) return dispatch(makeGuess({ word }));
+
+		if (hasVotedForWord(state, gameId, word)) return dispatch(voteOnGuess({ word, approve: false }));
+
+		return dispatch(proposeGuess({ word }));
+	};
+}
+
+export default reducer;
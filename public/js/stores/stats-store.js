@@ -0,0 +1,32 @@
+import { createReducer } from 'redux-act';
+import { updatePlayerStats } from './actions';
+import { fetchPlayerStats } from '../fetchers';
+
+const reducer = createReducer({
+	[updatePlayerStats]: (state, {
+		playerId, name, stats, pairs,
+	} = {}) => {
+		if (!playerId) return state;
+
+		return {
+			...state,
+			[playerId]: {
+				name,
+				stats,
+				pairs,
+			},
+		};
+	},
+}, {});
+
+// Selectors
+export const getStatsForPlayerId = (state, playerId) => state && state.stats && state.stats[playerId];
+
+// Thunks
+export function getPlayerStatsViaApi({ playerId }) {
+	return dispatch => fetchPlayerStats({ playerId }).then((playerStats) => {
+		if (playerStats && playerStats.playerId) dispatch(updatePlayerStats(playerStats));
+	});
+}
+
+export default reducer;
@@ -1,28 +1,47 @@
 import { createReducer } from 'redux-act';
 import { endTurn as submitEndTurn, giveClue as submitGiveClue } from '../fetchers';
-import { updateTurnsLeft, updateClue, updateGuessesLeft } from './actions';
+import {
+	updateTurnsLeft,
+	updateClue,
+	updateGuessesLeft,
+	updatePhase,
+	updateClock,
+	updateResult,
+	clearError,
+} from './actions';
 import { getTeamId } from './team-id-store';
-import { getActiveGameId, getGameById } from './game-store';
-import { AGENTS_PER_PLAYER } from '../rules/game';
+import { getPlayerId } from './player-name-store';
+import { getActiveGameId, getGameTypeForGameId, isSpymasterForGameId } from './game-store';
+import { AGENTS_PER_PLAYER, PHASES } from '../rules/game';
+import {
+	validateClueTurn,
+	validateGuessTurn,
+	validateEndTurn,
+	getResultForTeam,
+} from '../../../src/rules';
 
 const INITIAL_STATE = {
 	turnsLeft: AGENTS_PER_PLAYER,
+	phase: PHASES.AWAITING_CLUE,
 };
 
 export const reducer = createReducer({
-	[updateTurnsLeft]: (state, { gameId, turnsLeft }) => {
+	[updateTurnsLeft]: (state, { gameId, turnsLeft, mistakesMade }) => {
 		if (!gameId) return state;
 
 		const {
 			playerGivingClue, clue, guessesLeft, ...prevGameState
 		} = state[gameId] || INITIAL_STATE;
 
+		const newGameState = {
+			...prevGameState,
+			turnsLeft,
+		};
+		if (mistakesMade >= 0) newGameState.mistakesMade = mistakesMade;
+
 		return {
 			...state,
-			[gameId]: {
-				...prevGameState,
-				turnsLeft,
-			},
+			[gameId]: newGameState,
 		};
 	},
 	[updateClue]: (state, {
@@ -58,6 +77,46 @@ export const reducer = createReducer({
 			},
 		};
 	},
+	[updatePhase]: (state, { gameId, phase, phaseTeamId } = {}) => {
+		if (!gameId || !phase) return state;
+
+		const prevGameState = state[gameId] || INITIAL_STATE;
+
+		return {
+			...state,
+			[gameId]: {
+				...prevGameState,
+				phase,
+				phaseTeamId,
+			},
+		};
+	},
+	[updateClock]: (state, { gameId, secondsLeft, receivedAt } = {}) => {
+		if (!gameId) return state;
+
+		const prevGameState = state[gameId] || INITIAL_STATE;
+
+		return {
+			...state,
+			[gameId]: {
+				...prevGameState,
+				clock: secondsLeft >= 0 ? { secondsLeft, receivedAt } : undefined,
+			},
+		};
+	},
+	[updateResult]: (state, { gameId, result } = {}) => {
+		if (!gameId) return state;
+
+		const prevGameState = state[gameId] || INITIAL_STATE;
+
+		return {
+			...state,
+			[gameId]: {
+				...prevGameState,
+				result,
+			},
+		};
+	},
 }, {});
 
 // Selectors
@@ -65,24 +124,61 @@ export const getTurnsLeftForGameId = (state, gameId) => {
 	const turnsLeft = state && state.turns && state.turns[gameId] && state.turns[gameId].turnsLeft;
 	return (typeof turnsLeft === 'number') ? turnsLeft : INITIAL_STATE.turnsLeft;
 };
+export const getPhaseForGameId = (state, gameId) => (state && state.turns && state.turns[gameId] && state.turns[gameId].phase)
+	|| INITIAL_STATE.phase;
+export const isSuddenDeathForGameId = (state, gameId) => getPhaseForGameId(state, gameId) === PHASES.SUDDEN_DEATH;
+export const getPhaseTeamIdForGameId = (state, gameId) => state && state.turns && state.turns[gameId] && state.turns[gameId].phaseTeamId;
+export const isGameOverForGameId = (state, gameId) => {
+	const phase = getPhaseForGameId(state, gameId);
+	return phase === PHASES.WON || phase === PHASES.LOST;
+};
+// The rules number the teams 1 and 2, the client knows them as 'one'/'playerOne' and 'two'/'playerTwo'
+const getRulesTeamId = (teamId) => {
+	if (!teamId) return undefined;
+	return /one$/i.test(teamId) ? 1 : 2;
+};
+// The phase and team to check a move against with the rules
+const getRulesState = (state, gameId) => ({
+	phase: getPhaseForGameId(state, gameId),
+	phaseTeamId: getRulesTeamId(getPhaseTeamIdForGameId(state, gameId)),
+	gameType: getGameTypeForGameId(state, gameId),
+});
+export const isAwaitingClueFromTeamForGameId = (state, gameId) => !validateClueTurn(
+	getRulesState(state, gameId),
+	getRulesTeamId(getTeamId(state, gameId)),
+	isSpymasterForGameId(state, gameId, getTeamId(state, gameId), getPlayerId(state)),
+);
+export const getMistakesMadeForGameId = (state, gameId) => (state && state.turns && state.turns[gameId] && state.turns[gameId].mistakesMade) || 0;
 export const getClueForGameId = (state, gameId) => state && state.turns && state.turns[gameId] && state.turns[gameId].clue;
 export const getPlayerGivingClueForGameId = (state, gameId) => state && state.turns && state.turns[gameId] && state.turns[gameId].playerGivingClue;
 export const getGuessesLeftForGameId = (state, gameId) => state && state.turns && state.turns[gameId] && state.turns[gameId].guessesLeft;
-export const isActiveGuesserForGameId = (state, gameId) => {
-	const playerGivingClue = getPlayerGivingClueForGameId(state, gameId);
-	const teamId = getTeamId(state, gameId);
-	const game = getGameById(state, gameId);
-	const hasGuessedWordThisTurn = teamId && Object.values(game.words).some(word => (
-		word.guessedThisTurn && word.roleRevealedForClueGiver[`${teamId === 1 ? 'playerOne' : 'playerTwo'}`] === 'AGENT'
-	));
-	return hasGuessedWordThisTurn || (playerGivingClue && teamId && playerGivingClue.toLowerCase().indexOf(teamId) === -1);
-};
+// The seconds left when the server last said, and when it said it (undefined if there's no clock running)
+export const getClockForGameId = (state, gameId) => state && state.turns && state.turns[gameId] && state.turns[gameId].clock;
+// How the game ended, { outcome, reason, turnsUsed } (undefined until the server says it's over)
+export const getResultForGameId = (state, gameId) => state && state.turns && state.turns[gameId] && state.turns[gameId].result;
+// In a classic game one team wins and the other loses, so this is how the game ended for the player's own team
+export const getOwnResultForGameId = (state, gameId) => getResultForTeam(
+	getResultForGameId(state, gameId),
+	getRulesTeamId(getTeamId(state, gameId)),
+);
+// Only the team that is guessing can end the turn, so they are the active guesser
+export const isActiveGuesserForGameId = (state, gameId) => !validateEndTurn(
+	getRulesState(state, gameId),
+	getRulesTeamId(getTeamId(state, gameId)),
+	isSpymasterForGameId(state, gameId, getTeamId(state, gameId), getPlayerId(state)),
+);
+export const canGuessForGameId = (state, gameId) => !validateGuessTurn(
+	getRulesState(state, gameId),
+	getRulesTeamId(getTeamId(state, gameId)),
+	isSpymasterForGameId(state, gameId, getTeamId(state, gameId), getPlayerId(state)),
+);
 
 // Thunks
 export function giveClue({ word, number }) {
 	return (dispatch, getState) => {
 		const gameId = getActiveGameId(getState());
 
+		dispatch(clearError({ gameId, requestType: 'giveClue' }));
 		return submitGiveClue({
 			gameId,
 			teamId: getTeamId(getState(), gameId),
@@ -93,11 +189,12 @@ export function giveClue({ word, number }) {
 }
 
 export function endTurn() {
-	return (dispatch, getState) => (
-		submitEndTurn({
-			gameId: getActiveGameId(getState()),
-		})
-	);
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'endTurn' }));
+		return submitEndTurn({ gameId });
+	};
 }
 
 export default reducer;
@@ -0,0 +1,82 @@
+import { createReducer } from 'redux-act';
+import {
+	setUndoRequest,
+	clearUndoRequest,
+	setConfirmGuesses,
+	setError,
+	clearError,
+} from './actions';
+import { requestUndo as submitRequestUndo, answerUndo as submitAnswerUndo } from '../fetchers';
+import { getActiveGameId } from './game-store';
+import { getTeamId } from './team-id-store';
+
+const reducer = createReducer({
+	[setUndoRequest]: (state, { gameId, teamId, action } = {}) => {
+		if (!gameId) return state;
+
+		return {
+			...state,
+			requests: {
+				...state.requests,
+				[gameId]: { teamId, action },
+			},
+		};
+	},
+	[clearUndoRequest]: (state, { gameId } = {}) => {
+		if (!gameId || !state.requests || !state.requests[gameId]) return state;
+
+		const { [gameId]: clearedRequest, ...requests } = state.requests;
+
+		return {
+			...state,
+			requests,
+		};
+	},
+	[setConfirmGuesses]: (state, { confirmGuesses } = {}) => ({
+		...state,
+		confirmGuesses: !!confirmGuesses,
+	}),
+}, {});
+
+// Selectors
+export const getUndoRequestForGameId = (state, gameId) => state && state.undo && state.undo.requests
+	&& state.undo.requests[gameId];
+// Whether the player asked to undo (otherwise their partner did and has to answer)
+export const isUndoRequestedByTeamForGameId = (state, gameId) => {
+	const request = getUndoRequestForGameId(state, gameId);
+	const teamId = getTeamId(state, gameId);
+
+	return !!(request && teamId && teamId.toLowerCase().indexOf(request.teamId) > -1);
+};
+export const shouldConfirmGuesses = state => !!(state && state.undo && state.undo.confirmGuesses);
+
+// Thunks
+export function requestUndo() {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'requestUndo' }));
+		return submitRequestUndo({ gameId });
+	};
+}
+
+export function answerUndo({ approve }) {
+	return (dispatch, getState) => {
+		const gameId = getActiveGameId(getState());
+
+		dispatch(clearError({ gameId, requestType: 'answerUndo' }));
+		return submitAnswerUndo({ gameId, approve });
+	};
+}
+
+export function onUndoAnswered({ gameId, approved }) {
+	return (dispatch, getState) => {
+		if (!approved && isUndoRequestedByTeamForGameId(getState(), gameId)) {
+			dispatch(setError({ gameId, requestType: 'requestUndo', message: 'Your partner didn\'t agree to undo your move' }));
+		}
+
+		return dispatch(clearUndoRequest({ gameId }));
+	};
+}
+
+export default reducer;
@@ -0,0 +1,23 @@
+import { createReducer } from 'redux-act';
+import { updateWordPacks } from './actions';
+import { fetchWordPacks } from '../fetchers';
+
+const reducer = createReducer({
+	[updateWordPacks]: (state, wordPacks) => {
+		if (!Array.isArray(wordPacks)) return state;
+
+		return wordPacks;
+	},
+}, []);
+
+// Selectors
+export const getWordPacks = state => (state && state.wordPacks) || [];
+
+// Thunks
+export function getWordPacksViaApi() {
+	return dispatch => fetchWordPacks().then((wordPacks) => {
+		if (wordPacks) dispatch(updateWordPacks(wordPacks));
+	});
+}
+
+export default reducer;
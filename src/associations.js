@@ -0,0 +1,417 @@
+/**
+ * WORD ASSOCIATIONS
+ *
+ * A small, hand-made dataset of themes for the computer players (see src/bots.js), so they never need an
+ * online service. Each theme is a word that could be given as a clue, along with the words of the English
+ * word packs it brings to mind. A theme can be one of those words itself, in which case it can only be
+ * given as a clue when it isn't on the board.
+ */
+
+module.exports = {
+	AIRPORT: ['PLANE', 'JET', 'PILOT', 'PARACHUTE', 'HELICOPTER', 'CRASH', 'AIR', 'PASS'],
+	ALARM: ['BELL', 'WATCH'],
+	ALCOHOL: ['WINE', 'CIDER', 'BAR', 'BOTTLE', 'GLASS'],
+	ANCHOR: ['SHIP', 'PORT'],
+	ANCIENT: ['PYRAMID', 'TEMPLE', 'AZTEC', 'EGYPT', 'GREECE', 'ROME', 'OLYMPUS', 'MAMMOTH', 'DINOSAUR'],
+	ANIMAL: [
+		'BEAR', 'BUFFALO', 'CAT', 'DOG', 'HORSE', 'LION', 'MOUSE', 'RABBIT', 'KANGAROO', 'PLATYPUS', 'MAMMOTH',
+		'WOLF', 'FOX', 'CALF',
+	],
+	ARMY: ['SOLDIER', 'FORCE', 'DRAFT', 'MARCH', 'WAR', 'BOOT', 'CAP'],
+	ASIA: ['CHINA', 'INDIA', 'TOKYO', 'BEIJING', 'HIMALAYAS'],
+	ASIAN: ['SUSHI', 'NOODLE', 'RICE', 'TOFU', 'DUMPLING', 'CURRY', 'GINGER'],
+	AUSTRALIAN: ['KANGAROO', 'PLATYPUS', 'SHARK'],
+	AUTUMN: ['FALL', 'LEAF', 'ACORN', 'PUMPKIN'],
+	BABY: ['KID', 'CALF', 'CHICK'],
+	BAKERY: [
+		'BREAD', 'BAGEL', 'BISCUIT', 'CAKE', 'COOKIE', 'CRUST', 'DONUT', 'FLOUR', 'MUFFIN', 'PIE', 'PRETZEL',
+		'TOAST',
+	],
+	BASEBALL: ['BAT', 'BALL', 'PITCH', 'GLOVE', 'STRIKE', 'FIELD', 'DIAMOND', 'CAP', 'FAN', 'STADIUM'],
+	BATHROOM: ['SINK', 'TAP', 'BRUSH', 'PASTE', 'TUBE', 'WASHER'],
+	BEACH: ['SAND', 'SHORE', 'WAVE', 'TIDE', 'DUNE', 'ISLAND', 'BAY', 'PALM'],
+	BEAR: ['HONEY', 'FOREST'],
+	BEND: ['BOW', 'HOOK'],
+	BERRY: ['CHERRY', 'GRAPE', 'JAM', 'JELLY'],
+	BIG: ['GIANT', 'MAMMOTH', 'WHALE', 'SKYSCRAPER'],
+	BIRD: ['EAGLE', 'HAWK', 'ROBIN', 'PENGUIN', 'TURKEY', 'DUCK', 'CRANE', 'CHICK', 'KIWI', 'OWL', 'FALCON', 'PHOENIX'],
+	BIRTHDAY: ['CAKE', 'CARD'],
+	BISCUIT: ['COOKIE', 'TEA', 'CHOCOLATE'],
+	BLANKET: ['COVER', 'BED', 'COTTON', 'SNOW'],
+	BODY: [
+		'ARM', 'BACK', 'CHEST', 'EYE', 'FACE', 'FOOT', 'HAND', 'HEAD', 'HEART', 'MOUTH', 'THUMB', 'TOOTH', 'SPINE',
+		'LAP', 'TRUNK', 'SOUL',
+	],
+	BOOK: ['NOVEL', 'SPINE', 'COVER', 'PLOT', 'COMIC'],
+	BOTTLE: ['GLASS', 'MUG', 'WINE', 'CAP'],
+	BOX: ['CHEST', 'TRUNK'],
+	BOXING: ['RING', 'GLOVE', 'FIGHTER', 'MATCH', 'ROUND', 'BELT'],
+	BRANCH: ['BANK', 'TREE'],
+	BREAD: ['TOAST', 'BAGEL', 'CRUST', 'FLOUR', 'BUTTER', 'JAM'],
+	BREAKABLE: ['GLASS', 'PLATE', 'MUG', 'EGG', 'BOTTLE'],
+	BREAKFAST: [
+		'EGG', 'BACON', 'TOAST', 'PANCAKE', 'WAFFLE', 'BAGEL', 'COFFEE', 'TEA', 'SYRUP', 'MUFFIN', 'YOGURT', 'JAM',
+		'BUTTER',
+	],
+	BREATH: ['AIR', 'WIND', 'BREEZE', 'MOUTH'],
+	BRIDGE: ['TOWER', 'RIVER'],
+	BRITISH: ['ENGLAND', 'LONDON', 'SHAKESPEARE', 'POUND', 'QUEEN', 'KING', 'TUBE'],
+	BUCKET: ['WELL', 'SAND'],
+	BUG: ['FLY', 'BEE', 'CODE', 'SPY'],
+	BUILDING: [
+		'SKYSCRAPER', 'TOWER', 'CHURCH', 'TEMPLE', 'HOTEL', 'HOSPITAL', 'SCHOOL', 'STADIUM', 'THEATER', 'EMBASSY',
+		'WALL', 'BLOCK',
+	],
+	BUSINESS: ['STOCK', 'CONTRACT', 'BANK', 'BILL', 'CHARGE', 'SHOP', 'COMPOUND'],
+	CAFE: ['COFFEE', 'TEA', 'MUG', 'CREAM', 'SUGAR', 'CAKE', 'MUFFIN'],
+	CALENDAR: ['DATE', 'DAY', 'MARCH', 'TIME'],
+	CAPITAL: ['LONDON', 'BERLIN', 'MOSCOW', 'ROME', 'TOKYO', 'BEIJING', 'WASHINGTON', 'STATE'],
+	CARD: ['DECK', 'PLAY', 'JACK', 'KING', 'QUEEN'],
+	CARNIVAL: ['FAIR', 'SWING'],
+	CASTLE: ['KNIGHT', 'KING', 'QUEEN', 'TOWER', 'WALL', 'DRAGON'],
+	CAT: ['LITTER', 'MOUSE', 'TAIL'],
+	CAVE: ['BAT', 'PIT', 'MINE', 'HOLE', 'ROCK', 'CRYSTAL'],
+	CELEBRITY: ['STAR', 'HOLLYWOOD', 'FAN', 'MODEL', 'MILLIONAIRE', 'LIMOUSINE'],
+	CHEMISTRY: ['LAB', 'COMPOUND', 'GAS', 'MERCURY', 'LEAD', 'IRON', 'COPPER', 'GOLD', 'SALT', 'OIL'],
+	CHESS: ['KING', 'QUEEN', 'KNIGHT', 'BOARD', 'GAME', 'MATCH', 'CHECK', 'SQUARE', 'PLAY'],
+	CHILD: ['KID', 'CHICK', 'PUPIL', 'CALF'],
+	CHILI: ['BEAN', 'BEEF'],
+	CHRISTMAS: ['ANGEL', 'STAR', 'BELL', 'SNOW', 'TREE'],
+	CHURCH: ['ANGEL', 'TEMPLE', 'SOUL', 'GRACE', 'CROSS', 'BELL', 'ORGAN', 'MASS'],
+	CIRCLE: ['RING', 'ROUND', 'BALL', 'CYCLE'],
+	CIRCUS: ['RING', 'LION', 'WHIP'],
+	CITRUS: ['LEMON', 'LIME', 'ORANGE'],
+	CITY: ['SKYSCRAPER', 'TOWER', 'BRIDGE', 'PARK', 'STADIUM', 'HOTEL', 'SHOP', 'CHURCH', 'TEMPLE', 'CAPITAL', 'STATE'],
+	CLASSROOM: ['SCHOOL', 'TEACHER', 'PUPIL', 'RULER'],
+	CLEAN: ['VACUUM', 'WASHER', 'BRUSH', 'SINK', 'TAP', 'WATER'],
+	CLIMB: ['MOUNT', 'MOUNTAIN', 'CLIFF', 'ROCK'],
+	CLOCK: ['WATCH', 'TIME', 'TICK', 'HAND', 'DAY', 'NIGHT'],
+	CLOTHES: [
+		'DRESS', 'PANTS', 'SOCK', 'SHOE', 'BOOT', 'SUIT', 'TIE', 'BELT', 'CAP', 'HOOD', 'CLOAK', 'GLOVE', 'COTTON',
+		'BUTTON',
+	],
+	CLOUD: ['RAIN', 'FOG', 'MIST', 'STORM', 'SERVER'],
+	CODE: ['KEY', 'LOCK', 'SPY'],
+	COIN: ['CHANGE', 'MINT', 'POUND', 'GOLD', 'COPPER'],
+	COLD: ['ICE', 'SNOW', 'SNOWMAN', 'ANTARCTICA', 'PENGUIN', 'FROST', 'GLACIER', 'HAIL'],
+	COLOR: ['GREEN', 'ORANGE', 'GOLD', 'COPPER', 'IVORY', 'ROSE', 'LEMON', 'LIME', 'MINT', 'OLIVE', 'CHERRY', 'PLUM'],
+	COMIC: ['SUPERHERO'],
+	COMPUTER: ['SCREEN', 'SERVER', 'CODE', 'FILE', 'LINK', 'WEB', 'MOUSE', 'KEY', 'TABLET', 'SWITCH', 'DRAFT'],
+	CONTAINER: ['BOX', 'CHEST', 'TRUNK', 'BOTTLE', 'MUG', 'TUBE', 'PAN'],
+	CONTINENT: ['AFRICA', 'AMERICA', 'EUROPE', 'ANTARCTICA', 'AUSTRALIA'],
+	CONTRABAND: ['SMUGGLER', 'PIRATE', 'THIEF', 'PORT'],
+	COSMOS: ['SPACE', 'STAR', 'MOON', 'SATURN', 'JUPITER', 'ALIEN', 'SATELLITE'],
+	COUNTRY: [
+		'AMERICA', 'CANADA', 'CHINA', 'CZECH', 'EGYPT', 'ENGLAND', 'FRANCE', 'GERMANY', 'GREECE', 'INDIA',
+		'MEXICO', 'AUSTRALIA', 'TURKEY', 'STATE',
+	],
+	COURSE: ['SOUP', 'SALAD', 'STEAK', 'CAKE'],
+	COVER: ['HOOD', 'CAP', 'CLOAK', 'SHADOW'],
+	COWBOY: ['HORSE', 'HORSESHOE', 'BOOT', 'WHIP', 'PISTOL', 'BUFFALO'],
+	CRICKET: ['BAT', 'BALL', 'PITCH'],
+	CRIME: [
+		'THIEF', 'SPY', 'SMUGGLER', 'PIRATE', 'POLICE', 'LAWYER', 'COURT', 'POISON', 'PISTOL', 'LOCK', 'KNIFE',
+		'PLOT', 'CELL',
+	],
+	CRUNCH: ['CHIP', 'PRETZEL', 'NUT', 'POPCORN', 'TOAST'],
+	CUT: ['KNIFE'],
+	CYCLE: ['TRACK'],
+	DAIRY: ['BUTTER', 'CHEESE', 'CREAM', 'YOGURT', 'ICE CREAM'],
+	DANCE: ['BALL', 'SWING', 'CONCERT', 'BAND'],
+	DANGER: ['BOMB', 'POISON', 'MISSILE', 'SHARK', 'SCORPION', 'AVALANCHE', 'CLIFF'],
+	DEATH: ['GHOST', 'UNDERTAKER', 'POISON', 'SOUL', 'BOMB', 'MISSILE'],
+	DEER: ['BUCK', 'CALF', 'HORN', 'FOREST'],
+	DENTIST: ['TOOTH', 'DRILL', 'BRUSH', 'PASTE', 'MOUTH'],
+	DESERT: ['SAND', 'DUNE', 'CANYON', 'PYRAMID', 'EGYPT'],
+	DESSERT: [
+		'CAKE', 'PIE', 'PUDDING', 'ICE CREAM', 'COOKIE', 'FUDGE', 'DONUT', 'MUFFIN', 'WAFFLE', 'PANCAKE',
+		'CHOCOLATE',
+	],
+	DIG: ['MINE', 'PIT', 'HOLE', 'DRILL', 'ROOT', 'GROUND', 'MOLE', 'WORM'],
+	DISASTER: ['AVALANCHE', 'FLOOD', 'TORNADO', 'STORM', 'CRASH', 'BOMB', 'VOLCANO'],
+	DOG: ['BARK', 'VET'],
+	DOLLAR: ['BUCK', 'BILL', 'CHANGE', 'BANK'],
+	DOOR: ['KEY', 'LOCK', 'BELL'],
+	DRESSING: ['SALAD', 'VINEGAR', 'OLIVE', 'DRESS'],
+	DRILL: ['HOLE'],
+	DRINK: ['COFFEE', 'TEA', 'WINE', 'CIDER', 'BROTH', 'WATER'],
+	EARTH: ['GROUND', 'ROOT', 'WORM', 'MOLE', 'MOUNTAIN'],
+	ELECTRIC: ['BATTERY', 'CHARGE', 'SWITCH', 'LIGHT', 'CELL', 'ENGINE', 'LASER', 'ROBOT'],
+	ELEPHANT: ['TRUNK', 'IVORY', 'MAMMOTH'],
+	EUROPEAN: ['EUROPE', 'ENGLAND', 'FRANCE', 'GERMANY', 'GREECE', 'CZECH', 'LONDON', 'BERLIN', 'ROME', 'ALPS'],
+	EXOTIC: ['ORCHID', 'MANGO', 'PALM'],
+	FACIAL: ['EYE', 'FACE', 'MOUTH', 'TOOTH', 'HEAD', 'PUPIL'],
+	FAIR: ['SWING', 'CANDY', 'RING'],
+	FALL: ['DROP', 'TRIP', 'SLIP', 'CRASH', 'SINK', 'PARACHUTE', 'CLIFF', 'AVALANCHE', 'WATERFALL'],
+	FANTASY: ['DRAGON', 'UNICORN', 'WITCH', 'SPELL', 'DWARF', 'GIANT', 'KNIGHT', 'PRINCESS', 'CLOAK', 'CROWN'],
+	FARM: ['HORSE', 'CALF', 'CHICK', 'DUCK', 'TURKEY', 'FIELD', 'CORN', 'EGG', 'HAM', 'FENCE', 'YARD', 'BARK'],
+	FASHION: ['DRESS', 'SUIT', 'TIE', 'MODEL', 'BELT', 'SHOE', 'BUTTON', 'COTTON'],
+	FAST: ['JET', 'LASER', 'FALCON'],
+	FASTFOOD: ['BURGER', 'PIZZA', 'TACO', 'CHIP', 'KETCHUP', 'DONUT'],
+	FINGER: ['THUMB', 'NAIL', 'RING', 'HAND', 'POINT', 'PIN', 'GLOVE'],
+	FIRE: ['TORCH', 'LIGHT', 'MATCH', 'BOMB', 'LAVA', 'VOLCANO'],
+	FISHING: ['HOOK', 'LINE', 'NET', 'WORM', 'POLE', 'FISH'],
+	FLAVOR: ['SPICE', 'SALT', 'SUGAR', 'VANILLA', 'MINT', 'GARLIC', 'CINNAMON', 'CARAMEL'],
+	FLIGHT: ['PLANE', 'JET', 'PILOT', 'PARACHUTE', 'HELICOPTER', 'FLY', 'EAGLE', 'HAWK', 'SATELLITE'],
+	FLOWER: ['ROSE', 'TULIP', 'ORCHID', 'BLOSSOM', 'SPRING', 'THORN', 'BEE'],
+	FLY: ['BUG', 'JET', 'PLANE'],
+	FOG: ['MIST', 'CLOUD', 'DEW', 'BREEZE'],
+	FOREST: [
+		'TREE', 'OAK', 'PINE', 'BIRCH', 'WILLOW', 'MAPLE', 'BRANCH', 'LEAF', 'LOG', 'BARK', 'GROVE', 'FERN',
+		'MOSS', 'WOLF', 'FOX', 'OWL',
+	],
+	FRENCH: ['FRANCE', 'WINE', 'CHEESE', 'BREAD'],
+	FRUIT: [
+		'APPLE', 'ORANGE', 'LEMON', 'LIME', 'BANANA', 'BERRY', 'CHERRY', 'GRAPE', 'KIWI', 'MANGO', 'MELON',
+		'PEACH', 'PEAR', 'PLUM', 'FIG', 'COCONUT', 'OLIVE', 'TOMATO',
+	],
+	FUNGUS: ['MUSHROOM', 'MOSS', 'LICHEN', 'ALGAE'],
+	FURNITURE: ['TABLE', 'CHAIR', 'BED', 'CHEST'],
+	GAMBLE: ['CASINO', 'ROULETTE', 'DICE', 'CARD', 'CHIP', 'LUCK', 'POUND', 'BANK'],
+	GAME: ['DICE', 'CARD', 'BOARD', 'MATCH', 'PLAY', 'TAG', 'CHECK', 'ROULETTE'],
+	GARDEN: ['ROSE', 'TULIP', 'GRASS', 'SEED', 'ROOT', 'IVY', 'BEE', 'WORM', 'SLUG', 'FENCE', 'YARD', 'SPRING', 'POND'],
+	GEOLOGY: ['ROCK', 'CRYSTAL', 'MARBLE', 'LAVA', 'VOLCANO', 'GEYSER', 'BOULDER', 'PEBBLE'],
+	GEOMETRY: ['CIRCLE', 'SQUARE', 'TRIANGLE', 'LINE', 'POINT', 'DEGREE', 'FIGURE', 'RULER'],
+	GHOST: ['SOUL', 'SHADOW'],
+	GLASS: ['BOTTLE', 'MUG', 'TELESCOPE', 'MICROSCOPE'],
+	GOD: ['JUPITER', 'MERCURY', 'SATURN', 'OLYMPUS', 'ANGEL', 'TEMPLE', 'CHURCH', 'SOUL'],
+	GOLF: ['CLUB', 'HOLE', 'SWING', 'GREEN', 'BALL'],
+	GRASS: ['FIELD', 'PARK', 'YARD', 'STRAW', 'MEADOW'],
+	GREEK: ['GREECE', 'OLYMPUS', 'CENTAUR', 'PHOENIX', 'TEMPLE', 'ATLANTIS'],
+	GREEN: ['GRASS', 'LIME', 'MINT', 'OLIVE', 'KIWI', 'LEAF', 'FERN', 'MOSS', 'PICKLE'],
+	GRILL: ['STEAK', 'BURGER', 'SAUSAGE', 'BEEF', 'CORN'],
+	GYM: ['DRILL', 'ROW', 'LAP', 'SWING', 'BALL', 'FIGHTER'],
+	HALLOWEEN: ['PUMPKIN', 'WITCH', 'GHOST', 'CANDY', 'BAT', 'SPIDER'],
+	HAT: ['CAP', 'HOOD', 'CROWN'],
+	HEALTH: ['DOCTOR', 'NURSE', 'HOSPITAL', 'DISEASE', 'HEART', 'VET'],
+	HEAT: ['FIRE', 'SUN', 'CHILI', 'CURRY', 'PEPPER', 'LAVA', 'VOLCANO', 'DESERT'],
+	HERB: ['BASIL', 'MINT', 'GINGER', 'GARLIC'],
+	HERO: ['SUPERHERO', 'KNIGHT', 'GIANT', 'FIGHTER', 'SOLDIER', 'COMIC', 'CLOAK'],
+	HISTORY: ['REVOLUTION', 'WAR', 'KNIGHT', 'AZTEC', 'PYRAMID', 'DINOSAUR', 'MAMMOTH'],
+	HIT: ['STRIKE', 'BEAT', 'BAT', 'CRASH', 'SHOT'],
+	HOCKEY: ['CANADA', 'ICE', 'STICK'],
+	HOLE: ['PIT', 'WELL', 'MINE', 'CAVE'],
+	HONEY: ['BEE', 'SYRUP', 'BEAR'],
+	HORN: ['BUGLE', 'UNICORN', 'CAR'],
+	HORSE: ['HORSESHOE', 'TRACK', 'CENTAUR', 'UNICORN', 'STAFF'],
+	HOSPITAL: ['DOCTOR', 'NURSE', 'AMBULANCE', 'DISEASE', 'CELL', 'VET', 'HEART', 'DEATH', 'DRILL', 'NEEDLE'],
+	HOUSE: ['WALL', 'BED', 'TABLE', 'CHAIR', 'SINK', 'KEY', 'LOCK', 'YARD', 'FENCE', 'WASHER', 'VACUUM'],
+	ILLNESS: ['COLD', 'DISEASE', 'DOCTOR', 'NURSE'],
+	INSECT: ['BUG', 'FLY', 'SPIDER', 'SCORPION', 'BEE', 'CRICKET', 'WORM', 'SLUG', 'WEB'],
+	INTERNET: ['WEB', 'LINK', 'SERVER', 'MAIL', 'POST', 'SCREEN', 'NET'],
+	IRISH: ['LEPRECHAUN', 'GREEN', 'LUCK', 'GOLD'],
+	ISLAND: ['BERMUDA', 'BAY', 'REEF', 'CORAL', 'PALM', 'SHORE', 'ATLANTIS'],
+	ITALY: ['ROME', 'PIZZA', 'PASTA', 'OLIVE', 'OPERA'],
+	JAPANESE: ['SUSHI', 'TOFU', 'RICE', 'TOKYO', 'NINJA'],
+	JEWEL: ['DIAMOND', 'RING', 'CROWN', 'GOLD', 'MARBLE', 'IVORY', 'CRYSTAL', 'PIN'],
+	JOB: [
+		'TEACHER', 'DOCTOR', 'NURSE', 'LAWYER', 'PILOT', 'COOK', 'VET', 'SCIENTIST', 'CONDUCTOR', 'UNDERTAKER',
+		'SOLDIER', 'POLICE', 'MODEL', 'SERVER', 'SPY', 'THIEF', 'STAFF',
+	],
+	JOKE: ['COMIC', 'PLAY', 'PIE', 'SLIP', 'LAP'],
+	JUDGE: ['COURT', 'LAWYER', 'SCALE'],
+	JUMP: ['SPRING', 'KANGAROO', 'RABBIT', 'PARACHUTE'],
+	JUNGLE: ['AMAZON', 'LION', 'FOREST'],
+	KEY: ['LOCK', 'CODE', 'CHEST', 'PIANO'],
+	KITCHEN: ['FORK', 'KNIFE', 'PAN', 'PLATE', 'MUG', 'SINK', 'COOK', 'GLASS', 'WASHER', 'TAP'],
+	KNOT: ['TIE', 'BOW', 'STRING', 'LINE'],
+	LABEL: ['TAG', 'NOTE', 'FILE'],
+	LAKE: ['POND', 'RIVER', 'WATER', 'FISH'],
+	LATIN: ['MEXICO', 'AZTEC', 'AMAZON', 'TACO', 'CHILI'],
+	LAW: ['LAWYER', 'COURT', 'CONTRACT', 'CHARGE', 'BOND', 'BILL', 'STATE', 'POLICE'],
+	LENS: ['TELESCOPE', 'MICROSCOPE', 'EYE', 'GLASS', 'PUPIL'],
+	LETTER: ['MAIL', 'POST', 'NOTE', 'CARD', 'PAPER'],
+	LIGHT: ['TORCH', 'STAR', 'SUN', 'LASER', 'RAY', 'FIRE', 'SPOT'],
+	LIGHTHOUSE: ['LIGHT', 'TOWER', 'SHORE', 'SHIP', 'ROCK'],
+	LIMB: ['ARM', 'FOOT', 'HAND', 'BRANCH'],
+	LIVING: ['LIFE', 'SOUL', 'HEART', 'CELL'],
+	LOCK: ['KEY', 'BOLT', 'CHEST'],
+	LOUD: ['BOOM', 'BELL', 'HORN', 'BUGLE', 'THUNDER', 'BOMB', 'CONCERT'],
+	LUCKY: ['LUCK', 'HORSESHOE', 'LEPRECHAUN', 'DICE', 'CASINO', 'ROULETTE', 'STAR'],
+	MACHINE: ['ENGINE', 'ROBOT', 'CRANE', 'DRILL', 'VACUUM', 'WASHER', 'SWITCH', 'COMPOUND'],
+	MAGIC: ['SPELL', 'WITCH', 'CLOAK', 'CARD', 'RING', 'DICE', 'GENIUS', 'UNICORN', 'LUCK'],
+	MARINE: [
+		'WHALE', 'SHARK', 'SEAL', 'OCTOPUS', 'FISH', 'SUB', 'SHIP', 'SCUBA DIVER', 'CORAL', 'REEF', 'TIDE', 'WAVE',
+		'ALGAE',
+	],
+	MARTIAL: ['NINJA', 'FIGHTER', 'BELT', 'KNIFE'],
+	MASH: ['POTATO', 'GRAVY', 'BUTTER'],
+	MEADOW: ['FIELD', 'GRASS', 'HILL', 'VALLEY', 'BLOSSOM', 'BEE'],
+	MEASURE: ['RULER', 'SCALE', 'DEGREE', 'POUND', 'YARD', 'FOOT', 'MASS', 'TIME', 'WATCH'],
+	MEAT: ['BACON', 'BEEF', 'BURGER', 'HAM', 'SAUSAGE', 'STEAK', 'TURKEY', 'DUCK'],
+	MELON: ['GRAPE'],
+	METAL: ['GOLD', 'IRON', 'COPPER', 'LEAD', 'MERCURY', 'NAIL', 'PLATE', 'BOLT'],
+	MIDDLE: ['CENTER', 'HEART', 'POINT'],
+	MONEY: [
+		'BANK', 'BILL', 'CHANGE', 'CHECK', 'POUND', 'GOLD', 'COPPER', 'STOCK', 'MILLIONAIRE', 'CASINO', 'MINT',
+		'CAPITAL',
+	],
+	MONSTER: ['LOCHNESS', 'GIANT', 'DRAGON', 'GHOST'],
+	MOON: ['STAR', 'NIGHT', 'SATELLITE', 'TIDE'],
+	MORNING: ['DEW', 'SUN', 'COFFEE'],
+	MOUNTAIN: [
+		'MOUNT', 'CLIFF', 'ALPS', 'HIMALAYAS', 'OLYMPUS', 'AVALANCHE', 'GLACIER', 'VALLEY', 'HILL', 'BOULDER',
+		'CANYON',
+	],
+	MOVIE: ['FILM', 'HOLLYWOOD', 'SCREEN', 'CAST', 'STAR', 'SHOT', 'PLOT', 'THEATER', 'SUPERHERO'],
+	MUSIC: [
+		'BAND', 'CONCERT', 'CONDUCTOR', 'OPERA', 'PIANO', 'FLUTE', 'HORN', 'BUGLE', 'ORGAN', 'NOTE', 'PITCH',
+		'SCALE', 'BEAT', 'STRING', 'SOUND', 'ROCK', 'BOW',
+	],
+	MYTH: [
+		'CENTAUR', 'DRAGON', 'UNICORN', 'PHOENIX', 'GIANT', 'DWARF', 'LEPRECHAUN', 'GHOST', 'WITCH', 'ANGEL',
+		'ALIEN', 'ATLANTIS', 'LOCHNESS', 'OLYMPUS',
+	],
+	NEST: ['ROBIN', 'EAGLE', 'HAWK', 'OWL', 'EGG'],
+	NEWS: ['PRESS', 'PAPER', 'POST', 'SCREEN'],
+	NIGHT: ['MOON', 'STAR', 'SHADOW', 'OWL', 'BAT', 'GHOST', 'TORCH'],
+	NINJA: ['SHADOW', 'KNIFE', 'STAR', 'TOKYO'],
+	NOODLE: ['PASTA', 'SOUP', 'BROTH', 'DUMPLING'],
+	NUMBER: ['FIGURE', 'POINT', 'DEGREE', 'POUND', 'SCALE', 'MASS'],
+	OFFICE: ['FILE', 'PAPER', 'NOTE', 'CHAIR', 'TABLE', 'SCREEN', 'PIN', 'STAFF', 'POST', 'MAIL'],
+	OLYMPIC: ['TRACK', 'POOL', 'POLE', 'RING', 'GOLD', 'STADIUM', 'TORCH', 'GREECE', 'OLYMPUS'],
+	ORANGE: ['CARROT', 'PUMPKIN', 'MANGO', 'PEACH'],
+	ORCHARD: ['APPLE', 'PEAR', 'PLUM', 'CHERRY', 'FIG', 'PEACH'],
+	ORCHESTRA: ['CONDUCTOR', 'FLUTE', 'HORN', 'PIANO', 'ORGAN', 'STRING', 'BOW', 'BAND', 'CONCERT', 'SCALE'],
+	PAPER: ['FILE', 'NOTE', 'CARD', 'MAIL', 'TABLET'],
+	PARK: ['SWING', 'TREE', 'GRASS', 'POND'],
+	PARTY: ['BALL', 'BAND', 'DANCE', 'CAKE', 'CONCERT'],
+	PEBBLE: ['STONE', 'ROCK', 'BOULDER', 'MARBLE'],
+	PET: ['CAT', 'DOG', 'MOUSE', 'RABBIT', 'FISH', 'LITTER', 'VET'],
+	PETROL: ['OIL', 'GAS', 'ENGINE', 'CAR'],
+	PIECE: ['PART', 'CHIP', 'BLOCK'],
+	PIRATE: ['SHIP', 'PORT', 'GOLD', 'HOOK', 'CHEST', 'BOTTLE'],
+	PLANET: ['SATURN', 'JUPITER', 'MERCURY', 'MOON', 'STAR', 'RING', 'SATELLITE'],
+	PLANT: ['ROOT', 'LEAF', 'SEED', 'BLOSSOM', 'FERN', 'MOSS', 'IVY', 'ALGAE', 'LICHEN', 'THORN', 'GRASS', 'STRAW'],
+	PLASTIC: ['STRAW', 'BOTTLE', 'CARD'],
+	PLAY: ['GAME', 'MATCH', 'THEATER', 'DICE', 'SWING', 'PITCH'],
+	PLAYGROUND: ['SWING', 'SAND', 'BALL', 'KID'],
+	PLUMBER: ['PIPE', 'SINK', 'TAP', 'TUBE', 'DRILL', 'WATER'],
+	POET: ['SHAKESPEARE', 'NOVEL', 'NOTE', 'PAPER', 'LINE'],
+	POISON: ['SCORPION', 'SPIDER', 'WITCH', 'DEATH'],
+	POKER: ['CARD', 'DECK', 'CHIP', 'CASINO', 'JACK', 'KING', 'QUEEN', 'CLUB', 'DIAMOND', 'HEART', 'BILL'],
+	POLAR: ['ANTARCTICA', 'PENGUIN', 'SEAL', 'WHALE', 'ICE', 'SNOW', 'POLE', 'GLACIER'],
+	POLICE: ['CELL', 'LOCK', 'THIEF', 'CAR', 'CHARGE', 'STRIKE'],
+	PREHISTORIC: ['DINOSAUR', 'MAMMOTH', 'CAVE'],
+	PRINT: ['PRESS', 'PAPER'],
+	PUB: ['BAR', 'WINE', 'CIDER', 'GLASS', 'MUG'],
+	RACE: ['TRACK', 'CAR', 'HORSE', 'CYCLE', 'LAP'],
+	RAILWAY: ['TRAIN', 'TRACK', 'LINE', 'ENGINE', 'CONDUCTOR', 'SWITCH', 'TUBE'],
+	RAINFOREST: ['JUNGLE', 'AMAZON', 'TREE', 'ORCHID'],
+	RECYCLE: ['PLASTIC', 'PAPER', 'BOTTLE', 'GLASS'],
+	RED: ['CHERRY', 'TOMATO', 'ROSE', 'APPLE', 'HEART', 'FIRE', 'BERRY', 'CHILI'],
+	RELIGION: ['CHURCH', 'TEMPLE', 'ANGEL', 'SOUL', 'GRACE', 'CROSS', 'MASS'],
+	RICH: ['MILLIONAIRE', 'GOLD', 'DIAMOND', 'CASINO', 'LIMOUSINE', 'BANK', 'STOCK', 'HOTEL', 'IVORY'],
+	RISOTTO: ['RICE', 'MUSHROOM'],
+	RIVER: ['STREAM', 'BROOK', 'CREEK', 'DELTA', 'BANK', 'BRIDGE', 'AMAZON', 'WATERFALL', 'VALLEY'],
+	ROAD: ['CAR', 'VAN', 'TRACK', 'LINE', 'BRIDGE', 'CRASH', 'CYCLE', 'PARK'],
+	ROBOT: ['ENGINE', 'LASER', 'SCREEN', 'SWITCH', 'BATTERY', 'GENIUS', 'SCIENTIST'],
+	ROCK: ['STONE', 'BOULDER', 'PEBBLE', 'CLIFF', 'MARBLE', 'CRYSTAL', 'LAVA', 'CAVE'],
+	ROPE: ['STRING', 'LINE', 'TIE'],
+	ROYAL: ['KING', 'QUEEN', 'PRINCESS', 'CROWN', 'KNIGHT', 'COURT', 'JACK', 'RING', 'DIAMOND'],
+	SAFARI: ['LION', 'BUFFALO', 'AFRICA', 'DESERT'],
+	SALAD: ['TOMATO', 'OLIVE', 'ONION', 'VINEGAR', 'LEMON'],
+	SAUCE: ['KETCHUP', 'MUSTARD', 'GRAVY', 'VINEGAR', 'SYRUP', 'CURRY', 'PASTE'],
+	SCALE: ['FISH'],
+	SCARF: ['TIE', 'CLOAK', 'COTTON'],
+	SCHOOL: ['TEACHER', 'PUPIL', 'RULER', 'PAPER', 'BOARD', 'DEGREE', 'LAB', 'NOTE', 'BELL'],
+	SCIENCE: [
+		'LAB', 'SCIENTIST', 'MICROSCOPE', 'TELESCOPE', 'LASER', 'COMPOUND', 'DEGREE', 'CELL', 'GAS', 'MASS',
+		'FORCE', 'ENGINE', 'ROBOT',
+	],
+	SEASON: ['SPRING', 'FALL', 'MARCH', 'DAY', 'DATE'],
+	SECRET: ['SPY', 'AGENT', 'CODE', 'KEY', 'LOCK', 'BOND', 'SHADOW', 'NINJA', 'CLOAK', 'MOLE'],
+	SECURITY: ['LOCK', 'KEY', 'FENCE', 'WALL', 'CODE'],
+	SEWING: ['NEEDLE', 'PIN', 'BUTTON', 'STRING', 'COTTON', 'DRESS'],
+	SHADOW: ['GHOST', 'NIGHT', 'SUN'],
+	SHAPE: ['CIRCLE', 'SQUARE', 'TRIANGLE', 'FIGURE', 'LINE', 'POINT', 'CROSS', 'STAR'],
+	SHARP: ['KNIFE', 'NEEDLE', 'PIN', 'NAIL', 'SPIKE', 'THORN', 'TOOTH', 'FORK', 'HOOK'],
+	SHIP: ['PORT', 'DECK', 'PILOT', 'TRUNK', 'WAKE', 'ROW'],
+	SHOE: ['BOOT', 'SOCK', 'HORSESHOE', 'FOOT'],
+	SHOP: ['FAIR'],
+	SIGNAL: ['TORCH', 'BELL', 'WAVE', 'HORN'],
+	SKY: ['CLOUD', 'STAR', 'MOON', 'SUN', 'RAINBOW', 'PLANE', 'JET'],
+	SLOPE: ['HILL', 'AVALANCHE', 'CLIFF'],
+	SLOW: ['SLUG'],
+	SMALL: ['DWARF', 'MOUSE', 'MOLE', 'PIN', 'SEED', 'BUTTON'],
+	SMOKE: ['PIPE', 'FIRE', 'TORCH', 'LOG'],
+	SNACK: ['CHIP', 'POPCORN', 'PRETZEL', 'NUT', 'CANDY', 'COOKIE'],
+	SNAKE: ['POISON', 'SCALE'],
+	SOCCER: ['BALL', 'PITCH', 'STADIUM', 'FAN', 'BOOT', 'FIELD', 'SHOT', 'STRIKE'],
+	SOUND: ['BOOM', 'BELL', 'HORN', 'BUGLE', 'THUNDER'],
+	SOUP: ['BROTH', 'ONION', 'TOMATO', 'NOODLE'],
+	SOUR: ['LEMON', 'LIME', 'VINEGAR', 'PICKLE', 'YOGURT'],
+	SPACE: [
+		'MOON', 'STAR', 'SATURN', 'JUPITER', 'MERCURY', 'SATELLITE', 'TELESCOPE', 'ALIEN', 'ROBOT', 'LASER', 'RAY',
+		'PLANE', 'JET',
+	],
+	SPICE: ['PEPPER', 'SALT', 'CINNAMON', 'GINGER', 'GARLIC', 'CHILI', 'CURRY', 'BASIL', 'MINT', 'MUSTARD', 'VANILLA'],
+	SPINE: ['BACK', 'THORN'],
+	SPORT: [
+		'BALL', 'CLUB', 'COURT', 'FIELD', 'GAME', 'MATCH', 'PITCH', 'RACKET', 'STADIUM', 'TRACK', 'POOL', 'SHOT',
+		'STRIKE', 'SWING', 'CRICKET', 'POLE', 'GLOVE', 'FAN',
+	],
+	SPRING: ['WELL', 'STREAM'],
+	SPY: ['AGENT', 'BOND', 'CODE', 'MOLE', 'SHADOW', 'EMBASSY', 'SATELLITE'],
+	STAIN: ['SPOT', 'WASHER'],
+	STAR: ['SUN', 'HOLLYWOOD'],
+	STICK: ['POLE', 'STAFF', 'LOG', 'BAT'],
+	STORM: ['THUNDER', 'LIGHTNING', 'RAIN', 'WIND', 'TORNADO', 'HAIL', 'FLOOD', 'WAVE'],
+	STORY: ['NOVEL', 'PLOT', 'COMIC', 'SHAKESPEARE', 'SPELL', 'GIANT', 'PRINCESS', 'PIRATE'],
+	STRAW: ['GRASS'],
+	STRONG: ['IRON', 'FORCE', 'GIANT', 'BOULDER'],
+	SWAMP: ['MARSH', 'ALGAE', 'MOSS', 'LICHEN', 'POND'],
+	SWEET: [
+		'CANDY', 'CHOCOLATE', 'CARAMEL', 'FUDGE', 'HONEY', 'SUGAR', 'SYRUP', 'CAKE', 'COOKIE', 'DONUT', 'MUFFIN',
+		'PUDDING', 'JELLY', 'JAM', 'ICE CREAM', 'VANILLA', 'PIE',
+	],
+	SWIM: ['POOL', 'WATER', 'SCUBA DIVER', 'WAVE', 'BEACH', 'DROP', 'SINK'],
+	TAIL: ['DOG', 'CAT', 'FOX', 'MOUSE'],
+	TALL: ['SKYSCRAPER', 'TOWER', 'GIANT', 'CRANE'],
+	TENNIS: ['RACKET', 'COURT', 'NET', 'BALL', 'MATCH', 'SERVER', 'POINT'],
+	TENTACLE: ['OCTOPUS'],
+	THEATER: ['PLAY', 'OPERA', 'CAST', 'SHAKESPEARE', 'SCREEN', 'FILM', 'DANCE', 'COMIC'],
+	THIN: ['NEEDLE', 'PIN', 'STRAW', 'STRING', 'PAPER'],
+	TICK: ['CHECK', 'WATCH', 'BUG'],
+	TOOL: ['DRILL', 'NAIL', 'HOOK', 'BOLT', 'RULER', 'NEEDLE', 'PIN', 'SCALE', 'CRANE'],
+	TOPPING: ['SAUCE', 'KETCHUP', 'MUSTARD', 'CHEESE', 'SYRUP', 'CREAM'],
+	TOWER: ['SKYSCRAPER', 'CRANE'],
+	TOWN: ['LONDON', 'BERLIN', 'MOSCOW', 'ROME', 'TOKYO', 'BEIJING', 'WASHINGTON', 'HOLLYWOOD', 'NEW YORK'],
+	TRAVEL: ['TRIP', 'HOTEL', 'PLANE', 'TRAIN', 'PASS', 'CAR', 'VAN', 'TRUNK', 'JET', 'PILOT', 'EMBASSY'],
+	TREE: [
+		'OAK', 'PINE', 'BIRCH', 'WILLOW', 'MAPLE', 'PALM', 'OLIVE', 'BRANCH', 'LEAF', 'ROOT', 'BARK', 'TRUNK',
+		'LOG', 'ACORN', 'SEED',
+	],
+	TRIANGLE: ['BERMUDA', 'PYRAMID'],
+	TROPICAL: ['MANGO', 'COCONUT', 'BANANA', 'PALM', 'KIWI', 'ISLAND'],
+	TROUSERS: ['PANTS', 'BELT', 'SUIT'],
+	USA: ['AMERICA', 'WASHINGTON', 'NEW YORK', 'HOLLYWOOD', 'STATE', 'BUFFALO'],
+	VEGETABLE: [
+		'CARROT', 'POTATO', 'ONION', 'CORN', 'BEAN', 'PUMPKIN', 'TOMATO', 'PEPPER', 'MUSHROOM', 'GARLIC', 'PICKLE',
+	],
+	VEHICLE: ['CAR', 'VAN', 'TRAIN', 'PLANE', 'JET', 'HELICOPTER', 'LIMOUSINE', 'AMBULANCE', 'SUB', 'SHIP', 'CYCLE'],
+	VOLCANO: ['LAVA', 'GEYSER'],
+	WAKE: ['SHIP'],
+	WALL: ['FENCE', 'BLOCK', 'CHINA'],
+	WAR: ['SOLDIER', 'BOMB', 'MISSILE', 'PISTOL', 'FIGHTER', 'SHOT', 'FORCE', 'KNIGHT', 'REVOLUTION', 'SPY', 'PLANE'],
+	WATER: [
+		'POOL', 'RIVER', 'STREAM', 'LAKE', 'OCEAN', 'WAVE', 'TIDE', 'RAIN', 'DROP', 'WELL', 'SINK', 'TAP',
+		'SPRING', 'BROOK', 'CREEK', 'POND', 'FLOOD', 'WATERFALL',
+	],
+	WAVE: ['HAND', 'TIDE', 'BEACH', 'OCEAN', 'SOUND'],
+	WEAPON: ['BOMB', 'MISSILE', 'PISTOL', 'KNIFE', 'BOW', 'STAFF', 'SPIKE', 'WHIP', 'POISON', 'LASER', 'STICK'],
+	WEATHER: [
+		'RAIN', 'SNOW', 'WIND', 'STORM', 'CLOUD', 'FOG', 'MIST', 'HAIL', 'THUNDER', 'LIGHTNING', 'TORNADO',
+		'FROST', 'SUN', 'RAINBOW', 'BREEZE',
+	],
+	WEIGHT: ['POUND', 'SCALE', 'MASS'],
+	WELL: ['WATER', 'HOLE', 'SPRING'],
+	WEST: ['HORSE', 'PISTOL', 'BUFFALO', 'CANYON', 'DESERT'],
+	WETLAND: ['SWAMP', 'MARSH', 'POND', 'ALGAE', 'DELTA'],
+	WING: ['BAT', 'ANGEL', 'PLANE', 'FLY', 'DRAGON', 'PHOENIX'],
+	WINTER: ['SNOW', 'SNOWMAN', 'ICE', 'COLD', 'FROST', 'GLACIER', 'AVALANCHE'],
+	WOOD: ['LOG', 'BOARD', 'OAK', 'PINE', 'BIRCH', 'STICK', 'BARK', 'TABLE', 'CHAIR', 'FENCE'],
+	WOODS: ['GROVE', 'FOREST', 'OAK', 'PINE'],
+	WORKER: ['STAFF', 'SERVER', 'NURSE', 'COOK', 'STRIKE'],
+	YELLOW: ['LEMON', 'BANANA', 'CORN', 'BUTTER', 'SUN', 'GOLD', 'HONEY', 'MUSTARD'],
+};
@@ -0,0 +1,146 @@
+/**
+ * COMPUTER PARTNERS
+ *
+ * A computer partner takes a seat in a duet game like a person would, and only plays from what that
+ * seat lets it see (see getWordView in src/rules.js). It links words through the themes bundled in
+ * src/associations.js, so it only knows the words of the English word packs.
+ */
+
+const ASSOCIATIONS = require('./associations');
+const { validateClue } = require('./clues');
+const { ROLES, KEY_NAMES, getOtherTeamId } = require('./rules');
+
+const BOT_NAME = 'Computer';
+
+// How readily a computer guesser guesses: the least a word must relate to the clue (see relate) for it to
+// guess the word, and whether it makes its first guess for a clue anyway rather than waste the turn
+const CAUTIONS = {
+	BOLD: { minScore: 0.25, alwaysGuessOnce: true },
+	NORMAL: { minScore: 0.5, alwaysGuessOnce: true },
+	CAREFUL: { minScore: 1, alwaysGuessOnce: false },
+};
+
+const DEFAULT_CAUTION = 'NORMAL';
+
+// word --> the themes it's in
+const THEMES_BY_WORD = Object.keys(ASSOCIATIONS).reduce((themesByWord, theme) => (
+	ASSOCIATIONS[theme].reduce((memo, word) => ({ ...memo, [word]: [...(memo[word] || []), theme] }), themesByWord)
+), {});
+
+// How much a clue is worth less for each non-agent it could lead to (a clue that could lead to an assassin is never given)
+const NON_AGENT_PENALTY = 0.5;
+
+/**
+ * Finds a word it has no themes for, as it can't play a board with one (e.g. words of a pack in another
+ * language, or custom words)
+ * @param  {String[]} boardWords
+ * @return {String|undefined} the first such word
+ */
+function findUnknownWord(boardWords) {
+	return boardWords.find(word => !THEMES_BY_WORD[word]);
+}
+
+// An agent that has been found on either key can't be guessed again
+function isFoundAgent({ roleRevealedForClueGiver: revealed }) {
+	return revealed.playerOne === ROLES.AGENT || revealed.playerTwo === ROLES.AGENT;
+}
+
+/**
+ * Thinks of a clue for the words on its own key
+ * @param  {Object} words - word --> what the bot's seat knows about it (see getWords in src/redis.js)
+ * @param  {Number} teamId - the bot's team
+ * @param  {String} [clueRules] - STRICT or RELAXED
+ * @return {Object|undefined} { word, number } (undefined if no theme links any of its agents safely)
+ */
+function chooseClue(words, teamId, clueRules) {
+	const boardWords = Object.keys(words);
+	const keyName = KEY_NAMES[teamId];
+	// Words its partner could still guess for its clue
+	const isOpen = word => !isFoundAgent(words[word]) && !words[word].roleRevealedForClueGiver[keyName];
+
+	const clues = Object.keys(ASSOCIATIONS).map((clueWord) => {
+		const related = ASSOCIATIONS[clueWord].filter(word => words[word] && isOpen(word));
+		const countRole = role => related.filter(word => words[word].role === role).length;
+		const agents = countRole(ROLES.AGENT);
+
+		return {
+			word: clueWord,
+			number: agents,
+			score: agents - (countRole(ROLES.NON_AGENT) * NON_AGENT_PENALTY),
+			isSafe: !countRole(ROLES.ASSASIN),
+		};
+	});
+
+	const [bestClue] = clues
+		.filter(({ word, number, isSafe }) => number > 0 && isSafe && !validateClue(word, number, boardWords, clueRules))
+		.sort((a, b) => b.score - a.score || b.number - a.number);
+
+	return bestClue && { word: bestClue.word, number: bestClue.number };
+}
+
+/**
+ * How closely a word on the board relates to a clue
+ * @param  {String} clueWord
+ * @param  {String} word
+ * @return {Number} 1 when one is a theme of the other, less for words that only share themes or letters, 0 otherwise
+ */
+function relate(clueWord, word) {
+	const clue = `${clueWord || ''}`.toUpperCase();
+
+	if ((ASSOCIATIONS[clue] || []).indexOf(word) > -1 || (ASSOCIATIONS[word] || []).indexOf(clue) > -1) return 1;
+
+	// A clue that is in some themes itself relates to the other words in them, more so the more themes they share
+	const clueThemes = THEMES_BY_WORD[clue] || [];
+	const sharedThemes = (THEMES_BY_WORD[word] || []).filter(theme => clueThemes.indexOf(theme) > -1);
+
+	if (sharedThemes.length) return Math.min(0.5 + (0.1 * (sharedThemes.length - 1)), 0.9);
+
+	// e.g. "SNOW" for "SNOWMAN", where the clue rules allow it
+	if (clue && (word.indexOf(clue) > -1 || clue.indexOf(word) > -1)) return 0.4;
+
+	return 0;
+}
+
+/**
+ * Ranks the words its partner's key could still have an agent under, by how closely they relate to a clue
+ * @param  {String} clueWord
+ * @param  {Object} words - word --> what the bot's seat knows about it (see getWords in src/redis.js)
+ * @param  {Number} teamId - the bot's team (it guesses the words on its partner's key)
+ * @return {Object[]} { word, score }, most closely related first
+ */
+function rankGuesses(clueWord, words, teamId) {
+	const partnerKeyName = KEY_NAMES[getOtherTeamId(teamId)];
+
+	return Object.keys(words)
+		.filter(word => !isFoundAgent(words[word]) && !words[word].roleRevealedForClueGiver[partnerKeyName])
+		.map(word => ({ word, score: relate(clueWord, word) }))
+		.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Picks the next word to guess for a clue, or none when it would rather end the turn
+ * @param  {String} clueWord
+ * @param  {Object} words - see rankGuesses
+ * @param  {Number} teamId - see rankGuesses
+ * @param  {Boolean} hasGuessed - whether it has already guessed a word for the clue
+ * @param  {String} [caution] - one of CAUTIONS
+ * @return {String|undefined} the word to guess
+ */
+function chooseGuess(clueWord, words, teamId, hasGuessed, caution) {
+	const { minScore, alwaysGuessOnce } = CAUTIONS[caution] || CAUTIONS[DEFAULT_CAUTION];
+	const [bestGuess] = rankGuesses(clueWord, words, teamId);
+
+	if (!bestGuess) return undefined;
+
+	return bestGuess.score >= minScore || (alwaysGuessOnce && !hasGuessed) ? bestGuess.word : undefined;
+}
+
+module.exports = {
+	BOT_NAME,
+	CAUTIONS,
+	DEFAULT_CAUTION,
+	findUnknownWord,
+	chooseClue,
+	rankGuesses,
+	chooseGuess,
+};
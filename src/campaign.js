@@ -0,0 +1,95 @@
+/**
+ * THE CAMPAIGN
+ *
+ * Missions are played in order along the map. Each one gives the pair of players a number of turns
+ * and a number of mistakes (revealed neutral words) they may make before losing. Winning a mission
+ * unlocks the next one.
+ */
+
+const MISSIONS = [
+	{
+		id: 'havana', name: 'Havana', turns: 9, mistakes: 9,
+	},
+	{
+		id: 'cairo', name: 'Cairo', turns: 9, mistakes: 6,
+	},
+	{
+		id: 'lisbon', name: 'Lisbon', turns: 9, mistakes: 4,
+	},
+	{
+		id: 'istanbul', name: 'Istanbul', turns: 8, mistakes: 8,
+	},
+	{
+		id: 'marrakesh', name: 'Marrakesh', turns: 8, mistakes: 5,
+	},
+	{
+		id: 'prague', name: 'Prague', turns: 8, mistakes: 3,
+	},
+	{
+		id: 'kyoto', name: 'Kyoto', turns: 7, mistakes: 7,
+	},
+	{
+		id: 'vienna', name: 'Vienna', turns: 7, mistakes: 4,
+	},
+	{
+		id: 'buenos-aires', name: 'Buenos Aires', turns: 7, mistakes: 2,
+	},
+	{
+		id: 'reykjavik', name: 'Reykjavik', turns: 6, mistakes: 6,
+	},
+	{
+		id: 'nairobi', name: 'Nairobi', turns: 6, mistakes: 3,
+	},
+	{
+		id: 'moscow', name: 'Moscow', turns: 5, mistakes: 1,
+	},
+];
+
+/**
+ * A campaign belongs to a pair of players, regardless of which of them is player one
+ * @param  {Number} playerIdOne
+ * @param  {Number} playerIdTwo
+ * @return {String} the id used to store the campaign
+ */
+function getCampaignId(playerIdOne, playerIdTwo) {
+	return [playerIdOne, playerIdTwo].sort((a, b) => a - b).join(':');
+}
+
+function getMission(missionId) {
+	return MISSIONS.find(mission => mission.id === missionId);
+}
+
+function getSettingsForMission(missionId) {
+	const { turns, mistakes } = getMission(missionId);
+	return { turns, mistakes };
+}
+
+function isMissionUnlocked(missionId, completedMissionIds = []) {
+	const index = MISSIONS.findIndex(mission => mission.id === missionId);
+
+	if (index === -1) return false;
+
+	return index === 0 || completedMissionIds.indexOf(MISSIONS[index - 1].id) > -1;
+}
+
+/**
+ * Describes the campaign map for a pair of players
+ * @param  {String[]} completedMissionIds - ids of the missions the pair has won
+ * @return {Object[]} every mission, along with whether it has been completed or unlocked
+ */
+function getMap(completedMissionIds = []) {
+	return MISSIONS.map(mission => ({
+		...mission,
+		completed: completedMissionIds.indexOf(mission.id) > -1,
+		unlocked: isMissionUnlocked(mission.id, completedMissionIds),
+	}));
+}
+
+module.exports = {
+	MISSIONS,
+	getCampaignId,
+	getMission,
+	getSettingsForMission,
+	isMissionUnlocked,
+	getMap,
+};
@@ -0,0 +1,66 @@
+/**
+ * CHAT
+ *
+ * Players can talk to each other during a game over its WebSocket, so remote players don't need another
+ * app beside the board. The latest messages are kept with the game and replayed to anyone who joins.
+ * A game can be set to block messages that name a word on the board (see blockBoardWordsInChat), so chat
+ * can't be used for hints the clue rules wouldn't allow.
+ */
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// How many of the latest messages are kept for a game
+const MAX_HISTORY_LENGTH = 100;
+
+// Anything that isn't part of a word in any of the word packs' languages
+const NOT_A_LETTER = '[^A-Z0-9À-Þ\'-]';
+
+/**
+ * Checks and tidies up the text of a message
+ * @param  {String} text
+ * @return {Object} { text } as it should be sent, or { error } describing why it can't be
+ */
+function normalizeMessage(text) {
+	const normalizedText = `${text || ''}`.trim().replace(/\s+/g, ' ');
+
+	if (!normalizedText) return { error: 'A message needs some text' };
+
+	if (normalizedText.length > MAX_MESSAGE_LENGTH) {
+		return { error: `A message can't be more than ${MAX_MESSAGE_LENGTH} characters` };
+	}
+
+	return { text: normalizedText };
+}
+
+/**
+ * Finds a word on the board named in a message, on its own or as a plural (e.g. "dogs" for "DOG")
+ * @param  {String} text - see normalizeMessage
+ * @param  {String[]} boardWords - every word on the board
+ * @return {String|undefined} the first word on the board the message names
+ */
+function findBoardWord(text, boardWords) {
+	const upperCaseText = text.toUpperCase();
+
+	return boardWords.find((word) => {
+		const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+		return new RegExp(`(^|${NOT_A_LETTER})${escapedWord}(E?S)?(${NOT_A_LETTER}|$)`).test(upperCaseText);
+	});
+}
+
+/**
+ * Gets a message as it's sent to the client, with its team as the client names it
+ * @param  {Object} message - { playerId, playerName, teamId, text } as it's kept with the game
+ * @return {Object} the message, with teamId 'one', 'two', or undefined for a player without a seat
+ */
+function getMessagePayload({ teamId, ...message }) {
+	return { ...message, teamId: { 1: 'one', 2: 'two' }[teamId] };
+}
+
+module.exports = {
+	MAX_MESSAGE_LENGTH,
+	MAX_HISTORY_LENGTH,
+	normalizeMessage,
+	findBoardWord,
+	getMessagePayload,
+};
@@ -0,0 +1,62 @@
+/**
+ * TURN CLOCKS
+ *
+ * In a timed game the server keeps a timer running for whoever is giving a clue or guessing. Deadlines are
+ * stored with the game (see RedisClient.setDeadline), so a clock can be picked up again after the server
+ * restarts; this only keeps the timers for the games this server is running.
+ */
+
+const TICK_SECONDS = 5;
+
+function getSecondsLeft(deadline, now = Date.now()) {
+	return Math.max(Math.ceil((deadline - now) / 1000), 0);
+}
+
+class Clocks {
+	/**
+	 * @param {Object} callbacks
+	 * @param {Function} callbacks.onTick - called with (gameId, deadline) every few seconds while a clock runs
+	 * @param {Function} callbacks.onTimeUp - called with (gameId, deadline) when time runs out
+	 */
+	constructor({ onTick, onTimeUp }) {
+		this.onTick = onTick;
+		this.onTimeUp = onTimeUp;
+		this.clocks = {};
+	}
+
+	/**
+	 * Starts the clock for a game, replacing any clock it already had
+	 * @param  {String} gameId
+	 * @param  {Number} deadline - when time runs out, in milliseconds since the epoch (may have passed already)
+	 */
+	start(gameId, deadline) {
+		this.stop(gameId);
+
+		this.clocks[gameId] = {
+			deadline,
+			timeout: setTimeout(() => {
+				this.stop(gameId);
+				this.onTimeUp(gameId, deadline);
+			}, Math.max(deadline - Date.now(), 0)),
+			interval: setInterval(() => this.onTick(gameId, deadline), TICK_SECONDS * 1000),
+		};
+	}
+
+	stop(gameId) {
+		const clock = this.clocks[gameId];
+
+		if (!clock) return;
+
+		clearTimeout(clock.timeout);
+		clearInterval(clock.interval);
+		delete this.clocks[gameId];
+	}
+
+	getDeadline(gameId) {
+		return this.clocks[gameId] && this.clocks[gameId].deadline;
+	}
+}
+
+Clocks.getSecondsLeft = getSecondsLeft;
+
+module.exports = Clocks;
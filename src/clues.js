@@ -0,0 +1,87 @@
+/**
+ * CLUE RULES
+ *
+ * A clue is a single word and a number. Each game picks how strictly the word is checked:
+ *
+ * STRICT: letters only, and the clue can't be a word on the board, part of one (e.g. "SNOW" when
+ * "SNOWMAN" is on the board) or contain one.
+ * RELAXED: digits, hyphens and apostrophes are allowed too (e.g. "ICE-CREAM" or "007"), and only a
+ * clue that is exactly a word on the board is rejected.
+ */
+
+const CLUE_RULES = {
+	STRICT: 'STRICT',
+	RELAXED: 'RELAXED',
+};
+
+const DEFAULT_CLUE_RULES = CLUE_RULES.STRICT;
+
+const MAX_CLUE_NUMBER = 25;
+
+const CLUE_PATTERNS = {
+	[CLUE_RULES.STRICT]: /^[A-ZÀ-Þ]+$/,
+	[CLUE_RULES.RELAXED]: /^[A-Z0-9À-Þ'-]+$/,
+};
+
+function normalizeClueRules(clueRules) {
+	const rules = `${clueRules || ''}`.trim().toUpperCase();
+	return CLUE_RULES[rules] || DEFAULT_CLUE_RULES;
+}
+
+function validateClueRules(clueRules) {
+	if (!CLUE_RULES[`${clueRules}`.toUpperCase()]) {
+		return `Clue rules must be one of ${Object.keys(CLUE_RULES).join(' or ')}`;
+	}
+
+	return undefined;
+}
+
+/**
+ * Checks a clue against the words on the board
+ * @param  {String} clueWord - the word given as a clue
+ * @param  {Number|String} clueNumber - the number of words the clue is for
+ * @param  {String[]} boardWords - every word on the board
+ * @param  {String} [clueRules] - STRICT or RELAXED
+ * @return {String|undefined} a message describing why the clue isn't allowed, if it isn't
+ */
+function validateClue(clueWord, clueNumber, boardWords, clueRules) {
+	const rules = normalizeClueRules(clueRules);
+	const word = `${clueWord || ''}`.trim().toUpperCase();
+	const number = Number(clueNumber);
+
+	if (!word) return 'A clue needs a word';
+
+	if (/\s/.test(word)) return `"${word}" is more than one word`;
+
+	if (!CLUE_PATTERNS[rules].test(word)) {
+		return rules === CLUE_RULES.STRICT ?
+			`"${word}" can only contain letters` :
+			`"${word}" can only contain letters, numbers, hyphens and apostrophes`;
+	}
+
+	if (!Number.isInteger(number) || number < 1 || number > MAX_CLUE_NUMBER) {
+		return `The number for a clue must be between 1 and ${MAX_CLUE_NUMBER}`;
+	}
+
+	if (boardWords.indexOf(word) > -1) return `"${word}" is a word on the board`;
+
+	if (rules === CLUE_RULES.STRICT) {
+		const containingWord = boardWords.find(boardWord => boardWord.indexOf(word) > -1);
+
+		if (containingWord) return `"${word}" is part of "${containingWord}", which is on the board`;
+
+		const containedWord = boardWords.find(boardWord => word.indexOf(boardWord) > -1);
+
+		if (containedWord) return `"${word}" contains "${containedWord}", which is on the board`;
+	}
+
+	return undefined;
+}
+
+module.exports = {
+	CLUE_RULES,
+	DEFAULT_CLUE_RULES,
+	normalizeClueRules,
+	validateClueRules,
+	validateClue,
+};
@@ -1,51 +1,125 @@
 /* eslint-disable no-console, no-use-before-define, no-param-reassign, no-plusplus */
 
-const WORDS = require('./words');
-
-const COUNTS = {
-	WORDS: 25,
-	AGENTS: 15,
-	AGENTS_PER_PLAYER: 9,
-	ASSASINS_PER_PLAYER: 3,
-	PLAYERS: 2,
-	TURNS: 9,
+const wordPacks = require('./word-packs');
+const { normalizeClueRules } = require('./clues');
+const {
+	ROLES,
+	PHASES,
+	GAME_TYPES,
+	CLASSIC_ROLES,
+	TEAM_COLORS,
+} = require('./rules');
+const { MAX_SEED, createSeed, createRandom } = require('./random');
+const {
+	COUNTS,
+	DEFAULT_SETTINGS,
+	PLAY_SETTINGS,
+	normalizeSettings,
+	validateSettings,
+	getTotalAgents,
+	normalizeCustomWords,
+	validateCustomWords,
+	normalizeGameType,
+	validateGameType,
+} = require('./settings');
+
+// The board of a classic game is always the same size: the team going first has one more agent to find
+const CLASSIC_COUNTS = {
+	FIRST_TEAM_AGENTS: 9,
+	SECOND_TEAM_AGENTS: 8,
+	ASSASINS: 1,
 };
 
-const ROLES = {
-	ASSASIN: 'ASSASIN',
-	AGENT: 'AGENT',
-	NON_AGENT: 'NON_AGENT',
-};
+// The order in which settings are written into a board code (one base-36 character each)
+const BOARD_CODE_SETTINGS = ['turns', 'mistakes', 'agentsPerPlayer', 'assasinsPerPlayer', 'overlappingAgents'];
+
+/**
+ * Describes a board in a short code that can be shared to replay the same board
+ * @param  {Number} seed - seed the board was built with
+ * @param  {Object} settings - settings the board was built with
+ * @param  {String[]} [wordPackIds] - word packs the board was built with
+ * @param  {String} [gameType] - the type of game the board was built for
+ * @return {String} the seed in base 36, followed by the settings and word packs if they aren't the defaults,
+ *                  and _C for a classic game
+ */
+function encodeBoardCode(seed, settings, wordPackIds, gameType) {
+	const normalizedSettings = normalizeSettings(settings);
+	const packIds = wordPacks.normalizePackIds(wordPackIds);
+	const seedCode = seed.toString(36).toUpperCase();
+	const settingsCode = BOARD_CODE_SETTINGS.map(key => normalizedSettings[key].toString(36).toUpperCase()).join('');
+	const defaultSettingsCode = BOARD_CODE_SETTINGS.map(key => normalizeSettings()[key].toString(36).toUpperCase()).join('');
+	const packsCode = packIds.join('+').toUpperCase();
+	const defaultPacksCode = wordPacks.DEFAULT_WORD_PACKS.join('+').toUpperCase();
+
+	let boardCode = seedCode;
+	if (settingsCode !== defaultSettingsCode) boardCode = `${boardCode}-${settingsCode}`;
+	if (packsCode !== defaultPacksCode) boardCode = `${boardCode}.${packsCode}`;
+	if (normalizeGameType(gameType) === GAME_TYPES.CLASSIC) boardCode = `${boardCode}_C`;
+
+	return boardCode;
+}
+
+/**
+ * Reads the seed and settings back out of a board code
+ * @param  {String} boardCode - a code made by encodeBoardCode
+ * @return {Object|undefined} the seed, settings, word packs and game type, or undefined if the code is not valid
+ */
+function decodeBoardCode(boardCode) {
+	const match = `${boardCode || ''}`.trim().toUpperCase().match(/^([0-9A-Z]{1,6})(?:-([0-9A-Z]{5}))?(?:\.([0-9A-Z+-]+))?(_C)?$/);
+
+	if (!match) return undefined;
+
+	const seed = parseInt(match[1], 36);
+	const settings = match[2] ? BOARD_CODE_SETTINGS.reduce((memo, key, index) => ({
+		...memo,
+		[key]: parseInt(match[2][index], 36),
+	}), {}) : normalizeSettings();
+
+	const wordPackIds = wordPacks.normalizePackIds(match[3] && match[3].split('+'));
 
-COUNTS.OVERLAPPING_AGENTS = (COUNTS.PLAYERS * COUNTS.AGENTS_PER_PLAYER) - COUNTS.AGENTS;
+	if (seed >= MAX_SEED || validateSettings(settings) || wordPacks.validatePackIds(wordPackIds)) return undefined;
 
-function shuffle(array) {
+	return {
+		seed,
+		settings,
+		wordPacks: wordPackIds,
+		gameType: match[4] ? GAME_TYPES.CLASSIC : GAME_TYPES.DUET,
+	};
+}
+
+function shuffle(array, random = Math.random) {
 	for (let i = array.length - 1; i > 0; i--) {
-		const j = Math.floor(Math.random() * (i + 1));
+		const j = Math.floor(random() * (i + 1));
 		[array[i], array[j]] = [array[j], array[i]];
 	}
 
 	return array;
 }
 
-function getRandomizedWords() {
-	return shuffle(WORDS.slice()).slice(0, COUNTS.WORDS);
+function getRandomizedWords(random, wordPackIds) {
+	return shuffle(wordPacks.getWordsForPacks(wordPackIds), random).slice(0, COUNTS.WORDS);
 }
 
-function getGameboard() {
+function getGameboard(settings = DEFAULT_SETTINGS, random = Math.random) {
+	const {
+		agentsPerPlayer,
+		assasinsPerPlayer,
+		overlappingAgents: overlappingAgentCount,
+	} = settings;
+
 	const overlappingAgents = [];
 	const playerOneAgents = [];
 	const playerTwoAgents = [];
 	const nonAgents = [];
 
-	for (let i = 0; i < COUNTS.OVERLAPPING_AGENTS; i++) {
+	for (let i = 0; i < overlappingAgentCount; i++) {
 		overlappingAgents.push({
 			playerOne: ROLES.AGENT,
 			playerTwo: ROLES.AGENT,
 		});
 	}
 
-	for (let j = 0; j < (COUNTS.AGENTS_PER_PLAYER - COUNTS.OVERLAPPING_AGENTS); j++) {
+	for (let j = 0; j < (agentsPerPlayer - overlappingAgentCount); j++) {
 		playerOneAgents.push({
 			playerOne: ROLES.AGENT,
 		});
@@ -55,16 +129,16 @@ function getGameboard() {
 		});
 	}
 
-	for (let k = 0; k < (COUNTS.WORDS - COUNTS.AGENTS); k++) {
+	for (let k = 0; k < (COUNTS.WORDS - getTotalAgents(settings)); k++) {
 		nonAgents.push({});
 	}
 
 	let playerOneAssasins = 0;
 	let playerTwoAssasins = 0;
-	let gameboard = shuffle(overlappingAgents.concat(nonAgents, playerOneAgents, playerTwoAgents));
+	let gameboard = shuffle(overlappingAgents.concat(nonAgents, playerOneAgents, playerTwoAgents), random);
 	gameboard.forEach((square) => {
 		if (!square.playerOne) {
-			if (playerOneAssasins < COUNTS.ASSASINS_PER_PLAYER) {
+			if (playerOneAssasins < assasinsPerPlayer) {
 				square.playerOne = ROLES.ASSASIN;
 				playerOneAssasins++;
 			} else {
@@ -72,10 +146,10 @@ function getGameboard() {
 			}
 		}
 	});
-	gameboard = shuffle(gameboard);
+	gameboard = shuffle(gameboard, random);
 	gameboard.forEach((square) => {
 		if (!square.playerTwo) {
-			if (playerTwoAssasins < COUNTS.ASSASINS_PER_PLAYER) {
+			if (playerTwoAssasins < assasinsPerPlayer) {
 				square.playerTwo = ROLES.ASSASIN;
 				playerTwoAssasins++;
 			} else {
@@ -84,15 +158,52 @@ function getGameboard() {
 		}
 	});
 
-	return shuffle(gameboard);
+	return shuffle(gameboard, random);
 }
 
-function getWordMap() {
-	const words = getRandomizedWords();
-	const gameboard = getGameboard();
+// The shared key of a classic game, where either team may be the one going first
+function getClassicGameboard(random = Math.random) {
+	const firstTeamId = random() < 0.5 ? 1 : 2;
+	const secondTeamId = firstTeamId === 1 ? 2 : 1;
+	const roles = [];
+
+	for (let i = 0; i < CLASSIC_COUNTS.FIRST_TEAM_AGENTS; i++) roles.push(TEAM_COLORS[firstTeamId]);
+	for (let j = 0; j < CLASSIC_COUNTS.SECOND_TEAM_AGENTS; j++) roles.push(TEAM_COLORS[secondTeamId]);
+	for (let k = 0; k < CLASSIC_COUNTS.ASSASINS; k++) roles.push(CLASSIC_ROLES.ASSASIN);
+	while (roles.length < COUNTS.WORDS) roles.push(CLASSIC_ROLES.NEUTRAL);
+
+	return shuffle(roles, random).map(role => ({ role, isRevealed: false }));
+}
+
+/**
+ * Builds the words and key cards for a board. The same seed, settings, word packs and game type always build
+ * the same board.
+ * @param  {Object} settings - settings for the game
+ * @param  {Number} seed - seed for the pseudo-random number generator
+ * @param  {String[]} wordPackIds - ids of the word packs to draw words from
+ * @param  {String[]} [customWords] - words chosen by the host, used instead of the word packs
+ * @param  {String} [gameType] - DUET (a key for each player) or CLASSIC (a single key)
+ * @return {Object} map of each word to its roles for each player (or its role on the shared key)
+ */
+function getWordMap(settings, seed, wordPackIds, customWords, gameType) {
+	const random = createRandom(seed);
+	const words = customWords && customWords.length ?
+		shuffle(customWords.slice(), random) :
+		getRandomizedWords(random, wordPackIds);
 
 	const wordMap = {};
 
+	if (gameType === GAME_TYPES.CLASSIC) {
+		const classicGameboard = getClassicGameboard(random);
+		words.forEach((word, index) => {
+			wordMap[word] = classicGameboard[index];
+		});
+
+		return wordMap;
+	}
+
+	const gameboard = getGameboard(settings, random);
+
 	words.forEach((word, index) => {
 		wordMap[word] = Object.assign({}, gameboard[index], { roleRevealedForClueGiver: {} });
 	});
@@ -100,116 +211,68 @@ function getWordMap() {
 	return wordMap;
 }
 
+/**
+ * Counts the agents each team has left to find
+ * @param  {Object} wordMap - see getWordMap
+ * @param  {Object} settings - settings for the game
+ * @param  {String} gameType
+ * @return {Object} { 1, 2 }
+ */
+function getAgentsLeftByTeamId(wordMap, settings, gameType) {
+	if (gameType !== GAME_TYPES.CLASSIC) return { 1: settings.agentsPerPlayer, 2: settings.agentsPerPlayer };
+
+	const roles = Object.keys(wordMap).filter(word => !wordMap[word].isRevealed).map(word => wordMap[word].role);
+	return {
+		1: roles.filter(role => role === TEAM_COLORS[1]).length,
+		2: roles.filter(role => role === TEAM_COLORS[2]).length,
+	};
+}
+
 class Game {
 	constructor({
 		wordMap,
 		agentsLeft,
 		turnsLeft,
+		phase,
+		phaseTeamId,
+		settings,
+		mistakesMade,
+		campaignId,
+		missionId,
+		seed,
+		wordPacks: wordPackIds,
+		customWords,
+		clueRules,
+		gameType,
 		playerOne,
 		playerTwo,
 	} = {}) {
-		this.wordMap = wordMap || getWordMap();
-		this.agentsLeft = agentsLeft || COUNTS.AGENTS;
-		this.turnsLeft = turnsLeft || COUNTS.TURNS;
+		this.settings = normalizeSettings(settings);
+		this.wordPacks = wordPacks.normalizePackIds(wordPackIds);
+		this.customWords = normalizeCustomWords(customWords);
+		this.clueRules = normalizeClueRules(clueRules);
+		this.gameType = normalizeGameType(gameType);
+		this.seed = Number.isNaN(parseInt(seed, 10)) ? createSeed() : parseInt(seed, 10);
+		this.mistakesMade = parseInt(mistakesMade, 10) || 0;
+		this.campaignId = campaignId || '';
+		this.missionId = missionId || '';
+		this.wordMap = wordMap || getWordMap(this.settings, this.seed, this.wordPacks, this.customWords, this.gameType);
+		this.agentsLeftByTeamId = getAgentsLeftByTeamId(this.wordMap, this.settings, this.gameType);
+		this.agentsLeft = agentsLeft || (this.gameType === GAME_TYPES.CLASSIC ?
+			this.agentsLeftByTeamId[1] + this.agentsLeftByTeamId[2] :
+			getTotalAgents(this.settings));
+		this.turnsLeft = turnsLeft || this.settings.turns;
+		this.phase = phase || PHASES.AWAITING_CLUE;
+		this.phaseTeamId = parseInt(phaseTeamId, 10) || undefined;
+
+		// In a classic game, the team with more agents gives the first clue
+		if (!phase && this.gameType === GAME_TYPES.CLASSIC) {
+			this.phaseTeamId = this.agentsLeftByTeamId[1] > this.agentsLeftByTeamId[2] ? 1 : 2;
+		}
 		this.playerOne = playerOne || {};
 		this.playerTwo = playerTwo || {};
 	}
 
-	giveClueForTurn(player, clueWord, guessesLeft) {
-		const playerGivingClue = player === 'one' ? 'playerOne' : 'playerTwo';
-
-		if (this.currentTurn && this.currentTurn.guessesLeft > 0) {
-			console.log(`There were still ${this.currentTurn.guessesLeft} guesses left in the current turn, but we got a new clue`);
-
-			this.turnsLeft -= 1;
-		}
-
-		this.currentTurn = {
-			playerGivingClue,
-			guessesLeft,
-			clueWord,
-		};
-
-		return this.currentTurn;
-	}
-
-	getCurrentClue() {
-		if (this.currentTurn && this.currentTurn.guessesLeft > 0) {
-			return this.currentTurn;
-		}
-
-		return null;
-	}
-
-	guess(word, player) {
-		const square = this.wordMap[word];
-		const playerGivingClue = player === 'one' ? 'playerTwo' : 'playerOne';
-		let playerGuessingChanged = false;
-
-		// Play is proceeding without using input
-		if (!this.currentTurn) {
-			this.currentTurn = {
-				playerGivingClue,
-				guessesLeft: this.agentsLeft,
-				clueWord: '',
-			};
-		} else if (this.currentTurn.playerGivingClue !== playerGivingClue) {
-			this.turnsLeft -= 1;
-
-			this.currentTurn = {
-				playerGivingClue,
-				guessesLeft: this.agentsLeft,
-				clueWord: '',
-			};
-
-			playerGuessingChanged = true;
-		}
-
-		const role = square[playerGivingClue];
-
-		if (!square) {
-			console.log(`The word "${word}"" is not on the board.`);
-			return;
-		}
-
-		if (square.roleRevealedForClueGiver[playerGivingClue]) {
-			console.log(`The word "${word}" was already revealed to be: ${role} for this clue-giver.`);
-			return;
-		}
-
-		square.roleRevealedForClueGiver[playerGivingClue] = role;
-
-		if (role === ROLES.AGENT) {
-			this.agentsLeft--;
-			this.currentTurn.guessesLeft--;
-		}
-
-		if (square[playerGivingClue] === ROLES.NON_AGENT || (square[playerGivingClue] === ROLES.AGENT && this.currentTurn.guessesLeft < 1)) {
-			this.currentTurn = undefined;
-			this.turnsLeft--;
-		}
-
-		if (square[playerGivingClue] === ROLES.ASSASIN) {
-			this.currentTurn = undefined;
-			this.turnsLeft = 0;
-		}
-
-		// eslint-disable-next-line consistent-return
-		return {
-			word,
-			roleRevealedForClueGiver: square.roleRevealedForClueGiver,
-			guessesLeft: (this.currentTurn && this.currentTurn.guessesLeft) || 0,
-			playerGuessingChanged,
-		};
-	}
-
-	endTurn() {
-		if (this.currentTurn) {
-			this.turnsLeft -= 1;
-			this.currentTurn = undefined;
-		}
-	}
-
 	getWordsOfEntityTypeForPlayer(entityType, player) {
 		return Object.keys(this.wordMap).filter(word => (
 			this.wordMap[word][player] === entityType
@@ -240,6 +303,61 @@ class Game {
 		return this.agentsLeft;
 	}
 
+	getAgentsLeftByTeamId() {
+		return this.agentsLeftByTeamId;
+	}
+
+	getPhase() {
+		return this.phase;
+	}
+
+	getPhaseTeamId() {
+		return this.phaseTeamId;
+	}
+
+	getSettings() {
+		return this.settings;
+	}
+
+	getSeed() {
+		return this.seed;
+	}
+
+	getBoardCode() {
+		// A board code can't carry a custom word list, so those boards can't be shared by code
+		if (this.customWords.length) return undefined;
+
+		return encodeBoardCode(this.seed, this.settings, this.wordPacks, this.gameType);
+	}
+
+	getGameType() {
+		return this.gameType;
+	}
+
+	getWordPacks() {
+		return this.wordPacks;
+	}
+
+	getCustomWords() {
+		return this.customWords;
+	}
+
+	getClueRules() {
+		return this.clueRules;
+	}
+
+	getMistakesMade() {
+		return this.mistakesMade;
+	}
+
+	getCampaignId() {
+		return this.campaignId;
+	}
+
+	getMissionId() {
+		return this.missionId;
+	}
+
 	getViewForPlayer(player) {
 		if (!player) return this.getWords();
 
@@ -340,4 +458,18 @@ class Game {
 	}
 }
 
+Game.ROLES = ROLES;
+Game.PHASES = PHASES;
+Game.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+Game.PLAY_SETTINGS = PLAY_SETTINGS;
+Game.GAME_TYPES = GAME_TYPES;
+Game.normalizeGameType = normalizeGameType;
+Game.validateGameType = validateGameType;
+Game.normalizeSettings = normalizeSettings;
+Game.validateSettings = validateSettings;
+Game.normalizeCustomWords = normalizeCustomWords;
+Game.validateCustomWords = validateCustomWords;
+Game.encodeBoardCode = encodeBoardCode;
+Game.decodeBoardCode = decodeBoardCode;
+
 module.exports = Game;
@@ -0,0 +1,113 @@
+/**
+ * CLUE HISTORY
+ *
+ * Everything that happens in a game is added to its log (see logEvent in src/index.js). The clue
+ * history is the log of the current game folded into one entry per clue: who gave it, the guesses
+ * made for it, and how the turn ended. It's kept up to date one event at a time, so moves that are
+ * undone are taken back out of it too.
+ */
+
+const { ACTIONS } = require('./rules');
+
+// The types of event kept in each game's log
+const LOG_EVENTS = {
+	GAME_STARTED: 'gameStarted',
+	CLUE_GIVEN: 'clueGiven',
+	GUESS_MADE: 'guessMade',
+	TURN_ENDED: 'turnEnded',
+	PLAYER_JOINED: 'playerJoined',
+	PLAYER_LEFT: 'playerLeft',
+	MOVE_UNDONE: 'moveUndone',
+	TIME_RAN_OUT: 'timeRanOut',
+	CLUE_PASSED: 'cluePassed',
+	GAME_OVER: 'gameOver',
+};
+
+// Why the guessers stopped guessing for a clue
+const TURN_END_REASONS = {
+	STOPPED: 'STOPPED',
+	WRONG_GUESS: 'WRONG_GUESS',
+	OUT_OF_GUESSES: 'OUT_OF_GUESSES',
+	TIME_RAN_OUT: 'TIME_RAN_OUT',
+	// No clue was given, so nobody guessed
+	PASSED: 'PASSED',
+	GAME_OVER: 'GAME_OVER',
+};
+
+function updateLastEntry(history, update) {
+	const lastEntry = history[history.length - 1];
+
+	return [...history.slice(0, -1), { ...lastEntry, ...update(lastEntry) }];
+}
+
+/**
+ * Adds an event from the log to the clue history
+ * @param  {Object[]} history - entries of { teamId, playerId, playerName, word, number, guesses, ending }, oldest first
+ * @param  {Object} event - as it was logged
+ * @return {Object[]} the new history (the same history if the event doesn't change it)
+ */
+function addEventToHistory(history, event) {
+	const lastEntry = history[history.length - 1];
+	const isGuessing = !!lastEntry && !lastEntry.ending;
+
+	switch (event.type) {
+	case LOG_EVENTS.GAME_STARTED:
+		return [];
+	case LOG_EVENTS.CLUE_GIVEN:
+		return [...history, {
+			teamId: event.teamId,
+			playerId: event.playerId,
+			playerName: event.playerName,
+			word: event.word,
+			number: event.number,
+			guesses: [],
+		}];
+	case LOG_EVENTS.GUESS_MADE: {
+		const guess = { word: event.word, role: event.role, playerId: event.playerId };
+
+		// Guesses in sudden death are made without a clue
+		if (!isGuessing) return [...history, { teamId: event.teamId, guesses: [guess] }];
+
+		return updateLastEntry(history, entry => ({ guesses: [...entry.guesses, guess] }));
+	}
+	case LOG_EVENTS.CLUE_PASSED:
+		return [...history, {
+			teamId: event.teamId,
+			playerId: event.playerId,
+			playerName: event.playerName,
+			guesses: [],
+			ending: { reason: TURN_END_REASONS.PASSED },
+		}];
+	case LOG_EVENTS.TURN_ENDED:
+		if (!isGuessing) return history;
+		return updateLastEntry(history, () => ({ ending: { reason: event.reason } }));
+	case LOG_EVENTS.GAME_OVER:
+		if (!lastEntry) return history;
+		return updateLastEntry(history, () => ({
+			ending: {
+				reason: TURN_END_REASONS.GAME_OVER,
+				outcome: event.outcome,
+				resultReason: event.reason,
+				winningTeamId: event.winningTeamId,
+			},
+		}));
+	case LOG_EVENTS.MOVE_UNDONE: {
+		if (!lastEntry) return history;
+
+		const guesses = lastEntry.guesses.slice(0, -1);
+
+		// Taking back a clue (or the only guess made without one) takes back its entry
+		if (event.action !== ACTIONS.GUESS || (!lastEntry.word && !guesses.length)) return history.slice(0, -1);
+
+		return updateLastEntry(history, () => ({ guesses, ending: undefined }));
+	}
+	default:
+		return history;
+	}
+}
+
+module.exports = {
+	LOG_EVENTS,
+	TURN_END_REASONS,
+	addEventToHistory,
+};
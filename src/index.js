@@ -5,12 +5,74 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const WebSocketServer = require('ws').Server;
 const http = require('http');
+const crypto = require('crypto');
 const Game = require('./game');
 const RedisClient = require('./redis');
+const campaign = require('./campaign');
+const wordPacks = require('./word-packs');
+const clues = require('./clues');
+const rules = require('./rules');
+const Clocks = require('./clocks');
+const stats = require('./stats');
+const marks = require('./marks');
+const { LOG_EVENTS, TURN_END_REASONS, addEventToHistory } = require('./history');
+const bots = require('./bots');
+const chat = require('./chat');
+const matchmaking = require('./matchmaking');
+
+const {
+	PHASES,
+	ACTIONS,
+	EVENTS,
+	KEY_NAMES,
+	ROLES,
+	TEAM_COLORS,
+	GAME_TYPES,
+} = rules;
+
+// Moves that can be taken back if both players agree (see requestUndo)
+const UNDOABLE_ACTIONS = [ACTIONS.GIVE_CLUE, ACTIONS.GUESS];
+
+// Requests only players on a team may make, never spectators (see handleRequest)
+const PLAYER_REQUESTS = [
+	'changeTeam',
+	'guess',
+	'giveClue',
+	'endTurn',
+	'startNewGame',
+	'startCampaignMission',
+	'requestUndo',
+	'answerUndo',
+	'changeSpymaster',
+	'proposeGuess',
+	'voteOnGuess',
+	'markWord',
+	'addBot',
+	'removeBot',
+	'changeBotCaution',
+	'chat',
+	'changePublic',
+];
+
+// How long a computer partner waits before it moves, so its moves can be followed
+const BOT_DELAY_MS = 1500;
+
+// The most games shown in the lobby, and how many of the latest public games are looked through to find them
+const LOBBY_SIZE = 20;
+const MAX_PUBLIC_GAMES = 100;
+// How long a game stays in the lobby without being listed again, so games nobody came back to don't pile up
+const MAX_PUBLIC_AGE = 2 * 60 * 60 * 1000;
+// How often games that are gone, over or listed too long ago are taken out of the lobby
+const LOBBY_PRUNE_INTERVAL = 10 * 60 * 1000;
 
 const app = express();
 const port = process.env.PORT || 3000;
 const db = new RedisClient();
+const clocks = new Clocks({ onTick: broadcastClock, onTimeUp: handleTimeUp });
+// gameId --> the timeout of the next move of its computer partner
+const botTimeouts = {};
+// queue ticket --> the connection of the player waiting with it (see MATCHMAKING)
+const queuedSockets = {};
 
 app.set('view engine', 'ejs');
 app.use(express.static('public'));
@@ -30,6 +92,12 @@ app.use(bodyParser.urlencoded({ extended: true }));
  * ws.facebookId	-- the facebookId for the player
  * ws.facebookImage	-- the facebookImage for the player
  * ws.playerName	-- the name of the player
+ * ws.isSpectator	-- whether the connection only watches the game (it never joins a team or makes a move)
+ * ws.isCreator	-- whether the connection created the game, so it's given the keys link to share
+ * ws.canSeeKeys	-- whether a spectator came from the keys link of the game, so they may see the keys while it's played
+ * ws.showKeys		-- whether such a spectator chose to see both keys (or every role)
+ * ws.queueTicket	-- the ticket of a player waiting for a partner, before they have a game
+ * ws.queuedPlayer	-- { playerName, facebookId, facebookImage, token } of that player, to join the game they're paired into
 */
 
 const sockets = {};
@@ -91,6 +159,8 @@ wss.on('connection', (ws) => {
 	ws.on('close', (reasonCode, description) => {
 		console.log(`websocket connection closed with reasonCode: ${reasonCode} and description: ${description}`);
 		console.log(`after disconnect we now have ${wss.clients.size} total clients`);
+		// A player who drops out of the queue keeps their place until they come back for it (or it runs out)
+		if (ws.queueTicket && queuedSockets[ws.queueTicket] === ws) delete queuedSockets[ws.queueTicket];
 		if (ws.gameId && sockets[ws.gameId]) {
 			sockets[ws.gameId].delete(ws);
 
@@ -131,14 +201,24 @@ async function handleInitialRequest(ws, data) {
 	if (!gameId) return Promise.resolve();
 
 	// If we don't have attributes assigned to this web socket connection, assign them now.
-	if (!ws.gameId) ws.gameId = gameId;
+	if (!ws.gameId) {
+		ws.gameId = gameId;
+		// Whether a connection spectates is decided when it joins the game (e.g. from a spectator link)
+		ws.isSpectator = !!(payload && payload.spectator);
+		ws.isCreator = !(await db.doesGameExist(gameId));
+		// The keys are only shown to spectators who have the secret keys link, never on the client's word
+		ws.canSeeKeys = ws.isSpectator && await isKeysToken(gameId, payload.keysToken);
+		ws.showKeys = ws.canSeeKeys && !!payload.showKeys;
+		// A player who enters a game themselves isn't waiting for a partner anymore
+		await leaveQueue(ws);
+	}
 
 	return new Promise((resolve) => {
 		if (!sockets[gameId]) {
 			sockets[gameId] = new Set([ws]);
 			// Because we have no socket for this gameId, it's possible that we've never
 			// created a game for the gameId either. Create one if we need to before continuing.
-			getOrCreateGame(gameId).then(resolve);
+			getOrCreateGame(gameId, payload || {}).then(resolve);
 		} else if (!sockets[gameId].has(ws)) {
 			// We have other connected users, so replay those other players "joining"
 			sockets[gameId].forEach((client) => {
@@ -151,6 +231,7 @@ async function handleInitialRequest(ws, data) {
 							playerId: client.playerId,
 							facebookImage: client.facebookImage,
 							teamId: client.teamId,
+							isSpectator: client.isSpectator,
 						},
 					});
 				}
@@ -196,6 +277,18 @@ async function handleInitialRequest(ws, data) {
  */
 async function handleRequest(ws, data) {
 	const { gameId, type, payload = {} } = data;
+
+	// Finding a partner comes before there's a game
+	if (type === 'joinQueue') {
+		handleJoinQueue(ws, payload);
+		return;
+	}
+
+	if (type === 'leaveQueue') {
+		handleLeaveQueue(ws);
+		return;
+	}
+
 	if (!gameId) return;
 
 	const {
@@ -206,8 +299,23 @@ async function handleRequest(ws, data) {
 		word,
 		number,
 		token,
+		missionId,
+		since,
+		approve,
+		spymaster,
+		showKeys,
+		tag,
+		note,
+		caution,
+		text,
+		isPublic,
 	} = payload;
 
+	if (ws.isSpectator && PLAYER_REQUESTS.indexOf(type) > -1) {
+		sendError(ws, type, 'Spectators can only watch the game');
+		return;
+	}
+
 	switch (type) {
 	case 'words':
 		sendWholeGameState(ws);
@@ -225,19 +333,166 @@ async function handleRequest(ws, data) {
 		giveClue(ws, word, number);
 		break;
 	case 'endTurn':
-		endTurn(gameId);
+		endTurn(ws);
 		break;
 	case 'startNewGame':
-		handleStartNewGame(ws);
+		handleStartNewGame(ws, payload);
+		break;
+	case 'startCampaignMission':
+		handleStartCampaignMission(ws, missionId);
+		break;
+	case 'events':
+		sendEvents(ws, since);
+		break;
+	case 'requestUndo':
+		requestUndo(ws);
+		break;
+	case 'answerUndo':
+		answerUndo(ws, approve);
+		break;
+	case 'changeSpymaster':
+		handleSpymasterChanged(ws, spymaster);
+		break;
+	case 'changeSpectatorKeys':
+		handleSpectatorKeysChanged(ws, showKeys);
+		break;
+	case 'proposeGuess':
+		proposeGuess(ws, word);
+		break;
+	case 'voteOnGuess':
+		voteOnGuess(ws, word, approve);
+		break;
+	case 'markWord':
+		markWord(ws, word, { tag, note });
+		break;
+	case 'addBot':
+		handleAddBot(ws, caution);
+		break;
+	case 'removeBot':
+		handleRemoveBot(ws);
+		break;
+	case 'changeBotCaution':
+		handleBotCautionChanged(ws, caution);
+		break;
+	case 'chat':
+		sendChatMessage(ws, text);
+		break;
+	case 'changePublic':
+		handlePublicChanged(ws, isPublic);
 		break;
 	default:
 		break;
 	}
 }
 
-async function handleStartNewGame(ws) {
-	const game = new Game();
+async function handleStartNewGame(ws, {
+	settings,
+	wordPacks: wordPackIds,
+	customWords,
+	clueRules,
+	gameType,
+	boardCode,
+}) {
+	const clueRulesError = (clueRules && clues.validateClueRules(clueRules))
+		|| (gameType && Game.validateGameType(gameType));
+
+	if (clueRulesError) {
+		sendError(ws, 'startNewGame', clueRulesError);
+		return Promise.resolve();
+	}
+
+	if (boardCode) {
+		const board = Game.decodeBoardCode(boardCode);
+
+		if (!board) {
+			sendError(ws, 'startNewGame', `"${boardCode}" is not a valid board code`);
+			return Promise.resolve();
+		}
+
+		// A board code only describes the board, so the game keeps how it's played (clocks, votes and clue rules)
+		const currentSettings = await db.getSettings(ws.gameId);
+		const boardSettings = Game.PLAY_SETTINGS.reduce((memo, key) => ({
+			...memo,
+			[key]: currentSettings[key],
+		}), board.settings);
+
+		return startGame(ws, new Game({
+			...board,
+			settings: boardSettings,
+			clueRules: clueRules || await db.getClueRules(ws.gameId),
+		}));
+	}
+
+	const error = (settings && Game.validateSettings(settings))
+		|| (wordPackIds && wordPacks.validatePackIds(wordPackIds))
+		|| (customWords && Game.validateCustomWords(customWords));
+
+	if (error) {
+		sendError(ws, 'startNewGame', error);
+		return Promise.resolve();
+	}
+
+	// Without new settings or words, the new game is played with the same ones as the last game
+	const game = new Game({
+		settings: settings || await db.getSettings(ws.gameId),
+		wordPacks: wordPackIds || await db.getWordPacks(ws.gameId),
+		customWords: customWords || (!wordPackIds && await db.getCustomWords(ws.gameId)),
+		clueRules: clueRules || await db.getClueRules(ws.gameId),
+		gameType: gameType || await db.getGameType(ws.gameId),
+	});
+	return startGame(ws, game);
+}
+
+async function handleStartCampaignMission(ws, missionId) {
+	const campaignId = await getCampaignIdForGameId(ws.gameId);
+
+	if (!campaignId) {
+		sendError(ws, 'startCampaignMission', 'Both players need to join the game to play a campaign mission');
+		return Promise.resolve();
+	}
+
+	const completedMissionIds = await db.getCompletedMissions(campaignId);
+
+	if (!campaign.isMissionUnlocked(missionId, completedMissionIds)) {
+		sendError(ws, 'startCampaignMission', `The mission "${missionId}" has not been unlocked yet`);
+		return Promise.resolve();
+	}
+
+	// A mission only sets the board, so the game keeps how it's played (clocks, votes and chat)
+	const currentSettings = await db.getSettings(ws.gameId);
+	const missionSettings = Game.PLAY_SETTINGS.reduce((memo, key) => ({
+		...memo,
+		[key]: currentSettings[key],
+	}), campaign.getSettingsForMission(missionId));
+
+	const game = new Game({
+		settings: missionSettings,
+		wordPacks: await db.getWordPacks(ws.gameId),
+		customWords: await db.getCustomWords(ws.gameId),
+		clueRules: await db.getClueRules(ws.gameId),
+		campaignId,
+		missionId,
+	});
+	return startGame(ws, game, 'startCampaignMission');
+}
+
+async function startGame(ws, game, requestType = 'startNewGame') {
+	await leaveQueue(ws);
+
+	const botsByTeamId = await db.getBots(ws.gameId);
+	// A computer partner stays for the next game, so it has to know the words of that game too
+	const unknownWordError = (botsByTeamId[1] || botsByTeamId[2]) && getUnknownWordError(Object.keys(game.getWordMap()));
+
+	if (unknownWordError) {
+		sendError(ws, requestType, unknownWordError);
+		return Promise.resolve();
+	}
+
 	return db.setGame(ws.gameId, game).then(async () => {
+		await logGameStarted(ws.gameId, ws, game);
+		await restartClock(ws.gameId);
+		scheduleBotMove(ws.gameId);
+
 		if (sockets[ws.gameId]) {
 			sockets[ws.gameId].forEach((client) => {
 				sendWholeGameState(client);
@@ -255,6 +510,8 @@ async function handleStartNewGame(ws) {
 }
 
 async function handlePlayerLeft(ws) {
+	if (ws.playerId) logEvent(ws.gameId, ws, LOG_EVENTS.PLAYER_LEFT);
+
 	if (sockets[ws.gameId].size) {
 		broadcast(ws.gameId, {
 			type: 'playerLeft',
@@ -263,6 +520,7 @@ async function handlePlayerLeft(ws) {
 				playerName: ws.playerName,
 				playerId: ws.playerId,
 				teamId: ws.teamId,
+				isSpectator: ws.isSpectator,
 			},
 		});
 	}
@@ -270,7 +528,7 @@ async function handlePlayerLeft(ws) {
 	const promise = Promise.resolve();
 
 	if (ws.teamId && !ws.facebookId && !ws.token) {
-		promise.then(() => db.removePlayerFromTeam(ws.gameId, ws.playerId, ws.teamId));
+		promise.then(() => db.removePlayerFromTeam(ws.gameId, ws.playerId, ws.teamId).then(() => broadcastSpymasters(ws.gameId)));
 	}
 
 	return promise;
@@ -313,12 +571,13 @@ async function handlePlayerChanged(ws, playerName, facebookId, facebookUrl, toke
 		const teamIdForPlayerId = await db.getTeamIdForPlayerId(ws.gameId, playerId);
 
 		// If they are not on a team already or the team does not match that for this web socket
-		// handle the change in teamId.
-		if (!teamIdForPlayerId || ws.teamId !== teamIdForPlayerId) {
+		// handle the change in teamId (spectators never join a team, even one they are on from another connection).
+		if (!ws.isSpectator && (!teamIdForPlayerId || ws.teamId !== teamIdForPlayerId)) {
 			return handleTeamChanged(ws, teamIdForPlayerId);
 		}
 
 		// Otherwise, just broadcast the new player joining
+		logEvent(ws.gameId, ws, LOG_EVENTS.PLAYER_JOINED);
 		broadcast(ws.gameId, {
 			type: 'playerJoined',
 			payload: {
@@ -327,6 +586,7 @@ async function handlePlayerChanged(ws, playerName, facebookId, facebookUrl, toke
 				playerId: ws.playerId,
 				facebookImage: ws.facebookImage,
 				teamId: ws.teamId,
+				isSpectator: ws.isSpectator,
 			},
 		});
 
@@ -345,6 +605,7 @@ async function handleTeamChanged(ws, teamId) {
 	const promise = Promise.resolve();
 
 	if (ws.teamId && ws.teamId !== desiredTeamId) {
+		logEvent(ws.gameId, ws, LOG_EVENTS.PLAYER_LEFT);
 		broadcast(ws.gameId, {
 			type: 'playerLeft',
 			payload: {
@@ -356,7 +617,9 @@ async function handleTeamChanged(ws, teamId) {
 			},
 		});
 
-		promise.then(() => db.removePlayerFromTeam(ws.gameId, ws.playerId, ws.teamId, ws.token));
+		promise.then(() => (
+			db.removePlayerFromTeam(ws.gameId, ws.playerId, ws.teamId, ws.token).then(() => broadcastSpymasters(ws.gameId))
+		));
 	}
 
 	return promise.then(async () => {
@@ -367,6 +630,7 @@ async function handleTeamChanged(ws, teamId) {
 
 			const { agentsLeftTeamOne, agentsLeftTeamTwo } = await db.getAgentsLeft(ws.gameId);
 
+			logEvent(ws.gameId, ws, LOG_EVENTS.PLAYER_JOINED);
 			broadcast(ws.gameId, {
 				type: 'playerJoined',
 				payload: {
@@ -389,15 +653,153 @@ async function handleTeamChanged(ws, teamId) {
 				type: 'words',
 				payload: {
 					gameId: ws.gameId,
-					words: await db.getWords(ws.gameId, ws.teamId),
+					words: await getWordsForSocket(ws),
+					settings: await db.getSettings(ws.gameId),
+					boardCode: await getBoardCodeIfGameOver(ws.gameId),
+					wordPacks: await db.getWordPacks(ws.gameId),
+					hasCustomWords: (await db.getCustomWords(ws.gameId)).length > 0,
+					clueRules: await db.getClueRules(ws.gameId),
+					gameType: await db.getGameType(ws.gameId),
+					spymasters: getSpymastersPayload(await db.getSpymasters(ws.gameId)),
+					...getPhasePayload(await db.getPhaseState(ws.gameId)),
+					result: await db.getResult(ws.gameId),
 					agentsLeftTeamOne,
 					agentsLeftTeamTwo,
+					isPublic: await db.isPublic(ws.gameId),
 				},
 			});
 		}
 	});
 }
 
+// EVENT LOG
+
+/**
+ * Adds an event to a game's log and sends it to everyone in the game
+ * @param  {String} gameId
+ * @param  {Object} [ws] - the connection of the player the event is about (none for events the server causes)
+ * @param  {String} type - one of LOG_EVENTS
+ * @param  {Object} [details] - anything else worth knowing about the event
+ * @return {Object} the event as it was logged
+ */
+async function logEvent(gameId, ws, type, details = {}) {
+	const event = await db.addEvent(gameId, {
+		type,
+		playerId: ws && ws.playerId,
+		teamId: ws && ws.teamId,
+		...details,
+	});
+
+	broadcast(gameId, {
+		type: 'events',
+		payload: { events: [event] },
+	});
+	await updateClueHistory(gameId, event);
+
+	return event;
+}
+
+// Clients know the teams as 'one' and 'two'
+function getClueHistoryPayload(history) {
+	const getTeam = teamId => (teamId === 1 ? 'one' : 'two');
+
+	return history.map(({ teamId, ending, ...entry }) => ({
+		...entry,
+		teamId: getTeam(teamId),
+		ending: ending && {
+			...ending,
+			winningTeamId: ending.winningTeamId && getTeam(ending.winningTeamId),
+		},
+	}));
+}
+
+// Keeps the record of every clue in the game up to date with its log (see src/history.js)
+async function updateClueHistory(gameId, event) {
+	const history = await db.getClueHistory(gameId);
+	const newHistory = addEventToHistory(history, event);
+
+	if (newHistory === history) return;
+
+	await db.setClueHistory(gameId, newHistory);
+	broadcast(gameId, {
+		type: 'clueHistory',
+		payload: { clueHistory: getClueHistoryPayload(newHistory) },
+	});
+}
+
+// The board code holds the seed of the board, so it gives away both keys: it's only shared once the game is over
+async function getBoardCodeIfGameOver(gameId) {
+	const { phase } = await db.getPhaseState(gameId);
+
+	return rules.isGameOver(phase) ? db.getBoardCode(gameId) : undefined;
+}
+
+async function logGameStarted(gameId, ws, game) {
+	return logEvent(gameId, ws, LOG_EVENTS.GAME_STARTED, {
+		settings: game.getSettings(),
+		wordPacks: game.getWordPacks(),
+		hasCustomWords: game.getCustomWords().length > 0,
+		clueRules: game.getClueRules(),
+		missionId: game.getMissionId(),
+		gameType: game.getGameType(),
+	});
+}
+
+// Sends the events a client missed (or the whole log), so it can rebuild what happened after reconnecting
+async function sendEvents(ws, since) {
+	send(ws, {
+		type: 'events',
+		payload: { events: await db.getEvents(ws.gameId, parseInt(since, 10) || 0) },
+	});
+}
+
+// CLOCKS (FOR TIMED GAMES)
+
+// Starts the clock for the current phase of a game, or stops it if the phase isn't timed
+async function restartClock(gameId) {
+	const seconds = rules.getPhaseSeconds(await db.getPhaseState(gameId), await db.getSettings(gameId));
+	const deadline = seconds ? Date.now() + (seconds * 1000) : undefined;
+
+	await db.setDeadline(gameId, deadline);
+
+	if (deadline) {
+		clocks.start(gameId, deadline);
+	} else {
+		clocks.stop(gameId);
+	}
+
+	broadcastClock(gameId, deadline);
+}
+
+// Picks the clock of a game back up if this server isn't running it yet (e.g. after a restart)
+async function resumeClock(gameId) {
+	const deadline = await db.getDeadline(gameId);
+
+	if (deadline && clocks.getDeadline(gameId) !== deadline) clocks.start(gameId, deadline);
+}
+
+// Clients count down from secondsLeft themselves, so their clocks don't need to match the server's
+function getClockPayload(deadline) {
+	return {
+		deadline,
+		secondsLeft: deadline ? Clocks.getSecondsLeft(deadline) : undefined,
+	};
+}
+
+function broadcastClock(gameId, deadline) {
+	broadcast(gameId, {
+		type: 'clock',
+		payload: getClockPayload(deadline),
+	});
+}
+
+async function handleTimeUp(gameId, deadline) {
+	// A move made just as time ran out may have started a new clock already
+	if (await db.getDeadline(gameId) !== deadline) return;
+
+	await playMove(gameId, { type: ACTIONS.TIME_UP });
+}
+
 // NOTIFICATIONS (SENT SYNCRONOUSLY OVER WEB SOCKET & IOS PUSH NOTIFICATIONS SERVICE)
 
 function send(client, data) {
@@ -406,6 +808,16 @@ function send(client, data) {
 	}
 }
 
+function sendError(client, requestType, message) {
+	send(client, {
+		type: 'error',
+		payload: {
+			requestType,
+			message,
+		},
+	});
+}
+
 function broadcast(gameId, data) {
 	if (sockets[gameId]) {
 		sockets[gameId].forEach((client) => {
@@ -416,6 +828,47 @@ function broadcast(gameId, data) {
 	}
 }
 
+// Clients know the teams as 'one' and 'two'
+function getPhasePayload({ phase, phaseTeamId }) {
+	let team;
+	if (phaseTeamId) team = phaseTeamId === 1 ? 'one' : 'two';
+
+	return { phase, phaseTeamId: team };
+}
+
+function broadcastPhaseChanged(gameId, phaseState) {
+	broadcast(gameId, {
+		type: 'phaseChanged',
+		payload: getPhasePayload(phaseState),
+	});
+}
+
+async function broadcastGameOver(gameId, { result }) {
+	broadcast(gameId, {
+		type: 'gameOver',
+		payload: {
+			result,
+			// Now that the game is over, everyone gets to see both keys (and the board code that gives them)
+			words: await db.getWords(gameId),
+			boardCode: await db.getBoardCode(gameId),
+		},
+	});
+}
+
+// Clients know the teams as 'one' and 'two'
+function getSpymastersPayload(spymasters) {
+	return { one: spymasters[1], two: spymasters[2] };
+}
+
+async function broadcastSpymasters(gameId) {
+	broadcast(gameId, {
+		type: 'spymasters',
+		payload: {
+			spymasters: getSpymastersPayload(await db.getSpymasters(gameId)),
+		},
+	});
+}
+
 function iOSNotify(gameId, tokens, data) {
 	if (!tokens || !tokens.length) return;
 
@@ -432,166 +885,1322 @@ function iOSNotify(gameId, tokens, data) {
 
 // UTILITY FUNCTIONS
 
-async function getOrCreateGame(gameId) {
+async function getOrCreateGame(gameId, {
+	settings,
+	wordPacks: wordPackIds,
+	customWords,
+	clueRules,
+	gameType,
+	boardCode,
+} = {}) {
 	const gameData = await db.getGame(gameId);
-	const game = new Game(gameData);
 
-	if (!gameData) {
-		return db.setGame(gameId, game).then(() => game);
+	if (gameData) {
+		await resumeClock(gameId);
+		// A computer partner picks its turn back up too (e.g. after a restart)
+		scheduleBotMove(gameId);
+		return new Game(gameData);
 	}
 
-	return game;
-}
+	const clueRulesError = clueRules && clues.validateClueRules(clueRules);
+	const board = boardCode && Game.decodeBoardCode(boardCode);
 
+	if (board) {
+		const game = new Game({ ...board, clueRules: clueRulesError ? undefined : clueRules });
+		return db.setGame(gameId, game)
+			.then(() => logGameStarted(gameId, undefined, game))
+			.then(() => game);
+	}
 
-// ACTION HANDLERS
+	const settingsError = settings && Game.validateSettings(settings);
+	const wordPacksError = wordPackIds && wordPacks.validatePackIds(wordPackIds);
+	const customWordsError = customWords && Game.validateCustomWords(customWords);
+	const gameTypeError = gameType && Game.validateGameType(gameType);
 
-async function giveClue(ws, clueWord, clueNumber) {
-	const turnsLeftBefore = await db.getTurnsLeft(ws.gameId);
-	const turnsLeftAfter = await db.setTurn(ws.gameId, ws.teamId, clueWord, clueNumber, clueNumber)
-		.then(() => db.getTurnsLeft(ws.gameId));
+	if (settingsError) {
+		console.log(`Creating gameId ${gameId} with the default settings because the requested settings were invalid: ${settingsError}`);
+	}
 
-	if (turnsLeftBefore !== turnsLeftAfter) {
-		broadcast(ws.gameId, {
-			type: 'turns',
-			payload: {
-				turnsLeft: turnsLeftAfter,
-			},
-		});
+	if (wordPacksError) {
+		console.log(`Creating gameId ${gameId} with the default word packs because the requested ones were invalid: ${wordPacksError}`);
 	}
 
-	const otherTeamId = ws.teamId === 'one' ? 2 : 1;
-	const tokens = await db.getTokensOnTeam(ws.gameId, otherTeamId);
+	if (clueRulesError) {
+		console.log(`Creating gameId ${gameId} with ${clues.DEFAULT_CLUE_RULES} clue rules because the requested ones were invalid: ${clueRulesError}`);
+	}
 
-	iOSNotify(ws.gameId, tokens, {
-		title: 'A clue has been given in your game',
-		body: `${ws.playerName} gave the clue "${clueWord}" - ${clueNumber}`,
-	});
+	if (customWordsError) {
+		console.log(`Creating gameId ${gameId} without custom words because the requested ones were invalid: ${customWordsError}`);
+	}
 
-	broadcast(ws.gameId, {
-		type: 'clueGiven',
-		payload: {
-			playerGivingClue: otherTeamId === 1 ? 'playerOne' : 'playerTwo',
-			number: clueNumber,
-			word: clueWord,
-		},
+	if (gameTypeError) {
+		console.log(`Creating gameId ${gameId} as a duet game because the requested type was invalid: ${gameTypeError}`);
+	}
+
+	const game = new Game({
+		settings: settingsError ? undefined : settings,
+		wordPacks: wordPacksError ? undefined : wordPackIds,
+		customWords: customWordsError ? undefined : customWords,
+		clueRules: clueRulesError ? undefined : clueRules,
+		gameType: gameTypeError ? undefined : gameType,
 	});
+	return db.setGame(gameId, game)
+		.then(() => logGameStarted(gameId, undefined, game))
+		.then(() => game);
 }
 
-async function endTurn(gameId) {
-	const turnsLeft = await db.getTurnsLeft(gameId);
-	return db.setTurnsLeft(gameId, turnsLeft - 1)
-		.then(() => db.setTurn(gameId))
-		.then(() => broadcast(gameId, {
-			type: 'turns',
-			payload: {
-				turnsLeft: turnsLeft - 1,
-			},
-		}));
-}
 
-async function getGameForPlayerId(gameId, playerId) {
-	const teamId = await db.getTeamIdForPlayerId(gameId, playerId);
-	const words = await db.getWords(gameId, teamId);
-	const clue = await db.getTurn(gameId);
-	const { agentsLeftTeamOne, agentsLeftTeamTwo } = await db.getAgentsLeft(gameId);
+// ACTION HANDLERS
 
-	const playerGivingClue = clue && (clue.clueGiverTeamId === 1 ? 'playerOne' : 'playerTwo');
+/**
+ * Plays a move with the rules (see src/rules.js), saves the result and tells everyone in the game what happened
+ * @param  {String} gameId
+ * @param  {Object} action - the move (its type is also the request type any error is sent back for)
+ * @param  {Object} [ws] - the connection of the player making the move (none for moves the server makes)
+ * @return {Object|undefined} the state and events after the move, unless the move wasn't allowed
+ */
+async function playMove(gameId, action, ws) {
+	const state = await db.getRulesState(gameId);
+	const result = rules.applyAction(state, ws ? {
+		...action,
+		teamId: ws.teamId,
+		isSpymaster: await db.isSpymaster(gameId, ws.teamId, ws.playerId),
+	} : action);
+
+	if (result.error) {
+		if (ws) sendError(ws, action.type, result.error);
+		return undefined;
+	}
 
-	let team;
-	if (teamId) {
-		team = teamId === 1 ? 'playerOne' : 'playerTwo';
+	const prevUndo = await db.getUndo(gameId);
+
+	await db.setRulesState(gameId, result.state, state);
+
+	const isGameOver = rules.isGameOver(result.state.phase);
+
+	// A computer partner's reply is undone along with the player's move before it, so it keeps the player's undo.
+	// A move that ends the game can't be undone, as its result has been recorded by then.
+	if (!ws || !ws.isBot || isGameOver) {
+		await (ws && UNDOABLE_ACTIONS.indexOf(action.type) > -1 && !isGameOver ?
+			db.setUndo(gameId, {
+				teamId: ws.teamId,
+				playerId: ws.playerId,
+				action,
+				state,
+			}) :
+			db.clearUndo(gameId));
+
+		// Asking to undo the move before this one makes no sense now
+		if (prevUndo && prevUndo.requested) broadcast(gameId, { type: 'undoCancelled', payload: {} });
 	}
+	// Nor do guesses proposed before it
+	await clearProposals(gameId);
 
-	return {
-		words,
-		teamId: team,
-		turnsLeft: await db.getTurnsLeft(gameId),
-		number: clue && clue.guessesLeft,
-		word: clue && clue.clueWord,
-		playerGivingClue,
-		agentsLeftTeamOne,
-		agentsLeftTeamTwo,
-	};
-}
+	result.events.forEach(event => broadcastEvent(gameId, event, result.state));
+	await logMove(gameId, ws, action, result, state);
 
-async function makeGuess(ws, word) {
-	const { clueWord } = await db.getTurn(ws.gameId);
-	const turnsLeft = await db.getTurnsLeft(ws.gameId);
-	const guess = await db.makeGuess(ws.gameId, ws.teamId, word);
+	const isNewPhase = result.state.phase !== state.phase || result.state.phaseTeamId !== state.phaseTeamId;
 
-	if (!guess) return;
+	// Running out of time can give the same clue giver another turn, so their clock starts again too
+	if (isNewPhase || action.type === ACTIONS.TIME_UP) await restartClock(gameId);
 
-	const { agentsLeftTeamOne, agentsLeftTeamTwo } = await db.getAgentsLeft(ws.gameId);
+	if (result.events.some(event => event.type === EVENTS.GAME_OVER)) handleGameOver(gameId, result.state.result);
 
-	broadcast(ws.gameId, {
-		type: 'guess',
-		payload: Object.assign({}, guess, { agentsLeftTeamOne, agentsLeftTeamTwo, gameId: ws.gameId }),
-	});
+	scheduleBotMove(gameId);
 
-	const clueText = clueWord ? ` for the clue "${clueWord}"` : '';
-	const otherTeamId = ws.teamId === 1 ? 2 : 1;
-	const tokens = await db.getTokensOnTeam(ws.gameId, otherTeamId);
-	const { playerName } = await db.getPlayer(ws.playerId);
+	return result;
+}
 
-	iOSNotify(ws.gameId, tokens, {
-		title: 'A guess has been made in your game',
-		body: `${playerName} guessed "${word}"${clueText}`,
+async function handleGameOver(gameId, result) {
+	if (result.outcome === PHASES.WON) maybeCompleteCampaignMission(gameId);
+	recordStats(gameId, result);
+	unlistGame(gameId);
+
+	// In a classic game, one team wins and the other loses
+	[1, 2].forEach(async (teamId) => {
+		const { outcome } = rules.getResultForTeam(result, teamId);
+
+		iOSNotify(gameId, await db.getTokensOnTeam(gameId, teamId), {
+			title: outcome === PHASES.WON ? 'You won your game!' : 'You lost your game',
+			body: rules.describeResult(result),
+		});
 	});
+}
 
-	if (turnsLeft !== guess.turnsLeft) {
-		broadcast(ws.gameId, {
+/**
+ * Adds the result of a finished duet game to the statistics of its players (see src/stats.js)
+ * @param  {String} gameId
+ * @param  {Object} result - { outcome, reason, turnsUsed } (see src/rules.js)
+ * @return {Promise}
+ */
+async function recordStats(gameId, result) {
+	// The counts (turns left, losses in sudden death...) are about duet games, played by two people
+	if (rules.isClassic({ gameType: await db.getGameType(gameId) })) return Promise.resolve();
+
+	const botsByTeamId = await db.getBots(gameId);
+	if (botsByTeamId[1] || botsByTeamId[2]) return Promise.resolve();
+
+	if (!await db.markResultRecorded(gameId)) return Promise.resolve();
+
+	const { turns } = await db.getSettings(gameId);
+	const playerIds = [...await db.getPlayersOnTeam(gameId, 1), ...await db.getPlayersOnTeam(gameId, 2)];
+
+	return db.addResultToStats(playerIds, result, turns);
+}
+
+function broadcastEvent(gameId, event, state) {
+	switch (event.type) {
+	case EVENTS.CLUE_GIVEN:
+		return broadcast(gameId, {
+			type: 'clueGiven',
+			payload: {
+				playerGivingClue: KEY_NAMES[event.teamId],
+				number: event.number,
+				word: event.word,
+			},
+		});
+	case EVENTS.GUESSED:
+		return broadcast(gameId, {
+			type: 'guess',
+			payload: {
+				word: event.word,
+				roleRevealedForClueGiver: event.roleRevealedForClueGiver,
+				// A word revealed in a classic game is shown with its role to everyone
+				...(event.isRevealed ? { role: event.role, isRevealed: true } : {}),
+				guessesLeft: event.guessesLeft,
+				turnsLeft: state.turnsLeft,
+				mistakesMade: state.mistakesMade,
+				agentsLeftTeamOne: state.agentsLeftByTeamId[1],
+				agentsLeftTeamTwo: state.agentsLeftByTeamId[2],
+				...getPhasePayload(state),
+			},
+		});
+	case EVENTS.TURNS_CHANGED:
+		return broadcast(gameId, {
 			type: 'turns',
 			payload: {
-				turnsLeft: guess.turnsLeft,
+				turnsLeft: event.turnsLeft,
+				mistakesMade: event.mistakesMade,
+				...getPhasePayload(state),
 			},
 		});
+	case EVENTS.PHASE_CHANGED:
+		return broadcastPhaseChanged(gameId, event);
+	case EVENTS.GAME_OVER:
+		return broadcastGameOver(gameId, state);
+	default:
+		return undefined;
 	}
 }
 
-async function maybeSendCurrentClue(ws) {
-	const { clueGiverTeamId, clueWord, guessesLeft } = await db.getTurn(ws.gameId) || {};
+// Adds what happened in a move to the game's log, in order
+async function logMove(gameId, ws, action, { state, events }, prevState) {
+	const timeUpEntries = action.type === ACTIONS.TIME_UP ?
+		[{
+			type: LOG_EVENTS.TIME_RAN_OUT,
+			teamId: prevState.phaseTeamId,
+			phase: prevState.phase,
+			turnsLeft: state.turnsLeft,
+		}] :
+		[];
+	const passEntries = action.type === ACTIONS.PASS ?
+		[{ type: LOG_EVENTS.CLUE_PASSED, turnsLeft: state.turnsLeft, playerName: ws && ws.playerName }] :
+		[];
+	// The log can be read by anyone, so the board code only goes in it once the game is over
+	const boardCode = rules.isGameOver(state.phase) ? await db.getBoardCode(gameId) : undefined;
+	const entries = events.reduce((allEntries, event) => {
+		switch (event.type) {
+		case EVENTS.CLUE_GIVEN:
+			return [...allEntries, {
+				type: LOG_EVENTS.CLUE_GIVEN,
+				word: event.word,
+				number: event.number,
+				playerName: ws && ws.playerName,
+			}];
+		case EVENTS.GUESSED:
+			return [...allEntries, { type: LOG_EVENTS.GUESS_MADE, word: event.word, role: event.role }];
+		case EVENTS.PHASE_CHANGED:
+			// A turn ends when the guessers stop guessing without the game being won or lost
+			if (prevState.phase !== PHASES.GUESSING || rules.isGameOver(event.phase)) return allEntries;
+			return [...allEntries, {
+				type: LOG_EVENTS.TURN_ENDED,
+				teamId: prevState.phaseTeamId,
+				turnsLeft: state.turnsLeft,
+				phase: event.phase,
+				reason: getTurnEndReason(action, events, prevState.phaseTeamId),
+			}];
+		case EVENTS.GAME_OVER:
+			return [...allEntries, {
+				type: LOG_EVENTS.GAME_OVER,
+				outcome: event.outcome,
+				reason: event.reason,
+				turnsUsed: event.turnsUsed,
+				winningTeamId: event.winningTeamId,
+				boardCode,
+			}];
+		default:
+			return allEntries;
+		}
+	}, [...timeUpEntries, ...passEntries]);
 
-	if (!clueWord) return;
+	return entries.reduce((promise, { type, ...details }) => (
+		promise.then(() => logEvent(gameId, ws, type, details))
+	), Promise.resolve());
+}
 
-	const playerGivingClue = clueGiverTeamId === 1 ? 'playerOne' : 'playerTwo';
+function getTurnEndReason(action, events, teamId) {
+	if (action.type === ACTIONS.END_TURN) return TURN_END_REASONS.STOPPED;
+	if (action.type === ACTIONS.TIME_UP) return TURN_END_REASONS.TIME_RAN_OUT;
 
-	send(ws, {
-		type: 'clueGiven',
-		payload: {
-			playerGivingClue,
-			number: guessesLeft,
-			word: clueWord,
-		},
-	});
+	// A turn that ends on a right guess ends because the guesses for the clue ran out
+	const { role } = events.find(event => event.type === EVENTS.GUESSED) || {};
+	const isRight = role === ROLES.AGENT || role === TEAM_COLORS[teamId];
+
+	return isRight ? TURN_END_REASONS.OUT_OF_GUESSES : TURN_END_REASONS.WRONG_GUESS;
 }
 
-async function sendWholeGameState(ws) {
-	const { agentsLeftTeamOne, agentsLeftTeamTwo } = await db.getAgentsLeft(ws.gameId);
+async function giveClue(ws, clueWord, clueNumber) {
+	const result = await playMove(ws.gameId, { type: ACTIONS.GIVE_CLUE, word: clueWord, number: clueNumber }, ws);
 
-	send(ws, {
-		type: 'words',
-		payload: {
-			gameId: ws.gameId,
-			words: await db.getWords(ws.gameId, ws.teamId),
-			agentsLeftTeamOne,
-			agentsLeftTeamTwo,
-		},
-	});
-	send(ws, {
-		type: 'turns',
-		payload: {
-			turnsLeft: await db.getTurnsLeft(ws.gameId),
-		},
+	if (!result) return;
+
+	// The clue is for whoever guesses next (the other team in a duet game, the clue giver's own in a classic game)
+	const tokens = await db.getTokensOnTeam(ws.gameId, result.state.phaseTeamId);
+
+	iOSNotify(ws.gameId, tokens, {
+		title: 'A clue has been given in your game',
+		body: `${ws.playerName} gave the clue "${clueWord}" - ${clueNumber}`,
 	});
-	maybeSendCurrentClue(ws);
 }
 
-// ROUTES
+async function endTurn(ws) {
+	return playMove(ws.gameId, { type: ACTIONS.END_TURN }, ws);
+}
 
-app.use((req, res, next) => {
-	const protocol = req.get('X-Forwarded-Proto');
-	const host = req.get('Host');
+// Describes a move for people, e.g. 'their guess "APPLE"'
+function describeUndoAction({ type, word, number }) {
+	return type === ACTIONS.GIVE_CLUE ? `their clue "${word}" - ${number}` : `their guess "${word}"`;
+}
+
+/**
+ * Asks the partner of the player who made the last move whether it can be undone (e.g. a mis-tapped word
+ * or a typo in a clue that nobody has guessed for yet)
+ * @param  {Object} ws - the connection of the player who made the move
+ */
+async function requestUndo(ws) {
+	const undo = await db.getUndo(ws.gameId);
+
+	if (!undo) {
+		sendError(ws, 'requestUndo', 'There is no move to undo');
+		return;
+	}
+
+	if (rules.isGameOver((await db.getPhaseState(ws.gameId)).phase)) {
+		sendError(ws, 'requestUndo', 'The game is over, so its moves can\'t be undone');
+		return;
+	}
+
+	if (!ws.playerId || undo.playerId !== ws.playerId) {
+		sendError(ws, 'requestUndo', 'Only the player who made the last move can undo it');
+		return;
+	}
+
+	if (undo.requested) {
+		sendError(ws, 'requestUndo', 'You have already asked your partner to undo it');
+		return;
+	}
+
+	await db.setUndo(ws.gameId, { ...undo, requested: true });
+
+	broadcast(ws.gameId, {
+		type: 'undoRequested',
+		payload: {
+			teamId: ws.teamId === 1 ? 'one' : 'two',
+			action: undo.action,
+		},
+	});
+
+	const partnerTeamId = rules.getOtherTeamId(ws.teamId);
+	const bot = (await db.getBots(ws.gameId))[partnerTeamId];
+
+	// A computer partner always agrees
+	if (bot) {
+		await answerUndo(getBotSocket(ws.gameId, partnerTeamId, bot), true);
+		return;
+	}
+
+	const tokens = await db.getTokensOnTeam(ws.gameId, partnerTeamId);
+
+	iOSNotify(ws.gameId, tokens, {
+		title: 'Your partner wants to undo a move',
+		body: `${ws.playerName} wants to undo ${describeUndoAction(undo.action)}`,
+	});
+}
+
+/**
+ * Undoes the last move if the partner of the player who made it agrees
+ * @param  {Object} ws - the connection of the partner
+ * @param  {Boolean} approve - whether the partner agrees
+ */
+async function answerUndo(ws, approve) {
+	const undo = await db.getUndo(ws.gameId);
+
+	if (!undo || !undo.requested) {
+		sendError(ws, 'answerUndo', 'Nobody has asked to undo a move');
+		return;
+	}
+
+	if (!ws.teamId || undo.teamId === ws.teamId) {
+		sendError(ws, 'answerUndo', 'Only the partner of the player who made the move can agree to undo it');
+		return;
+	}
+
+	if (rules.isGameOver((await db.getPhaseState(ws.gameId)).phase)) {
+		sendError(ws, 'answerUndo', 'The game is over, so its moves can\'t be undone');
+		return;
+	}
+
+	if (!approve) {
+		await db.setUndo(ws.gameId, { ...undo, requested: false });
+		broadcast(ws.gameId, { type: 'undoAnswered', payload: { approved: false } });
+		return;
+	}
+
+	await db.setRulesState(ws.gameId, undo.state, await db.getRulesState(ws.gameId));
+	await db.clearUndo(ws.gameId);
+	await clearProposals(ws.gameId);
+	await restartClock(ws.gameId);
+	scheduleBotMove(ws.gameId);
+	// The event is about the player whose move was undone
+	await logEvent(ws.gameId, ws, LOG_EVENTS.MOVE_UNDONE, {
+		playerId: undo.playerId,
+		teamId: undo.teamId,
+		approvedBy: ws.playerId,
+		action: undo.action.type,
+		word: undo.action.word,
+		number: undo.action.number,
+	});
+
+	broadcast(ws.gameId, { type: 'undoAnswered', payload: { approved: true } });
+
+	if (sockets[ws.gameId]) {
+		sockets[ws.gameId].forEach((client) => {
+			sendWholeGameState(client);
+		});
+	}
+}
+
+// GUESS VOTES
+
+// Everyone connected on a team votes on its guesses, except the spymaster of a classic game
+async function getVoterIds(gameId, teamId) {
+	const spymasterId = (await db.getSpymasters(gameId))[teamId];
+	const playerIds = [...(sockets[gameId] || [])]
+		.filter(client => client.teamId === teamId && client.playerId && client.playerId !== spymasterId)
+		.map(client => client.playerId);
+
+	return [...new Set(playerIds)];
+}
+
+async function getVotesNeeded(gameId, teamId) {
+	const { guessVotePercent } = await db.getSettings(gameId);
+	const voterIds = await getVoterIds(gameId, teamId);
+
+	return Math.max(Math.ceil((voterIds.length * guessVotePercent) / 100), 1);
+}
+
+async function getProposalsPayload(gameId) {
+	const proposals = await db.getProposals(gameId);
+	const votesNeededByTeamId = {
+		1: await getVotesNeeded(gameId, 1),
+		2: await getVotesNeeded(gameId, 2),
+	};
+
+	return Object.keys(proposals).reduce((memo, word) => {
+		const { teamId, playerId, votes } = proposals[word];
+
+		return {
+			...memo,
+			[word]: {
+				teamId: teamId === 1 ? 'one' : 'two',
+				playerId,
+				votes,
+				votesNeeded: votesNeededByTeamId[teamId],
+			},
+		};
+	}, {});
+}
+
+async function broadcastProposals(gameId) {
+	broadcast(gameId, {
+		type: 'proposals',
+		payload: {
+			proposals: await getProposalsPayload(gameId),
+		},
+	});
+}
+
+async function clearProposals(gameId) {
+	if (!Object.keys(await db.getProposals(gameId)).length) return;
+
+	await db.clearProposals(gameId);
+	broadcastProposals(gameId);
+}
+
+/**
+ * Proposes a guess to the player's team, with the player's own vote for it (proposing a word that has
+ * already been proposed votes for it)
+ * @param  {Object} ws - the connection of the player
+ * @param  {String} word
+ */
+async function proposeGuess(ws, word) {
+	const { guessVotePercent } = await db.getSettings(ws.gameId);
+
+	if (!guessVotePercent) {
+		sendError(ws, 'proposeGuess', 'Your team doesn\'t vote on its guesses, so just make the guess');
+		return;
+	}
+
+	// Only a guess the player could make right now can be proposed
+	const { error } = rules.applyAction(await db.getRulesState(ws.gameId), {
+		type: ACTIONS.GUESS,
+		word,
+		teamId: ws.teamId,
+		isSpymaster: await db.isSpymaster(ws.gameId, ws.teamId, ws.playerId),
+	});
+
+	if (error) {
+		sendError(ws, 'proposeGuess', error);
+		return;
+	}
+
+	if ((await db.getProposals(ws.gameId))[word]) {
+		await voteOnGuess(ws, word, true);
+		return;
+	}
+
+	await db.setProposal(ws.gameId, word, { teamId: ws.teamId, playerId: ws.playerId, votes: [ws.playerId] });
+	await maybeMakeProposedGuess(ws, word);
+}
+
+/**
+ * Votes for a proposed guess, or takes back a vote (a proposal nobody votes for any more is dropped)
+ * @param  {Object} ws - the connection of the player
+ * @param  {String} word
+ * @param  {Boolean} approve - whether the player agrees with the guess
+ */
+async function voteOnGuess(ws, word, approve) {
+	const proposal = (await db.getProposals(ws.gameId))[word];
+
+	if (!proposal) {
+		sendError(ws, 'voteOnGuess', `Nobody has proposed "${word}"`);
+		return;
+	}
+
+	if (proposal.teamId !== ws.teamId) {
+		sendError(ws, 'voteOnGuess', 'Only the team a guess was proposed to can vote on it');
+		return;
+	}
+
+	const votes = proposal.votes.filter(playerId => playerId !== ws.playerId);
+	if (approve) votes.push(ws.playerId);
+
+	if (!votes.length) {
+		await db.removeProposal(ws.gameId, word);
+		broadcastProposals(ws.gameId);
+		return;
+	}
+
+	await db.setProposal(ws.gameId, word, { ...proposal, votes });
+	await maybeMakeProposedGuess(ws, word);
+}
+
+// The guess is made for the team as soon as enough of it has voted for it
+async function maybeMakeProposedGuess(ws, word) {
+	const proposal = (await db.getProposals(ws.gameId))[word];
+
+	if (proposal.votes.length < await getVotesNeeded(ws.gameId, proposal.teamId)) {
+		broadcastProposals(ws.gameId);
+		return;
+	}
+
+	// Even if the guess can't be made after all, the proposal is settled
+	await db.removeProposal(ws.gameId, word);
+	broadcastProposals(ws.gameId);
+	await makeGuess(ws, word, true);
+}
+
+// COMPUTER PARTNERS
+
+// The connection a computer partner plays through, as if it were a player's (nothing is ever sent over it)
+function getBotSocket(gameId, teamId, { playerId }) {
+	return {
+		gameId,
+		teamId,
+		playerId,
+		playerName: bots.BOT_NAME,
+		isBot: true,
+	};
+}
+
+// Clients know the teams as 'one' and 'two'
+function getBotsPayload(botsByTeamId) {
+	const getBot = bot => bot && { playerId: bot.playerId, playerName: bots.BOT_NAME, caution: bot.caution };
+
+	return { one: getBot(botsByTeamId[1]), two: getBot(botsByTeamId[2]) };
+}
+
+async function broadcastBots(gameId) {
+	broadcast(gameId, {
+		type: 'bots',
+		payload: {
+			bots: getBotsPayload(await db.getBots(gameId)),
+		},
+	});
+}
+
+function validateCaution(caution) {
+	if (!bots.CAUTIONS[caution]) return `"${caution}" is not how the computer can guess, it must be one of ${Object.keys(bots.CAUTIONS).join(' or ')}`;
+
+	return undefined;
+}
+
+/**
+ * Seats a computer partner on the other team of a duet game, if nobody has taken that seat
+ * @param  {Object} ws - the connection of the player who wants to play with the computer
+ * @param  {String} [caution] - how readily it guesses (see src/bots.js)
+ */
+async function handleAddBot(ws, caution = bots.DEFAULT_CAUTION) {
+	const cautionError = validateCaution(caution);
+
+	if (cautionError) {
+		sendError(ws, 'addBot', cautionError);
+		return;
+	}
+
+	if (await db.getGameType(ws.gameId) !== GAME_TYPES.DUET) {
+		sendError(ws, 'addBot', 'Only a duet game can be played with the computer');
+		return;
+	}
+
+	if (!ws.teamId) {
+		sendError(ws, 'addBot', 'Join a team before asking the computer to play with you');
+		return;
+	}
+
+	const unknownWordError = getUnknownWordError(Object.keys(await db.getWordMap(ws.gameId)));
+
+	if (unknownWordError) {
+		sendError(ws, 'addBot', unknownWordError);
+		return;
+	}
+
+	const teamId = rules.getOtherTeamId(ws.teamId);
+
+	if ((await db.getPlayersOnTeam(ws.gameId, teamId)).length) {
+		sendError(ws, 'addBot', 'Your partner\'s seat is already taken');
+		return;
+	}
+
+	// The computer joins the way a person would, as a new player on the empty team
+	const playerId = await db.setPlayer(bots.BOT_NAME);
+
+	await db.addPlayerToTeam(ws.gameId, playerId, undefined, teamId);
+	await db.setBot(ws.gameId, teamId, { playerId, caution });
+	await broadcastBots(ws.gameId);
+	scheduleBotMove(ws.gameId);
+}
+
+function getUnknownWordError(boardWords) {
+	const unknownWord = bots.findUnknownWord(boardWords);
+
+	return unknownWord && `The computer doesn't know "${unknownWord}", so it can only play with the English word packs`;
+}
+
+// Gives the seat of a computer partner back, so a person can take it
+async function handleRemoveBot(ws) {
+	const teamId = ws.teamId && rules.getOtherTeamId(ws.teamId);
+	const bot = teamId && (await db.getBots(ws.gameId))[teamId];
+
+	if (!bot) {
+		sendError(ws, 'removeBot', 'You aren\'t playing with the computer');
+		return;
+	}
+
+	await db.removePlayerFromTeam(ws.gameId, bot.playerId, teamId);
+	await db.clearBot(ws.gameId, teamId);
+	await broadcastBots(ws.gameId);
+}
+
+async function handleBotCautionChanged(ws, caution) {
+	const teamId = ws.teamId && rules.getOtherTeamId(ws.teamId);
+	const bot = teamId && (await db.getBots(ws.gameId))[teamId];
+	const error = (!bot && 'You aren\'t playing with the computer') || validateCaution(caution);
+
+	if (error) {
+		sendError(ws, 'changeBotCaution', error);
+		return;
+	}
+
+	await db.setBot(ws.gameId, teamId, { ...bot, caution });
+	await broadcastBots(ws.gameId);
+}
+
+function scheduleBotMove(gameId) {
+	clearTimeout(botTimeouts[gameId]);
+	botTimeouts[gameId] = setTimeout(() => playBotMove(gameId), BOT_DELAY_MS);
+}
+
+// Makes the move of a computer partner, if the game is waiting for one
+async function playBotMove(gameId) {
+	delete botTimeouts[gameId];
+
+	const botsByTeamId = await db.getBots(gameId);
+	const { phase, phaseTeamId } = await db.getPhaseState(gameId);
+	const bot = phaseTeamId && botsByTeamId[phaseTeamId];
+
+	if (!bot) return;
+
+	const botWs = getBotSocket(gameId, phaseTeamId, bot);
+
+	if (phase === PHASES.AWAITING_CLUE) {
+		const clue = bots.chooseClue(await db.getWords(gameId, phaseTeamId), phaseTeamId, await db.getClueRules(gameId));
+
+		// Rather than hold the game up, it gives its turn to its partner
+		if (!clue) {
+			await playMove(gameId, { type: ACTIONS.PASS }, botWs);
+			return;
+		}
+
+		await giveClue(botWs, clue.word, clue.number);
+		return;
+	}
+
+	// It guesses one word at a time, and leaves sudden death (where there's no clue to go on) to its partner
+	if (phase !== PHASES.GUESSING) return;
+
+	const { clueWord, clueNumber, guessesLeft } = await db.getTurn(gameId) || {};
+	const hasGuessed = parseInt(guessesLeft, 10) < parseInt(clueNumber, 10);
+	const word = bots.chooseGuess(clueWord, await db.getWords(gameId, phaseTeamId), phaseTeamId, hasGuessed, bot.caution);
+
+	// Nobody else on its team votes on its guesses
+	await (word ? makeGuess(botWs, word, true) : endTurn(botWs));
+}
+
+// WORD MARKS
+
+/**
+ * Marks a word on the player's own view of the board, or clears its mark
+ * @param  {Object} ws - the connection of the player
+ * @param  {String} word
+ * @param  {Object} mark - { tag, note } (see src/marks.js)
+ */
+async function markWord(ws, word, mark) {
+	const { mark: newMark, error } = marks.normalizeMark(mark);
+
+	if (error) {
+		sendError(ws, 'markWord', error);
+		return;
+	}
+
+	if (!ws.playerId || !(await db.getWordMap(ws.gameId))[word]) {
+		sendError(ws, 'markWord', `"${word}" isn't on the board`);
+		return;
+	}
+
+	const { [word]: oldMark, ...otherMarks } = await db.getMarks(ws.gameId, ws.playerId);
+	const playerMarks = newMark ? { ...otherMarks, [word]: newMark } : otherMarks;
+
+	await db.setMarks(ws.gameId, ws.playerId, playerMarks);
+
+	// Every device the player is on sees the same marks
+	[...(sockets[ws.gameId] || [])]
+		.filter(client => client.playerId === ws.playerId && !client.isSpectator)
+		.forEach(client => sendMarks(client, playerMarks));
+}
+
+function sendMarks(ws, playerMarks) {
+	send(ws, {
+		type: 'marks',
+		payload: {
+			marks: playerMarks,
+		},
+	});
+}
+
+// CHAT
+
+/**
+ * Sends a message from a player to everyone in the game, spectators included
+ * @param  {Object} ws - the connection of the player
+ * @param  {String} text
+ */
+async function sendChatMessage(ws, text) {
+	const { text: messageText, error } = chat.normalizeMessage(text);
+
+	if (error) {
+		sendError(ws, 'chat', error);
+		return;
+	}
+
+	// Once the game is over, every word on the board can be talked about
+	const { blockBoardWordsInChat } = await db.getSettings(ws.gameId);
+	const boardWord = blockBoardWordsInChat && !(await db.getResult(ws.gameId))
+		&& chat.findBoardWord(messageText, Object.keys(await db.getWordMap(ws.gameId)));
+
+	if (boardWord) {
+		sendError(ws, 'chat', `"${boardWord}" is on the board, so it can't be said in chat`);
+		return;
+	}
+
+	const message = await db.addChatMessage(ws.gameId, {
+		playerId: ws.playerId,
+		playerName: ws.playerName,
+		teamId: ws.teamId,
+		text: messageText,
+	}, chat.MAX_HISTORY_LENGTH);
+
+	broadcast(ws.gameId, {
+		type: 'chat',
+		payload: {
+			message: chat.getMessagePayload(message),
+		},
+	});
+}
+
+// LOBBY
+
+/**
+ * Lists the game in the lobby, or takes it out of the lobby
+ * @param  {Object} ws - the connection of the player on a team who asked
+ * @param  {Boolean} isPublic
+ */
+async function handlePublicChanged(ws, isPublic) {
+	if (!ws.teamId) {
+		sendError(ws, 'changePublic', 'Only players in the game can list it in the lobby');
+		return;
+	}
+
+	await db.setPublic(ws.gameId, !!isPublic);
+	broadcast(ws.gameId, {
+		type: 'publicChanged',
+		payload: {
+			isPublic: !!isPublic,
+		},
+	});
+}
+
+/**
+ * Takes a game out of the lobby (once it's over, nobody is waiting for a partner in it)
+ * @param  {String} gameId
+ */
+async function unlistGame(gameId) {
+	if (!await db.isPublic(gameId)) return;
+
+	await db.setPublic(gameId, false);
+	broadcast(gameId, {
+		type: 'publicChanged',
+		payload: {
+			isPublic: false,
+		},
+	});
+}
+
+/**
+ * Takes the games that are gone, over or were listed too long ago out of the lobby
+ * (games that end while they're listed are taken out as they end, see handleGameOver)
+ */
+async function pruneLobby() {
+	await db.removePublicGamesListedBefore(Date.now() - MAX_PUBLIC_AGE);
+
+	const gameIds = await db.getPublicGameIds(MAX_PUBLIC_GAMES);
+
+	await Promise.all(gameIds.map(async (gameId) => {
+		if (!(await db.doesGameExist(gameId)) || await db.getResult(gameId)) await unlistGame(gameId);
+	}));
+}
+
+setInterval(pruneLobby, LOBBY_PRUNE_INTERVAL);
+
+/**
+ * Describes a public game for the lobby, if it's waiting for players: someone is in it, it isn't over,
+ * it was listed recently enough and a seat is empty (a team nobody, not even the computer, has joined)
+ * @param  {String} gameId
+ * @return {Object|undefined} { gameId, gameType, settings, seatsFilled, seats, activePlayers, age }
+ */
+async function getLobbyGame(gameId) {
+	const activePlayers = [...(sockets[gameId] || [])].filter(client => client.readyState === 1).length;
+
+	if (!activePlayers || Date.now() - await db.getListedAt(gameId) > MAX_PUBLIC_AGE) return undefined;
+	if (!(await db.doesGameExist(gameId)) || await db.getResult(gameId)) return undefined;
+
+	const teamSizes = [(await db.getPlayersOnTeam(gameId, 1)).length, (await db.getPlayersOnTeam(gameId, 2)).length];
+	const seatsFilled = teamSizes.filter(size => size > 0).length;
+
+	if (seatsFilled === teamSizes.length) return undefined;
+
+	const startedAt = await db.getStartedAt(gameId);
+
+	return {
+		gameId,
+		gameType: await db.getGameType(gameId),
+		settings: await db.getSettings(gameId),
+		seatsFilled,
+		seats: teamSizes.length,
+		activePlayers,
+		// In milliseconds, since the current game at the gameId started
+		age: startedAt && Date.now() - startedAt,
+	};
+}
+
+// MATCHMAKING
+
+function queueSocket(ws, ticket) {
+	queuedSockets[ticket] = ws;
+	ws.queueTicket = ticket;
+	send(ws, {
+		type: 'queueJoined',
+		payload: { ticket },
+	});
+}
+
+function unqueueSocket(ws) {
+	if (queuedSockets[ws.queueTicket] === ws) delete queuedSockets[ws.queueTicket];
+	ws.queueTicket = undefined;
+}
+
+/**
+ * Takes a player out of the queue, giving up their place in it
+ * @param  {Object} ws
+ */
+async function leaveQueue(ws) {
+	if (!ws.queueTicket) return;
+
+	await db.removeFromQueue(ws.queueTicket);
+	unqueueSocket(ws);
+	send(ws, {
+		type: 'queueLeft',
+		payload: {},
+	});
+}
+
+/**
+ * Takes the first player in the queue who can be paired with a player who's joining it out of the queue,
+ * dropping anyone who has waited too long on the way
+ * @param  {Object} ws - the connection of the joining player (who can't be their own partner)
+ * @param  {Object} entry - what the joining player is waiting for (see src/matchmaking.js)
+ * @param  {String[]} tickets - the queue, who has waited longest first
+ * @return {Object|undefined} { ws, entry } of the partner
+ */
+async function takePartnerFromQueue(ws, entry, tickets) {
+	const [ticket, ...otherTickets] = tickets;
+
+	if (!ticket) return undefined;
+
+	const partnerEntry = await db.getQueueEntry(ticket);
+	const partnerWs = queuedSockets[ticket];
+
+	if (partnerWs === ws) return takePartnerFromQueue(ws, entry, otherTickets);
+
+	// A player who has entered a game since they joined the queue isn't waiting anymore
+	if (!partnerEntry || Date.now() - partnerEntry.joinedAt > matchmaking.MAX_WAIT || (partnerWs && partnerWs.gameId)) {
+		await db.removeFromQueue(ticket);
+		if (partnerWs) unqueueSocket(partnerWs);
+		return takePartnerFromQueue(ws, entry, otherTickets);
+	}
+
+	// Only players who are still here are paired; the rest keep their place until they come back for it.
+	// Whoever takes a player out of the queue first pairs them.
+	if (partnerWs && partnerWs.readyState === 1 && matchmaking.canPair(partnerEntry, entry) && await db.removeFromQueue(ticket)) {
+		unqueueSocket(partnerWs);
+		return { ws: partnerWs, entry: partnerEntry };
+	}
+
+	return takePartnerFromQueue(ws, entry, otherTickets);
+}
+
+async function generateNewGameId() {
+	const gameId = matchmaking.generateGameId();
+
+	return await db.doesGameExist(gameId) || sockets[gameId] ? generateNewGameId() : gameId;
+}
+
+/**
+ * Joins a paired player's connection to their new game, as if they had entered it themselves
+ * @param  {Object} ws
+ * @param  {String} gameId
+ */
+async function joinPairedGame(ws, gameId) {
+	const {
+		playerName, facebookId, facebookImage, token,
+	} = ws.queuedPlayer || {};
+
+	if (ws.gameId && sockets[ws.gameId]) sockets[ws.gameId].delete(ws);
+
+	ws.gameId = gameId;
+	ws.isSpectator = false;
+	ws.isCreator = false;
+	ws.canSeeKeys = false;
+	ws.showKeys = false;
+	sockets[gameId].add(ws);
+
+	await handlePlayerChanged(ws, playerName, facebookId, facebookImage, token);
+	send(ws, {
+		type: 'matched',
+		payload: { gameId },
+	});
+}
+
+/**
+ * Starts a fresh game for two players paired from the queue and sends them both to it
+ * @param  {Object} waiting - { ws, entry } of the player who was waiting
+ * @param  {Object} joining - { ws, entry } of the player who joined the queue
+ */
+async function startPairedGame(waiting, joining) {
+	const gameId = await generateNewGameId();
+	const game = new Game({ wordPacks: matchmaking.getPairWordPacks(waiting.entry, joining.entry) });
+
+	await db.setGame(gameId, game);
+	await logGameStarted(gameId, undefined, game);
+	sockets[gameId] = new Set();
+
+	// One after the other, so they're seated on different teams
+	await joinPairedGame(waiting.ws, gameId);
+	await joinPairedGame(joining.ws, gameId);
+}
+
+/**
+ * Pairs a player with someone waiting for a partner, or puts them in the queue to wait for one
+ * @param  {Object} ws - the connection of the player, which isn't in a game
+ * @param  {Object} options
+ * @param  {String} [options.ticket] - the ticket of a player coming back for their place in the queue
+ * @param  {String[]} [options.wordPacks] - the word packs the player wants to play with
+ * @param  {String} [options.matchBy] - who the player is willing to play with (see src/matchmaking.js)
+ */
+async function handleJoinQueue(ws, {
+	ticket,
+	wordPacks: packIds,
+	matchBy = matchmaking.DEFAULT_MATCH_BY,
+	playerName,
+	facebookId,
+	facebookImage,
+	token,
+}) {
+	const error = (ws.gameId && 'Leave your game before looking for a partner')
+		|| (packIds && wordPacks.validatePackIds(packIds))
+		|| matchmaking.validateMatchBy(matchBy);
+
+	if (error) {
+		sendError(ws, 'joinQueue', error);
+		return;
+	}
+
+	// A player who's already waiting keeps their place (and the ticket for it) rather than queueing twice
+	if (ws.queueTicket && await db.getQueueEntry(ws.queueTicket)) {
+		queueSocket(ws, ws.queueTicket);
+		return;
+	}
+
+	if (ws.queueTicket) unqueueSocket(ws);
+
+	ws.queuedPlayer = {
+		playerName, facebookId, facebookImage, token,
+	};
+
+	// A player coming back for their place (e.g. after reconnecting, or after the server restarted) keeps it
+	const returningEntry = ticket && await db.getQueueEntry(ticket);
+	const entry = returningEntry || { ...matchmaking.getQueueEntry(packIds, matchBy), joinedAt: Date.now() };
+
+	if (returningEntry) await db.removeFromQueue(ticket);
+
+	const partner = await takePartnerFromQueue(ws, entry, await db.getQueue());
+
+	if (partner) {
+		await startPairedGame(partner, { ws, entry });
+		return;
+	}
+
+	const queueTicket = returningEntry ? ticket : crypto.randomBytes(12).toString('hex');
+
+	await db.addToQueue(queueTicket, entry);
+	queueSocket(ws, queueTicket);
+}
+
+async function handleLeaveQueue(ws) {
+	// Leaving the queue says so, even to a player who had already lost their place in it
+	if (ws.queueTicket) {
+		await leaveQueue(ws);
+	} else {
+		send(ws, {
+			type: 'queueLeft',
+			payload: {},
+		});
+	}
+}
+
+async function getCampaignIdForGameId(gameId) {
+	const [playerIdOne] = await db.getPlayersOnTeam(gameId, 1);
+	const [playerIdTwo] = await db.getPlayersOnTeam(gameId, 2);
+
+	if (!playerIdOne || !playerIdTwo) return undefined;
+
+	return campaign.getCampaignId(playerIdOne, playerIdTwo);
+}
+
+async function maybeCompleteCampaignMission(gameId) {
+	const { campaignId, missionId } = await db.getGameCampaign(gameId);
+
+	if (!campaignId || !missionId) return Promise.resolve();
+
+	console.log(`Campaign ${campaignId} completed the mission "${missionId}" in gameId ${gameId}`);
+	return db.addCompletedMission(campaignId, missionId);
+}
+
+// Spymasters see the whole key of a classic game
+async function getWordsForPlayer(gameId, teamId, playerId) {
+	return db.getWords(gameId, teamId, await db.isSpymaster(gameId, teamId, playerId));
+}
+
+async function getWordsForSocket(ws) {
+	if (ws.isSpectator) return db.getWords(ws.gameId, undefined, false, await isShowingKeys(ws));
+
+	return getWordsForPlayer(ws.gameId, ws.teamId, ws.playerId);
+}
+
+/**
+ * Checks whether a connection is (or is as) a player with a seat on a team of its game, e.g. a player who
+ * opened the keys link in another window
+ * @param  {Object} ws
+ * @return {Promise<Boolean>}
+ */
+async function holdsSeat(ws) {
+	if (ws.teamId) return true;
+
+	return !!ws.playerId && !!(await db.getTeamIdForPlayerId(ws.gameId, ws.playerId));
+}
+
+// Whether a spectator is shown the keys while the game is played (the server never shows them to a player)
+async function isShowingKeys(ws) {
+	return !!ws.showKeys && !(await holdsSeat(ws));
+}
+
+/**
+ * Checks a token against the one in the game's keys link (which the game's creator gets to share with spectators)
+ * @param  {String} gameId
+ * @param  {String} [keysToken]
+ * @return {Promise<Boolean>}
+ */
+async function isKeysToken(gameId, keysToken) {
+	if (!keysToken || typeof keysToken !== 'string') return false;
+
+	return keysToken === await db.getKeysToken(gameId);
+}
+
+/**
+ * Lets a spectator from the keys link choose between seeing no key and seeing both keys (or every role of a classic game)
+ * @param  {Object} ws - the connection of the spectator
+ * @param  {Boolean} showKeys
+ */
+async function handleSpectatorKeysChanged(ws, showKeys) {
+	if (!ws.isSpectator) {
+		sendError(ws, 'changeSpectatorKeys', 'Only spectators can choose which keys they see');
+		return;
+	}
+
+	if (showKeys && await holdsSeat(ws)) {
+		sendError(ws, 'changeSpectatorKeys', 'Players in the game can\'t see the keys');
+		return;
+	}
+
+	if (showKeys && !ws.canSeeKeys) {
+		sendError(ws, 'changeSpectatorKeys', 'Only spectators who came from the keys link can see the keys');
+		return;
+	}
+
+	ws.showKeys = !!showKeys;
+	sendWholeGameState(ws);
+}
+
+/**
+ * Makes a player the spymaster of their team in a classic game, or lets them step down
+ * @param  {Object} ws - the connection of the player
+ * @param  {Boolean} spymaster - whether the player wants to be their team's spymaster
+ */
+async function handleSpymasterChanged(ws, spymaster) {
+	if (!rules.isClassic({ gameType: await db.getGameType(ws.gameId) })) {
+		sendError(ws, 'changeSpymaster', 'Only classic games have spymasters');
+		return;
+	}
+
+	if (!ws.teamId) {
+		sendError(ws, 'changeSpymaster', 'Only players on a team can be its spymaster');
+		return;
+	}
+
+	const spymasters = await db.getSpymasters(ws.gameId);
+
+	if (spymaster && spymasters[ws.teamId] && spymasters[ws.teamId] !== ws.playerId) {
+		sendError(ws, 'changeSpymaster', 'Your team already has a spymaster');
+		return;
+	}
+
+	if (spymaster) {
+		await db.setSpymaster(ws.gameId, ws.teamId, ws.playerId);
+	} else if (spymasters[ws.teamId] === ws.playerId) {
+		await db.clearSpymaster(ws.gameId, ws.teamId);
+	}
+
+	await broadcastSpymasters(ws.gameId);
+	// The player now sees the key, or stops seeing it
+	sendWholeGameState(ws);
+}
+
+async function getGameForPlayerId(gameId, playerId) {
+	const teamId = await db.getTeamIdForPlayerId(gameId, playerId);
+	const words = await getWordsForPlayer(gameId, teamId, playerId);
+	const clue = await db.getTurn(gameId);
+	const { agentsLeftTeamOne, agentsLeftTeamTwo } = await db.getAgentsLeft(gameId);
+
+	const playerGivingClue = clue && (clue.clueGiverTeamId === 1 ? 'playerOne' : 'playerTwo');
+
+	let team;
+	if (teamId) {
+		team = teamId === 1 ? 'playerOne' : 'playerTwo';
+	}
+
+	return {
+		words,
+		playerId,
+		teamId: team,
+		turnsLeft: await db.getTurnsLeft(gameId),
+		...getPhasePayload(await db.getPhaseState(gameId)),
+		result: await db.getResult(gameId),
+		settings: await db.getSettings(gameId),
+		gameType: await db.getGameType(gameId),
+		mistakesMade: await db.getMistakesMade(gameId),
+		number: clue && clue.guessesLeft,
+		word: clue && clue.clueWord,
+		playerGivingClue,
+		agentsLeftTeamOne,
+		agentsLeftTeamTwo,
+	};
+}
+
+async function makeGuess(ws, word, isAgreed = false) {
+	const { guessVotePercent } = await db.getSettings(ws.gameId);
+
+	// A team that votes on its guesses only makes the ones enough of it agree to (see proposeGuess)
+	if (guessVotePercent > 0 && !isAgreed) {
+		sendError(ws, 'guess', 'Your team votes on its guesses, so propose the word to them instead');
+		return;
+	}
+
+	const { clueWord } = await db.getTurn(ws.gameId) || {};
+	const result = await playMove(ws.gameId, { type: ACTIONS.GUESS, word }, ws);
+
+	if (!result) return;
+
+	const clueText = clueWord ? ` for the clue "${clueWord}"` : '';
+	const tokens = await db.getTokensOnTeam(ws.gameId, rules.getOtherTeamId(ws.teamId));
+	const { playerName } = await db.getPlayer(ws.playerId);
+
+	iOSNotify(ws.gameId, tokens, {
+		title: 'A guess has been made in your game',
+		body: `${playerName} guessed "${word}"${clueText}`,
+	});
+}
+
+async function maybeSendCurrentClue(ws) {
+	const { clueGiverTeamId, clueWord, guessesLeft } = await db.getTurn(ws.gameId) || {};
+
+	if (!clueWord) return;
+
+	const playerGivingClue = parseInt(clueGiverTeamId, 10) === 1 ? 'playerOne' : 'playerTwo';
+
+	send(ws, {
+		type: 'clueGiven',
+		payload: {
+			playerGivingClue,
+			number: guessesLeft,
+			word: clueWord,
+		},
+	});
+}
+
+async function sendWholeGameState(ws) {
+	const { agentsLeftTeamOne, agentsLeftTeamTwo } = await db.getAgentsLeft(ws.gameId);
+
+	send(ws, {
+		type: 'words',
+		payload: {
+			gameId: ws.gameId,
+			words: await getWordsForSocket(ws),
+			settings: await db.getSettings(ws.gameId),
+			boardCode: await getBoardCodeIfGameOver(ws.gameId),
+			wordPacks: await db.getWordPacks(ws.gameId),
+			hasCustomWords: (await db.getCustomWords(ws.gameId)).length > 0,
+			clueRules: await db.getClueRules(ws.gameId),
+			gameType: await db.getGameType(ws.gameId),
+			spymasters: getSpymastersPayload(await db.getSpymasters(ws.gameId)),
+			...getPhasePayload(await db.getPhaseState(ws.gameId)),
+			result: await db.getResult(ws.gameId),
+			agentsLeftTeamOne,
+			agentsLeftTeamTwo,
+			isSpectator: !!ws.isSpectator,
+			canSeeKeys: !!ws.canSeeKeys && !(await holdsSeat(ws)),
+			showKeys: await isShowingKeys(ws),
+			// Only the game's creator gets the keys link to share, and spectators who came from it are reminded of it (to reconnect with it)
+			keysToken: ws.isCreator || ws.canSeeKeys ? await db.getKeysToken(ws.gameId) : undefined,
+			isPublic: await db.isPublic(ws.gameId),
+		},
+	});
+	send(ws, {
+		type: 'turns',
+		payload: {
+			turnsLeft: await db.getTurnsLeft(ws.gameId),
+			mistakesMade: await db.getMistakesMade(ws.gameId),
+			...getPhasePayload(await db.getPhaseState(ws.gameId)),
+		},
+	});
+	send(ws, {
+		type: 'phaseChanged',
+		payload: getPhasePayload(await db.getPhaseState(ws.gameId)),
+	});
+	send(ws, {
+		type: 'clock',
+		payload: getClockPayload(await db.getDeadline(ws.gameId)),
+	});
+	maybeSendCurrentClue(ws);
+	send(ws, {
+		type: 'clueHistory',
+		payload: { clueHistory: getClueHistoryPayload(await db.getClueHistory(ws.gameId)) },
+	});
+	send(ws, {
+		type: 'proposals',
+		payload: {
+			proposals: await getProposalsPayload(ws.gameId),
+		},
+	});
+	if (ws.playerId && !ws.isSpectator) sendMarks(ws, await db.getMarks(ws.gameId, ws.playerId));
+	send(ws, {
+		type: 'bots',
+		payload: {
+			bots: getBotsPayload(await db.getBots(ws.gameId)),
+		},
+	});
+	send(ws, {
+		type: 'chatHistory',
+		payload: {
+			messages: (await db.getChatMessages(ws.gameId)).map(chat.getMessagePayload),
+		},
+	});
+}
+
+// ROUTES
+
+app.use((req, res, next) => {
+	const protocol = req.get('X-Forwarded-Proto');
+	const host = req.get('Host');
 	if (protocol !== 'https' && host && host.indexOf('localhost') === -1) {
 		res.redirect(`https://${req.get('Host')}${req.url}`);
 	} else {
@@ -630,6 +2239,60 @@ app.get('/games', async (req, res) => {
 	return Promise.resolve(res.send(gameInfo));
 });
 
+app.get('/word-packs', (req, res) => res.send(wordPacks.listPacks()));
+
+app.get('/events', async (req, res) => {
+	const { gameId, since } = req.query;
+
+	if (!gameId) return Promise.resolve(res.sendStatus(400));
+
+	return Promise.resolve(res.send(await db.getEvents(gameId, parseInt(since, 10) || 0)));
+});
+
+app.get('/campaign', async (req, res) => {
+	const { gameId } = req.query;
+
+	const campaignId = await getCampaignIdForGameId(gameId);
+	const completedMissionIds = campaignId ? await db.getCompletedMissions(campaignId) : [];
+	const { missionId } = await db.getGameCampaign(gameId);
+
+	return Promise.resolve(res.send({
+		campaignId,
+		missionId,
+		missions: campaign.getMap(completedMissionIds),
+	}));
+});
+
+app.get('/players/:playerId/stats', async (req, res) => {
+	const playerId = parseInt(req.params.playerId, 10);
+	const player = playerId && await db.getPlayer(playerId);
+
+	if (!player) return Promise.resolve(res.status(404).send({ error: `There's no player ${req.params.playerId}` }));
+
+	const partnerIds = await db.getPartners(playerId);
+	const pairs = await Promise.all(partnerIds.map(async partnerId => ({
+		playerId: partnerId,
+		name: (await db.getPlayer(partnerId) || {}).name,
+		stats: stats.summarize(await db.getPairStats(playerId, partnerId)),
+	})));
+
+	return Promise.resolve(res.send({
+		playerId,
+		name: player.name,
+		stats: stats.summarize(await db.getStats(playerId)),
+		// The partners played with most first
+		pairs: pairs.sort((a, b) => b.stats.played - a.stats.played),
+	}));
+});
+
+// Public games waiting for players, most recently listed first (the lobby is pruned separately, see pruneLobby)
+app.get('/lobby', async (req, res) => {
+	const gameIds = await db.getPublicGameIds(MAX_PUBLIC_GAMES);
+	const games = await Promise.all(gameIds.map(getLobbyGame));
+
+	return Promise.resolve(res.send(games.filter(game => game).slice(0, LOBBY_SIZE)));
+});
+
 app.get('/exists', async (req, res) => {
 	const { gameId } = req.query;
 
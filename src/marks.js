@@ -0,0 +1,44 @@
+/**
+ * WORD MARKS
+ *
+ * Players can privately mark words on their own view of the board, e.g. to keep track of the words
+ * their partner has shown to be neutral for them. A mark is one of a few tags, or a NOTE of free text,
+ * and is only ever sent to the player who made it.
+ */
+
+const MARK_TAGS = {
+	SAFE: 'SAFE',
+	AVOID: 'AVOID',
+	TARGET: 'TARGET',
+	NOTE: 'NOTE',
+};
+
+const MAX_NOTE_LENGTH = 30;
+
+/**
+ * Checks a mark and reduces it to what's stored
+ * @param  {Object} [mark]
+ * @param  {String} [mark.tag] - one of MARK_TAGS (none to clear the mark)
+ * @param  {String} [mark.note] - the free text of a NOTE
+ * @return {Object} { mark, error } where mark is undefined when it's cleared
+ */
+function normalizeMark({ tag, note } = {}) {
+	if (!tag) return { mark: undefined };
+
+	if (!MARK_TAGS[tag]) return { error: `A mark must be one of ${Object.keys(MARK_TAGS).join(', ')}` };
+
+	if (tag !== MARK_TAGS.NOTE) return { mark: { tag } };
+
+	const text = `${note || ''}`.trim();
+
+	if (!text) return { error: 'A note needs some text' };
+	if (text.length > MAX_NOTE_LENGTH) return { error: `A note can't be longer than ${MAX_NOTE_LENGTH} characters` };
+
+	return { mark: { tag, note: text } };
+}
+
+module.exports = {
+	MARK_TAGS,
+	MAX_NOTE_LENGTH,
+	normalizeMark,
+};
@@ -0,0 +1,104 @@
+/**
+ * MATCHMAKING
+ *
+ * A player without a partner can wait in a queue to be paired with another waiting player, and both are
+ * sent to a fresh game. Each player can ask to only be paired with players who chose the same word packs,
+ * or packs in the same language(s). The queue is kept in Redis, and a player keeps their place with the
+ * ticket they're given, so a server restart (or a dropped connection) doesn't lose it.
+ */
+
+const wordPacks = require('./word-packs');
+
+// Who a player is willing to be paired with
+const MATCH_BY = {
+	ANYONE: 'ANYONE',
+	LANGUAGE: 'LANGUAGE',
+	WORD_PACKS: 'WORD_PACKS',
+};
+
+const DEFAULT_MATCH_BY = MATCH_BY.ANYONE;
+
+// How long a place in the queue is kept, in milliseconds, for a player who never comes back for it
+const MAX_WAIT = 30 * 60 * 1000;
+
+// Game ids are made from these (no 0, 1, I or O, which are easily mixed up)
+const GAME_ID_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GAME_ID_LENGTH = 6;
+
+function validateMatchBy(matchBy) {
+	if (!MATCH_BY[matchBy]) return `Players can only be paired by ${Object.keys(MATCH_BY).join(' or ')}`;
+
+	return undefined;
+}
+
+/**
+ * Describes what a player is waiting for
+ * @param  {String[]} [packIds] - the word packs the player chose
+ * @param  {String} [matchBy] - one of MATCH_BY
+ * @return {Object} { wordPacks, languages, matchBy }
+ */
+function getQueueEntry(packIds, matchBy = DEFAULT_MATCH_BY) {
+	const normalizedPackIds = wordPacks.normalizePackIds(packIds);
+	const languages = wordPacks.listPacks()
+		.filter(({ id }) => normalizedPackIds.indexOf(id) > -1)
+		.map(({ language }) => language)
+		.filter((language, index, allLanguages) => allLanguages.indexOf(language) === index);
+
+	return { wordPacks: normalizedPackIds, languages, matchBy };
+}
+
+function isSameList(a, b) {
+	return a.length === b.length && a.every((item, index) => item === b[index]);
+}
+
+// Whether a player who's waiting is happy with what another one chose
+function accepts(entry, otherEntry) {
+	if (entry.matchBy === MATCH_BY.WORD_PACKS) return isSameList(entry.wordPacks, otherEntry.wordPacks);
+
+	if (entry.matchBy === MATCH_BY.LANGUAGE) return isSameList(entry.languages, otherEntry.languages);
+
+	return true;
+}
+
+/**
+ * Checks whether two waiting players can be paired, as each of them asked
+ * @param  {Object} entry - see getQueueEntry
+ * @param  {Object} otherEntry - see getQueueEntry
+ * @return {Boolean}
+ */
+function canPair(entry, otherEntry) {
+	return accepts(entry, otherEntry) && accepts(otherEntry, entry);
+}
+
+/**
+ * Picks the word packs for the game of a pair: those of a player who asked for the same packs, or else
+ * those of the player who waited longer
+ * @param  {Object} waitingEntry - see getQueueEntry
+ * @param  {Object} joiningEntry - see getQueueEntry
+ * @return {String[]} the word packs
+ */
+function getPairWordPacks(waitingEntry, joiningEntry) {
+	return joiningEntry.matchBy === MATCH_BY.WORD_PACKS ? joiningEntry.wordPacks : waitingEntry.wordPacks;
+}
+
+/**
+ * Makes up a game id (the caller checks that no game has it yet)
+ * @param  {Function} [random] - returns numbers in [0, 1), like Math.random
+ * @return {String}
+ */
+function generateGameId(random = Math.random) {
+	return Array.from({ length: GAME_ID_LENGTH }, () => (
+		GAME_ID_CHARACTERS[Math.floor(random() * GAME_ID_CHARACTERS.length)]
+	)).join('');
+}
+
+module.exports = {
+	MATCH_BY,
+	DEFAULT_MATCH_BY,
+	MAX_WAIT,
+	validateMatchBy,
+	getQueueEntry,
+	canPair,
+	getPairWordPacks,
+	generateGameId,
+};
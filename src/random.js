@@ -0,0 +1,31 @@
+/* eslint-disable no-bitwise */
+
+// Seeds are kept below 36^6 so that they fit in six characters of a board code
+const MAX_SEED = 36 ** 6;
+
+function createSeed() {
+	return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32) so that the same seed always
+ * produces the same sequence of numbers, and so the same board
+ * @param  {Number} seed - an integer between 0 and MAX_SEED
+ * @return {Function} a function returning numbers in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+	let state = seed;
+
+	return () => {
+		state = (state + 0x6D2B79F5) | 0;
+		let t = Math.imul(state ^ (state >>> 15), 1 | state);
+		t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+module.exports = {
+	MAX_SEED,
+	createSeed,
+	createRandom,
+};
@@ -1,8 +1,47 @@
+const crypto = require('crypto');
 const bluebird = require('bluebird');
 const redis = require('redis');
+const {
+	normalizeSettings,
+	normalizeCustomWords,
+	normalizeGameType,
+	encodeBoardCode,
+} = require('./game');
+const { normalizeClueRules } = require('./clues');
+const { normalizePackIds } = require('./word-packs');
+const {
+	PHASES,
+	getOtherTeamId,
+	isGameOver,
+	getWordView,
+} = require('./rules');
+const stats = require('./stats');
 
 bluebird.promisifyAll(redis);
 
+// Words of a duet game are stored as {role1},{role2},{revealed1},{revealed2} and those of a classic game,
+// which has a single key, as {role},{1 if revealed}
+function formatWordData(wordData) {
+	if (wordData.role) return `${wordData.role},${wordData.isRevealed ? 1 : ''}`;
+
+	return `${wordData.playerOne},${wordData.playerTwo},${wordData.roleRevealedForClueGiver.playerOne || ''},${wordData.roleRevealedForClueGiver.playerTwo || ''}`;
+}
+
+function parseWordData(formattedWordData) {
+	const wordData = formattedWordData.split(',');
+
+	if (wordData.length === 2) return { role: wordData[0], isRevealed: !!wordData[1] };
+
+	return {
+		playerOne: wordData[0],
+		playerTwo: wordData[1],
+		roleRevealedForClueGiver: {
+			playerOne: wordData[2],
+			playerTwo: wordData[3],
+		},
+	};
+}
+
 class RedisClient {
 	constructor() {
 		this.client = redis.createClient(process.env.REDIS_URL);
@@ -14,9 +53,8 @@ class RedisClient {
 
 	async setWordMap(gameId, wordMap) {
 		const formattedWordMap = Object.keys(wordMap).reduce((memo, word) => {
-			const wordData = wordMap[word];
 			memo.push(word);
-			memo.push(`${wordData.playerOne},${wordData.playerTwo},${wordData.roleRevealedForClueGiver.playerOne || ''},${wordData.roleRevealedForClueGiver.playerTwo || ''}`);
+			memo.push(formatWordData(wordMap[word]));
 			return memo;
 		}, [`game:${gameId}:words`]);
 
@@ -28,55 +66,40 @@ class RedisClient {
 	async getWordMap(gameId) {
 		return this.client.hgetallAsync(`game:${gameId}:words`).then(words => (
 			Object.keys(words).reduce((memo, word) => {
-				const wordData = words[word].split(',');
-				memo[word] = { // eslint-disable-line no-param-reassign
-					playerOne: wordData[0],
-					playerTwo: wordData[1],
-					roleRevealedForClueGiver: {
-						playerOne: wordData[2],
-						playerTwo: wordData[3],
-					},
-				};
-
+				memo[word] = parseWordData(words[word]); // eslint-disable-line no-param-reassign
 				return memo;
 			}, {})
 		));
 	}
 
-	async getWords(gameId, teamId) {
-		return this.client.hgetallAsync(`game:${gameId}:words`).then(words => (
-			Object.keys(words).reduce((memo, word) => {
-				const wordData = words[word].split(',');
-				memo[word] = { // eslint-disable-line no-param-reassign
-					roleRevealedForClueGiver: {
-						playerOne: wordData[2],
-						playerTwo: wordData[3],
-					},
-				};
-				if (teamId) memo[word].role = wordData[teamId - 1]; // eslint-disable-line no-param-reassign
-
-				return memo;
-			}, {})
-		));
+	/**
+	 * Gets the words in a game as a player may see them (see getWordView in src/rules.js): in a duet game with
+	 * their roles on the key of the given team only, in a classic game with every role for spymasters only,
+	 * until the game is over and the full word map is shown to everyone
+	 * @param  {String} gameId
+	 * @param  {Number} [teamId]
+	 * @param  {Boolean} [isSpymaster]
+	 * @param  {Boolean} [showKeys] - for a spectator who wants to see both keys (or every role) while the game is played
+	 * @return {Object} word --> what the player may know about it
+	 */
+	async getWords(gameId, teamId, isSpymaster, showKeys) {
+		const { phase } = await this.getPhaseState(gameId);
+		const wordMap = await this.getWordMap(gameId);
+
+		return Object.keys(wordMap).reduce((memo, word) => ({
+			...memo,
+			[word]: getWordView(wordMap[word], {
+				teamId, isSpymaster, isGameOver: isGameOver(phase), showKeys,
+			}),
+		}), {});
 	}
 
 	async getWordData(gameId, word) {
-		return this.client.hgetAsync(`game:${gameId}:words`, word).then((wordInfo) => {
-			const wordData = wordInfo.split(',');
-			return {
-				playerOne: wordData[0],
-				playerTwo: wordData[1],
-				roleRevealedForClueGiver: {
-					playerOne: wordData[2],
-					playerTwo: wordData[3],
-				},
-			};
-		});
+		return this.client.hgetAsync(`game:${gameId}:words`, word).then(parseWordData);
 	}
 
 	async setWordData(gameId, word, wordData) {
-		const formattedWordData = `${wordData.playerOne},${wordData.playerTwo},${wordData.roleRevealedForClueGiver.playerOne || ''},${wordData.roleRevealedForClueGiver.playerTwo || ''}`;
-		return this.client.hsetAsync(`game:${gameId}:words`, word, formattedWordData);
+		return this.client.hsetAsync(`game:${gameId}:words`, word, formatWordData(wordData));
 	}
 
 	/**
@@ -105,11 +128,61 @@ class RedisClient {
 	async removePlayerFromTeam(gameId, playerId, teamId, token) {
 		return this.client.sremAsync(`game:${gameId}:team:${teamId}`, playerId)
 			.then(() => this.client.sremAsync(`player:${playerId}:games`, gameId))
-			.then(() => {
+			.then(async () => {
 				if (token) this.client.sremAsync(`game:${gameId}:tokens:${teamId}`, token);
+				// A team's spymaster stops being its spymaster when they leave the team
+				if (await this.isSpymaster(gameId, teamId, playerId)) await this.clearSpymaster(gameId, teamId);
 			});
 	}
 
+	/**
+	 * Makes a player the spymaster of their team in a classic game
+	 * @param {String} gameId
+	 * @param {Number} teamId
+	 * @param {Number} playerId
+	 */
+	async setSpymaster(gameId, teamId, playerId) {
+		return this.client.hsetAsync(`game:${gameId}:spymasters`, teamId, playerId);
+	}
+
+	async clearSpymaster(gameId, teamId) {
+		return this.client.hdelAsync(`game:${gameId}:spymasters`, teamId);
+	}
+
+	// Spymasters of a classic game, { 1, 2 } (undefined for a team without one)
+	async getSpymasters(gameId) {
+		const spymasters = await this.client.hgetallAsync(`game:${gameId}:spymasters`) || {};
+
+		return {
+			1: parseInt(spymasters[1], 10) || undefined,
+			2: parseInt(spymasters[2], 10) || undefined,
+		};
+	}
+
+	async isSpymaster(gameId, teamId, playerId) {
+		if (!teamId || !playerId) return false;
+
+		return (await this.getSpymasters(gameId))[teamId] === playerId;
+	}
+
+	// Computer partners of a duet game, { 1, 2 } --> { playerId } (undefined for a seat that isn't a computer's)
+	async getBots(gameId) {
+		const bots = await this.client.hgetallAsync(`game:${gameId}:bots`) || {};
+
+		return {
+			1: bots[1] ? JSON.parse(bots[1]) : undefined,
+			2: bots[2] ? JSON.parse(bots[2]) : undefined,
+		};
+	}
+
+	async setBot(gameId, teamId, bot) {
+		return this.client.hsetAsync(`game:${gameId}:bots`, teamId, JSON.stringify(bot));
+	}
+
+	async clearBot(gameId, teamId) {
+		return this.client.hdelAsync(`game:${gameId}:bots`, teamId);
+	}
+
 	async getPlayersOnTeam(gameId, teamId) {
 		return this.client.smembersAsync(`game:${gameId}:team:${teamId}`).then((playerIds = []) => (
 			playerIds.map(playerId => parseInt(playerId, 10))
@@ -179,6 +252,57 @@ class RedisClient {
 		this.client.hsetAsync(`game:${gameId}`, 'turnsLeft', turnsLeft);
 	}
 
+	async getMistakesMade(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'mistakesMade').then(mistakesMade => parseInt(mistakesMade, 10) || 0);
+	}
+
+	/**
+	 * Gets the phase of a game (see src/rules.js) and the team it belongs to
+	 * @param  {String} gameId
+	 * @return {Object} { phase, phaseTeamId } (phaseTeamId is 1, 2 or undefined)
+	 */
+	async getPhaseState(gameId) {
+		const { phase, phaseTeamId, agentsLeft } = await this.client.hgetallAsync(`game:${gameId}`) || {};
+
+		// Games from before the turn state machine were only ever PLAYING, SUDDEN_DEATH or GAME_OVER
+		if (phase === 'GAME_OVER') {
+			return { phase: parseInt(agentsLeft, 10) < 1 ? PHASES.WON : PHASES.LOST, phaseTeamId: undefined };
+		}
+
+		if (!phase || phase === 'PLAYING') {
+			const { clueGiverTeamId, clueWord } = await this.getTurn(gameId) || {};
+
+			if (clueWord && clueGiverTeamId) {
+				return { phase: PHASES.GUESSING, phaseTeamId: getOtherTeamId(parseInt(clueGiverTeamId, 10)) };
+			}
+
+			return { phase: PHASES.AWAITING_CLUE, phaseTeamId: undefined };
+		}
+
+		return { phase, phaseTeamId: parseInt(phaseTeamId, 10) || undefined };
+	}
+
+	async getPhase(gameId) {
+		return this.getPhaseState(gameId).then(({ phase }) => phase);
+	}
+
+	async setPhase(gameId, phase, phaseTeamId) {
+		return this.client.hmsetAsync(`game:${gameId}`, 'phase', phase, 'phaseTeamId', phaseTeamId || '');
+	}
+
+	/**
+	 * Sets when time runs out for the current phase of a timed game (see src/clocks.js)
+	 * @param {String} gameId
+	 * @param {Number} [deadline] - milliseconds since the epoch (none if the phase isn't timed)
+	 */
+	async setDeadline(gameId, deadline) {
+		return this.client.hsetAsync(`game:${gameId}`, 'deadline', deadline || '');
+	}
+
+	async getDeadline(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'deadline').then(deadline => parseInt(deadline, 10) || undefined);
+	}
+
 	async getTeamIdForPlayerId(gameId, playerId) { // eslint-disable-line consistent-return
 		if (await this.client.sismemberAsync(`game:${gameId}:team:1`, playerId)) {
 			return 1;
@@ -187,114 +311,115 @@ class RedisClient {
 		}
 	}
 
-	async makeGuess(gameId, guesserTeamId, word) {
-		const wordData = await this.getWordData(gameId, word);
-
-		const nonGuesserTeamId = guesserTeamId === 1 ? 2 : 1;
+	/**
+	 * Loads everything the rules need to play a move (see src/rules.js)
+	 * @param  {String} gameId
+	 * @return {Object} the state of the game, as the rules see it
+	 */
+	async getRulesState(gameId) {
 		const {
 			agentsLeft,
 			agentsLeftTeam1,
 			agentsLeftTeam2,
 			turnsLeft,
-		} = await this.client.hgetallAsync(`game:${gameId}`);
-
-		const agentsLeftTeam = nonGuesserTeamId === 1 ? agentsLeftTeam1 : agentsLeftTeam2;
-		const agentsLeftOtherTeam = nonGuesserTeamId === 1 ? agentsLeftTeam2 : agentsLeftTeam1;
-		const guesserTeamName = guesserTeamId === 1 ? 'playerOne' : 'playerTwo';
-		const nonGuesserTeamName = nonGuesserTeamId === 1 ? 'playerOne' : 'playerTwo';
-
-		if (!wordData || !wordData[nonGuesserTeamName]) {
-			console.warn(`The word "${word}" is not on the board.`); // eslint-disable-line no-console
-			return;
-		}
-
+			mistakesMade,
+		} = await this.client.hgetallAsync(`game:${gameId}`) || {};
 		const {
 			clueGiverTeamId,
 			clueWord,
-			guessesLeft,
 			clueNumber,
-		} = await this.getTurn(gameId);
-
-		const role = wordData[nonGuesserTeamName];
-
-		if (wordData.roleRevealedForClueGiver[nonGuesserTeamName]) {
-			console.warn(`The word "${word}" was already revealed to be: ${role} for this clue-giver.`); // eslint-disable-line no-console
-			return;
-		}
+			guessesLeft,
+		} = await this.getTurn(gameId) || {};
+		const { turns, mistakes } = await this.getSettings(gameId);
 
-		const roleRevealedForClueGiver = {
-			...wordData.roleRevealedForClueGiver,
-			[nonGuesserTeamName]: role,
+		return {
+			words: await this.getWordMap(gameId),
+			agentsLeft: parseInt(agentsLeft, 10),
+			agentsLeftByTeamId: {
+				1: parseInt(agentsLeftTeam1, 10),
+				2: parseInt(agentsLeftTeam2, 10),
+			},
+			turns,
+			turnsLeft: parseInt(turnsLeft, 10),
+			mistakesMade: parseInt(mistakesMade, 10) || 0,
+			mistakesAllowed: mistakes,
+			clueRules: await this.getClueRules(gameId),
+			gameType: await this.getGameType(gameId),
+			...await this.getPhaseState(gameId),
+			clue: clueWord ? {
+				teamId: parseInt(clueGiverTeamId, 10),
+				word: clueWord,
+				number: parseInt(clueNumber, 10),
+				guessesLeft: parseInt(guessesLeft, 10),
+			} : undefined,
+			result: await this.getResult(gameId),
 		};
+	}
 
-		this.setWordData(gameId, word, {
-			...wordData,
-			roleRevealedForClueGiver,
-		});
-
-		const teamGuessingChanged = clueGiverTeamId && parseInt(clueGiverTeamId, 10) !== nonGuesserTeamId;
-		let nextTurnsLeft = parseInt(turnsLeft, 10);
+	/**
+	 * Saves the state returned by the rules after a move
+	 * @param  {String} gameId
+	 * @param  {Object} state - the state after the move
+	 * @param  {Object} prevState - the state before the move (only the words that changed are saved)
+	 */
+	async setRulesState(gameId, state, prevState) {
+		const { clue, result = {} } = state;
+		const changedWords = Object.keys(state.words).filter(word => state.words[word] !== prevState.words[word]);
 
-		if (role === 'AGENT') {
-			if (teamGuessingChanged || parseInt(guessesLeft, 10) - 1 < 1) nextTurnsLeft -= 1;
-			let args = [
+		return Promise.all([
+			this.client.hmsetAsync(
 				`game:${gameId}`,
 				'agentsLeft',
-				parseInt(agentsLeft, 10) - 1,
-				`agentsLeftTeam${nonGuesserTeamId}`,
-				parseInt(agentsLeftTeam, 10) - 1,
+				state.agentsLeft,
+				'agentsLeftTeam1',
+				state.agentsLeftByTeamId[1],
+				'agentsLeftTeam2',
+				state.agentsLeftByTeamId[2],
 				'turnsLeft',
-				nextTurnsLeft,
-			];
-
-			// If the role for the other team is an agent, decrement that count of remaining agents too
-			if (wordData[guesserTeamName] === 'AGENT') {
-				args = [
-					...args,
-					`agentsLeftTeam${guesserTeamId}`,
-					parseInt(agentsLeftOtherTeam, 10) - 1,
-				];
-			}
+				state.turnsLeft,
+				'mistakesMade',
+				state.mistakesMade,
+				'phase',
+				state.phase,
+				'phaseTeamId',
+				state.phaseTeamId || '',
+				'result',
+				result.outcome || '',
+				'resultReason',
+				result.reason || '',
+				'turnsUsed',
+				result.turnsUsed || '',
+				'winningTeamId',
+				result.winningTeamId || '',
+			),
+			clue ? this.setTurn(gameId, clue.teamId, clue.word, clue.number, clue.guessesLeft) : this.setTurn(gameId),
+			...changedWords.map(word => this.setWordData(gameId, word, state.words[word])),
+		]);
+	}
 
-			this.client.hmsetAsync(...args);
-
-			if (teamGuessingChanged || parseInt(guessesLeft, 10) - 1 < 1) {
-				this.setTurn(gameId);
-			} else {
-				this.setTurn(
-					gameId,
-					clueGiverTeamId,
-					clueWord,
-					clueNumber,
-					parseInt(guessesLeft, 10) - 1,
-				);
-			}
-		} else if (role === 'NON_AGENT') {
-			nextTurnsLeft -= 1;
-			this.client.hsetAsync(
-				`game:${gameId}`,
-				'turnsLeft',
-				nextTurnsLeft,
-			);
-			this.setTurn(gameId);
-		} else if (role === 'ASSASIN') {
-			nextTurnsLeft = 0;
-			this.client.hsetAsync(
-				`game:${gameId}`,
-				'turnsLeft',
-				nextTurnsLeft,
-			);
-			this.setTurn(gameId);
+	/**
+	 * Gets how a game ended
+	 * @param  {String} gameId
+	 * @return {Object|undefined} { outcome, reason, turnsUsed } (see src/rules.js), or undefined if the game isn't over
+	 */
+	async getResult(gameId) {
+		const {
+			result, resultReason, turnsUsed, winningTeamId,
+		} = await this.client.hgetallAsync(`game:${gameId}`) || {};
+
+		if (result) {
+			return {
+				outcome: result,
+				reason: resultReason,
+				turnsUsed: parseInt(turnsUsed, 10) || undefined,
+				winningTeamId: parseInt(winningTeamId, 10) || undefined,
+			};
 		}
 
-		// eslint-disable-next-line consistent-return
-		return {
-			word,
-			roleRevealedForClueGiver,
-			guessesLeft: role === 'AGENT' ? parseInt(guessesLeft, 10) - 1 : 0,
-			playerGuessingChanged: teamGuessingChanged,
-			turnsLeft: nextTurnsLeft,
-		};
+		// Games that ended before results were kept only know whether they were won or lost
+		const { phase } = await this.getPhaseState(gameId);
+
+		return isGameOver(phase) ? { outcome: phase } : undefined;
 	}
 
 	async getAgentsLeft(gameId) {
@@ -306,7 +431,66 @@ class RedisClient {
 		};
 	}
 
+	async setSettings(gameId, settings) {
+		const formattedSettings = Object.keys(settings).reduce((memo, key) => [...memo, key, settings[key]], [`game:${gameId}:settings`]);
+
+		return this.client.delAsync(`game:${gameId}:settings`).then(() => (
+			this.client.hmsetAsync(...formattedSettings)
+		));
+	}
+
+	async getSettings(gameId) {
+		return this.client.hgetallAsync(`game:${gameId}:settings`).then(settings => normalizeSettings(settings || {}));
+	}
+
+	async getBoardCode(gameId) {
+		const seed = await this.client.hgetAsync(`game:${gameId}`, 'seed');
+
+		// Games created before boards were seeded can't be replayed, and board codes can't carry custom words
+		if (!seed || (await this.getCustomWords(gameId)).length) return undefined;
+
+		return encodeBoardCode(
+			parseInt(seed, 10),
+			await this.getSettings(gameId),
+			await this.getWordPacks(gameId),
+			await this.getGameType(gameId),
+		);
+	}
+
+	/**
+	 * Gets the secret of the game's keys link, which lets spectators see the keys while the game is played
+	 * @param  {String} gameId
+	 * @return {String} undefined for games created before keys links
+	 */
+	async getKeysToken(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'keysToken').then(keysToken => keysToken || undefined);
+	}
+
+	async getWordPacks(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'wordPacks').then(wordPacks => normalizePackIds(wordPacks));
+	}
+
+	async getCustomWords(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'customWords').then(customWords => normalizeCustomWords(customWords));
+	}
+
+	async getGameType(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'gameType').then(gameType => normalizeGameType(gameType));
+	}
+
+	// When the current game at a gameId started, in milliseconds since the epoch (undefined for games from before it was kept)
+	async getStartedAt(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'startedAt').then(startedAt => parseInt(startedAt, 10) || undefined);
+	}
+
+	async getClueRules(gameId) {
+		return this.client.hgetAsync(`game:${gameId}`, 'clueRules').then(clueRules => normalizeClueRules(clueRules));
+	}
+
 	async setGame(gameId, game) {
+		const settings = game.getSettings();
+		const agentsLeftByTeamId = game.getAgentsLeftByTeamId();
+
 		return Promise.all([
 			this.client.hmsetAsync(
 				`game:${gameId}`,
@@ -315,12 +499,55 @@ class RedisClient {
 				'agentsLeft',
 				game.getAgentsLeft(),
 				'agentsLeftTeam1',
-				9,
+				agentsLeftByTeamId[1],
 				'agentsLeftTeam2',
-				9,
+				agentsLeftByTeamId[2],
+				'mistakesMade',
+				game.getMistakesMade(),
+				'phase',
+				game.getPhase(),
+				'phaseTeamId',
+				game.getPhaseTeamId() || '',
+				'campaignId',
+				game.getCampaignId(),
+				'missionId',
+				game.getMissionId(),
+				'seed',
+				game.getSeed(),
+				'wordPacks',
+				game.getWordPacks().join(','),
+				'customWords',
+				game.getCustomWords().join(','),
+				'clueRules',
+				game.getClueRules(),
+				'gameType',
+				game.getGameType(),
+				'deadline',
+				'',
+				'result',
+				'',
+				'resultReason',
+				'',
+				'turnsUsed',
+				'',
+				'winningTeamId',
+				'',
+				'startedAt',
+				Date.now(),
 			),
+			// The keys link stays the same for every game played at the gameId
+			this.client.hsetnxAsync(`game:${gameId}`, 'keysToken', crypto.randomBytes(12).toString('hex')),
 			this.setWordMap(gameId, game.getWordMap()),
+			this.setSettings(gameId, settings),
 			this.setTurn(gameId),
+			this.clearUndo(gameId),
+			this.clearProposals(gameId),
+			// Marks are about the words of one board
+			this.client.delAsync(`game:${gameId}:marks`),
+			this.client.delAsync(`game:${gameId}:history`),
+			this.client.hdelAsync(`game:${gameId}`, 'statsRecorded'),
+			// Teams pick their spymasters again for every game
+			this.client.delAsync(`game:${gameId}:spymasters`),
 		]);
 	}
 
@@ -333,9 +560,263 @@ class RedisClient {
 		game.tokens1 = await this.getTokensOnTeam(gameId, 1);
 		game.tokens2 = await this.getTokensOnTeam(gameId, 2);
 		game.turn = await this.getTurn(gameId);
+		game.settings = await this.getSettings(gameId);
 		return game;
 	}
 
+	async getGameCampaign(gameId) {
+		const { campaignId, missionId } = await this.client.hgetallAsync(`game:${gameId}`) || {};
+		return { campaignId, missionId };
+	}
+
+	async getCompletedMissions(campaignId) {
+		return this.client.smembersAsync(`campaign:${campaignId}:completed`);
+	}
+
+	async addCompletedMission(campaignId, missionId) {
+		return this.client.saddAsync(`campaign:${campaignId}:completed`, missionId);
+	}
+
+	/**
+	 * Marks the result of a game as added to the statistics, so it's only counted once
+	 * @param  {String} gameId
+	 * @return {Boolean} whether the result still had to be added
+	 */
+	async markResultRecorded(gameId) {
+		return this.client.hsetnxAsync(`game:${gameId}`, 'statsRecorded', 1).then(isNew => isNew === 1);
+	}
+
+	/**
+	 * Adds the result of a finished game to the statistics of each player, and of each pair of them
+	 * @param {Number[]}	playerIds - everyone on a team when the game ended
+	 * @param {Object}		result - { outcome, reason, turnsUsed } (see src/rules.js)
+	 * @param {Number}		turns - the turns the game was played with
+	 */
+	async addResultToStats(playerIds, result, turns) {
+		const addToKey = async (key) => {
+			const counts = stats.addResult(stats.parseCounts(await this.client.hgetallAsync(key)), result, turns);
+			return this.client.hmsetAsync(...Object.keys(counts).reduce((memo, name) => [...memo, name, counts[name]], [key]));
+		};
+
+		return Promise.all(playerIds.map(playerId => Promise.all([
+			addToKey(`player:${playerId}:stats`),
+			...playerIds.filter(partnerId => partnerId !== playerId).map(partnerId => (
+				this.client.saddAsync(`player:${playerId}:partners`, partnerId)
+					.then(() => addToKey(`player:${playerId}:pairs:${partnerId}`))
+			)),
+		])));
+	}
+
+	async getStats(playerId) {
+		return stats.parseCounts(await this.client.hgetallAsync(`player:${playerId}:stats`));
+	}
+
+	async getPairStats(playerId, partnerId) {
+		return stats.parseCounts(await this.client.hgetallAsync(`player:${playerId}:pairs:${partnerId}`));
+	}
+
+	async getPartners(playerId) {
+		return this.client.smembersAsync(`player:${playerId}:partners`).then((partnerIds = []) => (
+			partnerIds.map(partnerId => parseInt(partnerId, 10))
+		));
+	}
+
+	/**
+	 * Keeps what's needed to undo the last move in a game (only one move can be undone)
+	 * @param {String} gameId
+	 * @param {Object} undo
+	 * @param {Number} undo.teamId - the team that made the move
+	 * @param {Number} undo.playerId - the player who made the move
+	 * @param {Object} undo.action - the move (see src/rules.js)
+	 * @param {Object} undo.state - the state of the game before the move
+	 * @param {Boolean} [undo.requested] - whether the player has asked their partner to undo it
+	 */
+	async setUndo(gameId, undo) {
+		return this.client.setAsync(`game:${gameId}:undo`, JSON.stringify(undo));
+	}
+
+	async getUndo(gameId) {
+		return this.client.getAsync(`game:${gameId}:undo`).then(undo => (undo ? JSON.parse(undo) : undefined));
+	}
+
+	async clearUndo(gameId) {
+		return this.client.delAsync(`game:${gameId}:undo`);
+	}
+
+	/**
+	 * Keeps a guess proposed to a team, in a game where a team votes on its guesses (see guessVotePercent)
+	 * @param {String} gameId
+	 * @param {String} word
+	 * @param {Object} proposal
+	 * @param {Number} proposal.teamId - the team the guess would be made for
+	 * @param {Number} proposal.playerId - the player who proposed it
+	 * @param {Number[]} proposal.votes - the players who agree with it (the proposer first)
+	 */
+	async setProposal(gameId, word, proposal) {
+		return this.client.hsetAsync(`game:${gameId}:proposals`, word, JSON.stringify(proposal));
+	}
+
+	async getProposals(gameId) {
+		const proposals = await this.client.hgetallAsync(`game:${gameId}:proposals`) || {};
+
+		return Object.keys(proposals).reduce((memo, word) => ({
+			...memo,
+			[word]: JSON.parse(proposals[word]),
+		}), {});
+	}
+
+	async removeProposal(gameId, word) {
+		return this.client.hdelAsync(`game:${gameId}:proposals`, word);
+	}
+
+	async clearProposals(gameId) {
+		return this.client.delAsync(`game:${gameId}:proposals`);
+	}
+
+	// Private marks a player has made on the board, word --> { tag, note } (see src/marks.js)
+	async getMarks(gameId, playerId) {
+		const marks = await this.client.hgetAsync(`game:${gameId}:marks`, playerId);
+
+		return marks ? JSON.parse(marks) : {};
+	}
+
+	async setMarks(gameId, playerId, marks) {
+		return this.client.hsetAsync(`game:${gameId}:marks`, playerId, JSON.stringify(marks));
+	}
+
+	// Every clue given in the current game, oldest first (see src/history.js)
+	async getClueHistory(gameId) {
+		const history = await this.client.getAsync(`game:${gameId}:history`);
+
+		return history ? JSON.parse(history) : [];
+	}
+
+	async setClueHistory(gameId, history) {
+		return this.client.setAsync(`game:${gameId}:history`, JSON.stringify(history));
+	}
+
+	// The latest chat messages in a game, oldest first (see src/chat.js)
+	async getChatMessages(gameId) {
+		const messages = await this.client.lrangeAsync(`game:${gameId}:chat`, 0, -1);
+
+		return messages.map(message => JSON.parse(message));
+	}
+
+	/**
+	 * Adds a message to the end of a game's chat, dropping the oldest messages beyond the history it keeps
+	 * @param {String} gameId
+	 * @param {Object} message - { playerId, playerName, teamId, text }
+	 * @param {Number} maxLength - how many messages to keep
+	 * @return {Object} the message as it was added, with its time
+	 */
+	async addChatMessage(gameId, message, maxLength) {
+		const newMessage = { ...message, time: Date.now() };
+
+		await this.client.rpushAsync(`game:${gameId}:chat`, JSON.stringify(newMessage));
+		await this.client.ltrimAsync(`game:${gameId}:chat`, -maxLength, -1);
+
+		return newMessage;
+	}
+
+	/**
+	 * Adds an event to the end of a game's log (the log is never rewritten and spans every game played at the gameId)
+	 * @param {String} gameId
+	 * @param {Object} event - { type, playerId, teamId, ...details }
+	 * @return {Object} the event as it was logged, with its id (its position in the log) and time
+	 */
+	async addEvent(gameId, event) {
+		const time = Date.now();
+		const length = await this.client.rpushAsync(`game:${gameId}:events`, JSON.stringify({ ...event, time }));
+
+		return { ...event, time, id: length - 1 };
+	}
+
+	/**
+	 * Gets the events in a game's log, oldest first
+	 * @param  {String} gameId
+	 * @param  {Number} [since] - id of the first event to get (so a client only asks for what it missed)
+	 * @return {Object[]} the events
+	 */
+	async getEvents(gameId, since = 0) {
+		const events = await this.client.lrangeAsync(`game:${gameId}:events`, since, -1);
+
+		return events.map((event, index) => ({ ...JSON.parse(event), id: since + index }));
+	}
+
+	/**
+	 * Lists a game in the lobby, where anyone can find and join it, or takes it out of the lobby
+	 * @param {String} gameId
+	 * @param {Boolean} isPublic
+	 */
+	async setPublic(gameId, isPublic) {
+		return isPublic ?
+			this.client.zaddAsync('games:public', Date.now(), gameId) :
+			this.client.zremAsync('games:public', gameId);
+	}
+
+	async isPublic(gameId) {
+		return this.client.zscoreAsync('games:public', gameId).then(listedAt => !!listedAt);
+	}
+
+	/**
+	 * Gets when a game was listed in the lobby
+	 * @param  {String} gameId
+	 * @return {Number|undefined} in milliseconds since the epoch (undefined if it isn't listed)
+	 */
+	async getListedAt(gameId) {
+		return this.client.zscoreAsync('games:public', gameId).then(listedAt => (listedAt ? parseInt(listedAt, 10) : undefined));
+	}
+
+	/**
+	 * Gets the games listed in the lobby, most recently listed first
+	 * @param  {Number} count - how many to get at most
+	 * @return {String[]} their gameIds
+	 */
+	async getPublicGameIds(count) {
+		return this.client.zrevrangeAsync('games:public', 0, count - 1);
+	}
+
+	/**
+	 * Takes the games listed in the lobby before a time out of it
+	 * @param  {Number} listedBefore - in milliseconds since the epoch
+	 */
+	async removePublicGamesListedBefore(listedBefore) {
+		return this.client.zremrangebyscoreAsync('games:public', '-inf', listedBefore);
+	}
+
+	/**
+	 * Puts a player in the queue for a partner (see src/matchmaking.js)
+	 * @param {String} ticket - what the player keeps their place with
+	 * @param {Object} entry - { wordPacks, languages, matchBy, joinedAt }, where they're queued by joinedAt
+	 */
+	async addToQueue(ticket, entry) {
+		await this.client.hsetAsync('queue:entries', ticket, JSON.stringify(entry));
+		return this.client.zaddAsync('queue', entry.joinedAt, ticket);
+	}
+
+	async getQueueEntry(ticket) {
+		const entry = await this.client.hgetAsync('queue:entries', ticket);
+
+		return entry ? JSON.parse(entry) : undefined;
+	}
+
+	// The tickets of everyone waiting for a partner, who has waited longest first
+	async getQueue() {
+		return this.client.zrangeAsync('queue', 0, -1);
+	}
+
+	/**
+	 * Takes a player out of the queue
+	 * @param  {String} ticket
+	 * @return {Boolean} whether they were in it (so only one caller can take them, e.g. to pair them)
+	 */
+	async removeFromQueue(ticket) {
+		const removed = await this.client.zremAsync('queue', ticket);
+		await this.client.hdelAsync('queue:entries', ticket);
+
+		return removed > 0;
+	}
+
 	async doesGameExist(gameId) {
 		return this.client.existsAsync(`game:${gameId}`).then(exists => !!exists);
 	}
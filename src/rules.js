@@ -0,0 +1,749 @@
+/**
+ * THE RULES OF DUET (AND CLASSIC CODENAMES)
+ *
+ * Every rule of play lives here as pure functions, with no storage or networking, so the server and the
+ * client (which bundles this file) always agree. `applyAction(state, action)` returns the next state and
+ * a list of events describing what happened: the server saves the state and broadcasts the events.
+ *
+ * Games are DUET (cooperative, each team holds its own key, described first) unless their gameType is
+ * CLASSIC (described further down, where its rules start).
+ *
+ * A game is always in one of these phases:
+ *
+ * AWAITING_CLUE (team X) -- X gives a clue --> GUESSING (the other team, Y)
+ * GUESSING (team Y) -- the turn ends --> AWAITING_CLUE (team Y, so players take turns giving clues)
+ *                                    --> SUDDEN_DEATH (if that was the last turn)
+ * SUDDEN_DEATH -- either team reveals words, with no clues --> WON or LOST
+ *
+ * Any phase can end in WON (every agent found) or LOST (an assasin, too many mistakes or a
+ * non-agent in sudden death). The team is only set while awaiting a clue or guessing; before the
+ * first clue of a game either team may give it.
+ *
+ * The state of a game, as the rules see it:
+ *
+ * words				-- map of each word to { playerOne, playerTwo, roleRevealedForClueGiver: { playerOne, playerTwo } }
+ * agentsLeft			-- agents left to find on both keys together
+ * agentsLeftByTeamId	-- agents left to find on each team's key ({ 1, 2 })
+ * turns				-- turns the game started with
+ * turnsLeft			-- turns left on the turn track
+ * mistakesMade			-- non-agents revealed so far (outside sudden death)
+ * mistakesAllowed		-- the game is lost when more mistakes than this are made
+ * clueRules			-- STRICT or RELAXED (see src/clues.js)
+ * phase				-- one of PHASES
+ * phaseTeamId			-- the team giving a clue or guessing (1, 2 or undefined)
+ * clue					-- the clue being guessed, if any ({ teamId, word, number, guessesLeft })
+ * result				-- how the game ended, once it has ({ outcome, reason, turnsUsed }, outcome is WON or LOST)
+ * gameType				-- DUET or CLASSIC
+ */
+
+const { validateClue } = require('./clues');
+
+const ROLES = {
+	ASSASIN: 'ASSASIN',
+	AGENT: 'AGENT',
+	NON_AGENT: 'NON_AGENT',
+};
+
+const PHASES = {
+	AWAITING_CLUE: 'AWAITING_CLUE',
+	GUESSING: 'GUESSING',
+	SUDDEN_DEATH: 'SUDDEN_DEATH',
+	WON: 'WON',
+	LOST: 'LOST',
+};
+
+const GAME_TYPES = {
+	DUET: 'DUET',
+	CLASSIC: 'CLASSIC',
+};
+
+// The roles on the single, shared key of a classic game
+const CLASSIC_ROLES = {
+	RED: 'RED',
+	BLUE: 'BLUE',
+	NEUTRAL: 'NEUTRAL',
+	ASSASIN: 'ASSASIN',
+};
+
+// In a classic game team 1 is red and team 2 is blue
+const TEAM_COLORS = {
+	1: CLASSIC_ROLES.RED,
+	2: CLASSIC_ROLES.BLUE,
+};
+
+// Why a game was won or lost
+const RESULT_REASONS = {
+	ALL_AGENTS_FOUND: 'ALL_AGENTS_FOUND',
+	ASSASIN: 'ASSASIN',
+	TOO_MANY_MISTAKES: 'TOO_MANY_MISTAKES',
+	// The turns ran out and a non-agent was revealed in sudden death
+	SUDDEN_DEATH: 'SUDDEN_DEATH',
+};
+
+const ACTIONS = {
+	GIVE_CLUE: 'giveClue',
+	GUESS: 'guess',
+	END_TURN: 'endTurn',
+	TIME_UP: 'timeUp',
+	// A clue giver who has no clue to give loses their turn, as if their time had run out
+	PASS: 'pass',
+};
+
+const EVENTS = {
+	CLUE_GIVEN: 'clueGiven',
+	GUESSED: 'guessed',
+	TURNS_CHANGED: 'turnsChanged',
+	PHASE_CHANGED: 'phaseChanged',
+	GAME_OVER: 'gameOver',
+};
+
+// Each team's key is stored under the name of the player holding it
+const KEY_NAMES = {
+	1: 'playerOne',
+	2: 'playerTwo',
+};
+
+function getOtherTeamId(teamId) {
+	return teamId === 1 ? 2 : 1;
+}
+
+function isGameOver(phase) {
+	return phase === PHASES.WON || phase === PHASES.LOST;
+}
+
+function isClassic({ gameType } = {}) {
+	return gameType === GAME_TYPES.CLASSIC;
+}
+
+/**
+ * Players take turns giving clues, unless the player whose turn it is has no agents left on their key
+ * @param  {Number} guesserTeamId - the team that just finished guessing
+ * @param  {Object} agentsLeftByTeamId - agents left to find on each team's key (e.g. { 1: 3, 2: 0 })
+ * @return {Number} the team that gives the next clue
+ */
+function getNextClueGiverTeamId(guesserTeamId, agentsLeftByTeamId) {
+	return agentsLeftByTeamId[guesserTeamId] > 0 ? guesserTeamId : getOtherTeamId(guesserTeamId);
+}
+
+/**
+ * The phase to move to when a turn ends without the game being won or lost
+ * @param  {Number} turnsLeft - turns left after the one that just ended
+ * @param  {Number} guesserTeamId - the team that just finished guessing
+ * @param  {Object} agentsLeftByTeamId - agents left to find on each team's key
+ * @return {Object} the next phase and the team it belongs to
+ */
+function getPhaseAfterTurn(turnsLeft, guesserTeamId, agentsLeftByTeamId) {
+	if (turnsLeft < 1) return { phase: PHASES.SUDDEN_DEATH, phaseTeamId: undefined };
+
+	return {
+		phase: PHASES.AWAITING_CLUE,
+		phaseTeamId: getNextClueGiverTeamId(guesserTeamId, agentsLeftByTeamId),
+	};
+}
+
+function describePhase({ phase, phaseTeamId }) {
+	switch (phase) {
+	case PHASES.AWAITING_CLUE:
+		return phaseTeamId ? `waiting for a clue from team ${phaseTeamId}` : 'waiting for the first clue';
+	case PHASES.GUESSING:
+		return `team ${phaseTeamId} is guessing`;
+	case PHASES.SUDDEN_DEATH:
+		return 'the game is in sudden death';
+	default:
+		return 'the game is over';
+	}
+}
+
+/**
+ * Checks whether a team may give a clue
+ * @param  {Object} state - the state of the game (only the phase, phaseTeamId and gameType are needed)
+ * @param  {Number} teamId - the team trying to give a clue
+ * @param  {Boolean} [isSpymaster] - whether the player is their team's spymaster (only spymasters give clues in classic)
+ * @return {String|undefined} why the team can't give a clue, if it can't
+ */
+function validateClueTurn(state, teamId, isSpymaster) {
+	const { phase, phaseTeamId } = state;
+
+	if (!teamId) return 'Only players can give clues';
+
+	if (isClassic(state) && !isSpymaster) return 'Only spymasters can give clues';
+
+	if (phase !== PHASES.AWAITING_CLUE || (phaseTeamId && phaseTeamId !== teamId)) {
+		return `You can't give a clue now: ${describePhase(state)}`;
+	}
+
+	return undefined;
+}
+
+/**
+ * Checks whether a team may reveal a word
+ * @param  {Object} state - the state of the game (only the phase, phaseTeamId and gameType are needed)
+ * @param  {Number} teamId - the team trying to guess
+ * @param  {Boolean} [isSpymaster] - whether the player is their team's spymaster (who can't guess in classic)
+ * @return {String|undefined} why the team can't guess, if it can't
+ */
+function validateGuessTurn(state, teamId, isSpymaster) {
+	const { phase, phaseTeamId } = state;
+
+	if (!teamId) return 'Only players can guess';
+
+	if (isClassic(state) && isSpymaster) return 'Spymasters can\'t guess, only their team can';
+
+	if (phase === PHASES.SUDDEN_DEATH) return undefined;
+
+	if (phase !== PHASES.GUESSING || phaseTeamId !== teamId) {
+		return `You can't guess now: ${describePhase(state)}`;
+	}
+
+	return undefined;
+}
+
+/**
+ * Checks whether a team may end the turn (only the team that is guessing can)
+ * @param  {Object} state - the state of the game (only the phase, phaseTeamId and gameType are needed)
+ * @param  {Number} teamId - the team trying to end the turn
+ * @param  {Boolean} [isSpymaster] - whether the player is their team's spymaster (who can't end the turn in classic)
+ * @return {String|undefined} why the team can't end the turn, if it can't
+ */
+function validateEndTurn(state, teamId, isSpymaster) {
+	const { phase, phaseTeamId } = state;
+
+	if (isClassic(state) && isSpymaster) return 'Only the guessers can end the turn';
+
+	if (phase !== PHASES.GUESSING || phaseTeamId !== teamId) {
+		return `You can't end the turn now: ${describePhase(state)}`;
+	}
+
+	return undefined;
+}
+
+/**
+ * How long the current phase may last in a timed game. The first clue of a game is never timed, so the
+ * clock doesn't run before both players have joined.
+ * @param  {Object} state - the state of the game (only the phase and phaseTeamId are needed)
+ * @param  {Object} settings - the settings of the game
+ * @return {Number} seconds until time runs out (0 if the phase isn't timed)
+ */
+function getPhaseSeconds({ phase, phaseTeamId }, { clueSeconds = 0, guessSeconds = 0 } = {}) {
+	if (phase === PHASES.AWAITING_CLUE && phaseTeamId) return clueSeconds;
+	if (phase === PHASES.GUESSING) return guessSeconds;
+	return 0;
+}
+
+/**
+ * Describes how a game ended for people
+ * @param  {Object} result - { outcome, reason, turnsUsed, [winningTeamId] }
+ * @return {String} e.g. "Every agent was found in 7 turns"
+ */
+function describeResult({
+	outcome, reason, turnsUsed, winningTeamId,
+} = {}) {
+	if (winningTeamId) {
+		const winner = TEAM_COLORS[winningTeamId].toLowerCase();
+		const loser = TEAM_COLORS[getOtherTeamId(winningTeamId)].toLowerCase();
+
+		return reason === RESULT_REASONS.ASSASIN ?
+			`The ${loser} team revealed the assasin, so the ${winner} team wins` :
+			`The ${winner} team found all of their agents`;
+	}
+
+	switch (reason) {
+	case RESULT_REASONS.ALL_AGENTS_FOUND:
+		return `Every agent was found in ${turnsUsed} turn${turnsUsed !== 1 ? 's' : ''}`;
+	case RESULT_REASONS.ASSASIN:
+		return 'An assasin was revealed';
+	case RESULT_REASONS.TOO_MANY_MISTAKES:
+		return 'Too many mistakes were made';
+	case RESULT_REASONS.SUDDEN_DEATH:
+		return 'The turns ran out and a non-agent was revealed in sudden death';
+	default:
+		return outcome === PHASES.WON ? 'Every agent was found' : 'The game was lost';
+	}
+}
+
+function reject(state, error) {
+	return { state, events: [], error };
+}
+
+// Events for whatever changed between two states, other than the move itself
+function getChangeEvents(state, nextState) {
+	const events = [];
+
+	if (state.turnsLeft !== nextState.turnsLeft || state.mistakesMade !== nextState.mistakesMade) {
+		events.push({ type: EVENTS.TURNS_CHANGED, turnsLeft: nextState.turnsLeft, mistakesMade: nextState.mistakesMade });
+	}
+
+	if (state.phase !== nextState.phase || state.phaseTeamId !== nextState.phaseTeamId) {
+		events.push({ type: EVENTS.PHASE_CHANGED, phase: nextState.phase, phaseTeamId: nextState.phaseTeamId });
+	}
+
+	return events;
+}
+
+function giveClue(state, { teamId, word, number }) {
+	const error = validateClueTurn(state, teamId)
+		|| validateClue(word, number, Object.keys(state.words), state.clueRules);
+
+	if (error) return reject(state, error);
+
+	const clueNumber = parseInt(number, 10);
+	const nextState = {
+		...state,
+		clue: {
+			teamId,
+			word,
+			number: clueNumber,
+			guessesLeft: clueNumber,
+		},
+		phase: PHASES.GUESSING,
+		phaseTeamId: getOtherTeamId(teamId),
+	};
+
+	return {
+		state: nextState,
+		events: [
+			{
+				type: EVENTS.CLUE_GIVEN,
+				teamId,
+				word,
+				number: clueNumber,
+			},
+			...getChangeEvents(state, nextState),
+		],
+	};
+}
+
+function guess(state, { teamId, word }) {
+	const turnError = validateGuessTurn(state, teamId);
+
+	if (turnError) return reject(state, turnError);
+
+	const square = state.words[word];
+	const clueGiverTeamId = getOtherTeamId(teamId);
+	const clueGiverKeyName = KEY_NAMES[clueGiverTeamId];
+
+	if (!square || !square[clueGiverKeyName]) return reject(state, `"${word}" is not on the board`);
+
+	const role = square[clueGiverKeyName];
+
+	if (square.roleRevealedForClueGiver[clueGiverKeyName]) {
+		return reject(state, `"${word}" was already revealed to be: ${role} for this clue-giver`);
+	}
+
+	// An agent found from either side has been found for both keys, so it can't be guessed again
+	if (Object.values(square.roleRevealedForClueGiver).indexOf(ROLES.AGENT) > -1) {
+		return reject(state, `"${word}" was already revealed to be: ${ROLES.AGENT}`);
+	}
+
+	const roleRevealedForClueGiver = {
+		...square.roleRevealedForClueGiver,
+		[clueGiverKeyName]: role,
+	};
+
+	// In sudden death there are no clues or turns left, so any guess that isn't an agent loses the game
+	const isSuddenDeath = state.phase === PHASES.SUDDEN_DEATH;
+	const agentsLeftByTeamId = { ...state.agentsLeftByTeamId };
+	let { turnsLeft, agentsLeft, mistakesMade } = state;
+	let turnEnded = false;
+
+	if (role === ROLES.AGENT) {
+		agentsLeft -= 1;
+		agentsLeftByTeamId[clueGiverTeamId] -= 1;
+
+		// If the word is an agent on the guesser's key too, it has been found for both keys
+		if (square[KEY_NAMES[teamId]] === ROLES.AGENT) agentsLeftByTeamId[teamId] -= 1;
+
+		turnEnded = !isSuddenDeath && state.clue.guessesLeft - 1 < 1;
+	} else if (role === ROLES.NON_AGENT && !isSuddenDeath) {
+		mistakesMade += 1;
+		turnEnded = true;
+	} else if (role === ROLES.ASSASIN) {
+		turnsLeft = 0;
+	}
+
+	if (turnEnded) turnsLeft -= 1;
+
+	let reason;
+	if (agentsLeft < 1) {
+		reason = RESULT_REASONS.ALL_AGENTS_FOUND;
+	} else if (role === ROLES.ASSASIN) {
+		reason = RESULT_REASONS.ASSASIN;
+	} else if (isSuddenDeath && role !== ROLES.AGENT) {
+		reason = RESULT_REASONS.SUDDEN_DEATH;
+	} else if (mistakesMade > state.mistakesAllowed) {
+		reason = RESULT_REASONS.TOO_MANY_MISTAKES;
+	}
+
+	let nextPhase = { phase: state.phase, phaseTeamId: state.phaseTeamId };
+	let result;
+	if (reason) {
+		const outcome = reason === RESULT_REASONS.ALL_AGENTS_FOUND ? PHASES.WON : PHASES.LOST;
+		nextPhase = { phase: outcome, phaseTeamId: undefined };
+		// The turn being played counts as used (sudden death comes after the last turn)
+		result = { outcome, reason, turnsUsed: (state.turns - state.turnsLeft) + (isSuddenDeath ? 0 : 1) };
+	} else if (turnEnded) {
+		nextPhase = getPhaseAfterTurn(turnsLeft, teamId, agentsLeftByTeamId);
+	}
+
+	const isStillGuessing = nextPhase.phase === PHASES.GUESSING;
+	const nextState = {
+		...state,
+		words: {
+			...state.words,
+			[word]: {
+				...square,
+				roleRevealedForClueGiver,
+			},
+		},
+		agentsLeft,
+		agentsLeftByTeamId,
+		turnsLeft,
+		mistakesMade,
+		...nextPhase,
+		clue: isStillGuessing ? { ...state.clue, guessesLeft: state.clue.guessesLeft - 1 } : undefined,
+		result,
+	};
+
+	return {
+		state: nextState,
+		events: [
+			{
+				type: EVENTS.GUESSED,
+				teamId,
+				word,
+				role,
+				roleRevealedForClueGiver,
+				guessesLeft: isStillGuessing ? nextState.clue.guessesLeft : 0,
+			},
+			...getChangeEvents(state, nextState),
+			...(result ? [{ type: EVENTS.GAME_OVER, ...result }] : []),
+		],
+	};
+}
+
+function endTurn(state, { teamId }) {
+	const error = validateEndTurn(state, teamId);
+
+	if (error) return reject(state, error);
+
+	const turnsLeft = state.turnsLeft - 1;
+	// Running out of turns doesn't end the game, it starts sudden death
+	const nextState = {
+		...state,
+		turnsLeft,
+		clue: undefined,
+		...getPhaseAfterTurn(turnsLeft, teamId, state.agentsLeftByTeamId),
+	};
+
+	return {
+		state: nextState,
+		events: getChangeEvents(state, nextState),
+	};
+}
+
+// The clue giver loses their turn, and whoever would have guessed gives the next clue, just as if they had guessed nothing
+function loseClueTurn(state) {
+	const turnsLeft = state.turnsLeft - 1;
+	const nextState = {
+		...state,
+		turnsLeft,
+		clue: undefined,
+		...getPhaseAfterTurn(turnsLeft, getOtherTeamId(state.phaseTeamId), state.agentsLeftByTeamId),
+	};
+
+	return {
+		state: nextState,
+		events: getChangeEvents(state, nextState),
+	};
+}
+
+// When the clock runs out, the guessers' turn ends as if they had ended it, and a clue giver loses their turn
+function timeUp(state) {
+	const { phase, phaseTeamId } = state;
+
+	if (phase === PHASES.GUESSING) return endTurn(state, { teamId: phaseTeamId });
+
+	if (phase !== PHASES.AWAITING_CLUE || !phaseTeamId) return reject(state, 'There is no clock running');
+
+	return loseClueTurn(state);
+}
+
+function pass(state, { teamId }) {
+	const error = validateClueTurn(state, teamId);
+
+	if (error) return reject(state, error);
+
+	// Either team may give the first clue, so there's no turn to lose yet
+	if (!state.phaseTeamId) return reject(state, 'The first clue can\'t be passed');
+
+	return loseClueTurn(state);
+}
+
+/**
+ * THE RULES OF CLASSIC CODENAMES
+ *
+ * Two teams (red is team 1, blue is team 2) share a single key. Each team has one spymaster, who sees the
+ * key and gives clues, and any number of operatives, who guess:
+ *
+ * AWAITING_CLUE (team X's spymaster) -- a clue is given --> GUESSING (team X's operatives)
+ * GUESSING (team X) -- the turn ends --> AWAITING_CLUE (the other team)
+ *
+ * The team with more agents (the "first team") gives the first clue. Guessers may make one more guess
+ * than the number of the clue, and their turn ends as soon as they reveal a word that isn't theirs. There
+ * is no turn track: a team wins by revealing all of its agents (or when the other team reveals them for
+ * it), and loses by revealing the assasin. A finished game is always WON, by the team in its result.
+ *
+ * The state of a classic game differs from that of a duet game in:
+ *
+ * words				-- map of each word to { role, isRevealed } (role is one of CLASSIC_ROLES)
+ * agentsLeftByTeamId	-- agents of each team's color left to reveal ({ 1, 2 })
+ * result				-- { outcome: WON, reason, winningTeamId }
+ */
+
+/**
+ * What a player gets to know about a word
+ * @param  {Object} square - the word's entry in the state's words
+ * @param  {Object} viewer - { teamId, isSpymaster, isGameOver, showKeys } (showKeys for a spectator who asked to see them)
+ * @return {Object} duet: { roleRevealedForClueGiver, [role] (on the viewer's key), [key] (once the game is over) },
+ *                  classic: { isRevealed, [role] (for spymasters, revealed words and once the game is over) }
+ */
+function getWordView(square, {
+	teamId, isSpymaster, isGameOver: gameIsOver, showKeys,
+} = {}) {
+	const seesKeys = gameIsOver || showKeys;
+
+	if (square.role) {
+		return {
+			isRevealed: !!square.isRevealed,
+			role: isSpymaster || square.isRevealed || seesKeys ? square.role : undefined,
+		};
+	}
+
+	const view = { roleRevealedForClueGiver: square.roleRevealedForClueGiver };
+	if (teamId) view.role = square[KEY_NAMES[teamId]];
+	if (seesKeys) view.key = { playerOne: square.playerOne, playerTwo: square.playerTwo };
+
+	return view;
+}
+
+/**
+ * How a game ended for one of its teams (in a classic game only one team wins)
+ * @param  {Object} result - see the top of this file
+ * @param  {Number} teamId
+ * @return {Object} the result, with the outcome for that team
+ */
+function getResultForTeam(result, teamId) {
+	if (!result || !result.winningTeamId) return result;
+
+	return { ...result, outcome: result.winningTeamId === teamId ? PHASES.WON : PHASES.LOST };
+}
+
+function giveClassicClue(state, {
+	teamId, isSpymaster, word, number,
+}) {
+	const error = validateClueTurn(state, teamId, isSpymaster)
+		|| validateClue(word, number, Object.keys(state.words), state.clueRules);
+
+	if (error) return reject(state, error);
+
+	const clueNumber = parseInt(number, 10);
+	const nextState = {
+		...state,
+		// The team's own operatives guess, and may make one guess more than the clue is for
+		clue: {
+			teamId,
+			word,
+			number: clueNumber,
+			guessesLeft: clueNumber + 1,
+		},
+		phase: PHASES.GUESSING,
+	};
+
+	return {
+		state: nextState,
+		events: [
+			{
+				type: EVENTS.CLUE_GIVEN,
+				teamId,
+				word,
+				number: clueNumber,
+			},
+			...getChangeEvents(state, nextState),
+		],
+	};
+}
+
+function classicGuess(state, { teamId, isSpymaster, word }) {
+	const turnError = validateGuessTurn(state, teamId, isSpymaster);
+
+	if (turnError) return reject(state, turnError);
+
+	const square = state.words[word];
+
+	if (!square) return reject(state, `"${word}" is not on the board`);
+
+	if (square.isRevealed) return reject(state, `"${word}" was already revealed to be: ${square.role}`);
+
+	const { role } = square;
+	const otherTeamId = getOtherTeamId(teamId);
+	const roleTeamId = [1, 2].find(id => TEAM_COLORS[id] === role);
+	const agentsLeftByTeamId = { ...state.agentsLeftByTeamId };
+
+	if (roleTeamId) agentsLeftByTeamId[roleTeamId] -= 1;
+
+	let result;
+	if (role === CLASSIC_ROLES.ASSASIN) {
+		result = { outcome: PHASES.WON, reason: RESULT_REASONS.ASSASIN, winningTeamId: otherTeamId };
+	} else if (roleTeamId && agentsLeftByTeamId[roleTeamId] < 1) {
+		result = { outcome: PHASES.WON, reason: RESULT_REASONS.ALL_AGENTS_FOUND, winningTeamId: roleTeamId };
+	}
+
+	const turnEnded = roleTeamId !== teamId || state.clue.guessesLeft - 1 < 1;
+	let nextPhase = { phase: state.phase, phaseTeamId: state.phaseTeamId };
+	if (result) {
+		nextPhase = { phase: PHASES.WON, phaseTeamId: undefined };
+	} else if (turnEnded) {
+		nextPhase = { phase: PHASES.AWAITING_CLUE, phaseTeamId: otherTeamId };
+	}
+
+	const isStillGuessing = nextPhase.phase === PHASES.GUESSING;
+	const nextState = {
+		...state,
+		words: {
+			...state.words,
+			[word]: {
+				...square,
+				isRevealed: true,
+			},
+		},
+		agentsLeft: agentsLeftByTeamId[1] + agentsLeftByTeamId[2],
+		agentsLeftByTeamId,
+		...nextPhase,
+		clue: isStillGuessing ? { ...state.clue, guessesLeft: state.clue.guessesLeft - 1 } : undefined,
+		result,
+	};
+
+	return {
+		state: nextState,
+		events: [
+			{
+				type: EVENTS.GUESSED,
+				teamId,
+				word,
+				role,
+				isRevealed: true,
+				guessesLeft: isStillGuessing ? nextState.clue.guessesLeft : 0,
+			},
+			...getChangeEvents(state, nextState),
+			...(result ? [{ type: EVENTS.GAME_OVER, ...result }] : []),
+		],
+	};
+}
+
+// A turn ends by the guessers choosing to stop or by the clock, either way the other team's spymaster is next
+function endClassicTurn(state, { teamId, isSpymaster }) {
+	const error = validateEndTurn(state, teamId, isSpymaster);
+
+	if (error) return reject(state, error);
+
+	const nextState = {
+		...state,
+		clue: undefined,
+		phase: PHASES.AWAITING_CLUE,
+		phaseTeamId: getOtherTeamId(teamId),
+	};
+
+	return {
+		state: nextState,
+		events: getChangeEvents(state, nextState),
+	};
+}
+
+function classicTimeUp(state) {
+	const { phase, phaseTeamId } = state;
+
+	if (phase === PHASES.GUESSING) return endClassicTurn(state, { teamId: phaseTeamId });
+
+	if (phase !== PHASES.AWAITING_CLUE || !phaseTeamId) return reject(state, 'There is no clock running');
+
+	const nextState = {
+		...state,
+		phaseTeamId: getOtherTeamId(phaseTeamId),
+	};
+
+	return {
+		state: nextState,
+		events: getChangeEvents(state, nextState),
+	};
+}
+
+function applyClassicAction(state, action) {
+	switch (action.type) {
+	case ACTIONS.GIVE_CLUE:
+		return giveClassicClue(state, action);
+	case ACTIONS.GUESS:
+		return classicGuess(state, action);
+	case ACTIONS.END_TURN:
+		return endClassicTurn(state, action);
+	case ACTIONS.TIME_UP:
+		return classicTimeUp(state);
+	default:
+		return reject(state, `"${action.type}" is not a move in this game`);
+	}
+}
+
+/**
+ * Plays a move
+ * @param  {Object} state - the state of the game (see the top of this file)
+ * @param  {Object} action - { type: ACTIONS.GIVE_CLUE, teamId, word, number },
+ *                           { type: ACTIONS.GUESS, teamId, word }, { type: ACTIONS.END_TURN, teamId },
+ *                           { type: ACTIONS.PASS, teamId } (duet only) or { type: ACTIONS.TIME_UP } (played by
+ *                           the server when the clock runs out).
+ *                           In a classic game, moves by players also say whether they were made by a spymaster
+ *                           ({ isSpymaster })
+ * @return {Object} { state, events, error } - if the move isn't allowed, the state is unchanged,
+ *                  there are no events and the error says why
+ */
+function applyAction(state, action) {
+	if (isClassic(state)) return applyClassicAction(state, action);
+
+	switch (action.type) {
+	case ACTIONS.GIVE_CLUE:
+		return giveClue(state, action);
+	case ACTIONS.GUESS:
+		return guess(state, action);
+	case ACTIONS.END_TURN:
+		return endTurn(state, action);
+	case ACTIONS.TIME_UP:
+		return timeUp(state);
+	case ACTIONS.PASS:
+		return pass(state, action);
+	default:
+		return reject(state, `"${action.type}" is not a move in this game`);
+	}
+}
+
+module.exports = {
+	ROLES,
+	GAME_TYPES,
+	CLASSIC_ROLES,
+	TEAM_COLORS,
+	PHASES,
+	RESULT_REASONS,
+	ACTIONS,
+	EVENTS,
+	KEY_NAMES,
+	getOtherTeamId,
+	isGameOver,
+	isClassic,
+	getNextClueGiverTeamId,
+	getPhaseAfterTurn,
+	validateClueTurn,
+	validateGuessTurn,
+	validateEndTurn,
+	getPhaseSeconds,
+	describeResult,
+	getWordView,
+	getResultForTeam,
+	applyAction,
+};
@@ -0,0 +1,182 @@
+/* eslint-disable no-param-reassign */
+
+/**
+ * GAME SETTINGS
+ *
+ * What a game can be started with: its settings and their limits, its type, its word packs and custom
+ * words. Nothing here touches storage or the file system, so the client bundles this file and checks a
+ * new game the same way the server will.
+ */
+
+const { GAME_TYPES } = require('./rules');
+
+const COUNTS = {
+	WORDS: 25,
+	AGENTS: 15,
+	AGENTS_PER_PLAYER: 9,
+	ASSASINS_PER_PLAYER: 3,
+	PLAYERS: 2,
+	TURNS: 9,
+};
+
+COUNTS.OVERLAPPING_AGENTS = (COUNTS.PLAYERS * COUNTS.AGENTS_PER_PLAYER) - COUNTS.AGENTS;
+
+const DEFAULT_GAME_TYPE = GAME_TYPES.DUET;
+
+// The word packs of a game started without choosing any (see src/word-packs)
+const DEFAULT_WORD_PACKS = ['classic'];
+
+const DEFAULT_SETTINGS = {
+	turns: COUNTS.TURNS,
+	agentsPerPlayer: COUNTS.AGENTS_PER_PLAYER,
+	assasinsPerPlayer: COUNTS.ASSASINS_PER_PLAYER,
+	overlappingAgents: COUNTS.OVERLAPPING_AGENTS,
+	mistakes: COUNTS.TURNS,
+	clueSeconds: 0,
+	guessSeconds: 0,
+	guessVotePercent: 0,
+	blockBoardWordsInChat: 0,
+};
+
+const SETTINGS_LIMITS = {
+	turns: { min: 1, max: 15 },
+	mistakes: { min: 0, max: 15 },
+	agentsPerPlayer: { min: 1, max: 12 },
+	assasinsPerPlayer: { min: 0, max: 6 },
+	overlappingAgents: { min: 0, max: 12 },
+	clueSeconds: { min: 0, max: 600 },
+	guessSeconds: { min: 0, max: 600 },
+	guessVotePercent: { min: 0, max: 100 },
+	blockBoardWordsInChat: { min: 0, max: 1 },
+};
+
+// Settings for how a game is played rather than for its board: the clocks of a timed game (0 means no time
+// limit), the share of a team that has to vote for a guess (0 means anyone can guess on their own) and
+// whether chat messages may name words on the board (1 blocks them, see src/chat.js).
+// They don't change the board, so they aren't written into board codes.
+const PLAY_SETTINGS = ['clueSeconds', 'guessSeconds', 'guessVotePercent', 'blockBoardWordsInChat'];
+
+/**
+ * Fills in any missing settings with their defaults and parses the rest as integers
+ * @param  {Object} [settings] - settings for a game (possibly partial or stored as strings)
+ * @return {Object} a complete settings object
+ */
+function normalizeSettings(settings = {}) {
+	const normalizedSettings = Object.keys(DEFAULT_SETTINGS).reduce((memo, key) => {
+		const value = parseInt(settings[key], 10);
+		memo[key] = Number.isNaN(value) ? DEFAULT_SETTINGS[key] : value;
+		return memo;
+	}, {});
+
+	// Unless told otherwise, allow a mistake for every turn (as in the standard game)
+	if (Number.isNaN(parseInt(settings.mistakes, 10))) normalizedSettings.mistakes = normalizedSettings.turns;
+
+	return normalizedSettings;
+}
+
+/**
+ * Checks settings against the limits of the board
+ * @param  {Object} settings - settings for a game
+ * @return {String|undefined} a message describing the first problem found, if any
+ */
+function validateSettings(settings) {
+	const normalizedSettings = normalizeSettings(settings);
+	const invalidKey = Object.keys(SETTINGS_LIMITS).find((key) => {
+		const { min, max } = SETTINGS_LIMITS[key];
+		return normalizedSettings[key] < min || normalizedSettings[key] > max;
+	});
+
+	if (invalidKey) {
+		const { min, max } = SETTINGS_LIMITS[invalidKey];
+		return `${invalidKey} must be between ${min} and ${max}`;
+	}
+
+	const {
+		agentsPerPlayer,
+		assasinsPerPlayer,
+		overlappingAgents,
+	} = normalizedSettings;
+
+	if (overlappingAgents > agentsPerPlayer) {
+		return 'overlappingAgents cannot be more than agentsPerPlayer';
+	}
+
+	if ((COUNTS.PLAYERS * agentsPerPlayer) - overlappingAgents > COUNTS.WORDS) {
+		return `There are only ${COUNTS.WORDS} words on the board for all of the agents`;
+	}
+
+	if (agentsPerPlayer + assasinsPerPlayer > COUNTS.WORDS) {
+		return `There are only ${COUNTS.WORDS} words on the board for each player's agents and assasins`;
+	}
+
+	return undefined;
+}
+
+/**
+ * Tidies a custom word list into the form the words are stored and shown in
+ * @param  {String[]|String} [words] - the words, as an array or as stored (comma-separated)
+ * @return {String[]} the trimmed, upper-cased words (empty if there is no custom list)
+ */
+function normalizeCustomWords(words) {
+	const wordList = typeof words === 'string' ? words.split(',') : words || [];
+
+	return wordList.map(word => `${word}`.trim().toUpperCase()).filter(word => word);
+}
+
+/**
+ * Checks that a custom word list can fill a board. Words are stored comma-separated
+ * (see RedisClient.setWordMap), so they cannot contain commas.
+ * @param  {String[]} words - the words the host wants to play with
+ * @return {String|undefined} a message describing the first problem found, if any
+ */
+function validateCustomWords(words) {
+	if (!Array.isArray(words)) return 'Custom words must be a list of words';
+
+	const invalidWord = words.find(word => typeof word !== 'string' || !word.trim() || word.indexOf(',') > -1);
+
+	if (typeof invalidWord !== 'undefined') {
+		return `"${invalidWord}" is not a valid word (words cannot be blank or contain commas)`;
+	}
+
+	const normalizedWords = normalizeCustomWords(words);
+	const duplicateWord = normalizedWords.find((word, index) => normalizedWords.indexOf(word) !== index);
+
+	if (duplicateWord) return `"${duplicateWord}" appears more than once`;
+
+	if (normalizedWords.length !== COUNTS.WORDS) {
+		return `A board needs exactly ${COUNTS.WORDS} words but ${normalizedWords.length} were given`;
+	}
+
+	return undefined;
+}
+
+function normalizeGameType(gameType) {
+	return GAME_TYPES[gameType] || DEFAULT_GAME_TYPE;
+}
+
+function validateGameType(gameType) {
+	if (!GAME_TYPES[gameType]) return `"${gameType}" is not a type of game, it must be one of ${Object.keys(GAME_TYPES).join(' or ')}`;
+
+	return undefined;
+}
+
+// How many words are an agent on at least one key
+function getTotalAgents(settings = DEFAULT_SETTINGS) {
+	return (COUNTS.PLAYERS * settings.agentsPerPlayer) - settings.overlappingAgents;
+}
+
+module.exports = {
+	COUNTS,
+	DEFAULT_GAME_TYPE,
+	DEFAULT_WORD_PACKS,
+	DEFAULT_SETTINGS,
+	SETTINGS_LIMITS,
+	PLAY_SETTINGS,
+	normalizeSettings,
+	validateSettings,
+	getTotalAgents,
+	normalizeCustomWords,
+	validateCustomWords,
+	normalizeGameType,
+	validateGameType,
+};
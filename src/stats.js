@@ -0,0 +1,87 @@
+/**
+ * PLAYER STATISTICS
+ *
+ * Every finished game is added to the statistics of each player in it, and of each pair of players who
+ * played it together. Statistics are kept as flat counts so they can be stored in a Redis hash, and are
+ * summarized (e.g. averages) when they are read.
+ * Only duet games between two people count.
+ */
+
+const { PHASES, RESULT_REASONS } = require('./rules');
+
+const COUNTS = [
+	'played',
+	'wins',
+	'lossesByAssasin',
+	'lossesByTurns',
+	'lossesByMistakes',
+	// Summed over wins, for the average
+	'turnsLeftOnWins',
+	// Current and longest run of wins in a row
+	'streak',
+	'bestStreak',
+];
+
+const LOSS_COUNTS = {
+	[RESULT_REASONS.ASSASIN]: 'lossesByAssasin',
+	[RESULT_REASONS.SUDDEN_DEATH]: 'lossesByTurns',
+	[RESULT_REASONS.TOO_MANY_MISTAKES]: 'lossesByMistakes',
+};
+
+/**
+ * Reads the counts stored in a hash (every count is 0 if nothing has been stored yet)
+ * @param  {Object} [hash] - from Redis, where every value is a string
+ * @return {Object} count name --> Number
+ */
+function parseCounts(hash = {}) {
+	return COUNTS.reduce((counts, name) => ({
+		...counts,
+		[name]: parseInt((hash || {})[name], 10) || 0,
+	}), {});
+}
+
+/**
+ * Adds the result of a finished game to some counts
+ * @param  {Object} counts - see parseCounts
+ * @param  {Object} result - { outcome, reason, turnsUsed } (see src/rules.js)
+ * @param  {Number} turns - the turns the game was played with
+ * @return {Object} the new counts
+ */
+function addResult(counts, { outcome, reason, turnsUsed }, turns) {
+	const newCounts = { ...counts, played: counts.played + 1 };
+
+	if (outcome === PHASES.WON) {
+		newCounts.wins += 1;
+		newCounts.turnsLeftOnWins += Math.max(turns - turnsUsed, 0) || 0;
+		newCounts.streak += 1;
+		newCounts.bestStreak = Math.max(newCounts.bestStreak, newCounts.streak);
+		return newCounts;
+	}
+
+	if (LOSS_COUNTS[reason]) newCounts[LOSS_COUNTS[reason]] += 1;
+	newCounts.streak = 0;
+
+	return newCounts;
+}
+
+/**
+ * Describes counts for people, adding what's worked out from them
+ * @param  {Object} counts - see parseCounts
+ * @return {Object} the counts, along with losses and averageTurnsLeftOnWin (undefined without a win)
+ */
+function summarize(counts) {
+	const { played, wins, turnsLeftOnWins } = counts;
+
+	return {
+		...counts,
+		losses: played - wins,
+		averageTurnsLeftOnWin: wins ? Math.round((turnsLeftOnWins / wins) * 10) / 10 : undefined,
+	};
+}
+
+module.exports = {
+	COUNTS,
+	parseCounts,
+	addResult,
+	summarize,
+};
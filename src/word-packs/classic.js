@@ -0,0 +1,5 @@
+module.exports = {
+	name: 'Classic',
+	language: 'en',
+	words: require('../words'), // eslint-disable-line global-require
+};
@@ -0,0 +1,108 @@
+module.exports = {
+	name: 'Classique',
+	language: 'fr',
+	words: [
+		'ABEILLE',
+		'AIGLE',
+		'AMOUR',
+		'ANGE',
+		'ARBRE',
+		'ARGENT',
+		'AVION',
+		'BALLON',
+		'BANQUE',
+		'BATEAU',
+		'BÉBÉ',
+		'BOUGIE',
+		'BOUTEILLE',
+		'BRAS',
+		'CADEAU',
+		'CAMION',
+		'CARTE',
+		'CERISE',
+		'CHAISE',
+		'CHAMPIGNON',
+		'CHAPEAU',
+		'CHAT',
+		'CHÂTEAU',
+		'CHEVAL',
+		'CHIEN',
+		'CIEL',
+		'CLÉ',
+		'COCHON',
+		'COEUR',
+		'COURONNE',
+		'CRAYON',
+		'CUISINE',
+		'DENT',
+		'DRAGON',
+		'ÉCOLE',
+		'ÉTOILE',
+		'FANTÔME',
+		'FENÊTRE',
+		'FEU',
+		'FLEUR',
+		'FORÊT',
+		'FOURCHETTE',
+		'FROMAGE',
+		'FUSÉE',
+		'GÂTEAU',
+		'GLACE',
+		'GUITARE',
+		'HIBOU',
+		'HÔPITAL',
+		'ÎLE',
+		'JARDIN',
+		'JOURNAL',
+		'LAIT',
+		'LAPIN',
+		'LETTRE',
+		'LION',
+		'LIVRE',
+		'LUNE',
+		'MAISON',
+		'MARTEAU',
+		'MIROIR',
+		'MONTAGNE',
+		'MOUTON',
+		'NEIGE',
+		'NUAGE',
+		'OISEAU',
+		'OMBRE',
+		'ORANGE',
+		'OURS',
+		'PAIN',
+		'PAPILLON',
+		'PARAPLUIE',
+		'PIANO',
+		'PIRATE',
+		'PLAGE',
+		'PLUIE',
+		'POISSON',
+		'POMME',
+		'PONT',
+		'PORTE',
+		'PRINCE',
+		'REINE',
+		'REQUIN',
+		'ROBOT',
+		'ROI',
+		'SABLE',
+		'SERPENT',
+		'SOLEIL',
+		'SOURIS',
+		'TABLE',
+		'TAMBOUR',
+		'TÉLÉPHONE',
+		'TERRE',
+		'TIGRE',
+		'TORTUE',
+		'TRAIN',
+		'VACHE',
+		'VAMPIRE',
+		'VÉLO',
+		'VENT',
+		'VILLE',
+		'VIOLON',
+	],
+};
@@ -0,0 +1,99 @@
+module.exports = {
+	name: 'Food & Drink',
+	language: 'en',
+	words: [
+		'APPLE',
+		'BACON',
+		'BAGEL',
+		'BANANA',
+		'BASIL',
+		'BEAN',
+		'BEEF',
+		'BISCUIT',
+		'BREAD',
+		'BROTH',
+		'BURGER',
+		'BUTTER',
+		'CAKE',
+		'CANDY',
+		'CARAMEL',
+		'CARROT',
+		'CHEESE',
+		'CHERRY',
+		'CHILI',
+		'CHIP',
+		'CHOCOLATE',
+		'CIDER',
+		'CINNAMON',
+		'COCONUT',
+		'COFFEE',
+		'COOKIE',
+		'CORN',
+		'CREAM',
+		'CRUST',
+		'CURRY',
+		'DONUT',
+		'DUMPLING',
+		'EGG',
+		'FIG',
+		'FLOUR',
+		'FUDGE',
+		'GARLIC',
+		'GINGER',
+		'GRAPE',
+		'GRAVY',
+		'HONEY',
+		'ICE',
+		'JAM',
+		'JELLY',
+		'KETCHUP',
+		'LEMON',
+		'LIME',
+		'MANGO',
+		'MAPLE',
+		'MELON',
+		'MINT',
+		'MUFFIN',
+		'MUSHROOM',
+		'MUSTARD',
+		'NOODLE',
+		'NUT',
+		'OLIVE',
+		'ONION',
+		'ORANGE',
+		'PANCAKE',
+		'PASTA',
+		'PEACH',
+		'PEAR',
+		'PEPPER',
+		'PICKLE',
+		'PIE',
+		'PIZZA',
+		'PLUM',
+		'POPCORN',
+		'POTATO',
+		'PRETZEL',
+		'PUDDING',
+		'RICE',
+		'SALAD',
+		'SALT',
+		'SAUCE',
+		'SAUSAGE',
+		'SOUP',
+		'SPICE',
+		'STEAK',
+		'SUGAR',
+		'SUSHI',
+		'SYRUP',
+		'TACO',
+		'TEA',
+		'TOAST',
+		'TOFU',
+		'TOMATO',
+		'VANILLA',
+		'VINEGAR',
+		'WAFFLE',
+		'WINE',
+		'YOGURT',
+	],
+};
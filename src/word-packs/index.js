@@ -0,0 +1,137 @@
+/* eslint-disable no-console, global-require, import/no-dynamic-require */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_WORD_PACKS } = require('../settings');
+
+/**
+ * WORD PACKS
+ *
+ * Every other file in this directory is a word pack exporting { name, language, words }.
+ * The file name (without .js) is the id of the pack. Packs are checked when the server starts
+ * and any pack that can't fill a board by itself is left out of the registry.
+ */
+
+const MIN_WORDS = 25;
+
+/**
+ * Checks that a word pack is well formed and can fill a board on its own
+ * @param  {Object} pack
+ * @param  {String} pack.name - name to show for the pack
+ * @param  {String} pack.language - language code for the words in the pack (e.g. "en")
+ * @param  {String[]} pack.words - the words in the pack
+ * @return {String|undefined} a message describing the first problem found, if any
+ */
+function validatePack(pack) {
+	if (!pack || !pack.name || !pack.language || !Array.isArray(pack.words)) {
+		return 'A word pack needs a name, a language and an array of words';
+	}
+
+	const invalidWord = pack.words.find(word => typeof word !== 'string' || !word.trim() || word.indexOf(',') > -1);
+
+	if (typeof invalidWord !== 'undefined') {
+		return `"${invalidWord}" is not a valid word (words cannot be blank or contain commas)`;
+	}
+
+	const duplicateWord = pack.words.find((word, index) => (
+		pack.words.findIndex(otherWord => otherWord.toUpperCase() === word.toUpperCase()) !== index
+	));
+
+	if (duplicateWord) {
+		return `"${duplicateWord}" appears more than once`;
+	}
+
+	if (pack.words.length < MIN_WORDS) {
+		return `A word pack needs at least ${MIN_WORDS} unique words but has ${pack.words.length}`;
+	}
+
+	return undefined;
+}
+
+function loadPacks() {
+	return fs.readdirSync(__dirname)
+		.filter(file => path.extname(file) === '.js' && file !== path.basename(__filename))
+		.reduce((packs, file) => {
+			const id = path.basename(file, '.js');
+			const pack = require(path.join(__dirname, file));
+			const error = validatePack(pack);
+
+			if (error) {
+				console.log(`Skipping the word pack "${id}": ${error}`);
+				return packs;
+			}
+
+			return {
+				...packs,
+				[id]: {
+					id,
+					name: pack.name,
+					language: pack.language,
+					words: pack.words.map(word => word.trim().toUpperCase()),
+				},
+			};
+		}, {});
+}
+
+const PACKS = loadPacks();
+
+/**
+ * Lists the packs that can be chosen for a game
+ * @return {Object[]} the id, name, language and size of each pack
+ */
+function listPacks() {
+	return Object.keys(PACKS).sort().map(id => ({
+		id,
+		name: PACKS[id].name,
+		language: PACKS[id].language,
+		size: PACKS[id].words.length,
+	}));
+}
+
+/**
+ * Puts a choice of packs in a consistent order, so the same choice always gives the same words
+ * @param  {String[]|String} [packIds] - pack ids as an array or a comma-separated string
+ * @return {String[]} sorted, de-duplicated pack ids (the default packs if none were chosen)
+ */
+function normalizePackIds(packIds) {
+	const ids = (typeof packIds === 'string' ? packIds.split(',') : packIds || [])
+		.map(id => `${id}`.trim().toLowerCase())
+		.filter((id, index, allIds) => id && allIds.indexOf(id) === index)
+		.sort();
+
+	return ids.length ? ids : DEFAULT_WORD_PACKS;
+}
+
+/**
+ * Checks that a choice of packs can be used for a game
+ * @param  {String[]} packIds
+ * @return {String|undefined} a message describing the problem, if any
+ */
+function validatePackIds(packIds) {
+	const unknownId = normalizePackIds(packIds).find(id => !PACKS[id]);
+
+	if (unknownId) return `There is no word pack called "${unknownId}"`;
+
+	return undefined;
+}
+
+/**
+ * Gets every word in a mix of packs, without duplicates
+ * @param  {String[]} packIds
+ * @return {String[]} the words
+ */
+function getWordsForPacks(packIds) {
+	return normalizePackIds(packIds).reduce((words, id) => (
+		PACKS[id] ? words.concat(PACKS[id].words.filter(word => words.indexOf(word) === -1)) : words
+	), []);
+}
+
+module.exports = {
+	MIN_WORDS,
+	DEFAULT_WORD_PACKS,
+	validatePack,
+	listPacks,
+	normalizePackIds,
+	validatePackIds,
+	getWordsForPacks,
+};
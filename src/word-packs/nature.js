@@ -0,0 +1,93 @@
+module.exports = {
+	name: 'Nature',
+	language: 'en',
+	words: [
+		'ACORN',
+		'ALGAE',
+		'AVALANCHE',
+		'BAY',
+		'BEE',
+		'BERRY',
+		'BIRCH',
+		'BLOSSOM',
+		'BOULDER',
+		'BRANCH',
+		'BREEZE',
+		'BROOK',
+		'CANYON',
+		'CAVE',
+		'CLIFF',
+		'CLOUD',
+		'CORAL',
+		'CREEK',
+		'CRYSTAL',
+		'DELTA',
+		'DESERT',
+		'DEW',
+		'DUNE',
+		'EAGLE',
+		'FALCON',
+		'FERN',
+		'FIELD',
+		'FLOOD',
+		'FOG',
+		'FOREST',
+		'FOX',
+		'FROST',
+		'GEYSER',
+		'GLACIER',
+		'GRASS',
+		'GROVE',
+		'HAIL',
+		'HILL',
+		'ISLAND',
+		'IVY',
+		'JUNGLE',
+		'LAKE',
+		'LAVA',
+		'LEAF',
+		'LICHEN',
+		'LIGHTNING',
+		'MARSH',
+		'MEADOW',
+		'MIST',
+		'MOON',
+		'MOSS',
+		'MOUNTAIN',
+		'OAK',
+		'OCEAN',
+		'ORCHID',
+		'OWL',
+		'PEBBLE',
+		'PINE',
+		'POND',
+		'RAIN',
+		'RAINBOW',
+		'REEF',
+		'RIVER',
+		'ROOT',
+		'SAND',
+		'SEED',
+		'SHORE',
+		'SNOW',
+		'SPRING',
+		'STONE',
+		'STORM',
+		'STREAM',
+		'SUN',
+		'SWAMP',
+		'THORN',
+		'THUNDER',
+		'TIDE',
+		'TORNADO',
+		'TREE',
+		'TULIP',
+		'VALLEY',
+		'VOLCANO',
+		'WATERFALL',
+		'WAVE',
+		'WILLOW',
+		'WIND',
+		'WOLF',
+	],
+};
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { ROLES } = require('../src/rules');
+const { CLUE_RULES } = require('../src/clues');
+const {
+	findUnknownWord, chooseClue, rankGuesses, chooseGuess,
+} = require('../src/bots');
+
+const { AGENT, NON_AGENT, ASSASIN } = ROLES;
+
+// What a computer partner's seat knows about a word: its role on its own key, and what has been revealed
+const square = (role, roleRevealedForClueGiver = {}) => ({ role, roleRevealedForClueGiver });
+
+// Three animals are agents on the computer's key (team 1)
+const WORDS = {
+	CAT: square(AGENT),
+	DOG: square(AGENT),
+	LION: square(AGENT),
+	BREAD: square(NON_AGENT),
+	CAKE: square(ASSASIN),
+};
+
+describe('bots', () => {
+	it('finds a word it has no themes for', () => {
+		assert.strictEqual(findUnknownWord(['CAT', 'CHAT', 'DOG']), 'CHAT');
+		assert.strictEqual(findUnknownWord(Object.keys(WORDS)), undefined);
+	});
+
+	describe('chooseClue', () => {
+		it('links the agents on its key through a theme', () => {
+			assert.deepStrictEqual(chooseClue(WORDS, 1, CLUE_RULES.STRICT), { word: 'ANIMAL', number: 3 });
+		});
+
+		it('leaves out agents that have been found', () => {
+			const words = { ...WORDS, LION: square(AGENT, { playerTwo: AGENT }) };
+
+			assert.deepStrictEqual(chooseClue(words, 1, CLUE_RULES.STRICT), { word: 'ANIMAL', number: 2 });
+		});
+
+		it('never gives a clue that could lead to its assasin', () => {
+			const clue = chooseClue({ CAKE: square(AGENT), COOKIE: square(AGENT), BREAD: square(ASSASIN) }, 1, CLUE_RULES.STRICT);
+
+			assert.notStrictEqual(clue.word, 'BAKERY');
+		});
+
+		it('has no clue when no theme links an agent', () => {
+			assert.strictEqual(chooseClue({ BREAD: square(NON_AGENT), CAT: square(ASSASIN) }, 1, CLUE_RULES.STRICT), undefined);
+		});
+	});
+
+	describe('guesses', () => {
+		it('ranks the words closest to the clue first, leaving out found agents', () => {
+			const words = { ...WORDS, DOG: square(AGENT, { playerOne: AGENT }) };
+			const ranked = rankGuesses('ANIMAL', words, 1);
+
+			assert.deepStrictEqual(ranked.slice(0, 2), [{ word: 'CAT', score: 1 }, { word: 'LION', score: 1 }]);
+			assert.ok(ranked.every(({ word }) => word !== 'DOG'));
+		});
+
+		it('leaves out words already revealed on its partner\'s key', () => {
+			const words = { ...WORDS, CAT: square(AGENT, { playerTwo: NON_AGENT }) };
+
+			assert.ok(rankGuesses('ANIMAL', words, 1).every(({ word }) => word !== 'CAT'));
+		});
+
+		// [caution, whether it has guessed for the clue yet, the word it guesses for a clue it can't link]
+		const CASES = [
+			['NORMAL', false, 'CAT'],
+			['NORMAL', true, undefined],
+			['BOLD', false, 'CAT'],
+			['CAREFUL', false, undefined],
+		];
+
+		CASES.forEach(([caution, hasGuessed, expected]) => {
+			it(`${expected ? 'guesses' : 'ends the turn'} when ${caution}${hasGuessed ? ', once it has guessed' : ''}`, () => {
+				assert.strictEqual(chooseGuess('ZZYZX', WORDS, 1, hasGuessed, caution), expected);
+			});
+		});
+
+		it('guesses a word that relates to the clue however careful it is', () => {
+			assert.strictEqual(chooseGuess('ANIMAL', WORDS, 1, true, 'CAREFUL'), 'CAT');
+		});
+	});
+});
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const {
+	MAX_MESSAGE_LENGTH,
+	normalizeMessage,
+	findBoardWord,
+	getMessagePayload,
+} = require('../src/chat');
+
+const BOARD = ['DOG', 'BOX', 'ICE-CREAM', 'A.B'];
+
+describe('chat', () => {
+	describe('normalizeMessage', () => {
+		it('trims the text and squeezes its spaces', () => {
+			assert.deepStrictEqual(normalizeMessage('  good \n  luck  '), { text: 'good luck' });
+		});
+
+		it('refuses an empty message', () => {
+			assert.deepStrictEqual(normalizeMessage(' '), { error: 'A message needs some text' });
+			assert.deepStrictEqual(normalizeMessage(), { error: 'A message needs some text' });
+		});
+
+		it('refuses a message that is too long', () => {
+			assert.deepStrictEqual(
+				normalizeMessage('x'.repeat(MAX_MESSAGE_LENGTH + 1)),
+				{ error: `A message can't be more than ${MAX_MESSAGE_LENGTH} characters` },
+			);
+			assert.ok(normalizeMessage('x'.repeat(MAX_MESSAGE_LENGTH)).text);
+		});
+	});
+
+	describe('findBoardWord', () => {
+		// [message, the word on the board it names (undefined for none)]
+		const CASES = [
+			['try the dog', 'DOG'],
+			['Dogs, maybe?', 'DOG'],
+			['boxes first', 'BOX'],
+			['hotdog', undefined],
+			['dogma', undefined],
+			['ice-cream!', 'ICE-CREAM'],
+			['ice cream', undefined],
+			['AxB', undefined],
+			['a.b', 'A.B'],
+		];
+
+		CASES.forEach(([text, word]) => {
+			it(`finds ${word || 'nothing'} in "${text}"`, () => {
+				assert.strictEqual(findBoardWord(text, BOARD), word);
+			});
+		});
+	});
+
+	describe('getMessagePayload', () => {
+		const message = { playerId: 3, playerName: 'Ann', text: 'hi' };
+
+		it('names the team as the client does', () => {
+			assert.deepStrictEqual(getMessagePayload({ ...message, teamId: 1 }), { ...message, teamId: 'one' });
+			assert.deepStrictEqual(getMessagePayload({ ...message, teamId: 2 }), { ...message, teamId: 'two' });
+		});
+
+		it('leaves out the team of a player without a seat', () => {
+			assert.strictEqual(getMessagePayload(message).teamId, undefined);
+			assert.strictEqual(getMessagePayload({ ...message, teamId: null }).teamId, undefined);
+		});
+	});
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const {
+	CLUE_RULES, normalizeClueRules, validateClueRules, validateClue,
+} = require('../src/clues');
+
+const BOARD = ['SNOWMAN', 'APPLE', 'ICE'];
+
+// [clue word, number, clue rules, error (undefined when the clue is allowed)]
+const CASES = [
+	['FRUIT', 2, CLUE_RULES.STRICT, undefined],
+	['fruit', '2', CLUE_RULES.STRICT, undefined],
+	['', 1, CLUE_RULES.STRICT, 'A clue needs a word'],
+	['RED FRUIT', 1, CLUE_RULES.STRICT, '"RED FRUIT" is more than one word'],
+	['ICE-CREAM', 1, CLUE_RULES.STRICT, '"ICE-CREAM" can only contain letters'],
+	['ICE-CREAM', 1, CLUE_RULES.RELAXED, undefined],
+	['007', 1, CLUE_RULES.RELAXED, undefined],
+	['R2D2!', 1, CLUE_RULES.RELAXED, '"R2D2!" can only contain letters, numbers, hyphens and apostrophes'],
+	['FRUIT', 0, CLUE_RULES.STRICT, 'The number for a clue must be between 1 and 25'],
+	['FRUIT', 26, CLUE_RULES.STRICT, 'The number for a clue must be between 1 and 25'],
+	['FRUIT', 'many', CLUE_RULES.STRICT, 'The number for a clue must be between 1 and 25'],
+	['APPLE', 1, CLUE_RULES.RELAXED, '"APPLE" is a word on the board'],
+	['SNOW', 1, CLUE_RULES.STRICT, '"SNOW" is part of "SNOWMAN", which is on the board'],
+	['SNOW', 1, CLUE_RULES.RELAXED, undefined],
+	['APPLES', 1, CLUE_RULES.STRICT, '"APPLES" contains "APPLE", which is on the board'],
+	['APPLES', 1, CLUE_RULES.RELAXED, undefined],
+	['ÉTÉ', 1, CLUE_RULES.STRICT, undefined],
+	['FRUIT', 1, undefined, undefined],
+	['SNOW', 1, undefined, '"SNOW" is part of "SNOWMAN", which is on the board'],
+];
+
+describe('clues', () => {
+	describe('validateClue', () => {
+		CASES.forEach(([word, number, clueRules, error]) => {
+			it(`${error ? 'rejects' : 'allows'} "${word}" for ${number} with ${clueRules || 'the default'} rules`, () => {
+				assert.strictEqual(validateClue(word, number, BOARD, clueRules), error);
+			});
+		});
+	});
+
+	describe('clue rules', () => {
+		it('reads clue rules in any case, and falls back to the default', () => {
+			assert.strictEqual(normalizeClueRules(' relaxed '), CLUE_RULES.RELAXED);
+			assert.strictEqual(normalizeClueRules('LOOSE'), CLUE_RULES.STRICT);
+			assert.strictEqual(normalizeClueRules(), CLUE_RULES.STRICT);
+		});
+
+		it('only accepts the known clue rules', () => {
+			assert.strictEqual(validateClueRules('relaxed'), undefined);
+			assert.strictEqual(validateClueRules('LOOSE'), 'Clue rules must be one of STRICT or RELAXED');
+		});
+	});
+});
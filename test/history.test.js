@@ -0,0 +1,91 @@
+const assert = require('assert');
+const { ACTIONS, PHASES, RESULT_REASONS } = require('../src/rules');
+const { LOG_EVENTS, TURN_END_REASONS, addEventToHistory } = require('../src/history');
+
+const clueGiven = (teamId, word, number) => ({
+	type: LOG_EVENTS.CLUE_GIVEN, teamId, playerId: teamId, playerName: `Player ${teamId}`, word, number,
+});
+const guessMade = (teamId, word, role) => ({
+	type: LOG_EVENTS.GUESS_MADE, teamId, playerId: teamId, word, role,
+});
+const turnEnded = reason => ({ type: LOG_EVENTS.TURN_ENDED, reason });
+const moveUndone = action => ({ type: LOG_EVENTS.MOVE_UNDONE, action });
+
+// Plays some events onto an empty history
+const play = (...events) => events.reduce(addEventToHistory, []);
+
+describe('history', () => {
+	it('starts an entry for each clue and adds its guesses to it', () => {
+		assert.deepStrictEqual(play(clueGiven(1, 'FRUIT', 2), guessMade(2, 'APPLE', 'AGENT')), [{
+			teamId: 1,
+			playerId: 1,
+			playerName: 'Player 1',
+			word: 'FRUIT',
+			number: 2,
+			guesses: [{ word: 'APPLE', role: 'AGENT', playerId: 2 }],
+		}]);
+	});
+
+	it('records how the turn ended, and ignores the end of a turn nobody was guessing', () => {
+		const history = play(clueGiven(1, 'FRUIT', 2), turnEnded(TURN_END_REASONS.STOPPED), turnEnded(TURN_END_REASONS.TIME_RAN_OUT));
+
+		assert.deepStrictEqual(history[0].ending, { reason: TURN_END_REASONS.STOPPED });
+		assert.strictEqual(history.length, 1);
+	});
+
+	it('gathers the guesses of sudden death, made without a clue, in an entry after the last clue', () => {
+		const history = play(
+			clueGiven(1, 'FRUIT', 2),
+			turnEnded(TURN_END_REASONS.STOPPED),
+			guessMade(1, 'APPLE', 'AGENT'),
+			guessMade(2, 'BERRY', 'AGENT'),
+		);
+
+		assert.strictEqual(history.length, 2);
+		assert.strictEqual(history[1].word, undefined);
+		assert.deepStrictEqual(history[1].guesses.map(({ word }) => word), ['APPLE', 'BERRY']);
+	});
+
+	it('adds a turn that was passed, already ended', () => {
+		const [entry] = play({
+			type: LOG_EVENTS.CLUE_PASSED, teamId: 2, playerId: 2, playerName: 'Player 2',
+		});
+
+		assert.strictEqual(entry.word, undefined);
+		assert.deepStrictEqual(entry.ending, { reason: TURN_END_REASONS.PASSED });
+	});
+
+	it('ends the last entry with the result of the game', () => {
+		const history = play(clueGiven(1, 'FRUIT', 2), guessMade(2, 'DATE', 'ASSASIN'), {
+			type: LOG_EVENTS.GAME_OVER, outcome: PHASES.LOST, reason: RESULT_REASONS.ASSASIN,
+		});
+
+		assert.deepStrictEqual(history[0].ending, {
+			reason: TURN_END_REASONS.GAME_OVER, outcome: PHASES.LOST, resultReason: RESULT_REASONS.ASSASIN, winningTeamId: undefined,
+		});
+	});
+
+	it('takes back an undone guess, and reopens its turn', () => {
+		const history = play(
+			clueGiven(1, 'FRUIT', 2),
+			guessMade(2, 'FIG', 'NON_AGENT'),
+			turnEnded(TURN_END_REASONS.WRONG_GUESS),
+			moveUndone(ACTIONS.GUESS),
+		);
+
+		assert.deepStrictEqual(history[0].guesses, []);
+		assert.strictEqual(history[0].ending, undefined);
+	});
+
+	it('takes back the entry of an undone clue, or of the only guess made without one', () => {
+		assert.deepStrictEqual(play(clueGiven(1, 'FRUIT', 2), moveUndone(ACTIONS.GIVE_CLUE)), []);
+		assert.deepStrictEqual(play(guessMade(1, 'APPLE', 'AGENT'), moveUndone(ACTIONS.GUESS)), []);
+	});
+
+	it('starts over with a new game, and leaves out events about players', () => {
+		const history = play(clueGiven(1, 'FRUIT', 2), { type: LOG_EVENTS.PLAYER_JOINED, playerId: 3 });
+
+		assert.strictEqual(history.length, 1);
+		assert.deepStrictEqual(addEventToHistory(history, { type: LOG_EVENTS.GAME_STARTED }), []);
+	});
+});
@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { MARK_TAGS, normalizeMark } = require('../src/marks');
+
+// [mark, what normalizeMark should return]
+const CASES = [
+	[undefined, { mark: undefined }],
+	[{}, { mark: undefined }],
+	[{ tag: MARK_TAGS.SAFE }, { mark: { tag: MARK_TAGS.SAFE } }],
+	[{ tag: MARK_TAGS.AVOID, note: 'ignored' }, { mark: { tag: MARK_TAGS.AVOID } }],
+	[{ tag: MARK_TAGS.NOTE, note: '  maybe hers  ' }, { mark: { tag: MARK_TAGS.NOTE, note: 'maybe hers' } }],
+	[{ tag: MARK_TAGS.NOTE, note: ' ' }, { error: 'A note needs some text' }],
+	[{ tag: MARK_TAGS.NOTE, note: 'x'.repeat(31) }, { error: 'A note can\'t be longer than 30 characters' }],
+	[{ tag: 'STAR' }, { error: 'A mark must be one of SAFE, AVOID, TARGET, NOTE' }],
+];
+
+describe('marks', () => {
+	describe('normalizeMark', () => {
+		CASES.forEach(([mark, expected]) => {
+			it(`reads ${JSON.stringify(mark)}`, () => {
+				assert.deepStrictEqual(normalizeMark(mark), expected);
+			});
+		});
+	});
+});
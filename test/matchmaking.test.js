@@ -0,0 +1,50 @@
+const assert = require('assert');
+const {
+	MATCH_BY, validateMatchBy, getQueueEntry, canPair, getPairWordPacks, generateGameId,
+} = require('../src/matchmaking');
+
+const ENGLISH = getQueueEntry(['food', 'classic'], MATCH_BY.LANGUAGE);
+const ANY_ENGLISH = getQueueEntry(['nature'], MATCH_BY.ANYONE);
+const FRENCH = getQueueEntry(['classique'], MATCH_BY.ANYONE);
+const SAME_PACKS = getQueueEntry(['classic', 'food'], MATCH_BY.WORD_PACKS);
+
+describe('matchmaking', () => {
+	it('describes what a player is waiting for', () => {
+		assert.deepStrictEqual(ENGLISH, { wordPacks: ['classic', 'food'], languages: ['en'], matchBy: MATCH_BY.LANGUAGE });
+		assert.strictEqual(getQueueEntry(['nature']).matchBy, MATCH_BY.ANYONE);
+	});
+
+	it('only accepts the known ways of pairing', () => {
+		assert.strictEqual(validateMatchBy(MATCH_BY.LANGUAGE), undefined);
+		assert.strictEqual(validateMatchBy('LEVEL'), 'Players can only be paired by ANYONE or LANGUAGE or WORD_PACKS');
+	});
+
+	describe('canPair', () => {
+		// [a waiting player, a joining player, whether they can be paired]
+		const CASES = [
+			['anyone with anyone', FRENCH, ANY_ENGLISH, true],
+			['the same language', ENGLISH, ANY_ENGLISH, true],
+			['another language', ENGLISH, FRENCH, false],
+			['the same word packs', SAME_PACKS, ENGLISH, true],
+			['other word packs', SAME_PACKS, ANY_ENGLISH, false],
+		];
+
+		CASES.forEach(([name, entry, otherEntry, expected]) => {
+			it(`${expected ? 'pairs' : 'doesn\'t pair'} players asking for ${name}, either way round`, () => {
+				assert.strictEqual(canPair(entry, otherEntry), expected);
+				assert.strictEqual(canPair(otherEntry, entry), expected);
+			});
+		});
+	});
+
+	it('plays the packs of a player who asked for them, or else those of the player who waited', () => {
+		assert.deepStrictEqual(getPairWordPacks(ANY_ENGLISH, SAME_PACKS), ['classic', 'food']);
+		assert.deepStrictEqual(getPairWordPacks(ANY_ENGLISH, ENGLISH), ['nature']);
+	});
+
+	it('makes game ids from characters that aren\'t easily mixed up', () => {
+		assert.strictEqual(generateGameId(() => 0), 'AAAAAA');
+		assert.strictEqual(generateGameId(() => 0.999), '999999');
+		assert.ok(/^[A-HJ-NP-Z2-9]{6}$/.test(generateGameId()));
+	});
+});
@@ -0,0 +1,686 @@
+const assert = require('assert');
+const {
+	ROLES, CLASSIC_ROLES, GAME_TYPES, PHASES, RESULT_REASONS, ACTIONS, EVENTS, applyAction,
+} = require('../src/rules');
+
+const { AGENT, NON_AGENT, ASSASIN } = ROLES;
+const {
+	RED, BLUE, NEUTRAL,
+} = CLASSIC_ROLES;
+
+function duetSquare(playerOne, playerTwo, roleRevealedForClueGiver = {}) {
+	return { playerOne, playerTwo, roleRevealedForClueGiver };
+}
+
+// APPLE is an agent on both keys, BERRY only on team 1's, CHERRY only on team 2's and FIG on neither
+function duetState(overrides = {}) {
+	return {
+		words: {
+			APPLE: duetSquare(AGENT, AGENT),
+			BERRY: duetSquare(AGENT, NON_AGENT),
+			CHERRY: duetSquare(NON_AGENT, AGENT),
+			DATE: duetSquare(ASSASIN, NON_AGENT),
+			ELDER: duetSquare(NON_AGENT, ASSASIN),
+			FIG: duetSquare(NON_AGENT, NON_AGENT),
+		},
+		agentsLeft: 3,
+		agentsLeftByTeamId: { 1: 2, 2: 2 },
+		turns: 9,
+		turnsLeft: 9,
+		mistakesMade: 0,
+		mistakesAllowed: 4,
+		clueRules: 'STRICT',
+		phase: PHASES.AWAITING_CLUE,
+		phaseTeamId: undefined,
+		clue: undefined,
+		result: undefined,
+		gameType: GAME_TYPES.DUET,
+		...overrides,
+	};
+}
+
+// Team 2 guessing a clue for 2 from team 1 (so team 1's key is the one guessed against)
+function duetGuessingState(overrides = {}) {
+	return duetState({
+		phase: PHASES.GUESSING,
+		phaseTeamId: 2,
+		clue: {
+			teamId: 1, word: 'FRUIT', number: 2, guessesLeft: 2,
+		},
+		...overrides,
+	});
+}
+
+// Red (team 1) has APPLE and BERRY, blue (team 2) has CHERRY
+function classicState(overrides = {}) {
+	return {
+		words: {
+			APPLE: { role: RED, isRevealed: false },
+			BERRY: { role: RED, isRevealed: false },
+			CHERRY: { role: BLUE, isRevealed: false },
+			DATE: { role: ASSASIN, isRevealed: false },
+			FIG: { role: NEUTRAL, isRevealed: false },
+		},
+		agentsLeft: 3,
+		agentsLeftByTeamId: { 1: 2, 2: 1 },
+		clueRules: 'STRICT',
+		phase: PHASES.AWAITING_CLUE,
+		phaseTeamId: 1,
+		clue: undefined,
+		result: undefined,
+		gameType: GAME_TYPES.CLASSIC,
+		...overrides,
+	};
+}
+
+// Red's operatives guessing a clue for 1 from their spymaster (so they may make 2 guesses)
+function classicGuessingState(overrides = {}) {
+	return classicState({
+		phase: PHASES.GUESSING,
+		phaseTeamId: 1,
+		clue: {
+			teamId: 1, word: 'FRUIT', number: 1, guessesLeft: 2,
+		},
+		...overrides,
+	});
+}
+
+const guess = (teamId, word, extra) => ({
+	type: ACTIONS.GUESS, teamId, word, ...extra,
+});
+const giveClue = (teamId, word, number, extra) => ({
+	type: ACTIONS.GIVE_CLUE, teamId, word, number, ...extra,
+});
+const endTurn = (teamId, extra) => ({ type: ACTIONS.END_TURN, teamId, ...extra });
+const timeUp = () => ({ type: ACTIONS.TIME_UP });
+const pass = teamId => ({ type: ACTIONS.PASS, teamId });
+
+/**
+ * Each case plays one action on a state and lists what should come out:
+ * `expected` is checked against the next state (only the fields it has), `events` against the types of the
+ * events in order, and `error` against the start of the error (a rejected move must leave the state as it was)
+ */
+const CASES = {
+	'duet clues': [
+		{
+			name: 'either team gives the first clue, and the other team guesses it',
+			state: duetState(),
+			action: giveClue(1, 'FRUIT', 2),
+			expected: {
+				phase: PHASES.GUESSING,
+				phaseTeamId: 2,
+				clue: {
+					teamId: 1, word: 'FRUIT', number: 2, guessesLeft: 2,
+				},
+			},
+			events: [EVENTS.CLUE_GIVEN, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'the clue number is read as a number',
+			state: duetState({ phaseTeamId: 2 }),
+			action: giveClue(2, 'FRUIT', '3'),
+			expected: {
+				phaseTeamId: 1,
+				clue: {
+					teamId: 2, word: 'FRUIT', number: 3, guessesLeft: 3,
+				},
+			},
+			events: [EVENTS.CLUE_GIVEN, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'a team can\'t give a clue when it\'s the other team\'s turn',
+			state: duetState({ phaseTeamId: 1 }),
+			action: giveClue(2, 'FRUIT', 2),
+			error: 'You can\'t give a clue now',
+		},
+		{
+			name: 'no clue can be given while guessing',
+			state: duetGuessingState(),
+			action: giveClue(1, 'FRUIT', 2),
+			error: 'You can\'t give a clue now',
+		},
+		{
+			name: 'a clue can\'t be a word on the board',
+			state: duetState(),
+			action: giveClue(1, 'APPLE', 2),
+			error: '"APPLE" is a word on the board',
+		},
+		{
+			name: 'only players can give clues',
+			state: duetState(),
+			action: giveClue(undefined, 'FRUIT', 2),
+			error: 'Only players can give clues',
+		},
+	],
+	'duet guesses': [
+		{
+			name: 'an agent is found and the team keeps guessing',
+			state: duetGuessingState(),
+			action: guess(2, 'BERRY'),
+			expected: {
+				phase: PHASES.GUESSING,
+				phaseTeamId: 2,
+				agentsLeft: 2,
+				agentsLeftByTeamId: { 1: 1, 2: 2 },
+				turnsLeft: 9,
+				clue: {
+					teamId: 1, word: 'FRUIT', number: 2, guessesLeft: 1,
+				},
+			},
+			events: [EVENTS.GUESSED],
+		},
+		{
+			name: 'an agent on both keys is found for both',
+			state: duetGuessingState(),
+			action: guess(2, 'APPLE'),
+			expected: { agentsLeft: 2, agentsLeftByTeamId: { 1: 1, 2: 1 } },
+			events: [EVENTS.GUESSED],
+		},
+		{
+			name: 'the last guess the clue allows ends the turn, and the guessers give the next clue',
+			state: duetGuessingState({
+				clue: {
+					teamId: 1, word: 'FRUIT', number: 1, guessesLeft: 1,
+				},
+			}),
+			action: guess(2, 'BERRY'),
+			expected: {
+				phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, turnsLeft: 8, clue: undefined,
+			},
+			events: [EVENTS.GUESSED, EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'finding the last agent wins the game',
+			state: duetGuessingState({ agentsLeft: 1, agentsLeftByTeamId: { 1: 1, 2: 0 }, turnsLeft: 6 }),
+			action: guess(2, 'BERRY'),
+			expected: {
+				phase: PHASES.WON,
+				phaseTeamId: undefined,
+				agentsLeft: 0,
+				result: { outcome: PHASES.WON, reason: RESULT_REASONS.ALL_AGENTS_FOUND, turnsUsed: 4 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'a neutral word is a mistake and ends the turn',
+			state: duetGuessingState(),
+			action: guess(2, 'FIG'),
+			expected: {
+				phase: PHASES.AWAITING_CLUE,
+				phaseTeamId: 2,
+				mistakesMade: 1,
+				turnsLeft: 8,
+				clue: undefined,
+				words: { ...duetState().words, FIG: duetSquare(NON_AGENT, NON_AGENT, { playerOne: NON_AGENT }) },
+			},
+			events: [EVENTS.GUESSED, EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'the guessers\' own assasin is only a neutral word on the clue giver\'s key',
+			state: duetGuessingState(),
+			action: guess(2, 'ELDER'),
+			expected: { phase: PHASES.AWAITING_CLUE, mistakesMade: 1 },
+			events: [EVENTS.GUESSED, EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'a team whose key has no agents left doesn\'t give the next clue',
+			state: duetGuessingState({ agentsLeftByTeamId: { 1: 2, 2: 0 } }),
+			action: guess(2, 'FIG'),
+			expected: { phase: PHASES.AWAITING_CLUE, phaseTeamId: 1 },
+			events: [EVENTS.GUESSED, EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'one mistake too many loses the game',
+			state: duetGuessingState({ mistakesMade: 4, turnsLeft: 5 }),
+			action: guess(2, 'FIG'),
+			expected: {
+				phase: PHASES.LOST,
+				mistakesMade: 5,
+				result: { outcome: PHASES.LOST, reason: RESULT_REASONS.TOO_MANY_MISTAKES, turnsUsed: 5 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'a mistake on the last turn starts sudden death',
+			state: duetGuessingState({ turnsLeft: 1 }),
+			action: guess(2, 'FIG'),
+			expected: {
+				phase: PHASES.SUDDEN_DEATH, phaseTeamId: undefined, turnsLeft: 0, clue: undefined,
+			},
+			events: [EVENTS.GUESSED, EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'an assasin loses the game',
+			state: duetGuessingState(),
+			action: guess(2, 'DATE'),
+			expected: {
+				phase: PHASES.LOST,
+				turnsLeft: 0,
+				result: { outcome: PHASES.LOST, reason: RESULT_REASONS.ASSASIN, turnsUsed: 1 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'a word can\'t be revealed twice for the same clue giver',
+			state: duetGuessingState({
+				words: { ...duetState().words, FIG: duetSquare(NON_AGENT, NON_AGENT, { playerOne: NON_AGENT }) },
+			}),
+			action: guess(2, 'FIG'),
+			error: '"FIG" was already revealed',
+		},
+		{
+			name: 'a word revealed as a non-agent for the other clue giver can still be guessed',
+			state: duetGuessingState({
+				phaseTeamId: 1,
+				clue: {
+					teamId: 2, word: 'FRUIT', number: 2, guessesLeft: 2,
+				},
+				words: { ...duetState().words, CHERRY: duetSquare(NON_AGENT, AGENT, { playerOne: NON_AGENT }) },
+			}),
+			action: guess(1, 'CHERRY'),
+			expected: { agentsLeft: 2, agentsLeftByTeamId: { 1: 2, 2: 1 } },
+			events: [EVENTS.GUESSED],
+		},
+		{
+			name: 'a word revealed as an agent for the other clue giver can\'t be guessed again',
+			state: duetGuessingState({
+				phaseTeamId: 1,
+				clue: {
+					teamId: 2, word: 'FRUIT', number: 2, guessesLeft: 2,
+				},
+				words: { ...duetState().words, APPLE: duetSquare(AGENT, AGENT, { playerOne: AGENT }) },
+			}),
+			action: guess(1, 'APPLE'),
+			error: '"APPLE" was already revealed to be: AGENT',
+		},
+		{
+			name: 'only words on the board can be guessed',
+			state: duetGuessingState(),
+			action: guess(2, 'GRAPE'),
+			error: '"GRAPE" is not on the board',
+		},
+		{
+			name: 'the clue giver can\'t guess their own clue',
+			state: duetGuessingState(),
+			action: guess(1, 'BERRY'),
+			error: 'You can\'t guess now',
+		},
+		{
+			name: 'no one can guess before a clue is given',
+			state: duetState({ phaseTeamId: 1 }),
+			action: guess(2, 'BERRY'),
+			error: 'You can\'t guess now',
+		},
+		{
+			name: 'only players can guess',
+			state: duetGuessingState(),
+			action: guess(undefined, 'BERRY'),
+			error: 'Only players can guess',
+		},
+	],
+	'duet end of turn': [
+		{
+			name: 'the guessers can end their turn, and give the next clue',
+			state: duetGuessingState(),
+			action: endTurn(2),
+			expected: {
+				phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, turnsLeft: 8, clue: undefined,
+			},
+			events: [EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'ending the last turn starts sudden death',
+			state: duetGuessingState({ turnsLeft: 1 }),
+			action: endTurn(2),
+			expected: { phase: PHASES.SUDDEN_DEATH, phaseTeamId: undefined, turnsLeft: 0 },
+			events: [EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'the clue giver can\'t end the turn',
+			state: duetGuessingState(),
+			action: endTurn(1),
+			error: 'You can\'t end the turn now',
+		},
+		{
+			name: 'there is no turn to end while waiting for a clue',
+			state: duetState({ phaseTeamId: 1 }),
+			action: endTurn(1),
+			error: 'You can\'t end the turn now',
+		},
+	],
+	'duet sudden death': [
+		{
+			name: 'either team reveals agents on the other team\'s key',
+			state: duetState({ phase: PHASES.SUDDEN_DEATH, turnsLeft: 0 }),
+			action: guess(1, 'CHERRY'),
+			expected: { phase: PHASES.SUDDEN_DEATH, agentsLeft: 2, agentsLeftByTeamId: { 1: 2, 2: 1 } },
+			events: [EVENTS.GUESSED],
+		},
+		{
+			name: 'a non-agent loses the game',
+			state: duetState({ phase: PHASES.SUDDEN_DEATH, turnsLeft: 0 }),
+			action: guess(2, 'FIG'),
+			expected: {
+				phase: PHASES.LOST,
+				mistakesMade: 0,
+				result: { outcome: PHASES.LOST, reason: RESULT_REASONS.SUDDEN_DEATH, turnsUsed: 9 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'finding the last agent wins the game',
+			state: duetState({
+				phase: PHASES.SUDDEN_DEATH, turnsLeft: 0, agentsLeft: 1, agentsLeftByTeamId: { 1: 1, 2: 0 },
+			}),
+			action: guess(2, 'BERRY'),
+			expected: {
+				phase: PHASES.WON,
+				result: { outcome: PHASES.WON, reason: RESULT_REASONS.ALL_AGENTS_FOUND, turnsUsed: 9 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'no clues are given',
+			state: duetState({ phase: PHASES.SUDDEN_DEATH, turnsLeft: 0 }),
+			action: giveClue(1, 'FRUIT', 1),
+			error: 'You can\'t give a clue now',
+		},
+		{
+			name: 'there are no turns to end',
+			state: duetState({ phase: PHASES.SUDDEN_DEATH, turnsLeft: 0 }),
+			action: endTurn(1),
+			error: 'You can\'t end the turn now',
+		},
+	],
+	'duet time up': [
+		{
+			name: 'the guessers\' turn ends',
+			state: duetGuessingState(),
+			action: timeUp(),
+			expected: {
+				phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, turnsLeft: 8, clue: undefined,
+			},
+			events: [EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'a clue giver loses their turn, and the other team gives the next clue',
+			state: duetState({ phaseTeamId: 1 }),
+			action: timeUp(),
+			expected: { phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, turnsLeft: 8 },
+			events: [EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'a clue giver running out of time on the last turn starts sudden death',
+			state: duetState({ phaseTeamId: 1, turnsLeft: 1 }),
+			action: timeUp(),
+			expected: { phase: PHASES.SUDDEN_DEATH, phaseTeamId: undefined, turnsLeft: 0 },
+			events: [EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'the first clue isn\'t timed',
+			state: duetState(),
+			action: timeUp(),
+			error: 'There is no clock running',
+		},
+		{
+			name: 'sudden death isn\'t timed',
+			state: duetState({ phase: PHASES.SUDDEN_DEATH, turnsLeft: 0 }),
+			action: timeUp(),
+			error: 'There is no clock running',
+		},
+	],
+	'duet passes': [
+		{
+			name: 'a clue giver who passes loses their turn, and the other team gives the next clue',
+			state: duetState({ phaseTeamId: 1 }),
+			action: pass(1),
+			expected: {
+				phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, turnsLeft: 8, clue: undefined,
+			},
+			events: [EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'passing the last turn starts sudden death',
+			state: duetState({ phaseTeamId: 2, turnsLeft: 1 }),
+			action: pass(2),
+			expected: { phase: PHASES.SUDDEN_DEATH, phaseTeamId: undefined, turnsLeft: 0 },
+			events: [EVENTS.TURNS_CHANGED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'the first clue can\'t be passed',
+			state: duetState(),
+			action: pass(1),
+			error: 'The first clue can\'t be passed',
+		},
+		{
+			name: 'only the clue giver can pass',
+			state: duetState({ phaseTeamId: 1 }),
+			action: pass(2),
+			error: 'You can\'t give a clue now',
+		},
+		{
+			name: 'guessers can\'t pass',
+			state: duetGuessingState(),
+			action: pass(2),
+			error: 'You can\'t give a clue now',
+		},
+	],
+	'duet invalid actions': [
+		{
+			name: 'an unknown move is rejected',
+			state: duetGuessingState(),
+			action: { type: 'skip', teamId: 2 },
+			error: '"skip" is not a move in this game',
+		},
+		{
+			name: 'no guesses once the game is won',
+			state: duetState({ phase: PHASES.WON }),
+			action: guess(2, 'BERRY'),
+			error: 'You can\'t guess now: the game is over',
+		},
+		{
+			name: 'no clues once the game is lost',
+			state: duetState({ phase: PHASES.LOST }),
+			action: giveClue(1, 'FRUIT', 1),
+			error: 'You can\'t give a clue now: the game is over',
+		},
+		{
+			name: 'no clock once the game is over',
+			state: duetState({ phase: PHASES.LOST }),
+			action: timeUp(),
+			error: 'There is no clock running',
+		},
+	],
+	'classic clues': [
+		{
+			name: 'the spymaster gives a clue and their operatives get one extra guess',
+			state: classicState(),
+			action: giveClue(1, 'FRUIT', 2, { isSpymaster: true }),
+			expected: {
+				phase: PHASES.GUESSING,
+				phaseTeamId: 1,
+				clue: {
+					teamId: 1, word: 'FRUIT', number: 2, guessesLeft: 3,
+				},
+			},
+			events: [EVENTS.CLUE_GIVEN, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'operatives can\'t give clues',
+			state: classicState(),
+			action: giveClue(1, 'FRUIT', 2),
+			error: 'Only spymasters can give clues',
+		},
+		{
+			name: 'the other team\'s spymaster waits for their turn',
+			state: classicState(),
+			action: giveClue(2, 'FRUIT', 2, { isSpymaster: true }),
+			error: 'You can\'t give a clue now',
+		},
+	],
+	'classic guesses': [
+		{
+			name: 'one of the team\'s agents lets them keep guessing',
+			state: classicGuessingState(),
+			action: guess(1, 'APPLE'),
+			expected: {
+				phase: PHASES.GUESSING,
+				agentsLeft: 2,
+				agentsLeftByTeamId: { 1: 1, 2: 1 },
+				clue: {
+					teamId: 1, word: 'FRUIT', number: 1, guessesLeft: 1,
+				},
+			},
+			events: [EVENTS.GUESSED],
+		},
+		{
+			name: 'the extra guess used up ends the turn',
+			state: classicGuessingState({
+				clue: {
+					teamId: 1, word: 'FRUIT', number: 1, guessesLeft: 1,
+				},
+			}),
+			action: guess(1, 'APPLE'),
+			expected: { phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, clue: undefined },
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'a neutral word ends the turn',
+			state: classicGuessingState(),
+			action: guess(1, 'FIG'),
+			expected: { phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, agentsLeft: 3 },
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'revealing the other team\'s last agent makes them win',
+			state: classicGuessingState(),
+			action: guess(1, 'CHERRY'),
+			expected: {
+				phase: PHASES.WON,
+				phaseTeamId: undefined,
+				result: { outcome: PHASES.WON, reason: RESULT_REASONS.ALL_AGENTS_FOUND, winningTeamId: 2 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'revealing the team\'s last agent makes them win',
+			state: classicGuessingState({ agentsLeft: 2, agentsLeftByTeamId: { 1: 1, 2: 1 } }),
+			action: guess(1, 'BERRY'),
+			expected: {
+				phase: PHASES.WON,
+				result: { outcome: PHASES.WON, reason: RESULT_REASONS.ALL_AGENTS_FOUND, winningTeamId: 1 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'the assasin makes the other team win',
+			state: classicGuessingState(),
+			action: guess(1, 'DATE'),
+			expected: {
+				phase: PHASES.WON,
+				result: { outcome: PHASES.WON, reason: RESULT_REASONS.ASSASIN, winningTeamId: 2 },
+			},
+			events: [EVENTS.GUESSED, EVENTS.PHASE_CHANGED, EVENTS.GAME_OVER],
+		},
+		{
+			name: 'spymasters can\'t guess',
+			state: classicGuessingState(),
+			action: guess(1, 'APPLE', { isSpymaster: true }),
+			error: 'Spymasters can\'t guess',
+		},
+		{
+			name: 'a word can\'t be revealed twice',
+			state: classicGuessingState({ words: { ...classicState().words, FIG: { role: NEUTRAL, isRevealed: true } } }),
+			action: guess(1, 'FIG'),
+			error: '"FIG" was already revealed',
+		},
+		{
+			name: 'the other team can\'t guess',
+			state: classicGuessingState(),
+			action: guess(2, 'CHERRY'),
+			error: 'You can\'t guess now',
+		},
+	],
+	'classic end of turn and time up': [
+		{
+			name: 'the operatives end their turn',
+			state: classicGuessingState(),
+			action: endTurn(1),
+			expected: { phase: PHASES.AWAITING_CLUE, phaseTeamId: 2, clue: undefined },
+			events: [EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'the spymaster can\'t end the turn',
+			state: classicGuessingState(),
+			action: endTurn(1, { isSpymaster: true }),
+			error: 'Only the guessers can end the turn',
+		},
+		{
+			name: 'the guessers running out of time ends their turn',
+			state: classicGuessingState(),
+			action: timeUp(),
+			expected: { phase: PHASES.AWAITING_CLUE, phaseTeamId: 2 },
+			events: [EVENTS.PHASE_CHANGED],
+		},
+		{
+			name: 'a spymaster running out of time passes to the other spymaster',
+			state: classicState(),
+			action: timeUp(),
+			expected: { phase: PHASES.AWAITING_CLUE, phaseTeamId: 2 },
+			events: [EVENTS.PHASE_CHANGED],
+		},
+	],
+	'classic invalid actions': [
+		{
+			name: 'an unknown move is rejected',
+			state: classicGuessingState(),
+			action: { type: 'skip', teamId: 1 },
+			error: '"skip" is not a move in this game',
+		},
+		{
+			name: 'spymasters can\'t pass',
+			state: classicState(),
+			action: pass(1),
+			error: '"pass" is not a move in this game',
+		},
+		{
+			name: 'no guesses once the game is won',
+			state: classicState({ phase: PHASES.WON, phaseTeamId: undefined }),
+			action: guess(1, 'APPLE'),
+			error: 'You can\'t guess now: the game is over',
+		},
+		{
+			name: 'only words on the board can be guessed',
+			state: classicGuessingState(),
+			action: guess(1, 'GRAPE'),
+			error: '"GRAPE" is not on the board',
+		},
+	],
+};
+
+describe('applyAction', () => {
+	Object.keys(CASES).forEach((group) => {
+		describe(group, () => {
+			CASES[group].forEach(({
+				name, state, action, expected, events, error,
+			}) => {
+				it(name, () => {
+					const next = applyAction(state, action);
+
+					if (error) {
+						assert.ok(next.error && next.error.startsWith(error), `expected "${error}", got "${next.error}"`);
+						assert.strictEqual(next.state, state);
+						assert.deepStrictEqual(next.events, []);
+						return;
+					}
+
+					assert.strictEqual(next.error, undefined);
+					Object.keys(expected).forEach((field) => {
+						assert.deepStrictEqual(next.state[field], expected[field], field);
+					});
+					assert.deepStrictEqual(next.events.map(({ type }) => type), events);
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const { PHASES, RESULT_REASONS } = require('../src/rules');
+const { parseCounts, addResult, summarize } = require('../src/stats');
+
+const WIN = { outcome: PHASES.WON, reason: RESULT_REASONS.ALL_AGENTS_FOUND, turnsUsed: 6 };
+const LOSS = { outcome: PHASES.LOST, reason: RESULT_REASONS.ASSASIN, turnsUsed: 3 };
+
+describe('stats', () => {
+	it('reads counts from a hash, with 0 for those not stored yet', () => {
+		const counts = parseCounts({ played: '3', wins: '2' });
+
+		assert.strictEqual(counts.played, 3);
+		assert.strictEqual(counts.wins, 2);
+		assert.strictEqual(counts.lossesByMistakes, 0);
+		assert.deepStrictEqual(parseCounts(null), parseCounts({}));
+	});
+
+	it('counts a win, the turns left on it and the streak', () => {
+		const counts = addResult(addResult(parseCounts(), WIN, 9), WIN, 9);
+
+		assert.strictEqual(counts.played, 2);
+		assert.strictEqual(counts.wins, 2);
+		assert.strictEqual(counts.turnsLeftOnWins, 6);
+		assert.strictEqual(counts.streak, 2);
+		assert.strictEqual(counts.bestStreak, 2);
+	});
+
+	it('counts a loss by its reason and ends the streak, but keeps the best one', () => {
+		const counts = addResult(addResult(addResult(parseCounts(), WIN, 9), WIN, 9), LOSS, 9);
+
+		assert.strictEqual(counts.played, 3);
+		assert.strictEqual(counts.lossesByAssasin, 1);
+		assert.strictEqual(counts.streak, 0);
+		assert.strictEqual(counts.bestStreak, 2);
+	});
+
+	it('counts losses in sudden death and from mistakes', () => {
+		const counts = [RESULT_REASONS.SUDDEN_DEATH, RESULT_REASONS.TOO_MANY_MISTAKES]
+			.reduce((memo, reason) => addResult(memo, { outcome: PHASES.LOST, reason }, 9), parseCounts());
+
+		assert.strictEqual(counts.lossesByTurns, 1);
+		assert.strictEqual(counts.lossesByMistakes, 1);
+	});
+
+	it('never counts negative turns left', () => {
+		assert.strictEqual(addResult(parseCounts(), { ...WIN, turnsUsed: 11 }, 9).turnsLeftOnWins, 0);
+	});
+
+	it('works out losses and the average turns left on a win', () => {
+		const summary = summarize({
+			...parseCounts(), played: 4, wins: 3, turnsLeftOnWins: 7,
+		});
+
+		assert.strictEqual(summary.losses, 1);
+		assert.strictEqual(summary.averageTurnsLeftOnWin, 2.3);
+		assert.strictEqual(summarize(parseCounts()).averageTurnsLeftOnWin, undefined);
+	});
+});